@@ -1,61 +1,91 @@
 // Background script for Truth Check extension
+// Runs the claim pipeline for every tab; content scripts only extract page text and render results
+import pipelineService from './src/pipeline/pipelineService.js';
+import CONFIG from './src/foundation/config.js';
+import configStore from './src/foundation/configStore.js';
+import Retry from './src/utils/retry.js';
+
 console.log('Truth Check extension background script loaded');
 
-// Default configuration - will be overridden by stored config
-let CONFIG = {
-  extension_name: "Truth Check",
-  extension_version: "1.0.0",
-  debug_mode: true,
-  min_content_length: 300,
-  scoring: {
-    high_trust: 8,
-    medium_trust: 5,
-    low_trust: 3,
-    ai: { weight: 0.40, enabled: true },
-    source_credibility: { weight: 0.30, enabled: true },
-    scholarly: { weight: 0.30, enabled: true }
-  },
-  display: {
-    colors: {
-      high: "#22c55e",
-      medium: "#eab308",
-      low: "#ef4444"
-    }
-  }
-};
-
-// Load configuration from storage
-async function loadConfig() {
-  try {
-    const stored = await chrome.storage.sync.get('config');
-    if (stored.config) {
-      CONFIG = { ...CONFIG, ...stored.config };
-      console.log('Loaded configuration from storage');
-    } else {
-      // Save default config to storage
-      await chrome.storage.sync.set({ config: CONFIG });
-      console.log('Saved default configuration to storage');
-    }
-  } catch (error) {
-    console.error('Error loading config:', error);
+// Stored overrides are applied here first, then open tabs are told to re-analyze with them
+let appliedOverrides = null;
+
+function applyConfig({ overrides, errors }) {
+  if (Object.keys(errors).length > 0) {
+    console.warn('Ignoring invalid stored config:', errors);
   }
-  return CONFIG;
+  pipelineService.applyConfig(overrides);
+  appliedOverrides = JSON.stringify(overrides);
 }
 
+const configReady = configStore.load()
+  .then(applyConfig)
+  .catch(error => console.error('Error loading config:', error));
+
+configStore.onChange(async (stored) => {
+  await configReady;
+  // A migration rewrites the stored format without changing any values
+  if (JSON.stringify(stored.overrides) === appliedOverrides) return;
+  applyConfig(stored);
+
+  const tabs = await chrome.tabs.query({});
+  tabs.forEach(tab => {
+    // Tabs without the content script (chrome:// pages etc.) have no receiver
+    chrome.tabs.sendMessage(tab.id, { type: 'CONFIG_CHANGED', config: CONFIG }).catch(() => {});
+  });
+});
+
 // Handle extension installation
 chrome.runtime.onInstalled.addListener((details) => {
   if (details.reason === 'install') {
     console.log('Truth Check extension installed');
   }
+
+  if (details.reason === 'install' || details.reason === 'update') {
+    // Stored config from an earlier release is rewritten in the current format
+    configStore.upgrade().catch(error => console.error('Error migrating config:', error));
+  }
+});
+
+// A closed tab's work is cancelled along with it
+chrome.tabs.onRemoved.addListener((tabId) => {
+  pipelineService.cancelRun(tabId);
 });
 
 // Handle messages from content scripts and popup
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  console.log('Background received message:', message);
+  console.log('Background received message:', message.type);
 
   if (message.type === 'GET_CONFIG') {
-    // Return configuration to requester
-    sendResponse(CONFIG);
+    // CONFIG with the stored overrides applied
+    configReady.then(() => sendResponse(CONFIG));
+  }
+
+  if (message.type === 'GET_CIRCUIT_BREAKERS') {
+    // For the popup: every host the pipeline has called, and whether its requests are being let through
+    sendResponse(Retry.getCircuitBreakerStates());
+  }
+
+  if (message.type === 'CANCEL_RUN') {
+    pipelineService.cancelRun(sender.tab?.id, message.runId);
+    sendResponse({ success: true });
+  }
+
+  if (pipelineService.handles(message.type)) {
+    // Registered before waiting for the config, so a CANCEL_RUN that arrives meanwhile still reaches it
+    const signal = pipelineService.getRunSignal(message.runId, sender);
+
+    // Errors don't survive messaging, so they're sent back as text
+    configReady
+      .then(() => pipelineService.handleMessage(message, sender, signal))
+      .then(result => sendResponse({ success: true, result }))
+      .catch(error => {
+        const aborted = error.name === 'AbortError';
+        if (!aborted) {
+          console.error('Pipeline step failed:', message.type, error);
+        }
+        sendResponse({ success: false, aborted, error: error.message });
+      });
   }
 
   return true; // Keep message channel open for async response
@@ -44,48 +44,22 @@ const Cache = {
   }
 };
 
-// Pipeline modules (loaded dynamically)
-let claimExtractor, claimNormalizer, scorer, overrideEngine, highlighter, tooltip;
-
-// Simple utilities
-const Utils = {
-  // Extract main article content
-  extractArticleContent: function() {
-    const articleSelectors = [
-      'article',
-      '[class*="article"]',
-      '[class*="content"]',
-      'main',
-      '.post-content',
-      '.entry-content'
-    ];
-
-    for (const selector of articleSelectors) {
-      const element = document.querySelector(selector);
-      if (element) {
-        const cloned = element.cloneNode(true);
-        cloned.querySelectorAll('script, style, nav, header, footer, aside, .advertisement, .ads').forEach(el => el.remove());
-        const text = cloned.textContent || cloned.innerText || '';
-        if (text.trim().length > (CONFIG ? CONFIG.min_content_length : 300)) {
-          return text.trim();
-        }
-      }
-    }
-
-    // Fallback: get all paragraph text
-    const paragraphs = Array.from(document.querySelectorAll('p')).map(p => p.textContent || p.innerText || '');
-    return paragraphs.join(' ').trim();
-  },
-
-  // Check if current site is a news site
-  isNewsSite: function() {
-    const newsDomains = ['news', 'cnn', 'bbc', 'foxnews', 'nytimes', 'washingtonpost', 'reuters', 'apnews', 'bloomberg'];
-    const currentDomain = window.location.hostname.toLowerCase();
-
-    return newsDomains.some(domain => currentDomain.includes(domain)) ||
-           document.querySelector('article') !== null ||
-           document.querySelector('[class*="article"]') !== null;
-  }
+// UI and page modules (loaded dynamically); extraction and scoring run in the background service worker
+let highlighter, tooltip, redFlagDetector, redFlagBanner, pageWatcher, viewportScheduler, configStore, articleExtractor, newsDetector;
+
+// What has been analyzed on the current page; reset when an SPA navigates to a new URL
+const pageState = {
+  generation: 0,        // Bumped on navigation so work for the previous page is dropped
+  runPrefix: Math.random().toString(36).slice(2), // Tells this page's runs from those of other pages in the tab
+  controller: new AbortController(), // Aborted (and replaced) when the generation's work is cancelled
+  started: false,
+  notNews: null,        // Failed news detection: { checkedLength, added } - text on the page then, and added since
+  results: [],          // Scored claims across the initial pass and every incremental pass
+  seenClaims: new Set(),
+  redFlags: null,       // Promise of the red flag analysis for the page
+  redFlagAnalysis: null, // ...and its result once it's in
+  pendingClaims: new Map(), // Claim text -> IDs of its highlights while the score is on its way
+  queue: Promise.resolve()
 };
 
 async function initializeExtension() {
@@ -101,6 +75,7 @@ async function initializeExtension() {
     await loadPipelineModules();
 
     console.log('Truth Check: Extension initialized successfully');
+    startWatching();
     startProcessing();
 
   } catch (error) {
@@ -120,24 +95,45 @@ async function loadPipelineModules() {
   try {
     // Load modules using dynamic imports (content script context)
     const modules = await Promise.all([
-      import(chrome.runtime.getURL('src/routers/ai-server.js')),
-      import(chrome.runtime.getURL('src/pipeline/claimExtractor.js')),
-      import(chrome.runtime.getURL('src/pipeline/normalizer.js')),
-      import(chrome.runtime.getURL('src/pipeline/scorer.js')),
-      import(chrome.runtime.getURL('src/pipeline/overrideEngine.js')),
       import(chrome.runtime.getURL('src/ui/highlighter.js')),
-      import(chrome.runtime.getURL('src/ui/tooltip.js'))
+      import(chrome.runtime.getURL('src/ui/tooltip.js')),
+      // Only for adjusting scores and summarizing flags - the analysis itself runs in the background
+      import(chrome.runtime.getURL('src/pipeline/redFlagDetector.js')),
+      import(chrome.runtime.getURL('src/ui/redFlagBanner.js')),
+      import(chrome.runtime.getURL('src/pipeline/pageWatcher.js')),
+      import(chrome.runtime.getURL('src/pipeline/viewportScheduler.js')),
+      import(chrome.runtime.getURL('src/foundation/configStore.js')),
+      import(chrome.runtime.getURL('src/pipeline/articleExtractor.js')),
+      import(chrome.runtime.getURL('src/pipeline/newsDetector.js'))
     ]);
 
-    // AI server client is already made global by ai-server.js module
-    console.log('Truth Check: AI server client loaded:', !!window.aiServerClient);
-    
-    claimExtractor = modules[1].default;
-    claimNormalizer = modules[2].default;
-    scorer = modules[3].default;
-    overrideEngine = modules[4].default;
-    highlighter = modules[5].default;
-    tooltip = modules[6].default;
+    highlighter = modules[0].default;
+    tooltip = modules[1].default;
+    redFlagDetector = modules[2].default;
+    redFlagBanner = modules[3].default;
+    pageWatcher = modules[4].default;
+    viewportScheduler = modules[5].default;
+    configStore = modules[6].default;
+    articleExtractor = modules[7].default;
+    newsDetector = modules[8].default;
+
+    // The modules read the tab's copy of CONFIG; give it the background's (stored overrides applied)
+    CONFIG = configStore.apply(CONFIG);
+
+    // Sites set to always/never be analyzed from the popup
+    await newsDetector.loadSiteOverrides();
+    newsDetector.onSiteOverrideChange(handleSiteOverrideChange);
+
+    // Tooltips follow the pointer in both highlight modes (spans get listeners, CSS highlights are hit-tested)
+    highlighter.setHoverHandlers({
+      onEnter: (highlightId, anchor) => {
+        const highlightData = highlighter.getHighlightInfo(highlightId);
+        if (highlightData) {
+          tooltip.showTooltip(anchor, highlightData);
+        }
+      },
+      onLeave: () => tooltip.scheduleHide()
+    });
 
     console.log('Truth Check: Pipeline modules loaded successfully');
   } catch (error) {
@@ -146,45 +142,71 @@ async function loadPipelineModules() {
   }
 }
 
-async function checkApiKeys() {
-  // Check if essential services are available
-  // AI can be available via Express server even without direct API key
-  const keys = {
-    ai: (CONFIG.apis?.ai_provider?.api_key && CONFIG.apis.ai_provider.api_key !== 'null') || 
-        (typeof window !== 'undefined' && (window.aiServerClient || window.aiClient)),
-    scholar: CONFIG.apis?.scholar_sources?.some(s => s.enabled),
-    credibility: CONFIG.apis?.credibility_sources?.some(c => c.enabled && c.api_key)
-  };
-
-  const hasAnyKeys = Object.values(keys).some(k => k);
-
-  if (!hasAnyKeys) {
-    Logger.warn('No API keys or services configured - running with limited functionality');
-  }
+// The current generation's run: its ID in the background and the signal that cancels it
+function currentRun() {
+  return { id: `${pageState.runPrefix}:${pageState.generation}`, signal: pageState.controller.signal };
+}
 
-  return keys;
+// Run a pipeline step in the background service worker (see src/pipeline/pipelineService.js)
+// Rejects with an AbortError once the run is cancelled, without waiting for the background to stop
+function sendPipelineMessage(type, payload = {}, run = currentRun()) {
+  return new Promise((resolve, reject) => {
+    if (run.signal.aborted) {
+      reject(run.signal.reason);
+      return;
+    }
+    run.signal.addEventListener('abort', () => reject(run.signal.reason), { once: true });
+
+    chrome.runtime.sendMessage({ type, pageUrl: window.location.href, runId: run.id, ...payload }, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (response?.aborted) {
+        reject(new DOMException(response.error, 'AbortError'));
+      } else if (!response?.success) {
+        reject(new Error(response?.error || `No response to ${type}`));
+      } else {
+        resolve(response.result);
+      }
+    });
+  });
 }
 
 async function startProcessing() {
   console.log('Truth Check: Checking if should process page...');
 
-  // Only process if we're on a news site and content is ready
-  if (!Utils.isNewsSite() || document.readyState === 'loading') {
-    if (document.readyState === 'loading') {
-      console.log('Truth Check: Waiting for page to load completely...');
-      document.addEventListener('DOMContentLoaded', startProcessing);
-    }
+  // Turned off from the popup; turning it back on starts processing again
+  if (!highlighter.enabled) return;
+
+  if (document.readyState === 'loading') {
+    console.log('Truth Check: Waiting for page to load completely...');
+    document.addEventListener('DOMContentLoaded', startProcessing);
     return;
   }
 
   try {
+    // Extract article content and metadata
+    console.log('Truth Check: Extracting article content...');
+    const article = articleExtractor.extract();
+
+    // Only news articles are analyzed, unless the site is set to always/never be from the popup
+    const detection = newsDetector.detect(document, article);
+    if (!detection.analyze) {
+      pageState.notNews = { checkedLength: article.text.length, added: 0 };
+      console.log('Truth Check: Not analyzing page -', detection.override
+        ? `${detection.override.host} is set to never be analyzed`
+        : `news score ${detection.score} is below ${detection.threshold}`);
+      return;
+    }
+    pageState.notNews = null;
+
+    // Text already on the page is covered by this pass; the watcher only reports what's added later
+    pageWatcher.markExisting();
+
     console.log('Truth Check: Starting claim extraction and scoring...');
     Logger.log('Starting claim extraction and scoring...');
 
-    // Extract article content
-    console.log('Truth Check: Extracting article content...');
-    const articleContent = Utils.extractArticleContent();
-    console.log('Truth Check: Article content length:', articleContent?.length || 0);
+    const articleContent = article.text;
+    console.log('Truth Check: Article content length:', articleContent.length, '- headline:', article.headline);
 
     if (!articleContent || articleContent.length < (CONFIG ? CONFIG.min_content_length : 300)) {
       console.log('Truth Check: Article too short or no content found');
@@ -193,11 +215,43 @@ async function startProcessing() {
     }
 
     console.log('Truth Check: Article content extracted successfully');
+    pageState.started = true;
+
+    // Article-level red flags run alongside the claim pipeline; the banner appears as soon as they're ready
+    const generation = pageState.generation;
+    pageState.redFlags = analyzeRedFlags(articleContent).then(analysis => {
+      if (generation === pageState.generation) {
+        pageState.redFlagAnalysis = analysis;
+      }
+      return analysis;
+    });
+
+    pageState.queue = pageState.queue.then(() => runPipeline(articleContent, article, generation));
+    await pageState.queue;
+
+  } catch (error) {
+    console.error('Truth Check: Error in main processing:', error);
+    Logger.error('Error in main processing:', error);
+  }
+}
 
+// Extract, score and highlight the claims in `text` (the whole article, or just newly added content);
+// article is the full article and its metadata (see src/pipeline/articleExtractor.js), sent along with every claim
+async function runPipeline(text, article, generation) {
+  // Cancelled while waiting behind the previous pass
+  if (generation !== pageState.generation) return;
+  const run = currentRun();
+
+  try {
     // Extract claims from article using real pipeline
     console.log('Truth Check: Extracting claims from article...');
-    const claimResults = await claimExtractor.extractClaims(articleContent);
-    const claims = claimResults.map(c => c.text);
+    const claimResults = await sendPipelineMessage('EXTRACT_CLAIMS', { text }, run);
+
+    // Re-rendered or repeated content yields claims that are already scored and highlighted
+    const claims = claimResults
+      .map(c => c.text)
+      .filter(claim => !pageState.seenClaims.has(claim.toLowerCase().trim()));
+    claims.forEach(claim => pageState.seenClaims.add(claim.toLowerCase().trim()));
     console.log('Truth Check: Claims found:', claims.length);
 
     if (claims.length === 0) {
@@ -209,11 +263,17 @@ async function startProcessing() {
     console.log('Truth Check: Claims extracted successfully');
     console.log('Truth Check: Found', claims.length, 'claims to analyze');
 
+    // Show the claims straight away; each highlight is updated in place when its score arrives
+    highlightPendingClaims(claims);
+
     // Normalize claims
     console.log('Truth Check: Normalizing claims...');
-    const normalizedResults = await claimNormalizer.normalizeBatch(claims);
+    const normalizedResults = await sendPipelineMessage('NORMALIZE_CLAIMS', { claims }, run);
     const normalizedClaims = normalizedResults.map(r => r.normalized).filter(n => n !== null);
 
+    // Claims the normalizer rejected won't get a score
+    normalizedResults.filter(r => r.normalized === null).forEach(r => dropPendingClaim(r.original_claim));
+
     if (normalizedClaims.length === 0) {
       console.log('Truth Check: No valid claims after normalization');
       return;
@@ -222,170 +282,305 @@ async function startProcessing() {
     console.log('Truth Check: Claims normalized successfully');
     console.log('Truth Check: Normalized claims count:', normalizedClaims.length);
 
-    // Score claims using real pipeline (with batching and timeouts)
+    // Score claims in the background service worker
     console.log('Truth Check: Scoring claims...');
 
-    // Check if we have necessary API keys for enhanced features
-    const hasApiKeys = await checkApiKeys();
-    console.log('Truth Check: API keys available:', hasApiKeys);
-    
-    const batchSize = CONFIG.performance?.batch_size || 5;
     const scoredResults = [];
 
-    console.log('Truth Check: Processing', normalizedClaims.length, 'claims in batches of', batchSize);
-
-    for (let i = 0; i < normalizedClaims.length; i += batchSize) {
-      const batch = normalizedClaims.slice(i, i + batchSize);
-      console.log(`Truth Check: Processing batch ${Math.floor(i / batchSize) + 1} (${batch.length} claims)`);
-
-      const batchPromises = batch.map(async (normalizedClaim) => {
-        try {
-          console.log('[BATCH] Scoring claim:', normalizedClaim.original_claim.substring(0, 60) + '...');
-          
-          // Score the claim - pipeline handles missing API keys gracefully
-          const scores = await scorer.scoreClaim(normalizedClaim);
-          console.log('[BATCH] ✅ Scored claim, final score:', scores.final);
-
-          // Check for overrides if enabled and API keys are available
-          let override = null;
-          if (CONFIG.features?.enable_override_engine && hasApiKeys.ai) {
-            override = await overrideEngine.checkOverride(normalizedClaim);
-          }
-
-          return {
-            claim: normalizedClaim.original_claim,
-            normalized: normalizedClaim,
-            scores,
-            override,
-            finalScore: override?.score || scores.final
-          };
-        } catch (error) {
-          console.error('[BATCH] ❌ Error scoring claim:', error);
-          Logger.error('Error scoring claim:', error);
-          // Return neutral score on error
-          return {
-            claim: normalizedClaim.original_claim,
-            normalized: normalizedClaim,
-            scores: { final: 5, confidence: 'low', components: {} },
-            override: null,
-            finalScore: 5
-          };
+    // Score one claim in the background; priority lets claims in view jump the queue shared by all tabs
+    const scoreNormalizedClaim = async (normalizedClaim, priority) => {
+      try {
+        console.log('[BATCH] Scoring claim:', normalizedClaim.original_claim.substring(0, 60) + '...');
+        const result = await sendPipelineMessage('SCORE_CLAIM', { claim: normalizedClaim, article, priority }, run);
+        console.log('[BATCH] ✅ Scored claim, final score:', result.finalScore);
+        return result;
+      } catch (error) {
+        // Cancelled claims get no score at all; the scheduler resolves them to null
+        if (error.name === 'AbortError') throw error;
+        console.error('[BATCH] ❌ Error scoring claim:', error);
+        Logger.error('Error scoring claim:', error);
+        // Return neutral score on error
+        return {
+          claim: normalizedClaim.original_claim,
+          normalized: normalizedClaim,
+          scores: { final: 5, confidence: 'low', components: {} },
+          override: null,
+          finalScore: 5
+        };
+      }
+    };
+
+    // Update the claim's pending highlight and the popup counters as soon as its score is in
+    const scoreAndShow = async (normalizedClaim, priority) => {
+      const result = await scoreNormalizedClaim(normalizedClaim, priority);
+
+      // The page navigated away while this claim was being scored
+      if (generation !== pageState.generation) return result;
+
+      const highlightIds = showScoredClaim(result);
+
+      // Lower scores of claims caught up in the article's red flags (red_flags.adjust_claim_scores) once the
+      // analysis is in, without holding up this claim's highlight or the next claim's turn
+      pageState.redFlags?.then(redFlags => {
+        if (generation !== pageState.generation) return;
+
+        const adjustedResult = redFlagDetector.adjustClaimResult(result, redFlags);
+        if (adjustedResult !== result) {
+          updateScoredClaim(result, adjustedResult, highlightIds);
         }
       });
 
-      const batchResults = await Promise.allSettled(batchPromises);
-      const validResults = batchResults.map(r => r.status === 'fulfilled' ? r.value : null).filter(r => r !== null);
-      console.log(`Truth Check: Batch completed, ${validResults.length} results`);
-      scoredResults.push(...validResults);
+      return result;
+    };
+
+    // Where the claim sits on the page, so claims the reader can see are scored first
+    const elementFor = normalizedClaim => {
+      const highlightIds = pageState.pendingClaims.get(normalizedClaim.original_claim) || [];
+      return highlightIds.length > 0 ? highlighter.getHighlightElement(highlightIds[0]) : null;
+    };
+
+    // Have the API server assess all uncached claims in one streamed request, visible ones first;
+    // the SCORE_CLAIM messages below pick the assessments up as they arrive
+    try {
+      const prefetched = await sendPipelineMessage('PREFETCH_ASSESSMENTS', {
+        claims: viewportScheduler.sortByPriority(normalizedClaims, elementFor)
+      }, run);
+      console.log('Truth Check: Streaming AI scores for', prefetched, 'uncached claims');
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      console.warn('Truth Check: Batch scoring unavailable, scoring claims individually:', error.message);
     }
 
-    console.log('Truth Check: All claims scored successfully, total:', scoredResults.length);
+    console.log('Truth Check: Processing', normalizedClaims.length, 'claims, visible ones first');
 
-    // Highlight claims on page using real highlighter
-    highlightClaimsWithPipeline(scoredResults);
+    // Claims in view (then just below the fold) go first; off-screen claims wait while the request slots are busy
+    const scheduledResults = await viewportScheduler.schedule(normalizedClaims.map(normalizedClaim => {
+      const element = elementFor(normalizedClaim);
+      return { element, run: () => scoreAndShow(normalizedClaim, viewportScheduler.getPriority(element)) };
+    }));
+    scoredResults.push(...scheduledResults.filter(result => result !== null));
 
-    // Update popup status
-    updatePopupStatusWithPipeline(scoredResults);
+    console.log('Truth Check: All claims scored successfully, total:', scoredResults.length);
+
+    // Anything still pending (e.g. lost to an error) would otherwise stay grey forever
+    if (generation === pageState.generation) {
+      claims.filter(claim => pageState.pendingClaims.has(claim)).forEach(dropPendingClaim);
+      updatePopupStatusWithPipeline(pageState.results);
+    }
 
   } catch (error) {
-    console.error('Truth Check: Error in main processing:', error);
-    Logger.error('Error in main processing:', error);
+    if (error.name === 'AbortError') {
+      console.log('Truth Check: Claim pipeline cancelled');
+      return;
+    }
+    console.error('Truth Check: Error in claim pipeline:', error);
+    Logger.error('Error in claim pipeline:', error);
+  }
+}
+
+// Watch for article text added after load and for SPA navigation
+function startWatching() {
+  pageWatcher.start({
+    onContent: handleNewContent,
+    onUrlChange: handleUrlChange
+  });
+}
+
+// New article content appeared (live blog update, infinite scroll) - score just that text
+function handleNewContent(text) {
+  if (!highlighter.enabled) return;
+
+  if (!pageState.started) {
+    // Not news by what was on the page then: detect again once enough has been added to change that - at least
+    // min_content_length, and as much as was checked, so an endless feed is re-checked less and less often
+    if (pageState.notNews) {
+      pageState.notNews.added += text.length;
+      const minContentLength = CONFIG ? CONFIG.min_content_length : 300;
+      if (pageState.notNews.added < Math.max(minContentLength, pageState.notNews.checkedLength)) return;
+    }
+
+    // Nothing was analyzed yet (e.g. the article rendered after load), so run the full pass
+    startProcessing();
+    return;
   }
+
+  console.log('Truth Check: Analyzing new page content:', text.length, 'chars');
+  const generation = pageState.generation;
+  pageState.queue = pageState.queue.then(() => {
+    const article = articleExtractor.extract();
+    return runPipeline(text, article.text ? article : { ...article, text }, generation);
+  });
+}
+
+// An SPA moved to a new article: clear everything from the old one and start over once it renders
+function handleUrlChange(url) {
+  console.log('Truth Check: Page URL changed, re-analyzing:', url);
+
+  resetPage();
+  setTimeout(() => startProcessing(), pageWatcher.settings.url_change_delay_ms);
+}
+
+// The site was set to always/never (or automatically) be analyzed from the popup - start over under the new mode
+function handleSiteOverrideChange(mode) {
+  console.log('Truth Check: Site analysis set to', mode || 'automatic');
+
+  resetPage();
+  startProcessing();
 }
 
-// Highlight claims on the page using real pipeline
-function highlightClaimsWithPipeline(scoredResults) {
-  console.log('Truth Check: Highlighting claims on page...');
-  console.log('Truth Check: Attempting to highlight', scoredResults.length, 'claims');
+// Config was changed on the options page (the background has already applied it) - redo the page with it
+function handleConfigChange(config) {
+  console.log('Truth Check: Config changed, re-analyzing page');
+
+  CONFIG = configStore.apply(config);
+  resetPage();
+  startProcessing();
+}
+
+// Stop the page's analysis: queued passes and claims, messages in flight, and the background's work for them.
+// Claims already scored are kept (resetPage() drops them too); claims still pending are dropped and
+// forgotten, so the next pass extracts and scores them again.
+function cancelAnalysis() {
+  const { id: runId } = currentRun();
+
+  pageState.controller.abort();
+  pageState.controller = new AbortController();
+  pageState.generation++;
+  pageState.queue = Promise.resolve();
+  viewportScheduler.cancel();
+
+  // Best effort: the extension may have been reloaded, or the service worker is already gone
+  chrome.runtime.sendMessage({ type: 'CANCEL_RUN', runId }).catch(() => {});
+
+  [...pageState.pendingClaims.keys()].forEach(claim => {
+    pageState.seenClaims.delete(claim.toLowerCase().trim());
+    dropPendingClaim(claim);
+  });
+  updatePopupStatusWithPipeline(pageState.results);
+}
+
+// Drop all results, highlights and queued work for the page
+function resetPage() {
+  cancelAnalysis();
+
+  pageState.started = false;
+  pageState.notNews = null;
+  pageState.results = [];
+  pageState.seenClaims.clear();
+  pageState.redFlags = null;
+  pageState.redFlagAnalysis = null;
 
-  // Clear existing highlights
   highlighter.removeAllHighlights();
+  tooltip.hideTooltip();
+  redFlagBanner.reset();
+  updatePopupStatusWithPipeline([]);
+}
 
-  let highlightedCount = 0;
+// Run red flag detection, show the banner and publish the result for the popup
+// Resolves to null when detection is disabled or fails, so claim scoring never waits on an error
+async function analyzeRedFlags(articleContent) {
+  if (!redFlagDetector.enabled) return null;
 
-  // Create highlights for each scored claim
-  scoredResults.forEach((result, idx) => {
-    if (!result || !result.claim) {
-      console.log('Truth Check: Skipping result', idx, '- no claim text');
-      return;
+  try {
+    const analysis = await sendPipelineMessage('ANALYZE_RED_FLAGS', { text: articleContent });
+
+    if (redFlagDetector.settings.show_banner) {
+      redFlagBanner.show(analysis);
     }
 
-    // Find all occurrences of the claim text in the DOM
-    const walker = document.createTreeWalker(
-      document.body,
-      NodeFilter.SHOW_TEXT,
-      null,
-      false
-    );
-
-    let node;
-    const positions = [];
-    const claimLower = result.claim.toLowerCase().trim();
-    
-    // Normalize whitespace in claim for better matching
-    const claimNormalized = claimLower.replace(/\s+/g, ' ');
-
-    while (node = walker.nextNode()) {
-      const text = node.textContent;
-      const textNormalized = text.toLowerCase().replace(/\s+/g, ' ');
-      
-      // Try exact match first
-      let index = textNormalized.indexOf(claimNormalized);
-      
-      // If no exact match and claim is long, try matching first 50 chars for partial matches
-      if (index === -1 && claimNormalized.length > 50) {
-        const claimPrefix = claimNormalized.substring(0, 50);
-        index = textNormalized.indexOf(claimPrefix);
+    // Merge into the stored status - claim scoring may not have written it yet
+    const stored = await chrome.storage.local.get('truthCheckStatus');
+    chrome.storage.local.set({
+      truthCheckStatus: {
+        ready: true,
+        claimsAnalyzed: 0,
+        stats: { total: 0, high: 0, medium: 0, low: 0 },
+        ...stored.truthCheckStatus,
+        redFlags: redFlagDetector.summarize(analysis)
       }
+    });
 
-      if (index !== -1 && text.length < 2000) {
-        // Find the actual position in the original (non-normalized) text
-        const actualIndex = text.toLowerCase().indexOf(result.claim.toLowerCase().substring(0, 30));
-        if (actualIndex !== -1) {
-          positions.push({
-            node,
-            startIndex: actualIndex,
-            endIndex: actualIndex + Math.min(result.claim.length, text.length - actualIndex)
-          });
-        }
-      }
+    return analysis;
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Truth Check: Red flag detection failed:', error);
     }
+    return null;
+  }
+}
 
-    // Create highlight if positions found
-    if (positions.length > 0) {
-      const highlightIds = highlighter.highlightMultiplePositions(
-        positions,
-        result.finalScore,
-        result
-      );
+// Highlight freshly extracted claims in the pending style until their scores arrive
+function highlightPendingClaims(claims) {
+  console.log('Truth Check: Highlighting', claims.length, 'pending claims...');
 
-      highlightedCount++;
+  let highlightedCount = 0;
 
-      // Attach tooltip handlers to each highlight
-      highlightIds.forEach(highlightId => {
-        const highlightElement = document.getElementById(highlightId);
-        if (highlightElement) {
-          highlightElement.addEventListener('mouseenter', (e) => {
-            const highlightData = highlighter.getHighlightInfo(highlightId);
-            if (highlightData) {
-              tooltip.showTooltip(highlightElement, highlightData);
-            }
-          });
-
-          highlightElement.addEventListener('mouseleave', () => {
-            tooltip.scheduleHide();
-          });
-        }
-      });
-    } else {
+  claims.forEach((claim, idx) => {
+    // Find every occurrence of the claim on the page - matches may span links, <em>, <strong> etc.
+    const highlightIds = highlighter.highlightClaim(claim, null, {
+      claim,
+      normalized: null,
+      scores: {},
+      override: null,
+      finalScore: null,
+      pending: true
+    });
+
+    pageState.pendingClaims.set(claim, highlightIds);
+
+    if (highlightIds.length > 0) {
+      highlightedCount++;
+    } else if (idx < 5) {
       // Log claims that couldn't be highlighted for debugging
-      if (idx < 5) {
-        console.log('Truth Check: Could not find text for claim:', result.claim.substring(0, 100) + '...');
-      }
+      console.log('Truth Check: Could not find text for claim:', claim.substring(0, 100) + '...');
     }
   });
 
-  console.log(`Truth Check: Successfully highlighted ${highlightedCount} out of ${scoredResults.length} claims`);
+  console.log(`Truth Check: Highlighted ${highlightedCount} out of ${claims.length} claims`);
+  updatePopupStatusWithPipeline(pageState.results);
+}
+
+// A claim's score is in: recolor its highlights in place and count it in the popup; returns the highlights' IDs
+function showScoredClaim(result) {
+  const highlightIds = pageState.pendingClaims.get(result.claim) || [];
+  highlightIds.forEach(highlightId => highlighter.updateHighlight(highlightId, result));
+  pageState.pendingClaims.delete(result.claim);
+
+  pageState.results.push(result);
+  updatePopupStatusWithPipeline(pageState.results);
+  return highlightIds;
+}
+
+// A shown claim's result changed (e.g. the red flag adjustment came in after its score): recolor and recount
+function updateScoredClaim(result, newResult, highlightIds) {
+  highlightIds.forEach(highlightId => highlighter.updateHighlight(highlightId, newResult));
+
+  const index = pageState.results.indexOf(result);
+  if (index !== -1) {
+    pageState.results[index] = newResult;
+  }
+  updatePopupStatusWithPipeline(pageState.results);
+}
+
+function dropPendingClaim(claim) {
+  (pageState.pendingClaims.get(claim) || []).forEach(highlightId => highlighter.removeHighlight(highlightId));
+  pageState.pendingClaims.delete(claim);
+}
+
+// Disabling stops the analysis but keeps the scores; enabling shows them again and scores whatever was left
+function setHighlightingEnabled(enabled) {
+  if (enabled === highlighter.enabled) return;
+
+  highlighter.setEnabled(enabled);
+
+  if (!enabled) {
+    tooltip.hideTooltip();
+    cancelAnalysis();
+    return;
+  }
+
+  pageState.results.forEach(result => highlighter.highlightClaim(result.claim, result.finalScore, result));
+  startProcessing();
 }
 
 // Update popup status with detailed pipeline data
@@ -404,6 +599,7 @@ function updatePopupStatusWithPipeline(scoredResults) {
   const status = {
     ready: true,
     claimsAnalyzed: totalClaims,
+    claimsPending: pageState.pendingClaims.size,
     stats: {
       total: totalClaims,
       high: highTrust,
@@ -418,8 +614,10 @@ function updatePopupStatusWithPipeline(scoredResults) {
     features: {
       highlighting: highlighter.enabled,
       confidenceFilter: highlighter.confidenceFilter,
-      overrideEngine: CONFIG.features?.enable_override_engine || false
+      overrideEngine: CONFIG.features?.enable_override_engine || false,
+      redFlagDetection: redFlagDetector.enabled
     },
+    redFlags: redFlagDetector.summarize(pageState.redFlagAnalysis),
     timestamp: Date.now()
   };
 
@@ -474,10 +672,22 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep message channel open for async response
   }
 
+  if (message.type === 'GET_PAGE_DETECTION') {
+    // Whether this page counts as news and why, for the popup's site controls
+    sendResponse(newsDetector ? newsDetector.detect(document) : null);
+  }
+
+  if (message.type === 'CONFIG_CHANGED') {
+    if (configStore) {
+      handleConfigChange(message.config);
+    }
+    sendResponse({ success: true });
+  }
+
   if (message.type === 'TOGGLE_HIGHLIGHTING') {
     // Handle highlighting toggle from popup using real highlighter
     console.log('Toggling highlighting:', message.enabled);
-    highlighter.setEnabled(message.enabled);
+    setHighlightingEnabled(message.enabled);
     // Store preference
     chrome.storage.sync.set({ highlightingEnabled: message.enabled });
     sendResponse({ success: true });
@@ -495,6 +705,15 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true; // Keep message channel open for async response
 });
 
+// Leaving the page (navigation, reload, closing the tab) cancels its work in the background; a page restored
+// from the back/forward cache scores whatever that left unscored
+window.addEventListener('pagehide', () => {
+  if (highlighter) cancelAnalysis();
+});
+window.addEventListener('pageshow', (event) => {
+  if (event.persisted && highlighter) startProcessing();
+});
+
 // Initialize when DOM is ready
 console.log('Truth Check: Setting up initialization...');
 if (document.readyState === 'loading') {
@@ -0,0 +1,155 @@
+// Options page script for Truth Check extension
+import configStore from './src/foundation/configStore.js';
+import ConfigSchema from './src/foundation/configSchema.js';
+
+const form = document.getElementById('settings-form');
+const saveStatusEl = document.getElementById('save-status');
+const storedErrorsEl = document.getElementById('stored-errors');
+
+// Valid overrides currently saved, including ones this page has no field for
+let storedOverrides = {};
+
+document.addEventListener('DOMContentLoaded', async function() {
+  renderSources('apis.scholar_sources', document.getElementById('scholar-sources'), configStore.defaults.apis.scholar_sources);
+  renderSources('apis.credibility_sources', document.getElementById('credibility-sources'), configStore.defaults.apis.credibility_sources);
+
+  try {
+    const { overrides, errors } = await configStore.load();
+    storedOverrides = overrides;
+    showStoredErrors(errors);
+  } catch (error) {
+    console.error('Error loading config:', error);
+  }
+  fillForm(storedOverrides);
+
+  form.addEventListener('submit', saveSettings);
+  document.getElementById('reset-button').addEventListener('click', resetSettings);
+});
+
+// One checkbox per source, named by its config path, e.g. "apis.scholar_sources[PubMed].enabled"
+function renderSources(path, container, sources) {
+  container.replaceChildren(...sources.map(source => {
+    const label = document.createElement('label');
+    label.className = 'checkbox-field';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.name = `${path}[${source.name}].enabled`;
+
+    label.append(checkbox, ` ${source.name}`);
+    return label;
+  }));
+}
+
+// Field names are config paths, so each field shows the value CONFIG would have with these overrides
+function fillForm(overrides) {
+  const config = ConfigSchema.merge(configStore.defaults, overrides);
+
+  for (const element of form.elements) {
+    if (!element.name) continue;
+
+    const value = ConfigSchema.getPath(config, element.name);
+    if (element.type === 'checkbox') {
+      element.checked = value === true;
+    } else {
+      element.value = value ?? '';
+    }
+  }
+}
+
+// The overrides the form describes: every value that differs from the defaults
+function readForm() {
+  const config = ConfigSchema.merge(configStore.defaults, storedOverrides);
+
+  for (const element of form.elements) {
+    if (!element.name) continue;
+
+    let value;
+    if (element.type === 'checkbox') {
+      value = element.checked;
+    } else if (element.type === 'number') {
+      // Empty or non-numeric input becomes NaN, which validation rejects
+      value = element.value.trim() === '' ? NaN : Number(element.value);
+    } else {
+      value = element.value.trim();
+      // A blank optional field (null by default, like the client token) stays unset rather than becoming ''
+      if (value === '' && ConfigSchema.getPath(configStore.defaults, element.name) === null) {
+        value = null;
+      }
+    }
+
+    ConfigSchema.setPath(config, element.name, value);
+  }
+
+  return ConfigSchema.pickOverrides(config, configStore.defaults);
+}
+
+// Saved values that failed validation (e.g. synced from another release) aren't applied anywhere - say so
+function showStoredErrors(errors) {
+  const entries = Object.entries(errors);
+  storedErrorsEl.hidden = entries.length === 0;
+  if (entries.length === 0) return;
+
+  const list = document.createElement('ul');
+  list.append(...entries.map(([path, message]) => {
+    const item = document.createElement('li');
+    item.textContent = `${path}: ${message}`;
+    return item;
+  }));
+
+  storedErrorsEl.replaceChildren('Some saved settings are invalid and their defaults are used instead. Saving replaces them.', list);
+}
+
+function showErrors(errors) {
+  form.querySelectorAll('[data-error-for]').forEach(errorEl => {
+    errorEl.textContent = errors[errorEl.dataset.errorFor] || '';
+  });
+
+  for (const element of form.elements) {
+    if (element.name) {
+      element.classList.toggle('invalid', Boolean(errors[element.name]));
+    }
+  }
+}
+
+function showSaveStatus(type, message) {
+  saveStatusEl.className = `save-status ${type}`;
+  saveStatusEl.textContent = message;
+}
+
+async function saveSettings(event) {
+  event.preventDefault();
+
+  const overrides = readForm();
+  const errors = configStore.validate(overrides);
+  showErrors(errors);
+
+  if (Object.keys(errors).length > 0) {
+    showSaveStatus('failure', 'Fix the highlighted fields to save');
+    return;
+  }
+
+  try {
+    await configStore.save(overrides);
+    storedOverrides = overrides;
+    showStoredErrors({});
+    showSaveStatus('success', 'Saved - open tabs are being re-analyzed');
+  } catch (error) {
+    console.error('Error saving settings:', error);
+    showSaveStatus('failure', `Could not save: ${error.message}`);
+  }
+}
+
+async function resetSettings() {
+  try {
+    await configStore.reset();
+    storedOverrides = {};
+    fillForm(storedOverrides);
+    showErrors({});
+    showStoredErrors({});
+    showSaveStatus('success', 'Defaults restored - open tabs are being re-analyzed');
+  } catch (error) {
+    console.error('Error resetting settings:', error);
+    showSaveStatus('failure', `Could not reset: ${error.message}`);
+  }
+}
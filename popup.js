@@ -15,6 +15,20 @@ document.addEventListener('DOMContentLoaded', async function() {
   const highTrustCountEl = document.getElementById('high-trust-count');
   const mediumTrustCountEl = document.getElementById('medium-trust-count');
   const lowTrustCountEl = document.getElementById('low-trust-count');
+  const redFlagsEl = document.getElementById('red-flags');
+  const redFlagsTitleEl = document.getElementById('red-flags-title');
+  const redFlagsRiskEl = document.getElementById('red-flags-risk');
+  const redFlagsListEl = document.getElementById('red-flags-list');
+  const breakersEl = document.getElementById('breakers');
+  const breakersListEl = document.getElementById('breakers-list');
+  const siteEl = document.getElementById('site');
+  const siteModesEl = document.getElementById('site-modes');
+  const siteDetectionEl = document.getElementById('site-detection');
+  const siteOverridesEl = document.getElementById('site-overrides');
+  const siteOverridesListEl = document.getElementById('site-overrides-list');
+
+  // The open tab's page as the content script's news detector sees it; null where the content script doesn't run
+  let pageDetection = null;
 
   // Load CONFIG
   let CONFIG = {};
@@ -30,6 +44,10 @@ document.addEventListener('DOMContentLoaded', async function() {
   // Set up event listeners
   highlightToggle.addEventListener('click', toggleHighlighting);
   confidenceToggle.addEventListener('click', toggleConfidenceFilter);
+  siteModesEl.addEventListener('click', (e) => {
+    const button = e.target.closest('.site-mode');
+    if (button) setSiteMode(button.dataset.mode);
+  });
 
   async function getConfig() {
     return new Promise((resolve) => {
@@ -39,6 +57,38 @@ document.addEventListener('DOMContentLoaded', async function() {
     });
   }
 
+  async function getCircuitBreakers() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ type: 'GET_CIRCUIT_BREAKERS' }, (response) => {
+        resolve(response || []);
+      });
+    });
+  }
+
+  async function getPageDetection() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id) return null;
+
+    try {
+      return await chrome.tabs.sendMessage(tab.id, { type: 'GET_PAGE_DETECTION' });
+    } catch (error) {
+      return null; // Browser pages, the web store, or a tab opened before the extension was loaded
+    }
+  }
+
+  async function getSiteOverrides() {
+    const { siteOverrides } = await chrome.storage.sync.get('siteOverrides');
+    return siteOverrides || {};
+  }
+
+  // The override covering host - its own or the nearest parent domain's, as in NewsDetector.getSiteOverride
+  function findSiteOverride(host, siteOverrides) {
+    for (let name = host; name.includes('.'); name = name.substring(name.indexOf('.') + 1)) {
+      if (siteOverrides[name]) return { host: name, mode: siteOverrides[name] };
+    }
+    return null;
+  }
+
   async function initializePopup() {
     try {
       // Load status from storage (set by content script)
@@ -50,12 +100,16 @@ document.addEventListener('DOMContentLoaded', async function() {
       };
 
       if (truthCheckStatus.ready) {
-        showStatus('active', `Ready - ${truthCheckStatus.claimsAnalyzed || 0} claims analyzed`);
-        updateStats(truthCheckStatus.stats || { total: 0, high: 0, medium: 0, low: 0 });
+        renderStatus(truthCheckStatus);
       } else {
         showStatus('inactive', 'Extension not ready');
       }
 
+      updateCircuitBreakers();
+
+      pageDetection = await getPageDetection();
+      updateSiteControls();
+
       // Load user preferences
       const preferences = await chrome.storage.sync.get(['highlightingEnabled', 'confidenceFilterEnabled']);
 
@@ -73,6 +127,17 @@ document.addEventListener('DOMContentLoaded', async function() {
     }
   }
 
+  function renderStatus(truthCheckStatus) {
+    const analyzed = truthCheckStatus.claimsAnalyzed || 0;
+    const pending = truthCheckStatus.claimsPending || 0;
+
+    showStatus('active', pending > 0
+      ? `Scoring - ${analyzed} of ${analyzed + pending} claims scored`
+      : `Ready - ${analyzed} claims analyzed`);
+    updateStats(truthCheckStatus.stats || { total: 0, high: 0, medium: 0, low: 0 });
+    updateRedFlags(truthCheckStatus.redFlags);
+  }
+
   function showStatus(type, message) {
     statusEl.className = `status ${type}`;
     statusTextEl.textContent = message;
@@ -97,6 +162,131 @@ document.addEventListener('DOMContentLoaded', async function() {
     lowTrustCountEl.textContent = stats.low || 0;
   }
 
+  // Article-level red flags from the content script (RedFlagDetector.summarize)
+  function updateRedFlags(redFlags) {
+    if (!redFlags || redFlags.count === 0) {
+      redFlagsEl.hidden = true;
+      return;
+    }
+
+    redFlagsEl.hidden = false;
+    redFlagsEl.className = `red-flags risk-${redFlags.risk_level}`;
+    redFlagsTitleEl.textContent = `${redFlags.count} Red Flag${redFlags.count > 1 ? 's' : ''}`;
+    redFlagsRiskEl.textContent = `Risk: ${redFlags.risk_level} (${redFlags.manipulation_risk}/10)`;
+
+    // Built with DOM nodes rather than innerHTML - examples are quoted page text
+    redFlagsListEl.replaceChildren(...redFlags.flags.map(flag => {
+      const item = document.createElement('div');
+      item.className = 'red-flag';
+
+      const type = document.createElement('div');
+      type.className = 'red-flag-type';
+      const label = document.createElement('span');
+      label.textContent = flag.label;
+      const severity = document.createElement('span');
+      severity.className = 'red-flag-severity';
+      severity.title = `Severity ${flag.severity}/5`;
+      severity.textContent = '●'.repeat(flag.severity) + '○'.repeat(5 - flag.severity);
+      type.append(label, severity);
+      item.appendChild(type);
+
+      if (flag.example) {
+        const example = document.createElement('div');
+        example.className = 'red-flag-example';
+        example.textContent = `"${flag.example.length > 120 ? flag.example.substring(0, 117) + '...' : flag.example}"`;
+        item.appendChild(example);
+      }
+
+      return item;
+    }));
+  }
+
+  // One row per host the pipeline has called: closed is working, open is skipped until its cooldown ends,
+  // half-open is letting one request through to test it
+  async function updateCircuitBreakers() {
+    const breakers = await getCircuitBreakers();
+    breakersEl.hidden = breakers.length === 0;
+
+    breakersListEl.replaceChildren(...breakers.map(breaker => {
+      const item = document.createElement('div');
+      item.className = 'breaker';
+
+      const host = document.createElement('span');
+      host.textContent = breaker.host;
+
+      const state = document.createElement('span');
+      state.className = `breaker-state ${breaker.state}`;
+      state.textContent = breaker.state === 'open' && breaker.retryAt
+        ? `open (retry in ${Math.max(1, Math.ceil((breaker.retryAt - Date.now()) / 1000))}s)`
+        : breaker.state;
+      if (breaker.failures > 0) {
+        state.title = `${breaker.failures} consecutive failure${breaker.failures > 1 ? 's' : ''}`;
+      }
+
+      item.append(host, state);
+      return item;
+    }));
+  }
+
+  // This site's mode and why the page is or isn't treated as news, then every site set to always/never
+  async function updateSiteControls() {
+    const siteOverrides = await getSiteOverrides();
+
+    siteEl.hidden = !pageDetection;
+    if (pageDetection) {
+      const override = findSiteOverride(pageDetection.host, siteOverrides);
+      const mode = override?.mode || 'auto';
+      siteModesEl.querySelectorAll('.site-mode').forEach(button => {
+        button.classList.toggle('active', button.dataset.mode === mode);
+      });
+
+      const reasons = pageDetection.signals.map(signal => signal.label).join(', ') || 'nothing news-like found';
+      siteDetectionEl.textContent = `${pageDetection.isNews ? 'Detected as news' : 'Not detected as news'}: ${reasons}` +
+        (override && override.host !== pageDetection.host ? ` (set for ${override.host})` : '');
+      siteDetectionEl.title = `News score ${pageDetection.score}, threshold ${pageDetection.threshold}`;
+    }
+
+    const entries = Object.entries(siteOverrides).sort(([a], [b]) => a.localeCompare(b));
+    siteOverridesEl.hidden = entries.length === 0;
+
+    siteOverridesListEl.replaceChildren(...entries.map(([host, mode]) => {
+      const item = document.createElement('div');
+      item.className = 'site-override';
+
+      const label = document.createElement('span');
+      label.textContent = `${host} - ${mode === 'allow' ? 'always' : 'never'}`;
+
+      const remove = document.createElement('button');
+      remove.textContent = '×';
+      remove.title = 'Back to automatic detection';
+      remove.addEventListener('click', () => setSiteOverride(host, null));
+
+      item.append(label, remove);
+      return item;
+    }));
+  }
+
+  // 'auto' clears the override covering the page (which may be set on a parent domain), otherwise sets it
+  async function setSiteMode(mode) {
+    const override = findSiteOverride(pageDetection.host, await getSiteOverrides());
+    await setSiteOverride(override?.host || pageDetection.host, mode === 'auto' ? null : mode);
+  }
+
+  // The open tabs on that site pick the change up from storage and start over
+  async function setSiteOverride(host, mode) {
+    try {
+      const siteOverrides = await getSiteOverrides();
+      if (mode) {
+        siteOverrides[host] = mode;
+      } else {
+        delete siteOverrides[host];
+      }
+      await chrome.storage.sync.set({ siteOverrides });
+    } catch (error) {
+      console.error('Error saving site override:', error);
+    }
+  }
+
   async function toggleHighlighting() {
     const currentlyEnabled = highlightSwitch.classList.contains('active');
 
@@ -130,22 +320,20 @@ document.addEventListener('DOMContentLoaded', async function() {
   // Handle settings link
   document.getElementById('settings-link').addEventListener('click', (e) => {
     e.preventDefault();
-    // For now, just show an alert - in a real implementation, you'd open a settings page
-    alert('Settings panel would open here. Configuration can be modified in the CONFIG object.');
+    chrome.runtime.openOptionsPage();
   });
 
-  // Request status updates periodically
-  setInterval(async () => {
-    try {
-      const status = await chrome.storage.local.get('truthCheckStatus');
-      const truthCheckStatus = status.truthCheckStatus;
+  // The content script rewrites the status as each claim is scored
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'sync' && changes.siteOverrides) {
+      updateSiteControls();
+    }
 
-      if (truthCheckStatus && truthCheckStatus.ready) {
-        showStatus('active', `Ready - ${truthCheckStatus.claimsAnalyzed || 0} claims analyzed`);
-        updateStats(truthCheckStatus.stats || { total: 0, high: 0, medium: 0, low: 0 });
-      }
-    } catch (error) {
-      // Silently handle errors during periodic updates
+    const truthCheckStatus = areaName === 'local' && changes.truthCheckStatus?.newValue;
+
+    if (truthCheckStatus && truthCheckStatus.ready) {
+      renderStatus(truthCheckStatus);
+      updateCircuitBreakers();
     }
-  }, 2000);
+  });
 });
@@ -214,14 +214,27 @@ class Cache {
     return this.generateKey('scholar', claimHash, source);
   }
 
-  getCredibilityKey(domain) {
-    return this.generateKey('credibility', domain);
+  // sourcesHash: which sources were enabled (getSourcesHash), since results combine all of them
+  getFactCheckKey(claimHash, sourcesHash) {
+    return this.generateKey('factcheck', claimHash, sourcesHash);
+  }
+
+  getCredibilityKey(domain, sourcesHash) {
+    return this.generateKey('credibility', domain, sourcesHash);
+  }
+
+  getSourcesHash(sources) {
+    return this.hashString(sources.map(source => source.name).join('|'));
   }
 
   getCoherenceKey(contentHash) {
     return this.generateKey('coherence', contentHash);
   }
 
+  getRedFlagKey(contentHash) {
+    return this.generateKey('redflags', contentHash);
+  }
+
   getOverrideKey(claimHash, source) {
     return this.generateKey('override', claimHash, source);
   }
@@ -143,8 +143,10 @@ const CONFIG = {
   // Scoring configuration
   scoring: {
     ai: { weight: 0.40, enabled: true },
+    fact_checker: { weight: 0.35, enabled: true }, // Left out of the average when no fact-checks are found
     source_credibility: { weight: 0.30, enabled: true },
     scholarly: { weight: 0.30, enabled: true },
+    coherence: { weight: 0.15, enabled: true }, // Consistency with the rest of the article; left out when nothing else relates
     high_trust: 8,
     medium_trust: 5,
     low_trust: 3,
@@ -155,6 +157,53 @@ const CONFIG = {
     }
   },
 
+  // Which pages get analyzed: signals found on the page add up, and pages scoring at least the threshold
+  // are treated as news articles. Sites can be always/never analyzed from the popup (chrome.storage.sync siteOverrides).
+  news_detection: {
+    threshold: 3,
+    signals: {
+      news_markup: 3,      // schema.org NewsArticle (or a subtype) in JSON-LD
+      article_markup: 1,   // Article or Report - also used by blogs and docs
+      og_article: 2,       // <meta property="og:type" content="article">
+      known_outlet: 3,     // Host is on the outlets list below (or a subdomain of one)
+      byline: 1,
+      publish_date: 1,
+      article_body: 1,     // Several paragraphs of prose, at least min_content_length long
+      non_news_markup: -4, // Product, SoftwareApplication, TechArticle, APIReference, ... pages
+      shop_page: -3,       // Prices, "add to cart" and the like
+      docs_site: -2        // docs.*, developer.*, readthedocs.io, ...
+    },
+    outlets: [
+      "apnews.com", "reuters.com", "afp.com", "bbc.com", "bbc.co.uk", "cnn.com", "foxnews.com", "nbcnews.com",
+      "cbsnews.com", "abcnews.go.com", "msnbc.com", "npr.org", "pbs.org", "nytimes.com", "washingtonpost.com",
+      "wsj.com", "usatoday.com", "latimes.com", "chicagotribune.com", "bostonglobe.com", "sfchronicle.com",
+      "nypost.com", "newsweek.com", "time.com", "theatlantic.com", "newyorker.com", "politico.com", "axios.com",
+      "thehill.com", "vox.com", "slate.com", "salon.com", "huffpost.com", "buzzfeednews.com", "vice.com",
+      "bloomberg.com", "cnbc.com", "forbes.com", "businessinsider.com", "marketwatch.com", "ft.com",
+      "economist.com", "theguardian.com", "independent.co.uk", "telegraph.co.uk", "thetimes.co.uk",
+      "dailymail.co.uk", "mirror.co.uk", "thesun.co.uk", "news.sky.com",
+      "aljazeera.com", "dw.com", "france24.com", "euronews.com", "lemonde.fr", "lefigaro.fr", "spiegel.de",
+      "zeit.de", "faz.net", "sueddeutsche.de", "elpais.com", "elmundo.es", "corriere.it", "repubblica.it",
+      "nos.nl", "rte.ie", "irishtimes.com", "abc.net.au", "smh.com.au", "theage.com.au", "news.com.au",
+      "nzherald.co.nz", "rnz.co.nz", "cbc.ca", "globalnews.ca", "theglobeandmail.com", "thestar.com",
+      "nationalpost.com", "timesofindia.indiatimes.com", "hindustantimes.com", "thehindu.com", "ndtv.com",
+      "scmp.com", "straitstimes.com", "japantimes.co.jp", "koreaherald.com", "haaretz.com", "timesofisrael.com",
+      "news.yahoo.com", "breitbart.com", "dailywire.com", "theblaze.com", "washingtonexaminer.com",
+      "washingtontimes.com", "nationalreview.com", "motherjones.com", "thenation.com", "propublica.org",
+      "theintercept.com", "upi.com", "voanews.com", "rferl.org", "csmonitor.com",
+      "sciencenews.org", "statnews.com", "scientificamerican.com"
+    ]
+  },
+
+  // Article-level red flags (features.enable_red_flag_detection)
+  red_flags: {
+    use_ai: true, // Also ask the API server's model (POST /detect-red-flags; the prompt lives in truthcheck-api/server.js)
+    min_severity: 2, // 1-5; weaker flags are dropped
+    show_banner: true,
+    adjust_claim_scores: true, // Lower the score of claims inside a flagged passage, and of every claim in a high-risk article
+    max_score_adjustment: 2
+  },
+
   // Prompt templates for AI processing
   prompts: {
     claim_classification: `You are a fact-checking classifier. Analyze this sentence carefully:
@@ -218,33 +267,6 @@ Return ONLY valid JSON:
   ]
 }`,
 
-    red_flag_detection: `Analyze this article excerpt for red flags indicating potential misinformation.
-
-PASSAGE: "{article_excerpt}"
-
-Check for:
-1. Extraordinary claims without supporting evidence
-2. Cherry-picked statistics (percentage without denominator)
-3. Emotional manipulation (ALL CAPS, multiple !!!, extreme language)
-4. Self-contradictions within the article
-5. Vague attribution ("sources say", "anonymous")
-6. Logical fallacies (ad hominem, appeal to authority, strawman)
-7. Sensationalism ("SHOCKING", "DOCTORS HATE THIS")
-
-Return ONLY valid JSON:
-{
-  "red_flags_detected": [
-    {
-      "flag_type": "name",
-      "severity": 1-5,
-      "example": "quote from text",
-      "significance": "brief explanation"
-    }
-  ],
-  "coherence_score": 0-10,
-  "manipulation_risk": 0-10
-}`,
-
     override_validation: `Verify whether a source actually contradicts or supports a claim.
 
 ORIGINAL CLAIM: "{claim}"
@@ -275,16 +297,23 @@ Return ONLY valid JSON:
       {
         name: "Google Fact Check",
         enabled: true,
-        url: "https://toolbox.google.com/factcheck/api/",
+        // Claim search over ClaimReview data. For local testing use the stand-in in truthcheck-api
+        // (FACT_CHECK_STANDIN=true): "http://localhost:3001/factcheck/v1alpha1/claims:search"
+        url: "https://factchecktools.googleapis.com/v1alpha1/claims:search",
         priority: 1,
         api_key: null, // Configure API key in extension settings
+        language: "en",
+        page_size: 10,
         timeout: 5000,
         retries: 2
       },
+      // Snopes and FactCheck.org have no public API; their ClaimReviews arrive via Google Fact Check
+      // and are weighted above other publishers while enabled
       {
         name: "Snopes",
         enabled: true,
-        url: "https://www.snopes.com/api/",
+        url: "https://www.snopes.com/",
+        site: "snopes.com",
         priority: 2,
         timeout: 8000,
         retries: 3
@@ -292,7 +321,8 @@ Return ONLY valid JSON:
       {
         name: "FactCheck.org",
         enabled: true,  
-        url: "https://factcheck.org/api/",
+        url: "https://www.factcheck.org/",
+        site: "factcheck.org",
         priority: 3,
         timeout: 6000,
         retries: 2
@@ -356,6 +386,12 @@ Return ONLY valid JSON:
       }
     ],
 
+    // TruthCheck API server (truthcheck-api/)
+    api_server: {
+      url: "http://localhost:3001",
+      client_token: null // Issued with `node bin/clients.js mint <name>` in truthcheck-api; set on the options page
+    },
+
     ai_provider: {
       provider: "openai", // "openai" | "anthropic"
       model: "gpt-4-turbo-preview",
@@ -379,7 +415,8 @@ Return ONLY valid JSON:
     show_breakdown: true,
     tooltip_delay: 300,
     highlight_opacity: 0.2,
-    highlight_border_width: 3
+    highlight_border_width: 3,
+    highlight_mode: "auto" // "auto" | "css" (CSS Custom Highlight API, page DOM untouched) | "spans"
   },
 
   // Cache configuration
@@ -391,13 +428,46 @@ Return ONLY valid JSON:
   },
 
   // Performance settings
+  // Every outbound request goes through the request scheduler: at most max_concurrent_requests in flight,
+  // background requests started delay_between_batches ms apart, and each host held to its rate limit
   performance: {
     max_concurrent_requests: 5,
     request_timeout: 10000,
     batch_size: 5,
     delay_between_batches: 100,
     max_retries: 3,
-    retry_delay: 1000
+    retry_delay: 1000,
+    // Per host: after `threshold` consecutive failures (network errors, timeouts, 5xx, 429) its requests fail
+    // fast for `cooldown` ms, then a single request tests whether it has recovered
+    circuit_breaker: { threshold: 5, cooldown: 60000 },
+    // Token bucket per host: refilled at requests_per_second, holding up to burst requests
+    rate_limits: {
+      default: { requests_per_second: 5, burst: 10 },
+      hosts: [
+        { name: "scholar.google.com", requests_per_second: 0.2, burst: 1 },
+        { name: "pubmed.ncbi.nlm.nih.gov", requests_per_second: 1, burst: 3 },
+        { name: "arxiv.org", requests_per_second: 0.33, burst: 1 },
+        { name: "www.britannica.com", requests_per_second: 1, burst: 2 },
+        { name: "mediabiasfactcheck.com", requests_per_second: 0.5, burst: 2 },
+        { name: "who.is", requests_per_second: 0.5, burst: 1 },
+        { name: "api.openai.com", requests_per_second: 1, burst: 1 },
+        { name: "generativelanguage.googleapis.com", requests_per_second: 1, burst: 1 }
+      ]
+    }
+  },
+
+  // Dynamic pages: content added after load (live blogs, infinite scroll) and SPA navigation
+  watcher: {
+    enabled: true,
+    debounce_ms: 1500,         // Wait for the page to settle before analyzing new content
+    min_text_length: 200,      // Smaller additions (comments, widgets) are ignored
+    url_change_delay_ms: 1000  // Give an SPA time to render the new route
+  },
+
+  // Scoring order on long pages: claims in view first, then the ones just below the fold
+  viewport: {
+    prefetch_screens: 1,  // How far below the fold (in viewport heights) counts as "near"
+    reserved_slots: 1     // Request slots off-screen claims leave free for claims scrolled into view
   },
 
   // Feature flags
@@ -0,0 +1,384 @@
+// Config Schema - Which parts of CONFIG users may override, what values they accept, and how overrides
+// are merged onto the defaults. config.js holds the only defaults; this only describes them.
+
+const number = (min, max = Infinity) => ({ type: 'number', min, max });
+const integer = (min, max = Infinity) => ({ type: 'integer', min, max });
+const boolean = { type: 'boolean' };
+const oneOf = (...values) => ({ type: 'enum', values });
+const color = { type: 'color' };
+const httpUrl = { type: 'url' };
+const optionalString = { type: 'string' };
+// Lists of sources are overridden item by item, matched by name: [{ name: 'PubMed', enabled: false }]
+const namedList = fields => ({ type: 'list', key: 'name', fields });
+
+const WEIGHTED_COMPONENTS = ['ai', 'fact_checker', 'source_credibility', 'scholarly', 'coherence'];
+const component = { weight: number(0, 1), enabled: boolean };
+const rateLimit = { requests_per_second: number(0.01, 100), burst: integer(1, 100) };
+
+const SCHEMA = {
+  min_content_length: integer(0),
+  debug_mode: boolean,
+
+  claim_extraction: {
+    method: oneOf('heuristic', 'ai', 'hybrid'),
+    heuristic_threshold: number(0, 1),
+    min_claim_length: integer(1),
+    max_claim_length: integer(1),
+    claim_confidence_threshold: number(0, 1)
+  },
+
+  scoring: {
+    ...Object.fromEntries(WEIGHTED_COMPONENTS.map(name => [name, component])),
+    high_trust: number(0, 10),
+    medium_trust: number(0, 10),
+    low_trust: number(0, 10)
+  },
+
+  news_detection: {
+    threshold: number(0, 20)
+  },
+
+  red_flags: {
+    use_ai: boolean,
+    min_severity: integer(1, 5),
+    show_banner: boolean,
+    adjust_claim_scores: boolean,
+    max_score_adjustment: number(0, 10)
+  },
+
+  apis: {
+    fact_checkers: namedList({ enabled: boolean }),
+    scholar_sources: namedList({ enabled: boolean }),
+    credibility_sources: namedList({ enabled: boolean }),
+    api_server: {
+      url: httpUrl,
+      client_token: optionalString
+    }
+  },
+
+  display: {
+    colors: { high: color, medium: color, low: color },
+    show_confidence: boolean,
+    show_breakdown: boolean,
+    tooltip_delay: integer(0),
+    highlight_opacity: number(0, 1),
+    highlight_border_width: integer(0, 10),
+    highlight_mode: oneOf('auto', 'css', 'spans')
+  },
+
+  cache: {
+    enabled: boolean,
+    ttl_hours: number(0),
+    max_entries: integer(0),
+    storage_type: oneOf('indexedDB', 'localStorage', 'memory')
+  },
+
+  performance: {
+    max_concurrent_requests: integer(1, 20),
+    request_timeout: integer(1000),
+    batch_size: integer(1, 50),
+    delay_between_batches: integer(0),
+    max_retries: integer(0, 10),
+    retry_delay: integer(0),
+    circuit_breaker: { threshold: integer(1, 100), cooldown: integer(1000) },
+    rate_limits: {
+      default: rateLimit,
+      hosts: namedList(rateLimit)
+    }
+  },
+
+  watcher: {
+    enabled: boolean,
+    debounce_ms: integer(0),
+    min_text_length: integer(0),
+    url_change_delay_ms: integer(0)
+  },
+
+  viewport: {
+    prefetch_screens: number(0, 10),
+    reserved_slots: integer(0)
+  },
+
+  features: {
+    enable_highlighting: boolean,
+    enable_tooltips: boolean,
+    enable_popup_stats: boolean,
+    enable_confidence_filter: boolean,
+    enable_red_flag_detection: boolean,
+    enable_override_engine: boolean,
+    enable_parallel_processing: boolean
+  }
+};
+
+// Checks across fields, run on the merged config. When one fails, the overrides of all its fields are dropped
+// (the defaults always pass) and the error is reported at `path`.
+const RULES = [
+  {
+    path: 'scoring',
+    fields: WEIGHTED_COMPONENTS.flatMap(name => [`scoring.${name}.weight`, `scoring.${name}.enabled`]),
+    message: 'At least one enabled component needs a weight above 0',
+    check: config => WEIGHTED_COMPONENTS.some(name => config.scoring[name].enabled && config.scoring[name].weight > 0)
+  },
+  {
+    path: 'scoring.medium_trust',
+    fields: ['scoring.medium_trust', 'scoring.high_trust'],
+    message: 'Must be below the high trust threshold',
+    check: config => config.scoring.medium_trust < config.scoring.high_trust
+  },
+  {
+    path: 'scoring.low_trust',
+    fields: ['scoring.low_trust', 'scoring.medium_trust'],
+    message: 'Must not be above the medium trust threshold',
+    check: config => config.scoring.low_trust <= config.scoring.medium_trust
+  },
+  {
+    path: 'claim_extraction.min_claim_length',
+    fields: ['claim_extraction.min_claim_length', 'claim_extraction.max_claim_length'],
+    message: 'Must be below the maximum claim length',
+    check: config => config.claim_extraction.min_claim_length < config.claim_extraction.max_claim_length
+  }
+];
+
+class ConfigSchema {
+  static get schema() {
+    return SCHEMA;
+  }
+
+  /**
+   * Check overrides against the schema and the cross-field rules
+   * @param {Object} overrides - Partial config, e.g. { scoring: { ai: { weight: 0.5 } } }
+   * @param {Object} defaults - The config the overrides apply to
+   * @returns {Object} { overrides, errors } - overrides without the invalid values; errors maps
+   *                   paths like "scoring.ai.weight" or "apis.scholar_sources[PubMed].enabled" to messages
+   */
+  static validate(overrides, defaults) {
+    const errors = {};
+    const valid = this.checkGroup(overrides ?? {}, SCHEMA, defaults, '', errors);
+
+    const merged = this.merge(defaults, valid);
+    RULES.forEach(rule => {
+      if (!rule.check(merged)) {
+        errors[rule.path] = rule.message;
+        rule.fields.forEach(path => this.deletePath(valid, path));
+      }
+    });
+
+    return { overrides: this.prune(valid), errors };
+  }
+
+  static checkGroup(value, schema, defaults, path, errors) {
+    if (!this.isPlainObject(value)) {
+      errors[path || 'config'] = 'Must be a group of settings';
+      return {};
+    }
+
+    const valid = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+
+      const itemPath = path ? `${path}.${key}` : key;
+      const rule = schema[key];
+
+      if (!rule) {
+        errors[itemPath] = 'Not a configurable setting';
+      } else if (rule.type === 'list') {
+        const items = this.checkList(item, rule, defaults?.[key] || [], itemPath, errors);
+        if (items.length > 0) valid[key] = items;
+      } else if (!rule.type) {
+        const group = this.checkGroup(item, rule, defaults?.[key], itemPath, errors);
+        if (Object.keys(group).length > 0) valid[key] = group;
+      } else {
+        const message = this.checkValue(item, rule);
+        if (message) {
+          errors[itemPath] = message;
+        } else {
+          valid[key] = item;
+        }
+      }
+    }
+
+    return valid;
+  }
+
+  static checkList(value, rule, defaults, path, errors) {
+    if (!Array.isArray(value)) {
+      errors[path] = 'Must be a list';
+      return [];
+    }
+
+    return value.flatMap(item => {
+      const name = item?.[rule.key];
+      const itemPath = `${path}[${name}]`;
+
+      if (!defaults.some(entry => entry[rule.key] === name)) {
+        errors[itemPath] = 'Unknown source';
+        return [];
+      }
+
+      const { [rule.key]: _, ...fields } = item;
+      const valid = this.checkGroup(fields, rule.fields, null, itemPath, errors);
+      return Object.keys(valid).length > 0 ? [{ [rule.key]: name, ...valid }] : [];
+    });
+  }
+
+  // Returns an error message, or null when the value is acceptable
+  static checkValue(value, rule) {
+    switch (rule.type) {
+      case 'number':
+      case 'integer': {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return 'Must be a number';
+        if (rule.type === 'integer' && !Number.isInteger(value)) return 'Must be a whole number';
+        if (value < rule.min || value > rule.max) {
+          return rule.max === Infinity ? `Must be at least ${rule.min}` : `Must be between ${rule.min} and ${rule.max}`;
+        }
+        return null;
+      }
+      case 'boolean':
+        return typeof value === 'boolean' ? null : 'Must be true or false';
+      case 'enum':
+        return rule.values.includes(value) ? null : `Must be one of ${rule.values.join(', ')}`;
+      case 'color':
+        return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value) ? null : 'Must be a hex color like #22c55e';
+      case 'url':
+        try {
+          const url = new URL(value);
+          return url.protocol === 'http:' || url.protocol === 'https:' ? null : 'Must be an http:// or https:// URL';
+        } catch (error) {
+          return 'Not a valid URL';
+        }
+      case 'string':
+        return value === null || typeof value === 'string' ? null : 'Must be text';
+      default:
+        return 'Not a configurable setting';
+    }
+  }
+
+  /**
+   * The schema-covered values in a config that differ from the defaults - e.g. to turn a full
+   * copy of a config (an old stored format, a filled-in form) into overrides
+   */
+  static pickOverrides(config, defaults, schema = SCHEMA) {
+    const overrides = {};
+    if (!this.isPlainObject(config)) return overrides;
+
+    for (const [key, rule] of Object.entries(schema)) {
+      const value = config[key];
+      if (value === undefined) continue;
+
+      if (rule.type === 'list') {
+        if (!Array.isArray(value)) continue;
+        const items = value.flatMap(item => {
+          const entry = (defaults?.[key] || []).find(candidate => candidate[rule.key] === item?.[rule.key]);
+          const changed = entry ? this.pickOverrides(item, entry, rule.fields) : {};
+          return Object.keys(changed).length > 0 ? [{ [rule.key]: entry[rule.key], ...changed }] : [];
+        });
+        if (items.length > 0) overrides[key] = items;
+      } else if (!rule.type) {
+        const group = this.pickOverrides(value, defaults?.[key], rule);
+        if (Object.keys(group).length > 0) overrides[key] = group;
+      } else if (!Object.is(value, defaults?.[key])) {
+        overrides[key] = value;
+      }
+    }
+
+    return overrides;
+  }
+
+  // A copy of base with the overrides deep-merged in
+  static merge(base, overrides) {
+    return this.assignDeep(structuredClone(base), overrides);
+  }
+
+  /**
+   * Deep-merge source into target in place, so modules holding references into CONFIG see the change
+   * Named lists (sources) are merged item by item; any other value replaces what's there.
+   */
+  static assignDeep(target, source) {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (value === undefined) continue;
+
+      if (this.isPlainObject(value) && this.isPlainObject(target[key])) {
+        this.assignDeep(target[key], value);
+      } else if (Array.isArray(value) && this.isNamedList(target[key])) {
+        value.forEach(item => {
+          const match = target[key].find(entry => entry.name === item?.name);
+          if (match) this.assignDeep(match, item);
+        });
+      } else {
+        target[key] = structuredClone(value);
+      }
+    }
+
+    return target;
+  }
+
+  // Paths look like "scoring.ai.weight" or "apis.scholar_sources[PubMed].enabled"
+  static parsePath(path) {
+    return [...path.matchAll(/\[([^\]]*)\]|[^.[]+/g)].map(match =>
+      match[1] !== undefined ? { name: match[1] } : match[0]
+    );
+  }
+
+  static getPath(config, path) {
+    return this.parsePath(path).reduce((value, segment) => {
+      if (value === undefined || value === null) return undefined;
+      return typeof segment === 'string' ? value[segment] : value.find?.(item => item.name === segment.name);
+    }, config);
+  }
+
+  static setPath(config, path, value) {
+    const segments = this.parsePath(path);
+    const last = segments.pop();
+    const parent = segments.reduce((node, segment) => {
+      if (typeof segment === 'string') {
+        node[segment] ??= {};
+        return node[segment];
+      }
+      let item = node.find(entry => entry.name === segment.name);
+      if (!item) {
+        item = { name: segment.name };
+        node.push(item);
+      }
+      return item;
+    }, config);
+
+    parent[last] = value;
+    return config;
+  }
+
+  static deletePath(config, path) {
+    const segments = this.parsePath(path);
+    const last = segments.pop();
+    const parent = segments.reduce((node, segment) => {
+      if (!node) return undefined;
+      return typeof segment === 'string' ? node[segment] : node.find?.(item => item.name === segment.name);
+    }, config);
+
+    if (parent && typeof last === 'string') delete parent[last];
+  }
+
+  // Drop groups and list items left empty after deleting values
+  static prune(overrides) {
+    for (const [key, value] of Object.entries(overrides)) {
+      if (Array.isArray(value)) {
+        overrides[key] = value.filter(item => Object.keys(item).some(field => field !== 'name'));
+        if (overrides[key].length === 0) delete overrides[key];
+      } else if (this.isPlainObject(value)) {
+        this.prune(value);
+        if (Object.keys(value).length === 0) delete overrides[key];
+      }
+    }
+    return overrides;
+  }
+
+  static isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  static isNamedList(value) {
+    return Array.isArray(value) && value.length > 0 &&
+      value.every(item => this.isPlainObject(item) && typeof item.name === 'string');
+  }
+}
+
+export default ConfigSchema;
@@ -0,0 +1,165 @@
+// Config Store - User overrides of CONFIG, kept in chrome.storage.sync as { version, overrides }
+// and migrated forward when a release changes how they're stored
+import CONFIG from './config.js';
+import ConfigSchema from './configSchema.js';
+
+const STORAGE_KEY = 'config';
+const LEGACY_SETTINGS_KEY = 'settings';
+const CONFIG_VERSION = 1;
+
+// One entry per stored format change, oldest first. migrate(stored, defaults) gets everything read from storage
+// (the previous version's { version, overrides } under `config`, plus legacy keys) and returns this version's overrides.
+const MIGRATIONS = [
+  {
+    version: 1,
+    // Unversioned: background.js saved a shallow copy of its own defaults under `config`, and the
+    // options page saved its fields separately under `settings`. Both held every value, defaults included;
+    // only the ones that differ become overrides, so later changes to the defaults still reach these users.
+    migrate: (stored, defaults) => {
+      const config = ConfigSchema.merge(defaults, stored[STORAGE_KEY]);
+      ConfigSchema.assignDeep(config, fromOptionsPageSettings(stored[LEGACY_SETTINGS_KEY]));
+      return ConfigSchema.pickOverrides(config, defaults);
+    }
+  }
+];
+
+function fromOptionsPageSettings(settings) {
+  if (!settings) return {};
+
+  const sources = enabledByName => Object.entries(enabledByName || {}).map(([name, enabled]) => ({ name, enabled }));
+
+  return {
+    scoring: {
+      ...Object.fromEntries(Object.entries(settings.weights || {}).map(([name, weight]) => [name, { weight }])),
+      high_trust: settings.high_trust,
+      medium_trust: settings.medium_trust
+    },
+    claim_extraction: {
+      method: settings.extraction_method,
+      heuristic_threshold: settings.heuristic_threshold
+    },
+    apis: {
+      api_server: { url: settings.api_server_url || undefined },
+      scholar_sources: sources(settings.scholar_sources),
+      credibility_sources: sources(settings.credibility_sources)
+    }
+  };
+}
+
+class ConfigStore {
+  constructor() {
+    // CONFIG as shipped, before any overrides are applied
+    this.defaults = structuredClone(CONFIG);
+    this.version = CONFIG_VERSION;
+    this.listeners = new Set();
+  }
+
+  /**
+   * Call back with the config every time apply() changes it. Modules that copy values out of CONFIG
+   * subscribe their configure(config), so changes reach them without a reload.
+   * @returns {Function} Unsubscribes
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Read the stored overrides, migrated to the current version and validated
+   * @returns {Promise<Object>} { overrides, errors } - invalid stored values are left out of overrides and
+   *                            reported in errors (path -> message) so the options page can show them
+   */
+  async load() {
+    const stored = await chrome.storage.sync.get([STORAGE_KEY, LEGACY_SETTINGS_KEY]);
+    return this.resolve(stored);
+  }
+
+  resolve(stored) {
+    const { overrides } = this.migrate(stored);
+    return ConfigSchema.validate(overrides, this.defaults);
+  }
+
+  // Bring stored data up to CONFIG_VERSION; migrated is false when it was already current
+  migrate(stored) {
+    let version = stored[STORAGE_KEY]?.version ?? 0;
+    let overrides = stored[STORAGE_KEY]?.overrides ?? {};
+    const migrated = version < CONFIG_VERSION;
+
+    if (version > CONFIG_VERSION) {
+      // Synced from a newer release on another device: keep what this version understands
+      console.warn('[CONFIG] Stored config is version', version, '- newer than', CONFIG_VERSION);
+    }
+
+    MIGRATIONS.filter(migration => migration.version > version).forEach(migration => {
+      overrides = migration.migrate(stored, this.defaults);
+      version = migration.version;
+      stored = { ...stored, [STORAGE_KEY]: { version, overrides } };
+    });
+
+    return { version, overrides, migrated };
+  }
+
+  // Persist a migration (on install/update), so old formats don't have to be converted on every load
+  async upgrade() {
+    const stored = await chrome.storage.sync.get([STORAGE_KEY, LEGACY_SETTINGS_KEY]);
+    const { version, overrides, migrated } = this.migrate(stored);
+
+    if (migrated && (stored[STORAGE_KEY] || stored[LEGACY_SETTINGS_KEY])) {
+      await chrome.storage.sync.set({ [STORAGE_KEY]: { version, overrides } });
+      await chrome.storage.sync.remove(LEGACY_SETTINGS_KEY);
+      console.log('[CONFIG] Migrated stored config to version', version);
+    }
+  }
+
+  // Restore CONFIG (in whichever context this runs: service worker, tab or options page) to the defaults,
+  // deep-merge the overrides in, and tell subscribed modules. A whole config (e.g. the background's,
+  // from GET_CONFIG) works as overrides too.
+  apply(overrides = {}) {
+    ConfigSchema.assignDeep(CONFIG, this.defaults);
+    ConfigSchema.assignDeep(CONFIG, overrides);
+
+    this.listeners.forEach(listener => {
+      try {
+        listener(CONFIG);
+      } catch (error) {
+        console.error('[CONFIG] Error applying config to a module:', error);
+      }
+    });
+
+    return CONFIG;
+  }
+
+  // Path -> message for every invalid value (empty when the overrides can be saved)
+  validate(overrides) {
+    return ConfigSchema.validate(overrides, this.defaults).errors;
+  }
+
+  // Throws with error.fields set when the overrides don't validate
+  async save(overrides) {
+    const errors = this.validate(overrides);
+    if (Object.keys(errors).length > 0) {
+      const error = new Error('Invalid config');
+      error.fields = errors;
+      throw error;
+    }
+
+    await chrome.storage.sync.set({ [STORAGE_KEY]: { version: CONFIG_VERSION, overrides } });
+  }
+
+  async reset() {
+    await chrome.storage.sync.remove([STORAGE_KEY, LEGACY_SETTINGS_KEY]);
+  }
+
+  // Calls back with { overrides, errors } whenever the stored config changes from any context
+  onChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'sync' && changes[STORAGE_KEY]) {
+        callback(this.resolve({ [STORAGE_KEY]: changes[STORAGE_KEY].newValue }));
+      }
+    });
+  }
+}
+
+// Create and export singleton instance
+const configStore = new ConfigStore();
+export default configStore;
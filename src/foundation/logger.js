@@ -1,11 +1,16 @@
 // Logger - Centralized logging and error handling for Truth Check extension
 import CONFIG from './config.js';
+import configStore from './configStore.js';
 
 class Logger {
   constructor() {
     this.logs = [];
     this.maxLogs = 1000;
-    this.debugMode = CONFIG.debug_mode;
+    this.configure();
+  }
+
+  configure(config = CONFIG) {
+    this.debugMode = config.debug_mode;
   }
 
   log(message, data = null) {
@@ -180,22 +185,25 @@ class Logger {
 
 // Create singleton instance
 const logger = new Logger();
-
-// Global error handler for unhandled errors
-window.addEventListener('error', (event) => {
-  logger.error('Unhandled error', {
-    message: event.message,
-    filename: event.filename,
-    lineno: event.lineno,
-    colno: event.colno,
-    error: event.error
+configStore.subscribe(config => logger.configure(config));
+
+// Global handlers for unhandled errors (self is the window in pages, the worker's global scope in background.js)
+if (typeof self !== 'undefined') {
+  self.addEventListener('error', (event) => {
+    logger.error('Unhandled error', {
+      message: event.message,
+      filename: event.filename,
+      lineno: event.lineno,
+      colno: event.colno,
+      error: event.error
+    });
   });
-});
 
-// Global promise rejection handler
-window.addEventListener('unhandledrejection', (event) => {
-  logger.error('Unhandled promise rejection', event.reason);
-});
+  // Global promise rejection handler
+  self.addEventListener('unhandledrejection', (event) => {
+    logger.error('Unhandled promise rejection', event.reason);
+  });
+}
 
 export default logger;
 
@@ -0,0 +1,194 @@
+// Request Scheduler - Every outbound request from the routers and API clients goes through here: a global cap
+// on requests in flight, a token bucket per host, and two lanes so the reader's claims aren't stuck behind
+// background work
+import CONFIG from './config.js';
+import logger from './logger.js';
+import configStore from './configStore.js';
+import Abort from '../utils/abort.js';
+
+// interactive: claims on screen and the steps that put highlights on the page
+// background: everything else (off-screen claims, red flags, overrides) - started delay_between_batches ms apart
+const LANES = ['interactive', 'background'];
+
+class RequestScheduler {
+  constructor() {
+    this.queues = { interactive: [], background: [] };
+    this.buckets = new Map(); // Host -> { tokens, updated }
+    this.active = 0;
+    this.lastBackgroundStart = 0;
+    this.timer = null;
+    this.configure();
+  }
+
+  // Read the limits (again whenever the config changes); requests already waiting get the new ones
+  configure(config = CONFIG) {
+    const { performance } = config;
+    this.maxConcurrent = performance.max_concurrent_requests || 5;
+    this.backgroundSpacing = performance.delay_between_batches || 0;
+    this.defaultLimit = performance.rate_limits?.default || { requests_per_second: 5, burst: 10 };
+    this.hostLimits = new Map((performance.rate_limits?.hosts || []).map(limit => [limit.name, limit]));
+
+    if (this.queues) {
+      this.pump();
+    }
+  }
+
+  /**
+   * fetch() once a slot is free and the host's rate limit allows
+   * A request holds its slot until the response headers arrive, so a long stream doesn't block the rest.
+   * @param {string} url
+   * @param {Object} options - fetch options plus { lane, timeout }: lane is 'interactive' or 'background'
+   *                           (the default); timeout (ms) counts from when the request starts, not while it
+   *                           waits. Aborting signal while the request waits drops it.
+   * @returns {Promise<Response>}
+   */
+  async fetch(url, options = {}) {
+    const { lane = 'background', timeout = null, signal = null, ...init } = options;
+    const host = new URL(url).hostname;
+
+    await this.acquire(host, lane, signal);
+
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: timeout ? Abort.withTimeout(signal, timeout) : signal });
+    } finally {
+      this.release();
+    }
+
+    if (response.status === 429) {
+      this.backOff(host, parseInt(response.headers.get('Retry-After'), 10) || 60);
+    }
+    return response;
+  }
+
+  acquire(host, lane, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const queue = this.queues[LANES.includes(lane) ? lane : 'background'];
+      const entry = { host, resolve };
+      queue.push(entry);
+
+      signal?.addEventListener('abort', () => {
+        const index = queue.indexOf(entry);
+        if (index === -1) return;
+        queue.splice(index, 1);
+        reject(signal.reason);
+      }, { once: true });
+
+      this.pump();
+    });
+  }
+
+  release() {
+    this.active--;
+    this.pump();
+  }
+
+  // Start whatever may start now; if something is only waiting on a rate limit, come back when it may go
+  pump() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    while (this.active < this.maxConcurrent) {
+      const now = Date.now();
+      const next = this.findNext(now);
+
+      if (!next.lane) {
+        if (next.wait < Infinity) {
+          this.timer = setTimeout(() => this.pump(), next.wait);
+        }
+        return;
+      }
+
+      const [entry] = this.queues[next.lane].splice(next.index, 1);
+      this.getBucket(entry.host, now).bucket.tokens--;
+      if (next.lane === 'background') {
+        this.lastBackgroundStart = now;
+      }
+
+      this.active++;
+      entry.resolve();
+    }
+  }
+
+  // The first request (interactive lane first) whose host has a token to spend, so one throttled host
+  // doesn't hold up requests to others; otherwise { wait } - ms until one will
+  findNext(now) {
+    let wait = Infinity;
+
+    for (const lane of LANES) {
+      const queue = this.queues[lane];
+      if (queue.length === 0) continue;
+
+      if (lane === 'background') {
+        const spacing = this.lastBackgroundStart + this.backgroundSpacing - now;
+        if (spacing > 0) {
+          wait = Math.min(wait, spacing);
+          continue;
+        }
+      }
+
+      for (let index = 0; index < queue.length; index++) {
+        const hostWait = this.tokenWait(queue[index].host, now);
+        if (hostWait === 0) return { lane, index };
+        wait = Math.min(wait, hostWait);
+      }
+    }
+
+    return { wait };
+  }
+
+  tokenWait(host, now) {
+    const { bucket, limit } = this.getBucket(host, now);
+    return bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) / limit.requests_per_second * 1000);
+  }
+
+  // The host's bucket, topped up for the time since it was last used
+  getBucket(host, now) {
+    const limit = this.getLimit(host);
+    let bucket = this.buckets.get(host);
+
+    if (!bucket) {
+      bucket = { tokens: limit.burst, updated: now };
+      this.buckets.set(host, bucket);
+    }
+
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + (now - bucket.updated) / 1000 * limit.requests_per_second);
+    bucket.updated = now;
+    return { bucket, limit };
+  }
+
+  // A host's limit also covers its subdomains (export.arxiv.org uses arxiv.org's)
+  getLimit(host) {
+    for (let name = host; name.includes('.'); name = name.substring(name.indexOf('.') + 1)) {
+      if (this.hostLimits.has(name)) return this.hostLimits.get(name);
+    }
+    return this.hostLimits.get(host) || this.defaultLimit;
+  }
+
+  // The host said slow down: nothing more goes to it until Retry-After has passed
+  backOff(host, seconds) {
+    const { bucket, limit } = this.getBucket(host, Date.now());
+    bucket.tokens = Math.min(bucket.tokens, 1 - seconds * limit.requests_per_second);
+    logger.warn(`Rate limited by ${host}, holding its requests for ${seconds}s`);
+  }
+
+  getStats() {
+    return {
+      active: this.active,
+      queued: Object.fromEntries(LANES.map(lane => [lane, this.queues[lane].length]))
+    };
+  }
+}
+
+// Export the class itself for use in other modules
+export { RequestScheduler };
+
+// Create and export singleton instance
+const requestScheduler = new RequestScheduler();
+configStore.subscribe(config => requestScheduler.configure(config));
+export default requestScheduler;
@@ -0,0 +1,307 @@
+// Article Extractor - Find the article body on a page by scoring its blocks (text and comma density, link
+// density, paragraph structure), and read its headline, byline, publish date and canonical URL
+import CONFIG from '../foundation/config.js';
+import logger from '../foundation/logger.js';
+import configStore from '../foundation/configStore.js';
+import Scrapers from '../utils/scrapers.js';
+
+// Never part of the article (or the extension's own UI)
+const REMOVED = 'script, style, noscript, template, svg, iframe, form, button, input, select, textarea, nav, footer, aside, [role="navigation"], [role="complementary"], [aria-hidden="true"], [class*="truth-check"]';
+// Elements that break text into blocks; an element with none of these inside is a paragraph of its own
+const BLOCKS = 'p, div, section, article, main, header, ul, ol, li, table, tr, td, th, blockquote, pre, figure, figcaption, h1, h2, h3, h4, h5, h6, dl, dd, dt, hr';
+// Class/ID hints, as in Readability: likely page furniture vs. likely the story itself
+const UNLIKELY = /comment|disqus|related|recommend|share|social|sidebar|footer|foot|menu|nav|breadcrumb|promo|newsletter|subscribe|signup|advert|sponsor|\bads?\b|popup|modal|cookie|consent|banner|masthead|outbrain|taboola|widget|tags|pagination|author-bio|more-stories/i;
+const LIKELY = /article|body|content|entry|main|post|story|text|blog|hentry/i;
+const ARTICLE_TYPES = /^(Article|NewsArticle|ReportageNewsArticle|AnalysisNewsArticle|OpinionNewsArticle|BackgroundNewsArticle|BlogPosting|LiveBlogPosting|Report|ScholarlyArticle|WebPage)$/;
+// Text shorter than this isn't scored as a paragraph
+const MIN_PARAGRAPH_LENGTH = 25;
+
+class ArticleExtractor {
+  constructor() {
+    this.configure();
+  }
+
+  configure(config = CONFIG) {
+    this.minContentLength = config.min_content_length || 300;
+  }
+
+  /**
+   * Extract the article on a page
+   * @param {Document} doc
+   * @returns {Object} { text, headline, byline, publishedAt, canonicalUrl } - text is the article's paragraphs,
+   *                   one per line ('' when there's no article); the rest are null when the page doesn't say
+   */
+  extract(doc = document) {
+    const metadata = this.extractMetadata(doc);
+    const root = this.findMainContent(doc);
+    let text = root ? this.getText(root) : '';
+
+    // Nothing scored well enough: every paragraph on the page beats nothing
+    if (text.length < this.minContentLength) {
+      const paragraphs = Array.from(doc.querySelectorAll('p'))
+        .filter(paragraph => !paragraph.closest(REMOVED))
+        .map(paragraph => this.getInnerText(paragraph))
+        .filter(Boolean)
+        .join('\n');
+      if (paragraphs.length > text.length) {
+        text = paragraphs;
+      }
+    }
+
+    logger.debug('Extracted article:', { length: text.length, headline: metadata.headline });
+
+    return {
+      text,
+      headline: metadata.headline || this.findHeadline(doc, root),
+      byline: metadata.byline || this.findByline(root || doc.body),
+      publishedAt: metadata.publishedAt || this.findPublishDate(root || doc.body),
+      canonicalUrl: metadata.canonicalUrl
+    };
+  }
+
+  // The element holding the article: its paragraphs' scores go to their parent (and half to the grandparent),
+  // containers are discounted by how much of their text is links, and the best one wins
+  findMainContent(doc) {
+    const body = doc.body?.cloneNode(true);
+    if (!body) return null;
+
+    body.querySelectorAll(REMOVED).forEach(element => element.remove());
+    body.querySelectorAll('*').forEach(element => {
+      // The story container itself can match (e.g. "post-comments" vs "post-content"), so weigh both hints
+      const hints = `${element.className?.baseVal ?? element.className} ${element.id}`;
+      if (UNLIKELY.test(hints) && !LIKELY.test(hints) && body.contains(element)) {
+        element.remove();
+      }
+    });
+
+    const candidates = new Map();
+    const addScore = (element, score) => {
+      if (!element || element === body.parentNode) return;
+      if (!candidates.has(element)) {
+        candidates.set(element, this.getInitialScore(element));
+      }
+      candidates.set(element, candidates.get(element) + score);
+    };
+
+    for (const paragraph of this.getParagraphs(body)) {
+      const text = this.getInnerText(paragraph);
+      if (text.length < MIN_PARAGRAPH_LENGTH) continue;
+
+      // One point per paragraph, one per comma, one per 100 characters (up to 3)
+      const score = 1 + (text.match(/[,，]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+      addScore(paragraph.parentElement, score);
+      addScore(paragraph.parentElement?.parentElement, score / 2);
+    }
+
+    let best = null;
+    let bestScore = 0;
+    for (const [element, score] of candidates) {
+      const adjusted = score * (1 - this.getLinkDensity(element));
+      candidates.set(element, adjusted);
+      if (adjusted > bestScore) {
+        best = element;
+        bestScore = adjusted;
+      }
+    }
+
+    if (!best) return null;
+
+    // Articles split across sibling containers (a lead block, then the body) - pull in the siblings that
+    // scored nearly as well, or that are plain prose
+    const content = doc.createElement('div');
+    const threshold = Math.max(10, bestScore * 0.2);
+    for (const sibling of Array.from(best.parentElement?.children || [best])) {
+      const text = this.getInnerText(sibling);
+      const isProse = sibling.tagName === 'P' && text.length > 80 && this.getLinkDensity(sibling) < 0.25;
+
+      if (sibling === best || (candidates.get(sibling) || 0) >= threshold || isProse) {
+        content.appendChild(sibling);
+      }
+    }
+
+    return content;
+  }
+
+  // Tag and class/ID hints, as a starting score for a container
+  getInitialScore(element) {
+    const tagScores = { DIV: 5, ARTICLE: 10, MAIN: 5, SECTION: 3, PRE: 3, TD: 3, BLOCKQUOTE: 3, UL: -3, OL: -3, DL: -3, FORM: -3, TH: -5 };
+    const hints = `${element.className?.baseVal ?? element.className} ${element.id}`;
+    let score = tagScores[element.tagName] || 0;
+
+    if (LIKELY.test(hints)) score += 25;
+    if (UNLIKELY.test(hints)) score -= 25;
+    if (element.getAttribute('itemprop') === 'articleBody') score += 25;
+
+    return score;
+  }
+
+  // <p>, <pre> and <td>, plus the divs that are used as paragraphs (text with no blocks inside)
+  getParagraphs(root) {
+    return Array.from(root.querySelectorAll('p, pre, td, blockquote, div, section'))
+      .filter(element => ['P', 'PRE'].includes(element.tagName) || !element.querySelector(BLOCKS));
+  }
+
+  // Share of the element's text that is link text
+  getLinkDensity(element) {
+    const length = this.getInnerText(element).length;
+    if (length === 0) return 0;
+
+    const linkLength = Array.from(element.querySelectorAll('a'))
+      .reduce((total, link) => total + this.getInnerText(link).length, 0);
+    return linkLength / length;
+  }
+
+  getInnerText(element) {
+    return (element.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+
+  // The text of every block under root, one per line, leaving out link lists and the like
+  getText(root) {
+    if (!root) return '';
+
+    const lines = [];
+    const visit = element => {
+      if (element.matches(REMOVED)) return;
+
+      if (!element.querySelector(BLOCKS)) {
+        const text = this.getInnerText(element);
+        if (text && this.getLinkDensity(element) < 0.5) {
+          lines.push(text);
+        }
+        return;
+      }
+
+      // Text sitting between blocks (<div>Intro<p>...</p></div>) is a line of its own
+      let loose = '';
+      const flush = () => {
+        if (loose.trim()) lines.push(loose.replace(/\s+/g, ' ').trim());
+        loose = '';
+      };
+
+      for (const child of element.childNodes) {
+        if (child.nodeType === Node.TEXT_NODE) {
+          loose += child.textContent;
+        } else if (child.nodeType !== Node.ELEMENT_NODE || child.matches(REMOVED)) {
+          continue;
+        } else if (!child.matches(BLOCKS) && !child.querySelector(BLOCKS)) {
+          loose += child.textContent;
+        } else {
+          flush();
+          visit(child);
+        }
+      }
+      flush();
+    };
+
+    visit(root);
+    return lines.join('\n');
+  }
+
+  /**
+   * Headline, byline, publish date and canonical URL as the page declares them: its JSON-LD Article
+   * first, then meta tags (Open Graph, article:*, Dublin Core, Parse.ly/Sailthru)
+   */
+  extractMetadata(doc) {
+    const jsonLd = this.getJsonLdItems(doc).find(item => this.getJsonLdTypes(item).some(type => ARTICLE_TYPES.test(type)) &&
+      (item.headline || item.datePublished || item.author));
+    const meta = Scrapers.extractMetaTags(Array.from(doc.querySelectorAll('meta')).map(tag => tag.outerHTML).join(''));
+    const pick = (...names) => names.map(name => meta[name]).find(value => value?.trim())?.trim() || null;
+
+    const metaAuthor = pick('author', 'article:author', 'byl', 'parsely-author', 'sailthru.author', 'dc.creator', 'DC.creator');
+    const canonical = doc.querySelector('link[rel="canonical"]')?.href;
+
+    return {
+      headline: this.clean(jsonLd?.headline) || null,
+      byline: this.formatAuthors(jsonLd?.author) || (metaAuthor && !/^https?:/.test(metaAuthor) ? this.stripBy(metaAuthor) : null),
+      publishedAt: this.toDate(jsonLd?.datePublished) || this.toDate(pick(
+        'article:published_time', 'og:article:published_time', 'parsely-pub-date', 'sailthru.date',
+        'pubdate', 'publish-date', 'date', 'dc.date', 'DC.date', 'dcterms.created'
+      )),
+      canonicalUrl: this.toUrl(canonical, doc) || this.toUrl(this.getJsonLdUrl(jsonLd), doc) ||
+        this.toUrl(pick('og:url'), doc) || this.toUrl(doc.location?.href?.split('#')[0], doc)
+    };
+  }
+
+  // Every JSON-LD item on the page, with arrays and @graph flattened out
+  getJsonLdItems(doc) {
+    const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
+    const queue = Scrapers.extractJsonLd(Array.from(scripts).map(script => script.outerHTML).join(''));
+    const items = [];
+
+    while (queue.length > 0) {
+      const item = queue.shift();
+      if (Array.isArray(item)) {
+        queue.push(...item);
+      } else if (item && typeof item === 'object') {
+        items.push(item);
+        if (item['@graph']) queue.push(...[].concat(item['@graph']));
+      }
+    }
+
+    return items;
+  }
+
+  getJsonLdTypes(item) {
+    return [].concat(item?.['@type'] || []).filter(type => typeof type === 'string');
+  }
+
+  getJsonLdUrl(item) {
+    const page = item?.mainEntityOfPage;
+    return item?.url || (typeof page === 'string' ? page : page?.['@id']) || null;
+  }
+
+  // author may be a name, a Person/Organization, or a list of either
+  formatAuthors(author) {
+    const names = [].concat(author || [])
+      .map(entry => (typeof entry === 'string' ? entry : entry?.name))
+      .map(name => this.clean(name))
+      .filter(name => name && !/^https?:/.test(name));
+
+    return names.length > 0 ? [...new Set(names)].join(', ') : null;
+  }
+
+  // No metadata: the article's first heading, then the page title
+  findHeadline(doc, root) {
+    const heading = root?.querySelector('h1') || doc.querySelector('article h1, h1');
+    return this.clean(heading?.textContent) || this.clean(doc.querySelector('meta[property="og:title"]')?.content) ||
+      this.clean(doc.title) || null;
+  }
+
+  findByline(root) {
+    const element = root?.querySelector('[rel="author"], [itemprop="author"], [class*="byline"], [class*="author-name"]');
+    const text = this.clean(element?.textContent);
+    return text && text.length < 100 ? this.stripBy(text) : null;
+  }
+
+  findPublishDate(root) {
+    const time = root?.querySelector('time[datetime], [itemprop="datePublished"]');
+    return this.toDate(time?.getAttribute('datetime') || time?.getAttribute('content'));
+  }
+
+  stripBy(byline) {
+    return byline.replace(/^by\s+/i, '').trim() || null;
+  }
+
+  // ISO 8601, or null for anything that doesn't parse as a date
+  toDate(value) {
+    const date = value ? new Date(String(value).trim()) : null;
+    return date && !isNaN(date) ? date.toISOString() : null;
+  }
+
+  toUrl(value, doc) {
+    try {
+      return value ? new URL(value, doc.baseURI).href : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  clean(text) {
+    return typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '';
+  }
+}
+
+// Create and export singleton instance
+const articleExtractor = new ArticleExtractor();
+configStore.subscribe(config => articleExtractor.configure(config));
+export default articleExtractor;
@@ -2,30 +2,42 @@
 import CONFIG from '../foundation/config.js';
 import logger from '../foundation/logger.js';
 import cache from '../foundation/cache.js';
+import configStore from '../foundation/configStore.js';
+import Abort from '../utils/abort.js';
 
 class ClaimExtractor {
   constructor() {
-    this.config = CONFIG.claim_extraction;
+    this.configure();
+  }
+
+  configure(config = CONFIG) {
+    this.config = config.claim_extraction;
   }
 
   getAIClient() {
     if (!this._aiClient) {
       // Lazy initialization - use global aiServerClient instance if available
-      if (typeof window !== 'undefined' && window.aiServerClient) {
+      if (globalThis.aiServerClient) {
         console.log('[AI CLIENT] Using global aiServerClient instance');
-        this._aiClient = window.aiServerClient;
-      } else if (typeof window !== 'undefined' && window.aiClient) {
+        this._aiClient = globalThis.aiServerClient;
+      } else if (globalThis.aiClient) {
         console.log('[AI CLIENT] Fallback to global aiClient instance');
-        this._aiClient = window.aiClient;
+        this._aiClient = globalThis.aiClient;
       } else {
-        console.error('[AI CLIENT] ❌ AIClient not available in window object');
-        throw new Error('AIClient not loaded. Make sure ai-server.js is imported in content.js');
+        console.error('[AI CLIENT] ❌ AIClient not available in global scope');
+        throw new Error('AIClient not loaded. Make sure ai-server.js is imported in background.js');
       }
     }
     return this._aiClient;
   }
 
-  async extractClaims(text) {
+  /**
+   * @param {string} text - Article text
+   * @param {Object} options - { articleUrl, signal, lane } - articleUrl is the page the text came from, sent along
+   *                            with AI requests; aborting signal cancels AI extraction (the promise rejects);
+   *                            lane is the request scheduler's
+   */
+  async extractClaims(text, options = {}) {
     logger.log('Starting claim extraction from text length:', text.length);
     console.log('[CLAIM EXTRACTOR] Method:', this.config.method);
     console.log('[CLAIM EXTRACTOR] Heuristic Threshold:', this.config.heuristic_threshold);
@@ -52,7 +64,7 @@ class ClaimExtractor {
     // Fall back to AI extraction if heuristic confidence is too low
     logger.debug('Using AI extraction (heuristic confidence too low)');
     console.log('[CLAIM EXTRACTOR] ⚠️ Heuristic confidence too low - falling back to AI');
-    const aiClaims = await this.extractClaimsAI(text);
+    const aiClaims = await this.extractClaimsAI(text, options);
 
     // Combine and deduplicate
     return this.combineAndDeduplicateClaims(heuristicClaims, aiClaims);
@@ -91,7 +103,7 @@ class ClaimExtractor {
       .slice(0, 100); // Limit to top 100 claims
   }
 
-  async extractClaimsAI(text) {
+  async extractClaimsAI(text, options = {}) {
     console.log('[AI EXTRACTION] Starting AI claim extraction');
     console.log('[AI EXTRACTION] API Key configured:', CONFIG.apis.ai_provider.api_key ? 'YES (length: ' + CONFIG.apis.ai_provider.api_key.length + ')' : 'NO (null)');
     console.log('[AI EXTRACTION] Provider:', CONFIG.apis.ai_provider.provider);
@@ -106,6 +118,44 @@ class ClaimExtractor {
       return cached;
     }
 
+    let claims = [];
+    let responseData = null;
+
+    // The API server chunks long articles itself, so send it the full text rather than a truncated prompt
+    try {
+      const aiClient = this.getAIClient();
+
+      if (typeof aiClient.extractClaims === 'function') {
+        const serverClaims = await aiClient.extractClaims(text, {
+          articleUrl: options.articleUrl,
+          signal: options.signal,
+          lane: options.lane
+        });
+
+        claims = serverClaims.map(claim => ({
+          text: claim.text,
+          // Claims from a re-prompted (repaired) response are trusted a little less
+          confidence: (claim.confidence || 0.5) * (claim.repaired ? 0.8 : 1),
+          method: 'ai',
+          type: claim.type || 'other',
+          position: claim.start !== null && claim.start !== undefined ? claim.start : text.indexOf(claim.text)
+        }));
+
+        if (claims.length > 0) {
+          await cache.set(cacheKey, claims, 24);
+          console.log('[AI EXTRACTION] ✅ Cached', claims.length, 'AI claims');
+        }
+
+        console.log('[AI EXTRACTION] Returning', claims.length, 'claims from full-article extraction');
+        return claims;
+      }
+    } catch (error) {
+      Abort.rethrowIfAborted(error, options.signal);
+      logger.error('AI claim extraction failed:', error);
+      console.error('[AI EXTRACTION] ❌ ERROR:', error.message);
+      return [];
+    }
+
     // Safe JSON parsing function for AI responses
     function safeJSONParse(str) {
       try {
@@ -208,7 +258,9 @@ JSON:`;
 
       const response = await aiClient.query(prompt, {
         temperature: 0.1,
-        max_tokens: 3000
+        max_tokens: 3000,
+        signal: options.signal,
+        lane: options.lane
       });
 
       console.log('[AI EXTRACTION] ✅ AI query successful');
@@ -291,6 +343,7 @@ JSON:`;
       return claims;
 
     } catch (error) {
+      Abort.rethrowIfAborted(error, options.signal);
       logger.error('AI claim extraction failed:', error);
       console.error('[AI EXTRACTION] ❌ ERROR:', error);
       console.error('[AI EXTRACTION] Error message:', error.message);
@@ -836,4 +889,5 @@ JSON:`;
 
 // Export as singleton instance (not the class)
 const claimExtractor = new ClaimExtractor();
+configStore.subscribe(config => claimExtractor.configure(config));
 export default claimExtractor;
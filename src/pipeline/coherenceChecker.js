@@ -0,0 +1,239 @@
+// Coherence Checker - Internal consistency of a claim with the rest of its article:
+// figures that disagree with other paragraphs, and claims that contradict the headline
+import logger from '../foundation/logger.js';
+import cache from '../foundation/cache.js';
+
+const QUANTITY = /\b(\d[\d,]*(?:\.\d+)?)\s*(%|percent|people|deaths|cases|patients|jobs|workers|students|voters|million|billion|dollars)\b/gi;
+const YEAR = /\b(?:19|20)\d{2}\b/g;
+const STOP_WORDS = new Set(['that', 'this', 'with', 'from', 'have', 'were', 'been', 'their', 'there', 'which', 'about', 'after', 'than', 'more', 'into', 'said', 'says', 'will', 'would']);
+const UPWARD = /\b(rise|rises|rising|rose|increase[sd]?|increasing|grew|grow|grows|growing|jump(?:s|ed)?|surge[sd]?|soar(?:s|ed)?|climb(?:s|ed)?|doubl(?:e|es|ed)|higher|gains?|up)\b/i;
+const DOWNWARD = /\b(fall|falls|falling|fell|decrease[sd]?|decreasing|decline[sd]?|declining|drop(?:s|ped)?|plunge[sd]?|shrank|shrink(?:s)?|cut(?:s)?|lower|loss(?:es)?|down)\b/i;
+const NEGATION = /\b(not|no|never|none|denie[sd]|deny|false|fails?|failed|rejects?|rejected)\b|n't\b/i;
+
+// Sentences need this many content words in common before their figures are compared
+const MIN_SHARED_WORDS = 3;
+// Figures within this fraction of each other count as the same (rounding, "about")
+const VALUE_TOLERANCE = 0.1;
+
+class CoherenceChecker {
+  /**
+   * Index an article's figures once so each claim can be checked against it cheaply
+   * @param {string} text - Article text
+   * @param {string} headline - Article headline ('' if unknown)
+   * @returns {Object} { headline, headline_words, headline_facts, facts }
+   */
+  async getArticleContext(text, headline = '') {
+    const cacheKey = cache.getCoherenceKey(cache.hashString(`${headline}\n${text}`));
+    const cached = await cache.get(cacheKey);
+
+    if (cached) {
+      logger.debug('Using cached coherence context');
+      return cached;
+    }
+
+    const context = {
+      headline: headline.trim(),
+      headline_words: [...this.contentWords(headline)],
+      headline_facts: this.extractFacts([headline.trim()].filter(Boolean)),
+      facts: this.extractFacts(this.splitSentences(text))
+    };
+
+    await cache.set(cacheKey, context, 24); // Cache for 24 hours
+    return context;
+  }
+
+  /**
+   * Check one claim against its article
+   * @param {string} claim - Claim text as it appears in the article
+   * @param {Object} context - Output of getArticleContext
+   * @returns {Object} { score, confidence, assessment, issues, corroborations } - score is null when nothing in the article relates to the claim
+   */
+  checkClaim(claim, context) {
+    const claimFacts = this.extractFacts([claim]);
+    const issues = [];
+    let corroborations = 0;
+    let related = 0;
+
+    for (const fact of context.facts) {
+      if (this.isSameSentence(claim, fact.sentence)) continue;
+
+      for (const claimFact of claimFacts) {
+        if (!this.isComparable(claimFact, fact)) continue;
+
+        related++;
+        if (this.valuesDiffer(claimFact.value, fact.value)) {
+          issues.push({
+            type: 'figure_mismatch',
+            claim_value: `${claimFact.value} ${claimFact.unit}`,
+            other_value: `${fact.value} ${fact.unit}`,
+            excerpt: fact.sentence
+          });
+        } else {
+          corroborations++;
+        }
+      }
+    }
+
+    const headlineCheck = this.checkHeadline(claim, claimFacts, context);
+    if (headlineCheck.related) related++;
+    issues.push(...headlineCheck.issues);
+
+    return {
+      ...this.calculateCoherenceScore(issues, corroborations, related),
+      issues: issues.slice(0, 3),
+      corroborations: corroborations
+    };
+  }
+
+  checkHeadline(claim, claimFacts, context) {
+    const issues = [];
+    const claimWords = this.contentWords(claim);
+    const shared = context.headline_words.filter(word => claimWords.has(word)).length;
+
+    // Only compare claims about what the headline is about
+    if (!context.headline || shared < 2) {
+      return { related: false, issues };
+    }
+
+    for (const headlineFact of context.headline_facts) {
+      const claimFact = claimFacts.find(fact => fact.unit === headlineFact.unit);
+      if (claimFact && this.valuesDiffer(claimFact.value, headlineFact.value)) {
+        issues.push({
+          type: 'headline_mismatch',
+          claim_value: `${claimFact.value} ${claimFact.unit}`,
+          other_value: `${headlineFact.value} ${headlineFact.unit}`,
+          excerpt: context.headline
+        });
+      }
+    }
+
+    const claimDirection = this.getDirection(claim);
+    const headlineDirection = this.getDirection(context.headline);
+    const opposite = claimDirection && headlineDirection && claimDirection !== headlineDirection;
+
+    // Negation is noisy, so only trust it when the claim restates most of the headline
+    const restatesHeadline = shared / context.headline_words.length >= 0.6;
+    const negationFlipped = restatesHeadline && NEGATION.test(claim) !== NEGATION.test(context.headline);
+
+    if (opposite || negationFlipped) {
+      issues.push({
+        type: 'headline_contradiction',
+        claim_value: null,
+        other_value: null,
+        excerpt: context.headline
+      });
+    }
+
+    return { related: true, issues };
+  }
+
+  calculateCoherenceScore(issues, corroborations, related) {
+    if (related === 0) {
+      return {
+        score: null,
+        confidence: null,
+        assessment: 'Nothing elsewhere in the article to compare against'
+      };
+    }
+
+    if (issues.length > 0) {
+      const figureIssues = issues.filter(issue => issue.type !== 'headline_contradiction').length;
+      return {
+        score: Math.max(1, 8 - issues.length * 4),
+        confidence: figureIssues > 0 ? 'high' : 'medium',
+        assessment: issues.map(issue => this.describeIssue(issue)).slice(0, 2).join('; ')
+      };
+    }
+
+    return {
+      score: corroborations >= 2 ? 9 : 8,
+      confidence: corroborations >= 2 ? 'medium' : 'low',
+      assessment: corroborations > 0
+        ? `Consistent with ${corroborations} other figure${corroborations > 1 ? 's' : ''} in the article`
+        : 'Consistent with the headline'
+    };
+  }
+
+  describeIssue(issue) {
+    switch (issue.type) {
+      case 'figure_mismatch':
+        return `Claim says ${issue.claim_value}, elsewhere the article says ${issue.other_value}`;
+      case 'headline_mismatch':
+        return `Claim says ${issue.claim_value}, the headline says ${issue.other_value}`;
+      default:
+        return 'Claim contradicts the headline';
+    }
+  }
+
+  // Numeric quantities with the content words of the sentence they appear in
+  extractFacts(sentences) {
+    const facts = [];
+
+    sentences.forEach(sentence => {
+      const words = [...this.contentWords(sentence)];
+      const years = sentence.match(YEAR) || [];
+      for (const match of sentence.matchAll(QUANTITY)) {
+        facts.push({
+          sentence,
+          words,
+          years,
+          value: parseFloat(match[1].replace(/,/g, '')),
+          unit: match[2].toLowerCase().replace('%', 'percent')
+        });
+      }
+    });
+
+    return facts;
+  }
+
+  // Same unit, same topic, and not explicitly about different years
+  isComparable(a, b) {
+    if (a.unit !== b.unit) return false;
+    if (a.years.length > 0 && b.years.length > 0 && !a.years.some(year => b.years.includes(year))) return false;
+
+    const words = new Set(b.words);
+    return a.words.filter(word => words.has(word)).length >= MIN_SHARED_WORDS;
+  }
+
+  valuesDiffer(a, b) {
+    return Math.abs(a - b) > Math.max(a, b) * VALUE_TOLERANCE;
+  }
+
+  getDirection(text) {
+    const up = UPWARD.test(text);
+    const down = DOWNWARD.test(text);
+    if (up === down) return null;
+    return up ? 'up' : 'down';
+  }
+
+  // The claim's own sentence (extracted claims are often reworded, so compare words and figures rather than strings)
+  isSameSentence(claim, sentence) {
+    if (sentence.includes(claim) || claim.includes(sentence)) return true;
+
+    const numbers = claim.match(/\d[\d,]*(?:\.\d+)?/g) || [];
+    if (!numbers.every(number => sentence.includes(number))) return false;
+
+    const claimWords = this.contentWords(claim);
+    const sentenceWords = this.contentWords(sentence);
+    if (claimWords.size === 0) return false;
+
+    return [...claimWords].filter(word => sentenceWords.has(word)).length / claimWords.size >= 0.8;
+  }
+
+  splitSentences(text) {
+    return text.match(/(?:[^.!?\n]|[.!?](?=\S))+[.!?]*/g)?.map(sentence => sentence.trim()).filter(Boolean) || [];
+  }
+
+  contentWords(text) {
+    return new Set((text || '').toLowerCase().split(/\W+/).filter(word => word.length > 3 && !STOP_WORDS.has(word) && !/\d/.test(word)));
+  }
+}
+
+// Create and export singleton instance
+const coherenceChecker = new CoherenceChecker();
+export default coherenceChecker;
+
+// Make coherenceChecker available globally for content scripts
+if (typeof window !== 'undefined') {
+  window.CoherenceChecker = coherenceChecker;
+}
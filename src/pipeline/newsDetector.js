@@ -0,0 +1,132 @@
+// News Detector - Decide whether a page is a news article worth analyzing, from its structured data,
+// Open Graph type, a list of known outlets and the extracted article; sites can be set to always/never
+// be analyzed from the popup
+import CONFIG from '../foundation/config.js';
+import logger from '../foundation/logger.js';
+import configStore from '../foundation/configStore.js';
+import articleExtractor from './articleExtractor.js';
+
+// Host (without www.) -> 'allow' | 'deny', in chrome.storage.sync; the popup edits it directly
+const SITE_OVERRIDES_KEY = 'siteOverrides';
+
+const NEWS_TYPES = /(NewsArticle|^LiveBlogPosting)$/;
+const ARTICLE_TYPES = /^(Article|Report)$/;
+const NON_NEWS_TYPES = /^(Product|ProductGroup|Offer|AggregateOffer|SoftwareApplication|MobileApplication|WebApplication|SoftwareSourceCode|TechArticle|APIReference|Recipe|Course|JobPosting|Book|Movie|VideoGame)$/;
+const SHOP_ELEMENTS = '[itemprop="price"], meta[property="product:price:amount"], [class*="add-to-cart"], [id*="add-to-cart"], [class*="addtocart"], [data-testid*="add-to-cart"]';
+const SHOP_BUTTON_TEXT = /^\s*(add to (cart|basket|bag)|buy now)\s*$/i;
+const DOCS_HOSTS = /^(docs|developers?|devdocs|api|wiki)\.|\.(readthedocs\.io|gitbook\.io)$/;
+const DOCS_PATHS = /^\/(docs|documentation|api|reference|manual)(\/|$)/;
+
+const SIGNAL_LABELS = {
+  news_markup: 'NewsArticle markup',
+  article_markup: 'Article markup',
+  og_article: 'og:type article',
+  known_outlet: 'Known news outlet',
+  byline: 'Byline',
+  publish_date: 'Publish date',
+  article_body: 'Article-length text',
+  non_news_markup: 'Product/software/docs markup',
+  shop_page: 'Shopping page',
+  docs_site: 'Documentation site'
+};
+
+class NewsDetector {
+  constructor() {
+    this.siteOverrides = {};
+    this.configure();
+  }
+
+  configure(config = CONFIG) {
+    this.settings = config.news_detection;
+    this.minContentLength = config.min_content_length || 300;
+  }
+
+  async loadSiteOverrides() {
+    const stored = await chrome.storage.sync.get(SITE_OVERRIDES_KEY);
+    this.siteOverrides = stored[SITE_OVERRIDES_KEY] || {};
+  }
+
+  // Calls back with this site's mode ('allow', 'deny' or null for automatic) when the popup changes it
+  onSiteOverrideChange(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'sync' || !changes[SITE_OVERRIDES_KEY]) return;
+
+      const previous = this.getSiteOverride()?.mode ?? null;
+      this.siteOverrides = changes[SITE_OVERRIDES_KEY].newValue || {};
+      const mode = this.getSiteOverride()?.mode ?? null;
+
+      if (mode !== previous) {
+        callback(mode);
+      }
+    });
+  }
+
+  getHost(url = window.location.href) {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  }
+
+  // The override covering host: its own, or else the nearest parent domain's
+  getSiteOverride(host = this.getHost()) {
+    for (let name = host; name.includes('.'); name = name.substring(name.indexOf('.') + 1)) {
+      if (this.siteOverrides[name]) return { host: name, mode: this.siteOverrides[name] };
+    }
+    return null;
+  }
+
+  /**
+   * Score the page as a news article
+   * @param {Document} doc
+   * @param {Object} article - The articleExtractor's result for doc (extracted here when not given)
+   * @returns {Object} { host, isNews, analyze, score, threshold, signals: [{ name, label, weight }], override }
+   *                   - analyze is isNews unless override ({ host, mode }) says always or never
+   */
+  detect(doc = document, article = articleExtractor.extract(doc)) {
+    const host = this.getHost(doc.location.href);
+    const weights = this.settings.signals;
+    const signals = Object.entries(this.findSignals(doc, host, article))
+      .filter(([, found]) => found)
+      .map(([name]) => ({ name, label: SIGNAL_LABELS[name], weight: weights[name] || 0 }));
+
+    const score = signals.reduce((total, signal) => total + signal.weight, 0);
+    const isNews = score >= this.settings.threshold;
+    const override = this.getSiteOverride(host);
+
+    logger.debug('News detection:', { host, score, signals: signals.map(signal => signal.name), override });
+
+    return {
+      host,
+      isNews,
+      analyze: override ? override.mode === 'allow' : isNews,
+      score,
+      threshold: this.settings.threshold,
+      signals,
+      override
+    };
+  }
+
+  findSignals(doc, host, article) {
+    const types = articleExtractor.getJsonLdItems(doc).flatMap(item => articleExtractor.getJsonLdTypes(item));
+    const ogType = doc.querySelector('meta[property="og:type"]')?.content?.trim().toLowerCase();
+    // Lines long enough to be paragraphs of prose rather than captions or link text
+    const paragraphs = article.text.split('\n').filter(line => line.length >= 80).length;
+
+    return {
+      news_markup: types.some(type => NEWS_TYPES.test(type)),
+      article_markup: types.some(type => ARTICLE_TYPES.test(type)),
+      og_article: ogType === 'article',
+      known_outlet: this.settings.outlets.some(outlet => host === outlet || host.endsWith(`.${outlet}`)),
+      byline: Boolean(article.byline),
+      publish_date: Boolean(article.publishedAt),
+      article_body: article.text.length >= this.minContentLength && paragraphs >= 4,
+      non_news_markup: types.some(type => NON_NEWS_TYPES.test(type)),
+      shop_page: ogType === 'product' || doc.querySelector(SHOP_ELEMENTS) !== null ||
+        Array.from(doc.querySelectorAll('button, input[type="submit"]')).some(button => SHOP_BUTTON_TEXT.test(button.textContent || button.value || '')),
+      docs_site: DOCS_HOSTS.test(host) || DOCS_PATHS.test(new URL(doc.location.href).pathname)
+    };
+  }
+}
+
+// Create and export singleton instance
+const newsDetector = new NewsDetector();
+configStore.subscribe(config => newsDetector.configure(config));
+export default newsDetector;
@@ -2,6 +2,7 @@
 import CONFIG from '../foundation/config.js';
 import logger from '../foundation/logger.js';
 import cache from '../foundation/cache.js';
+import Abort from '../utils/abort.js';
 // Using global AIClient instead of import for browser extension compatibility
 
 class ClaimNormalizer {
@@ -12,21 +13,23 @@ class ClaimNormalizer {
   getAIClient() {
     if (!this._aiClient) {
       // Lazy initialization - use global aiServerClient instance if available
-      if (typeof window !== 'undefined' && window.aiServerClient) {
+      if (globalThis.aiServerClient) {
         console.log('[NORMALIZER] Using global aiServerClient instance');
-        this._aiClient = window.aiServerClient;
-      } else if (typeof window !== 'undefined' && window.aiClient) {
+        this._aiClient = globalThis.aiServerClient;
+      } else if (globalThis.aiClient) {
         console.log('[NORMALIZER] Fallback to global aiClient instance');
-        this._aiClient = window.aiClient;
+        this._aiClient = globalThis.aiClient;
       } else {
-        console.error('[NORMALIZER] ❌ AIClient not available in window object');
-        throw new Error('AIClient not loaded. Make sure ai-server.js is imported in content.js');
+        console.error('[NORMALIZER] ❌ AIClient not available in global scope');
+        throw new Error('AIClient not loaded. Make sure ai-server.js is imported in background.js');
       }
     }
     return this._aiClient;
   }
 
-  async normalize(claim) {
+  // options.signal cancels AI normalization; the promise rejects rather than falling back to heuristics.
+  // options.lane is the request scheduler's.
+  async normalize(claim, options = {}) {
     logger.debug('Normalizing claim:', claim);
 
     const cacheKey = cache.getNormalizedClaimKey(claim);
@@ -49,7 +52,7 @@ class ClaimNormalizer {
 
     // Otherwise, use AI normalization
     logger.debug('Using AI normalization');
-    const aiResult = await this.normalizeAI(claim);
+    const aiResult = await this.normalizeAI(claim, options);
 
     // Combine results, preferring AI for entities but keeping heuristic structure
     const combinedResult = {
@@ -81,13 +84,16 @@ class ClaimNormalizer {
     return result;
   }
 
-  async normalizeAI(claim) {
+  async normalizeAI(claim, options = {}) {
+    const { signal, lane } = options;
     const prompt = CONFIG.prompts.query_normalization.replace('{claim}', claim);
 
     try {
       const response = await this.getAIClient().query(prompt, {
         temperature: 0.1,
-        max_tokens: 1000
+        max_tokens: 1000,
+        signal,
+        lane
       });
 
       // Handle different response formats from AI client
@@ -129,6 +135,7 @@ class ClaimNormalizer {
       };
 
     } catch (error) {
+      Abort.rethrowIfAborted(error, signal);
       logger.error('AI normalization failed:', error);
 
       // Fallback to heuristic normalization if AI fails
@@ -265,10 +272,11 @@ class ClaimNormalizer {
   }
 
   // Batch normalization for multiple claims
-  async normalizeBatch(claims) {
+  async normalizeBatch(claims, options = {}) {
     const results = await Promise.allSettled(
-      claims.map(claim => this.normalize(claim))
+      claims.map(claim => this.normalize(claim, options))
     );
+    options.signal?.throwIfAborted();
 
     return results.map((result, index) => ({
       original_claim: claims[index],
@@ -2,6 +2,8 @@
 import CONFIG from '../foundation/config.js';
 import logger from '../foundation/logger.js';
 import cache from '../foundation/cache.js';
+import Retry from '../utils/retry.js';
+import Abort from '../utils/abort.js';
 
 class OverrideEngine {
   constructor() {
@@ -21,25 +23,28 @@ class OverrideEngine {
   getAIClient() {
     if (!this._aiClient) {
       // Lazy initialization - use global aiServerClient instance if available
-      if (typeof window !== 'undefined' && window.aiServerClient) {
+      if (globalThis.aiServerClient) {
         console.log('[OVERRIDE] Using global aiServerClient instance');
-        this._aiClient = window.aiServerClient;
-      } else if (typeof window !== 'undefined' && window.aiClient) {
+        this._aiClient = globalThis.aiServerClient;
+      } else if (globalThis.aiClient) {
         console.log('[OVERRIDE] Fallback to global aiClient instance');
-        this._aiClient = window.aiClient;
+        this._aiClient = globalThis.aiClient;
       } else {
-        console.error('[OVERRIDE] ❌ AIClient not available in window object');
-        throw new Error('AIClient not loaded. Make sure ai-server.js is imported in content.js');
+        console.error('[OVERRIDE] ❌ AIClient not available in global scope');
+        throw new Error('AIClient not loaded. Make sure ai-server.js is imported in background.js');
       }
     }
     return this._aiClient;
   }
 
-  async checkOverride(normalizedClaim) {
+  // options.signal cancels the searches and validations still to run; the promise then rejects.
+  // options.lane is the request scheduler's.
+  async checkOverride(normalizedClaim, options = {}) {
+    const { signal } = options;
     logger.debug('Checking for overrides for claim:', normalizedClaim.original_claim);
 
     // First check for exact matches in authoritative sources
-    const exactMatches = await this.findExactMatches(normalizedClaim);
+    const exactMatches = await this.findExactMatches(normalizedClaim, options);
 
     if (exactMatches.length === 0) {
       return null; // No overrides found
@@ -49,7 +54,7 @@ class OverrideEngine {
     const validOverrides = [];
 
     for (const match of exactMatches) {
-      const validation = await this.validateOverride(normalizedClaim, match);
+      const validation = await this.validateOverride(normalizedClaim, match, options);
 
       if (validation.override_valid) {
         validOverrides.push({
@@ -85,15 +90,18 @@ class OverrideEngine {
     };
   }
 
-  async findExactMatches(normalizedClaim) {
+  async findExactMatches(normalizedClaim, options = {}) {
+    const { signal } = options;
     const matches = [];
 
     // Search for exact claim matches in authoritative sources
     for (const source of this.authoritativeSources) {
       try {
-        const sourceMatches = await this.searchSource(source, normalizedClaim);
+        signal?.throwIfAborted();
+        const sourceMatches = await this.searchSource(source, normalizedClaim, options);
         matches.push(...sourceMatches);
       } catch (error) {
+        Abort.rethrowIfAborted(error, signal);
         logger.error(`Error searching ${source}:`, error);
         continue;
       }
@@ -102,7 +110,8 @@ class OverrideEngine {
     return matches;
   }
 
-  async searchSource(source, normalizedClaim) {
+  async searchSource(source, normalizedClaim, options = {}) {
+    const { signal, lane } = options;
     const matches = [];
 
     try {
@@ -132,16 +141,14 @@ class OverrideEngine {
           return [];
       }
 
-      const response = await fetch(searchUrl, {
+      const response = await Retry.fetch(searchUrl, {
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
         },
-        signal: AbortSignal.timeout(10000)
-      });
-
-      if (!response.ok) {
-        throw new Error(`Search failed for ${source}`);
-      }
+        signal,
+        lane,
+        timeout: 10000
+      }, { maxRetries: 0 });
 
       const html = await response.text();
 
@@ -151,6 +158,7 @@ class OverrideEngine {
       matches.push(...sourceMatches);
 
     } catch (error) {
+      Abort.rethrowIfAborted(error, signal);
       logger.error(`Error searching ${source}:`, error);
     }
 
@@ -228,7 +236,8 @@ class OverrideEngine {
     return intersection.size / union.size;
   }
 
-  async validateOverride(normalizedClaim, match) {
+  async validateOverride(normalizedClaim, match, options = {}) {
+    const { signal, lane } = options;
     const prompt = CONFIG.prompts.override_validation
       .replace('{claim}', normalizedClaim.original_claim)
       .replace('{source_title}', match.source)
@@ -237,7 +246,9 @@ class OverrideEngine {
     try {
       const response = await this.getAIClient().query(prompt, {
         temperature: 0.2,
-        max_tokens: 500
+        max_tokens: 500,
+        signal,
+        lane
       });
 
       // Handle different response formats from AI client
@@ -258,6 +269,7 @@ class OverrideEngine {
       }
 
     } catch (error) {
+      Abort.rethrowIfAborted(error, signal);
       logger.error('Override validation failed:', error);
     }
 
@@ -292,10 +304,11 @@ class OverrideEngine {
   }
 
   // Batch override checking for multiple claims
-  async checkOverridesBatch(normalizedClaims) {
+  async checkOverridesBatch(normalizedClaims, options = {}) {
     const results = await Promise.allSettled(
-      normalizedClaims.map(claim => this.checkOverride(claim))
+      normalizedClaims.map(claim => this.checkOverride(claim, options))
     );
+    options.signal?.throwIfAborted();
 
     return results.map((result, index) => ({
       claim: normalizedClaims[index],
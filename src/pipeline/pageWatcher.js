@@ -0,0 +1,169 @@
+// Page Watcher - Notice article text added after the first analysis (live blogs, infinite scroll, late rendering)
+// and in-page navigation (SPA route changes via the History API)
+import CONFIG from '../foundation/config.js';
+import logger from '../foundation/logger.js';
+import cache from '../foundation/cache.js';
+import configStore from '../foundation/configStore.js';
+
+// Units of text that are tracked as seen / new
+const TEXT_BLOCKS = 'p, li, blockquote, h1, h2, h3, h4, h5, h6, pre, figcaption, td';
+// Added elements inside these never carry article text (including the extension's own highlights and UI)
+const IGNORED_CONTAINERS = 'script, style, noscript, template, svg, iframe, nav, header, footer, aside, [class*="truth-check"]';
+
+class PageWatcher {
+  constructor() {
+    this.observer = null;
+    this.handlers = {};
+    this.pendingNodes = new Set();
+    this.seenText = new Set();
+    this.flushTimer = null;
+    this.url = null;
+    // Kept so stop() can remove it again
+    this.onNavigation = () => this.checkUrl();
+    this.configure();
+  }
+
+  configure(config = CONFIG) {
+    this.settings = {
+      enabled: true,
+      debounce_ms: 1500,
+      min_text_length: 200,
+      url_change_delay_ms: 1000,
+      ...config.watcher
+    };
+
+    // Switched on or off while a page is being watched
+    if (!this.settings.enabled && this.observer) {
+      this.stop();
+    } else if (this.settings.enabled && !this.observer && this.handlers.onContent) {
+      this.start(this.handlers);
+    }
+  }
+
+  /**
+   * Start watching the page
+   * @param {Object} handlers - { onContent(text, blocks) } for newly added article text,
+   *                            { onUrlChange(url, previousUrl) } for in-page navigation
+   */
+  start(handlers) {
+    if (!this.settings.enabled || this.observer) return;
+
+    this.handlers = handlers;
+    this.url = this.getPageUrl();
+
+    this.observer = new MutationObserver(mutations => this.handleMutations(mutations));
+    this.observer.observe(document.body, { childList: true, subtree: true });
+
+    // pushState/replaceState can't be hooked from the content script's isolated world, so rely on
+    // the Navigation API where available, popstate for back/forward, and a URL check on every mutation batch
+    window.addEventListener('popstate', this.onNavigation);
+    window.navigation?.addEventListener('navigatesuccess', this.onNavigation);
+
+    logger.log('Page watcher started');
+  }
+
+  stop() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    window.removeEventListener('popstate', this.onNavigation);
+    window.navigation?.removeEventListener('navigatesuccess', this.onNavigation);
+    clearTimeout(this.flushTimer);
+    this.pendingNodes.clear();
+  }
+
+  // Record the text already on the page so only later additions are reported
+  markExisting(root = document.body) {
+    this.seenText.clear();
+    this.getTextBlocks(root).forEach(block => this.seenText.add(this.hashBlock(block)));
+  }
+
+  handleMutations(mutations) {
+    if (this.checkUrl()) return;
+
+    for (const mutation of mutations) {
+      for (const node of mutation.addedNodes) {
+        if (node.nodeType === Node.ELEMENT_NODE && !node.closest(IGNORED_CONTAINERS)) {
+          this.pendingNodes.add(node);
+        }
+      }
+    }
+
+    if (this.pendingNodes.size > 0) {
+      // Wait for the page to settle - feeds and live blogs insert content in bursts
+      clearTimeout(this.flushTimer);
+      this.flushTimer = setTimeout(() => this.flush(), this.settings.debounce_ms);
+    }
+  }
+
+  flush() {
+    const nodes = [...this.pendingNodes].filter(node => node.isConnected);
+    this.pendingNodes.clear();
+
+    const blocks = nodes
+      .flatMap(node => this.getTextBlocks(node))
+      .filter(block => {
+        const hash = this.hashBlock(block);
+        if (this.seenText.has(hash)) return false;
+        this.seenText.add(hash);
+        return true;
+      });
+
+    const text = blocks.map(block => block.textContent.trim()).join('\n\n');
+
+    if (text.length < this.settings.min_text_length) {
+      logger.debug('Ignoring small page update:', text.length);
+      return;
+    }
+
+    logger.log(`New page content: ${blocks.length} blocks, ${text.length} chars`);
+    this.handlers.onContent?.(text, blocks);
+  }
+
+  // Hash changes (#section links) don't load a new article
+  checkUrl() {
+    const url = this.getPageUrl();
+    if (url === this.url) return false;
+
+    const previousUrl = this.url;
+    this.url = url;
+    clearTimeout(this.flushTimer);
+    this.pendingNodes.clear();
+
+    logger.log('Page URL changed:', url);
+    this.handlers.onUrlChange?.(url, previousUrl);
+    return true;
+  }
+
+  getPageUrl() {
+    return window.location.href.split('#')[0];
+  }
+
+  // Outermost text blocks under (or at) root, or root itself when it has no block structure
+  getTextBlocks(root) {
+    const blocks = root.matches(TEXT_BLOCKS) ? [root] : [...root.querySelectorAll(TEXT_BLOCKS)];
+    const outermost = blocks.filter(block =>
+      !block.closest(IGNORED_CONTAINERS) && !blocks.some(other => other !== block && other.contains(block))
+    );
+
+    if (outermost.length === 0 && root !== document.body && !root.closest(IGNORED_CONTAINERS)) {
+      return root.textContent.trim() ? [root] : [];
+    }
+    return outermost.filter(block => block.textContent.trim().length > 0);
+  }
+
+  hashBlock(block) {
+    return cache.hashString(block.textContent.replace(/\s+/g, ' ').trim());
+  }
+}
+
+// Create and export singleton instance
+const pageWatcher = new PageWatcher();
+configStore.subscribe(config => pageWatcher.configure(config));
+export default pageWatcher;
+
+// Make pageWatcher available globally for content scripts
+if (typeof window !== 'undefined') {
+  window.pageWatcher = pageWatcher;
+}
@@ -0,0 +1,338 @@
+// Pipeline Service - Claim extraction, normalization, scoring and override checks for every tab, run in the
+// background service worker: one cache and one request queue, and a claim open in several tabs is scored once
+import CONFIG from '../foundation/config.js';
+import logger from '../foundation/logger.js';
+import cache from '../foundation/cache.js';
+import configStore from '../foundation/configStore.js';
+import aiServerClient from '../routers/ai-server.js';
+import claimExtractor from './claimExtractor.js';
+import claimNormalizer from './normalizer.js';
+import scorer from './scorer.js';
+import overrideEngine from './overrideEngine.js';
+import redFlagDetector from './redFlagDetector.js';
+import Abort from '../utils/abort.js';
+
+// Messages content scripts send to background.js; each carries the page's URL as pageUrl and the run it
+// belongs to as runId (CANCEL_RUN with that runId aborts everything still working for the run)
+const MESSAGE_TYPES = new Set(['EXTRACT_CLAIMS', 'NORMALIZE_CLAIMS', 'ANALYZE_RED_FLAGS', 'PREFETCH_ASSESSMENTS', 'SCORE_CLAIM']);
+// Streamed AI assessments nobody asked for (e.g. the tab was closed) are dropped after this long
+const ASSESSMENT_TTL_MS = 5 * 60 * 1000;
+// Claims at or below this priority (viewportScheduler's visible and near) are scored in the interactive lane
+const INTERACTIVE_PRIORITY = 1;
+
+class PipelineService {
+  constructor() {
+    this.configure();
+    this.inFlight = new Map();    // Work key -> { promise, controller, waiters } shared by every tab that asks for the same thing
+    this.assessments = new Map(); // Claim key -> promise of its AI assessment from a /score-claims stream
+    this.runs = new Map();        // Tab id -> Map of run id -> AbortController
+    this.queue = [];
+    this.running = 0;
+    this.nextOrder = 0;
+  }
+
+  handles(type) {
+    return MESSAGE_TYPES.has(type);
+  }
+
+  configure(config = CONFIG) {
+    this.config = config;
+    this.maxConcurrent = config.performance?.max_concurrent_requests || 5;
+    this.batchSize = config.performance?.batch_size || 5;
+
+    // More claims may be able to start now
+    if (this.queue?.length > 0) {
+      this.pump();
+    }
+  }
+
+  // Apply stored config overrides (none restores the defaults); every module that copies from CONFIG is
+  // subscribed to configStore and re-reads it
+  applyConfig(overrides) {
+    configStore.apply(overrides);
+    logger.log('Config applied');
+  }
+
+  /**
+   * The signal a message's work runs under. Call it when the message arrives, before waiting on anything,
+   * so a CANCEL_RUN sent after it is sure to find the run.
+   * @param {string} runId - From the message; messages without one can't be cancelled
+   * @param {Object} sender - chrome.runtime.MessageSender
+   * @returns {AbortSignal|null}
+   */
+  getRunSignal(runId, sender) {
+    const tabId = sender.tab?.id;
+    if (runId === undefined || runId === null || tabId === undefined) return null;
+
+    if (!this.runs.has(tabId)) {
+      this.runs.set(tabId, new Map());
+    }
+    const tabRuns = this.runs.get(tabId);
+    if (!tabRuns.has(runId)) {
+      tabRuns.set(runId, new AbortController());
+    }
+    return tabRuns.get(runId).signal;
+  }
+
+  /**
+   * Abort a tab's run, or all of its runs (e.g. the tab was closed). Work another tab is still waiting for
+   * keeps going; everything else stops, and nothing it scored so far is cached.
+   */
+  cancelRun(tabId, runId = null) {
+    const tabRuns = this.runs.get(tabId);
+    if (!tabRuns) return;
+
+    const cancelled = runId === null ? [...tabRuns.keys()] : [runId].filter(id => tabRuns.has(id));
+    cancelled.forEach(id => {
+      tabRuns.get(id).abort();
+      tabRuns.delete(id);
+    });
+    if (tabRuns.size === 0) {
+      this.runs.delete(tabId);
+    }
+
+    if (cancelled.length > 0) {
+      logger.log(`Cancelled ${cancelled.length} run(s) for tab ${tabId}`);
+    }
+  }
+
+  /**
+   * Run the pipeline step a content script asked for
+   * @param {Object} message - { type, pageUrl, runId, ...payload }
+   * @param {Object} sender - chrome.runtime.MessageSender
+   * @param {AbortSignal} signal - From getRunSignal()
+   * @returns {Promise} The step's result (must survive structured cloning back to the tab)
+   */
+  async handleMessage(message, sender, signal = null) {
+    const pageUrl = message.pageUrl || sender.tab?.url || null;
+    signal?.throwIfAborted();
+
+    switch (message.type) {
+      case 'EXTRACT_CLAIMS':
+        return this.extractClaims(message.text, pageUrl, signal);
+      case 'NORMALIZE_CLAIMS':
+        return this.normalizeClaims(message.claims, signal);
+      case 'ANALYZE_RED_FLAGS':
+        return this.analyzeRedFlags(message.text, pageUrl, signal);
+      case 'PREFETCH_ASSESSMENTS':
+        return this.prefetchAssessments(message.claims, pageUrl, signal);
+      case 'SCORE_CLAIM':
+        return this.scoreClaim(message.claim, { article: message.article, pageUrl, priority: message.priority, signal });
+      default:
+        throw new Error(`Unknown pipeline message: ${message.type}`);
+    }
+  }
+
+  extractClaims(text, pageUrl, signal = null) {
+    return this.coalesce(`extract:${cache.hashString(text)}`,
+      workSignal => claimExtractor.extractClaims(text, { articleUrl: pageUrl, signal: workSignal, lane: 'interactive' }), signal);
+  }
+
+  async normalizeClaims(claims, signal = null) {
+    const results = await claimNormalizer.normalizeBatch(claims, { signal, lane: 'interactive' });
+    // Errors don't survive messaging, so send their text
+    return results.map(result => ({ ...result, error: result.error ? result.error.message || String(result.error) : null }));
+  }
+
+  analyzeRedFlags(text, pageUrl, signal = null) {
+    return this.coalesce(`redflags:${cache.hashString(text)}`,
+      workSignal => redFlagDetector.analyzeArticle(text, { articleUrl: pageUrl, signal: workSignal, lane: 'background' }), signal);
+  }
+
+  /**
+   * Start AI assessments for a page's claims in one streamed /score-claims request
+   * Resolves once the claims are registered (before the stream finishes), so SCORE_CLAIM messages sent
+   * afterwards wait for their streamed assessment instead of making their own request.
+   * @param {Array} normalizedClaims - In the order they should be assessed (visible first)
+   * @param {AbortSignal} signal - Aborting closes the stream; claims it hadn't delivered are scored on their own
+   *                               if another tab still wants them
+   * @returns {number} How many claims were sent
+   */
+  async prefetchAssessments(normalizedClaims, pageUrl, signal = null) {
+    if (!scorer.enabled.ai || typeof aiServerClient.scoreClaims !== 'function') return 0;
+
+    const claims = [];
+    for (const normalizedClaim of normalizedClaims) {
+      const key = this.getClaimKey(normalizedClaim);
+      if (this.assessments.has(key) || this.inFlight.has(`claim:${key}`)) continue;
+      if (await scorer.getCachedScores(normalizedClaim)) continue;
+      claims.push(normalizedClaim);
+    }
+
+    if (claims.length === 0) return 0;
+
+    const resolvers = new Map();
+    const promises = new Map();
+    claims.forEach(normalizedClaim => {
+      const key = this.getClaimKey(normalizedClaim);
+      promises.set(key, new Promise(resolve => resolvers.set(key, resolve)));
+      this.assessments.set(key, promises.get(key));
+    });
+
+    this.streamAssessments(claims, pageUrl, resolvers, signal).then(() => {
+      setTimeout(() => promises.forEach((promise, key) => {
+        if (this.assessments.get(key) === promise) this.assessments.delete(key);
+      }), ASSESSMENT_TTL_MS);
+    });
+    return claims.length;
+  }
+
+  async streamAssessments(claims, pageUrl, resolvers, signal) {
+    try {
+      console.log('[PIPELINE] Streaming AI scores for', claims.length, 'uncached claims');
+      for await (const result of aiServerClient.scoreClaims(claims, { concurrency: this.batchSize, articleUrl: pageUrl, signal, lane: 'interactive' })) {
+        if (!result.success) continue;
+        const key = this.getClaimKey(claims[result.index]);
+        resolvers.get(key)?.(result.assessment);
+        resolvers.delete(key);
+      }
+    } catch (error) {
+      if (Abort.isAbortError(error)) {
+        console.log('[PIPELINE] Batch scoring stream cancelled');
+      } else {
+        console.warn('[PIPELINE] Batch scoring stream failed, scoring remaining claims individually:', error.message);
+      }
+    }
+
+    // Claims the stream didn't deliver fall back to their own search + score round trip
+    resolvers.forEach(resolve => resolve(null));
+  }
+
+  /**
+   * Score a claim for one page
+   * The claim's own components are scored once for every tab showing it; source credibility and
+   * coherence are then added for the requesting page.
+   * @param {Object} normalizedClaim - Output of the normalizer
+   * @param {Object} options - { article, pageUrl, priority, signal } - article is the articleExtractor's { text,
+   *                            headline, byline, publishedAt, canonicalUrl }; lower priority values
+   *                            run first, and claims in or near view make their requests in the scheduler's
+   *                            interactive lane; aborting signal rejects with an AbortError
+   * @returns {Object} { claim, normalized, scores, override, finalScore }
+   */
+  async scoreClaim(normalizedClaim, options = {}) {
+    const key = this.getClaimKey(normalizedClaim);
+    const lane = (options.priority ?? 0) <= INTERACTIVE_PRIORITY ? 'interactive' : 'background';
+
+    const components = await this.coalesce(`claim:${key}`, workSignal => this.enqueue(options.priority, async () => {
+      const aiAssessment = await this.takeAssessment(key);
+      return scorer.scoreClaimComponents(normalizedClaim, { aiAssessment, pageUrl: options.pageUrl, signal: workSignal, lane });
+    }, workSignal), options.signal);
+    const scores = await scorer.withPageScores(components, normalizedClaim, { ...options, lane });
+
+    const override = await this.coalesce(`override:${key}`, workSignal => this.checkOverride(normalizedClaim, workSignal), options.signal);
+
+    return {
+      claim: normalizedClaim.original_claim,
+      normalized: normalizedClaim,
+      scores,
+      override,
+      finalScore: override?.score ?? scores.final
+    };
+  }
+
+  async checkOverride(normalizedClaim, signal = null) {
+    if (!this.config.features?.enable_override_engine) return null;
+
+    try {
+      return await overrideEngine.checkOverride(normalizedClaim, { signal, lane: 'background' });
+    } catch (error) {
+      Abort.rethrowIfAborted(error, signal);
+      logger.error('Override check failed:', error);
+      return null;
+    }
+  }
+
+  takeAssessment(key) {
+    const pending = this.assessments.get(key) || null;
+    this.assessments.delete(key);
+    return pending;
+  }
+
+  getClaimKey(normalizedClaim) {
+    return cache.hashString(normalizedClaim.original_claim.toLowerCase().trim());
+  }
+
+  /**
+   * Callers asking for work that's already running get the same promise
+   * work(workSignal) is aborted once every caller that passed a signal has aborted it (a caller without one
+   * keeps it running); a caller whose signal aborts stops waiting straight away.
+   */
+  coalesce(key, work, signal = null) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+
+    let entry = this.inFlight.get(key);
+
+    if (entry) {
+      logger.debug('Joining in-flight work:', key);
+    } else {
+      const controller = new AbortController();
+      entry = { controller, waiters: 0, promise: null };
+      entry.promise = Promise.resolve()
+        .then(() => work(controller.signal))
+        .finally(() => {
+          if (this.inFlight.get(key) === entry) this.inFlight.delete(key);
+        });
+
+      this.inFlight.set(key, entry);
+    }
+
+    if (!signal) {
+      entry.waiters = Infinity;
+      return entry.promise;
+    }
+
+    entry.waiters++;
+    signal.addEventListener('abort', () => {
+      if (--entry.waiters > 0) return;
+      // Nobody wants it any more; later callers start over rather than join the aborted work
+      if (this.inFlight.get(key) === entry) this.inFlight.delete(key);
+      entry.controller.abort();
+    }, { once: true });
+
+    return Abort.race(entry.promise, signal);
+  }
+
+  // At most performance.max_concurrent_requests claims are scored at once across all tabs, lowest priority value first.
+  // Work whose signal aborts while it's still queued is dropped without running.
+  enqueue(priority = 0, run, signal = null) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const entry = { priority, order: this.nextOrder++, run, resolve, reject };
+      this.queue.push(entry);
+      this.queue.sort((a, b) => a.priority - b.priority || a.order - b.order);
+
+      signal?.addEventListener('abort', () => {
+        const index = this.queue.indexOf(entry);
+        if (index === -1) return;
+        this.queue.splice(index, 1);
+        reject(signal.reason);
+      }, { once: true });
+
+      this.pump();
+    });
+  }
+
+  pump() {
+    while (this.queue.length > 0 && this.running < this.maxConcurrent) {
+      const entry = this.queue.shift();
+      this.running++;
+
+      Promise.resolve()
+        .then(entry.run)
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          this.running--;
+          this.pump();
+        });
+    }
+  }
+}
+
+// Create and export singleton instance
+const pipelineService = new PipelineService();
+configStore.subscribe(config => pipelineService.configure(config));
+export default pipelineService;
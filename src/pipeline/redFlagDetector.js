@@ -0,0 +1,319 @@
+// Red Flag Detector - Article-level warning signs (sensationalism, vague attribution, missing denominators,
+// self-contradiction) from heuristics plus the API server's red flag prompt (POST /detect-red-flags)
+import CONFIG from '../foundation/config.js';
+import logger from '../foundation/logger.js';
+import cache from '../foundation/cache.js';
+import configStore from '../foundation/configStore.js';
+import coherenceChecker from './coherenceChecker.js';
+import Abort from '../utils/abort.js';
+
+const FLAG_LABELS = {
+  sensationalism: 'Sensationalism',
+  vague_attribution: 'Vague attribution',
+  missing_denominator: 'Missing denominator',
+  self_contradiction: 'Self-contradiction',
+  emotional_manipulation: 'Emotional manipulation',
+  unsupported_claim: 'Extraordinary claim without evidence',
+  logical_fallacy: 'Logical fallacy'
+};
+
+const SENSATIONAL_PHRASES = /\b(shocking|you won'?t believe|doctors hate|mind-?blowing|bombshell|jaw-?dropping|unbelievable|miracle cure|what happens next|the truth about|they don'?t want you to know)\b/gi;
+const VAGUE_ATTRIBUTION = /\b((some|many) (people|experts|scientists|critics|observers) (say|said|believe|claim)|sources (say|said|claim|tell|told)|(an? )?anonymous sources?|it is (said|believed|rumou?red)|(people|everyone) (are|is) (saying|talking)|insiders (say|said|claim)|experts (say|agree|warn))\b/gi;
+const RELATIVE_CHANGE = /(\b(increased?|rose|rise|jumped|surged|soared|spiked|dropped|fell|declined|decreased|up|down)\b[^.!?]{0,40}?\d+(\.\d+)?\s*(%|percent)|\d+(\.\d+)?\s*(%|percent)\s+(increase|rise|jump|drop|decline|more|less|higher|lower)|\b\d+(\.\d+)?\s*(times|x)\s+(more|higher|greater|likelier|as likely))/i;
+
+class RedFlagDetector {
+  constructor() {
+    this._aiClient = null;
+    this.configure();
+  }
+
+  configure(config = CONFIG) {
+    this.enabled = config.features?.enable_red_flag_detection !== false;
+    this.settings = {
+      use_ai: true,
+      min_severity: 2,
+      show_banner: true,
+      adjust_claim_scores: true,
+      max_score_adjustment: 2,
+      ...config.red_flags
+    };
+  }
+
+  getAIClient() {
+    if (!this._aiClient) {
+      this._aiClient = globalThis.aiServerClient || null;
+    }
+    return this._aiClient;
+  }
+
+  /**
+   * Run the heuristic and AI passes over an article
+   * @param {string} text - Article text
+   * @param {Object} options - { articleUrl, signal, lane } - articleUrl is the page the text came from, sent along
+   *                            with the AI request; aborting signal rejects instead of caching a heuristics-only
+   *                            analysis; lane is the request scheduler's
+   * @returns {Object} { flags, manipulation_risk, coherence_score, risk_level, ai_checked, timestamp }
+   */
+  async analyzeArticle(text, options = {}) {
+    const cacheKey = cache.getRedFlagKey(cache.hashString(text));
+    const cached = await cache.get(cacheKey);
+
+    if (cached) {
+      logger.debug('Using cached red flag analysis');
+      return cached;
+    }
+
+    const flags = this.detectHeuristic(text);
+    let aiResult = null;
+
+    const aiClient = this.getAIClient();
+    if (this.settings.use_ai && aiClient && typeof aiClient.detectRedFlags === 'function') {
+      try {
+        aiResult = await aiClient.detectRedFlags(text, {
+          articleUrl: options.articleUrl,
+          signal: options.signal,
+          lane: options.lane
+        });
+        flags.push(...aiResult.red_flags.map(flag => ({
+          flag_type: this.normalizeFlagType(flag.flag_type),
+          severity: flag.severity,
+          example: flag.example || '',
+          significance: flag.significance || '',
+          source: 'ai'
+        })));
+      } catch (error) {
+        Abort.rethrowIfAborted(error, options.signal);
+        console.warn('[RED FLAGS] AI pass failed, using heuristics only:', error.message);
+      }
+    }
+
+    const merged = this.mergeFlags(flags).filter(flag => flag.severity >= this.settings.min_severity);
+    const heuristicRisk = Math.min(10, Math.round(merged.reduce((sum, flag) => sum + flag.severity, 0) / 2));
+    const manipulationRisk = typeof aiResult?.manipulation_risk === 'number'
+      ? Math.round((aiResult.manipulation_risk + heuristicRisk) / 2)
+      : heuristicRisk;
+
+    const result = {
+      flags: merged,
+      manipulation_risk: manipulationRisk,
+      coherence_score: typeof aiResult?.coherence_score === 'number' ? aiResult.coherence_score : null,
+      risk_level: manipulationRisk >= 7 ? 'high' : manipulationRisk >= 4 ? 'medium' : 'low',
+      ai_checked: aiResult !== null && !aiResult.heuristic,
+      timestamp: Date.now()
+    };
+
+    console.log(`[RED FLAGS] ${result.flags.length} flags, manipulation risk ${result.manipulation_risk}/10 (${result.risk_level})`);
+
+    await cache.set(cacheKey, result, 24); // Cache for 24 hours
+    return result;
+  }
+
+  detectHeuristic(text) {
+    const sentences = text.match(/(?:[^.!?\n]|[.!?](?=\S))+[.!?]*/g)?.map(sentence => sentence.trim()).filter(Boolean) || [];
+
+    return [
+      ...this.detectSensationalism(text),
+      ...this.detectVagueAttribution(sentences),
+      ...this.detectMissingDenominators(sentences),
+      ...this.detectSelfContradictions(sentences)
+    ];
+  }
+
+  detectSensationalism(text) {
+    const flags = [];
+
+    const phrases = [...new Set((text.match(SENSATIONAL_PHRASES) || []).map(phrase => phrase.toLowerCase()))];
+    if (phrases.length > 0) {
+      flags.push(this.createFlag('sensationalism', phrases.length > 2 ? 4 : 3, this.quoteAround(text, phrases[0]),
+        `Clickbait wording (${phrases.slice(0, 3).map(phrase => `"${phrase}"`).join(', ')})`));
+    }
+
+    // Two or more shouted words in a row; single all-caps words are usually acronyms
+    const shouting = text.match(/\b[A-Z]{3,}(?:\s+[A-Z]{2,}){1,}\b/);
+    if (shouting) {
+      flags.push(this.createFlag('sensationalism', 3, shouting[0], 'All-caps wording'));
+    }
+
+    const exclamations = text.match(/[^.!?\n]*!{2,}/);
+    if (exclamations) {
+      flags.push(this.createFlag('emotional_manipulation', 2, exclamations[0].trim(), 'Repeated exclamation marks'));
+    }
+
+    return flags;
+  }
+
+  detectVagueAttribution(sentences) {
+    const matches = sentences.filter(sentence => {
+      VAGUE_ATTRIBUTION.lastIndex = 0;
+      return VAGUE_ATTRIBUTION.test(sentence);
+    });
+
+    if (matches.length === 0) return [];
+
+    return [this.createFlag('vague_attribution', matches.length >= 3 ? 3 : 2, matches[0],
+      `${matches.length} statement${matches.length > 1 ? 's' : ''} attributed to unnamed sources`)];
+  }
+
+  detectMissingDenominators(sentences) {
+    return sentences
+      .filter(sentence => {
+        const match = sentence.match(RELATIVE_CHANGE);
+        if (!match) return false;
+
+        // A relative change is fine when the sentence also gives an absolute figure (years don't count)
+        const rest = sentence.replace(match[0], '').replace(/\b(19|20)\d{2}\b/g, '');
+        return !/\d/.test(rest);
+      })
+      .slice(0, 3)
+      .map(sentence => this.createFlag('missing_denominator', 2, sentence, 'Relative change without the base figure it is measured against'));
+  }
+
+  // Sentences about the same thing (3+ shared content words) that give different figures for the same unit
+  detectSelfContradictions(sentences) {
+    const facts = coherenceChecker.extractFacts(sentences);
+
+    const flags = [];
+    const reportedUnits = new Set();
+
+    for (let i = 0; i < facts.length && flags.length < 2; i++) {
+      for (let j = i + 1; j < facts.length; j++) {
+        const a = facts[i];
+        const b = facts[j];
+        if (a.sentence === b.sentence || a.unit !== b.unit || reportedUnits.has(a.unit)) continue;
+
+        if (coherenceChecker.isComparable(a, b) && coherenceChecker.valuesDiffer(a.value, b.value)) {
+          reportedUnits.add(a.unit);
+          flags.push(this.createFlag('self_contradiction', 3, `${a.sentence} … ${b.sentence}`,
+            `The article gives both ${a.value} and ${b.value} ${a.unit} for what looks like the same figure`));
+          break;
+        }
+      }
+    }
+
+    return flags;
+  }
+
+  createFlag(flagType, severity, example, significance) {
+    return {
+      flag_type: flagType,
+      severity: severity,
+      example: example.length > 300 ? example.substring(0, 297) + '...' : example,
+      significance: significance,
+      source: 'heuristic'
+    };
+  }
+
+  // The model names flags freely ("Vague Attribution", "cherry-picked statistics"); map them onto ours
+  normalizeFlagType(flagType) {
+    const type = (flagType || '').toLowerCase();
+
+    if (/sensation|clickbait/.test(type)) return 'sensationalism';
+    if (/attribut|anonymous|source/.test(type)) return 'vague_attribution';
+    if (/denominator|cherry|statistic/.test(type)) return 'missing_denominator';
+    if (/contradict|inconsisten/.test(type)) return 'self_contradiction';
+    if (/emotion/.test(type)) return 'emotional_manipulation';
+    if (/extraordinary|unsupported|evidence/.test(type)) return 'unsupported_claim';
+    if (/fallac|hominem|straw/.test(type)) return 'logical_fallacy';
+
+    return type.replace(/[^a-z]+/g, '_').replace(/^_|_$/g, '') || 'other';
+  }
+
+  // Both passes often quote the same passage; keep the more severe flag of each type per passage
+  mergeFlags(flags) {
+    const merged = [];
+
+    for (const flag of flags) {
+      const duplicate = merged.find(existing => existing.flag_type === flag.flag_type &&
+        this.examplesOverlap(existing.example, flag.example));
+
+      if (!duplicate) {
+        merged.push({ ...flag });
+      } else if (flag.severity > duplicate.severity) {
+        Object.assign(duplicate, flag, { source: 'both' });
+      } else {
+        duplicate.source = duplicate.source === flag.source ? duplicate.source : 'both';
+      }
+    }
+
+    return merged.sort((a, b) => b.severity - a.severity);
+  }
+
+  examplesOverlap(a, b) {
+    const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').replace(/…|\.\.\.$/g, '').trim();
+    const first = normalize(a);
+    const second = normalize(b);
+
+    return first.length > 0 && second.length > 0 && (first.includes(second) || second.includes(first));
+  }
+
+  /**
+   * Lower a scored claim's final score when it contains a flagged passage, or the whole article is high risk
+   * Overrides are authoritative and left alone.
+   * @param {Object} result - Scored claim ({ claim, finalScore, override, ... })
+   * @param {Object} analysis - Output of analyzeArticle
+   * @returns {Object} The result, with redFlags: { penalty, flags } when adjusted
+   */
+  adjustClaimResult(result, analysis) {
+    if (!this.settings.adjust_claim_scores || !analysis || result.override) return result;
+
+    const matched = analysis.flags.filter(flag => this.examplesOverlap(result.claim, flag.example));
+
+    let penalty = 0;
+    if (matched.length > 0) {
+      penalty += Math.max(...matched.map(flag => flag.severity)) >= 4 ? 2 : 1;
+    }
+    if (analysis.risk_level === 'high') {
+      penalty += 1;
+    }
+
+    penalty = Math.min(penalty, this.settings.max_score_adjustment);
+    if (penalty === 0) return result;
+
+    return {
+      ...result,
+      unadjustedScore: result.finalScore,
+      finalScore: Math.max(0, result.finalScore - penalty),
+      redFlags: { penalty, flags: matched }
+    };
+  }
+
+  // Compact form for the popup (chrome.storage)
+  summarize(analysis) {
+    if (!analysis) return null;
+
+    return {
+      count: analysis.flags.length,
+      risk_level: analysis.risk_level,
+      manipulation_risk: analysis.manipulation_risk,
+      flags: analysis.flags.slice(0, 5).map(flag => ({
+        flag_type: flag.flag_type,
+        label: this.getFlagLabel(flag.flag_type),
+        severity: flag.severity,
+        example: flag.example
+      }))
+    };
+  }
+
+  getFlagLabel(flagType) {
+    return FLAG_LABELS[flagType] || flagType.replace(/_/g, ' ').replace(/^./, letter => letter.toUpperCase());
+  }
+
+  quoteAround(text, phrase) {
+    const index = text.toLowerCase().indexOf(phrase);
+    if (index === -1) return phrase;
+
+    const start = Math.max(text.lastIndexOf('.', index) + 1, index - 80);
+    const end = text.slice(index).search(/[.!?\n]/);
+    return text.substring(start, end === -1 ? index + phrase.length + 80 : index + end + 1).trim();
+  }
+}
+
+// Create and export singleton instance
+const redFlagDetector = new RedFlagDetector();
+configStore.subscribe(config => redFlagDetector.configure(config));
+export default redFlagDetector;
+
+// Make redFlagDetector available globally for content scripts
+if (typeof window !== 'undefined') {
+  window.RedFlagDetector = redFlagDetector;
+}
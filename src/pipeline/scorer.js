@@ -2,51 +2,125 @@
 import CONFIG from '../foundation/config.js';
 import logger from '../foundation/logger.js';
 import cache from '../foundation/cache.js';
+import configStore from '../foundation/configStore.js';
 // Import router instances instead of classes for browser extension compatibility
 import scholarRouter from '../routers/scholar.js';
 import credibilityRouter from '../routers/credibility.js';
+import factCheckRouter from '../routers/factcheck.js';
+import coherenceChecker from './coherenceChecker.js';
+import Retry from '../utils/retry.js';
+import Abort from '../utils/abort.js';
 // Using global AIClient instead of import for browser extension compatibility
 
 class Scorer {
   constructor() {
     this.scholar = scholarRouter;
     this.credibility = credibilityRouter;
+    this.factCheck = factCheckRouter;
+    this.coherence = coherenceChecker;
     this._aiClient = null;
+    this.configure();
+  }
 
+  // Read weights and enabled components (again whenever the config changes)
+  configure(config = CONFIG) {
+    // ?? rather than || - a weight of 0 switches the component off
     this.weights = {
-      ai: CONFIG.scoring.ai?.weight || 0.40,
-      source_credibility: CONFIG.scoring.source_credibility?.weight || 0.30,
-      scholarly: CONFIG.scoring.scholarly?.weight || 0.30
+      ai: config.scoring.ai?.weight ?? 0.40,
+      fact_checker: config.scoring.fact_checker?.weight ?? 0.35,
+      source_credibility: config.scoring.source_credibility?.weight ?? 0.30,
+      scholarly: config.scoring.scholarly?.weight ?? 0.30,
+      coherence: config.scoring.coherence?.weight ?? 0.15
     };
 
     this.enabled = {
-      ai: CONFIG.scoring.ai?.enabled !== false,
-      source_credibility: CONFIG.scoring.source_credibility?.enabled !== false,
-      scholarly: CONFIG.scoring.scholarly?.enabled !== false
+      ai: config.scoring.ai?.enabled !== false,
+      fact_checker: config.scoring.fact_checker?.enabled !== false,
+      source_credibility: config.scoring.source_credibility?.enabled !== false,
+      scholarly: config.scoring.scholarly?.enabled !== false,
+      coherence: config.scoring.coherence?.enabled !== false
     };
+
+    // Cached scores only hold what was enabled when they were scored, so each combination gets its own entries
+    const enabledSources = sources => sources.filter(source => source.enabled);
+    this.componentsHash = cache.hashString(JSON.stringify([
+      this.enabled,
+      cache.getSourcesHash(enabledSources(config.apis.scholar_sources)),
+      cache.getSourcesHash(enabledSources(config.apis.fact_checkers))
+    ]));
   }
 
   getAIClient() {
     if (!this._aiClient) {
       // Lazy initialization - use global aiServerClient instance if available
-      if (typeof window !== 'undefined' && window.aiServerClient) {
+      if (globalThis.aiServerClient) {
         console.log('[SCORER] Using global aiServerClient instance');
-        this._aiClient = window.aiServerClient;
-      } else if (typeof window !== 'undefined' && window.aiClient) {
+        this._aiClient = globalThis.aiServerClient;
+      } else if (globalThis.aiClient) {
         console.log('[SCORER] Fallback to global aiClient instance');
-        this._aiClient = window.aiClient;
+        this._aiClient = globalThis.aiClient;
       } else {
-        console.error('[SCORER] ❌ AIClient not available in window object');
-        throw new Error('AIClient not loaded. Make sure ai-server.js is imported in content.js');
+        console.error('[SCORER] ❌ AIClient not available in global scope');
+        throw new Error('AIClient not loaded. Make sure ai-server.js is imported in background.js');
       }
     }
     return this._aiClient;
   }
 
-  async scoreClaim(normalizedClaim) {
+  // Record on each component the circuit breakers of its hosts that weren't closed, e.g.
+  // breakers: [{ name: 'Google Scholar', host: 'scholar.google.com', state: 'open' }] - the sources it scored without
+  addTrippedBreakers(scores, components) {
+    const aiHosts = this._aiClient?.getHosts?.() || [];
+    const hostsByComponent = {
+      ai: [...aiHosts, ...this.scholar.getHosts()],
+      scholarly: [...this.scholar.getHosts(), ...aiHosts],
+      fact_checker: this.factCheck.getHosts(),
+      source_credibility: this.credibility.getHosts()
+    };
+
+    components.filter(component => scores[component]).forEach(component => {
+      const breakers = hostsByComponent[component]
+        .map(({ name, host }) => ({ name, host, state: Retry.getCircuitBreakerState(host).state }))
+        .filter(breaker => breaker.state !== 'closed');
+
+      if (breakers.length > 0) {
+        scores[component].breakers = breakers;
+      }
+    });
+  }
+
+  getScoresKey(normalizedClaim) {
+    return cache.generateKey('scores', this.componentsHash, cache.hashString(normalizedClaim.original_claim));
+  }
+
+  async getCachedScores(normalizedClaim) {
+    return cache.get(this.getScoresKey(normalizedClaim));
+  }
+
+  /**
+   * Score a claim from every enabled source
+   * @param {Object} normalizedClaim - Output of the normalizer
+   * @param {Object} options - { aiAssessment } an assessment already fetched via /score-claims,
+   *                           used instead of a separate search + score round trip
+   *                           { article } { text, headline, byline, publishedAt, canonicalUrl } of the page the claim
+   *                           came from (see articleExtractor), for the coherence component
+   *                           { pageUrl } URL of that page, for the source credibility component
+   */
+  async scoreClaim(normalizedClaim, options = {}) {
+    const result = await this.scoreClaimComponents(normalizedClaim, options);
+    return this.withPageScores(result, normalizedClaim, options);
+  }
+
+  // The components that depend only on the claim (AI, fact-checks, scholarly) - cached and shared by every page.
+  // Aborting options.signal rejects instead of returning (or caching) scores missing the cancelled components.
+  // options.lane is the request scheduler lane for the components' requests; options.pageUrl is sent to the API
+  // server as the article they're for (the service worker has no page of its own).
+  async scoreClaimComponents(normalizedClaim, options = {}) {
+    const { signal, lane, pageUrl } = options;
+    const request = { signal, lane, articleUrl: pageUrl };
     logger.log('Starting claim scoring for:', normalizedClaim.original_claim);
 
-    const cacheKey = cache.generateKey('scores', cache.hashString(normalizedClaim.original_claim));
+    const cacheKey = this.getScoresKey(normalizedClaim);
     const cached = await cache.get(cacheKey);
 
     if (cached) {
@@ -58,33 +132,37 @@ class Scorer {
     console.log('[SCORER] No cached scores found, running fresh scoring for:', normalizedClaim.original_claim.substring(0, 50) + '...');
     console.log('[SCORER] Enabled scoring methods:', {
       ai: this.enabled.ai,
+      fact_checker: this.enabled.fact_checker,
       source_credibility: this.enabled.source_credibility,
-      scholarly: this.enabled.scholarly
+      scholarly: this.enabled.scholarly,
+      coherence: this.enabled.coherence
     });
 
     const scores = {};
     const promises = [];
 
-    // Score from source credibility (parallel)
-    if (this.enabled.source_credibility) {
-      console.log('[SCORER] Adding source credibility scoring');
-      promises.push(this.scoreFromCredibility(normalizedClaim, scores));
+    // Score from published fact-checks (parallel)
+    if (this.enabled.fact_checker) {
+      console.log('[SCORER] Adding fact-checker scoring');
+      promises.push(this.scoreFromFactCheckers(normalizedClaim, scores, request));
     }
 
     // Score from scholarly sources with AI assessment (parallel)
     if (this.enabled.scholarly) {
       console.log('[SCORER] Adding scholarly scoring (using OpenAI via API server)');
-      promises.push(this.scoreFromScholarly(normalizedClaim, scores));
+      promises.push(this.scoreFromScholarly(normalizedClaim, scores, request));
     }
 
     // Score from AI assessment (parallel)
     if (this.enabled.ai) {
       console.log('[SCORER] Adding AI-based scoring');
-      promises.push(this.scoreFromAI(normalizedClaim, scores));
+      promises.push(this.scoreFromAI(normalizedClaim, scores, options.aiAssessment, request));
     }
 
     // Execute all scoring in parallel
     await Promise.allSettled(promises);
+    signal?.throwIfAborted();
+    this.addTrippedBreakers(scores, ['fact_checker', 'scholarly', 'ai']);
 
     // Calculate final weighted score
     const finalScore = this.calculateFinalScore(scores);
@@ -100,31 +178,72 @@ class Scorer {
     return result;
   }
 
-  async scoreFromAI(normalizedClaim, scores) {
+  // Source credibility and coherence depend on the page, not just the claim, so they're added after the per-claim cache
+  async withPageScores(result, normalizedClaim, options = {}) {
+    const scores = { ...result.components };
+    const promises = [];
+
+    if (this.enabled.source_credibility && options.pageUrl) {
+      console.log('[SCORER] Adding source credibility scoring');
+      promises.push(this.scoreFromCredibility(options.pageUrl, scores, { signal: options.signal, lane: options.lane }));
+    }
+
+    if (this.enabled.coherence && options.article?.text) {
+      promises.push(this.scoreFromCoherence(normalizedClaim, scores, options.article));
+    }
+
+    await Promise.allSettled(promises);
+    options.signal?.throwIfAborted();
+    this.addTrippedBreakers(scores, ['source_credibility']);
+
+    return {
+      ...result,
+      components: scores,
+      // Recomputed even without page components - the cached final used the weights of the time
+      final: this.calculateFinalScore(scores),
+      confidence: this.calculateOverallConfidence(scores)
+    };
+  }
+
+  async scoreFromAI(normalizedClaim, scores, precomputedAssessment = null, request = {}) {
     try {
       logger.debug('Scoring from AI assessment');
       
-      const aiClient = this.getAIClient();
-      
-      // Get scholarly search results for evidence
-      const searchResults = await this.scholar.searchClaim(
-        normalizedClaim.original_claim,
-        normalizedClaim.claim_type
-      );
+      let assessment = precomputedAssessment;
 
-      console.log('[AI SCORING] Search results found:', searchResults.length);
+      if (assessment) {
+        console.log('[AI SCORING] Using assessment from batch scoring');
+      } else {
+        // Throws into the error score below when no AI client is loaded
+        this.getAIClient();
 
-      // Use AI to assess evidence from all sources (this is the main AI scoring)
-      const assessment = await this.assessScholarlyEvidence(normalizedClaim, searchResults);
+        // Get scholarly search results for evidence
+        const searchResults = await this.scholar.searchClaim(
+          normalizedClaim.original_claim,
+          normalizedClaim.claim_type,
+          request
+        );
+
+        console.log('[AI SCORING] Search results found:', searchResults.length);
+
+        // Use AI to assess evidence from all sources (this is the main AI scoring)
+        assessment = await this.assessScholarlyEvidence(normalizedClaim, searchResults, request);
+      }
 
       scores.ai = {
         score: assessment.overall_score,
-        confidence: assessment.confidence,
+        // The server had to re-prompt to get valid output, so trust it a notch less
+        confidence: assessment.repaired ? this.lowerConfidence(assessment.confidence) : assessment.confidence,
         assessment: assessment.assessment,
-        findings: assessment.findings
+        findings: assessment.findings,
+        repaired: assessment.repaired === true,
+        // The server ran out of daily budget and fell back to heuristics
+        heuristic: assessment.heuristic === true
       };
 
     } catch (error) {
+      // Cancelled: scoreClaimComponents throws the scores away, so there's nothing to record
+      if (request.signal?.aborted) return;
       logger.error('AI scoring failed:', error);
       console.error('[AI SCORING] Error:', error);
       scores.ai = {
@@ -135,14 +254,13 @@ class Scorer {
     }
   }
 
-  async scoreFromCredibility(normalizedClaim, scores) {
+  async scoreFromCredibility(pageUrl, scores, request = {}) {
     try {
       logger.debug('Scoring from source credibility');
 
-      // Extract domain from current page
-      const domain = window.location.hostname;
+      const domain = new URL(pageUrl).hostname;
 
-      const result = await this.credibility.checkDomain(domain);
+      const result = await this.credibility.checkDomain(domain, request);
 
       scores.source_credibility = {
         score: result.overall.score,
@@ -152,6 +270,7 @@ class Scorer {
         sources: result.sources
       };
     } catch (error) {
+      if (request.signal?.aborted) return;
       logger.error('Credibility scoring failed:', error);
       scores.source_credibility = {
         score: 5,
@@ -161,13 +280,68 @@ class Scorer {
     }
   }
 
-  async scoreFromScholarly(normalizedClaim, scores) {
+  async scoreFromFactCheckers(normalizedClaim, scores, request = {}) {
+    try {
+      logger.debug('Scoring from fact-checkers');
+
+      const result = await this.factCheck.checkClaim(normalizedClaim, request);
+
+      console.log('[FACT CHECK] Matching reviews found:', result.reviews.length);
+
+      // score stays null without rated reviews, which keeps the component out of the weighted average
+      scores.fact_checker = {
+        score: result.overall.score,
+        confidence: result.overall.confidence,
+        assessment: result.overall.assessment,
+        reviews: result.reviews.slice(0, 3),
+        review_count: result.reviews.length
+      };
+    } catch (error) {
+      if (request.signal?.aborted) return;
+      logger.error('Fact-checker scoring failed:', error);
+      scores.fact_checker = {
+        score: null,
+        confidence: null,
+        error: error.message
+      };
+    }
+  }
+
+  async scoreFromCoherence(normalizedClaim, scores, article) {
+    try {
+      logger.debug('Scoring from article coherence');
+
+      const context = await this.coherence.getArticleContext(article.text, article.headline || '');
+      const result = this.coherence.checkClaim(normalizedClaim.original_claim, context);
+
+      console.log('[COHERENCE] Issues found:', result.issues.length);
+
+      // score stays null when nothing else in the article covers the claim
+      scores.coherence = {
+        score: result.score,
+        confidence: result.confidence,
+        assessment: result.assessment,
+        issues: result.issues,
+        corroborations: result.corroborations
+      };
+    } catch (error) {
+      logger.error('Coherence scoring failed:', error);
+      scores.coherence = {
+        score: null,
+        confidence: null,
+        error: error.message
+      };
+    }
+  }
+
+  async scoreFromScholarly(normalizedClaim, scores, request = {}) {
     try {
       logger.debug('Scoring from scholarly sources');
 
       const searchResults = await this.scholar.searchClaim(
         normalizedClaim.original_claim,
-        normalizedClaim.claim_type
+        normalizedClaim.claim_type,
+        request
       );
 
       console.log('[SCHOLARLY] Search results found:', searchResults.length);
@@ -185,6 +359,7 @@ class Scorer {
       };
 
     } catch (error) {
+      if (request.signal?.aborted) return;
       logger.error('Scholarly scoring failed:', error);
       console.error('[SCHOLARLY] Error:', error);
       scores.scholarly = {
@@ -223,7 +398,7 @@ class Scorer {
   }
 
 
-  async assessScholarlyEvidence(normalizedClaim, searchResults) {
+  async assessScholarlyEvidence(normalizedClaim, searchResults, request = {}) {
     console.log('[SCORING] Claim:', normalizedClaim.original_claim);
     console.log('[SCORING] Search results from extension:', searchResults.length);
 
@@ -235,7 +410,7 @@ class Scorer {
       if (aiClient && typeof aiClient.searchEvidence === 'function') {
         console.log('[SCORING] Searching for additional evidence via API server...');
         try {
-          const serverEvidence = await aiClient.searchEvidence(normalizedClaim.original_claim);
+          const serverEvidence = await aiClient.searchEvidence(normalizedClaim.original_claim, request);
           if (serverEvidence && serverEvidence.length > 0) {
             console.log(`[SCORING] ✅ API server found ${serverEvidence.length} additional evidence items`);
             allEvidence = [...searchResults, ...serverEvidence];
@@ -243,6 +418,7 @@ class Scorer {
             console.log('[SCORING] API server found no additional evidence');
           }
         } catch (evidenceError) {
+          Abort.rethrowIfAborted(evidenceError, request.signal);
           console.warn('[SCORING] API evidence search failed, continuing with extension results:', evidenceError.message);
         }
       }
@@ -261,7 +437,7 @@ class Scorer {
       // Use API server's scoreEvidence method if available
       if (aiClient && typeof aiClient.scoreEvidence === 'function') {
         console.log('[SCORING] Using API server scoreEvidence method');
-        const assessment = await aiClient.scoreEvidence(normalizedClaim.original_claim, allEvidence);
+        const assessment = await aiClient.scoreEvidence(normalizedClaim.original_claim, allEvidence, request);
         
         console.log('[SCORING] ✅ OpenAI score:', assessment.overall_score, '/10');
         console.log('[SCORING] Confidence:', assessment.confidence);
@@ -273,7 +449,8 @@ class Scorer {
         console.log('[SCORING] Using fallback query method');
         const response = await aiClient.query(prompt, {
           temperature: 0.2,
-          max_tokens: 1500
+          max_tokens: 1500,
+          ...request
         });
 
         console.log('[SCORING] Raw AI response:', response);
@@ -303,6 +480,8 @@ class Scorer {
       }
 
     } catch (error) {
+      // No fallback for a cancelled claim; scoreClaimComponents discards its scores
+      Abort.rethrowIfAborted(error, request.signal);
       logger.error('Scholarly evidence assessment failed:', error);
       console.error('[SCORING] ❌ Error:', error);
     }
@@ -388,6 +567,13 @@ class Scorer {
     return 'low';
   }
 
+  lowerConfidence(confidence) {
+    switch (confidence) {
+      case 'high': return 'medium';
+      default: return 'low';
+    }
+  }
+
   // Utility methods
   calculateTextSimilarity(text1, text2) {
     const words1 = new Set(text1.toLowerCase().split(/\s+/));
@@ -415,6 +601,7 @@ class Scorer {
 
 // Create and export singleton instance
 const scorer = new Scorer();
+configStore.subscribe(config => scorer.configure(config));
 export default scorer;
 
 // Make scorer available globally for content scripts
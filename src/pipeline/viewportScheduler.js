@@ -0,0 +1,217 @@
+// Viewport Scheduler - Run per-claim work in reading order of importance: claims on screen first,
+// then the ones just below the fold, then the rest of the page
+import CONFIG from '../foundation/config.js';
+import logger from '../foundation/logger.js';
+import configStore from '../foundation/configStore.js';
+
+const PRIORITY = {
+  visible: 0,
+  near: 1,      // Within viewport.prefetch_screens below the fold
+  offscreen: 2,
+  unknown: 3    // Claim wasn't found on the page
+};
+
+class ViewportScheduler {
+  constructor() {
+    this.configure();
+    this.queue = [];
+    this.running = 0;
+    this.nextOrder = 0;
+    this.visibility = new Map(); // Element -> { visible, near }
+    this.visibleObserver = null;
+    this.nearObserver = null;
+  }
+
+  configure(config = CONFIG) {
+    const previousScreens = this.settings?.prefetch_screens;
+
+    this.maxConcurrent = config.performance?.max_concurrent_requests || 5;
+    this.settings = {
+      prefetch_screens: 1,
+      reserved_slots: 1,
+      ...config.viewport
+    };
+
+    // The near observer's margin is fixed when it's created, so re-observe queued claims with the new one
+    if (this.nearObserver && previousScreens !== this.settings.prefetch_screens) {
+      const elements = [...this.visibility.keys()];
+      this.visibleObserver.disconnect();
+      this.nearObserver.disconnect();
+      this.visibleObserver = null;
+      this.nearObserver = null;
+      this.visibility.clear();
+      elements.forEach(element => this.observe(element));
+    }
+
+    // More slots may be free now
+    if (this.queue?.length > 0) {
+      this.pump();
+    }
+  }
+
+  /**
+   * Queue tasks and run them visible-first, at most performance.max_concurrent_requests at a time
+   * @param {Array} tasks - [{ element, run }]; element locates the claim on the page (null if it isn't there),
+   *                        run() returns a promise
+   * @returns {Promise<Array>} Results in task order; null for tasks that failed or were cancelled
+   */
+  schedule(tasks) {
+    // Queue the whole set before starting any, so the first task in document order doesn't jump the line
+    const promises = tasks.map(task => this.enqueue(task));
+    this.pump();
+    return Promise.all(promises);
+  }
+
+  scheduleOne(task) {
+    const promise = this.enqueue(task);
+    this.pump();
+    return promise;
+  }
+
+  enqueue(task) {
+    const promise = new Promise(resolve => {
+      this.queue.push({ element: task.element || null, run: task.run, resolve, order: this.nextOrder++ });
+    });
+
+    if (task.element) {
+      this.observe(task.element);
+    }
+
+    return promise;
+  }
+
+  // Drop everything still queued (e.g. the page navigated away); running tasks finish on their own
+  cancel() {
+    const cancelled = this.queue.length;
+    this.queue.forEach(entry => entry.resolve(null));
+    this.queue = [];
+
+    this.visibleObserver?.disconnect();
+    this.nearObserver?.disconnect();
+    this.visibility.clear();
+
+    if (cancelled > 0) {
+      logger.log(`Cancelled ${cancelled} queued claims`);
+    }
+  }
+
+  // Order items the same way the queue would (for work that's sent to the server in one request)
+  sortByPriority(items, getElement) {
+    return items
+      .map((item, index) => ({ item, index, priority: this.getPriority(getElement(item)) }))
+      .sort((a, b) => a.priority - b.priority || a.index - b.index)
+      .map(entry => entry.item);
+  }
+
+  pump() {
+    while (this.queue.length > 0 && this.running < this.maxConcurrent) {
+      const index = this.findNext();
+      const entry = this.queue[index];
+
+      // Keep a slot free for claims the reader scrolls to while off-screen work is running
+      if (this.getPriority(entry.element) >= PRIORITY.offscreen &&
+          this.running >= Math.max(1, this.maxConcurrent - this.settings.reserved_slots)) {
+        break;
+      }
+
+      this.queue.splice(index, 1);
+      this.run(entry);
+    }
+  }
+
+  run(entry) {
+    this.running++;
+
+    Promise.resolve()
+      .then(() => entry.run())
+      .then(result => entry.resolve(result), error => {
+        // Cancelled tasks resolve to null like the ones cancel() drops from the queue
+        if (error?.name !== 'AbortError') {
+          logger.error('Scheduled task failed:', error);
+        }
+        entry.resolve(null);
+      })
+      .finally(() => {
+        this.running--;
+        this.unobserve(entry.element);
+        this.pump();
+      });
+  }
+
+  findNext() {
+    let best = 0;
+
+    for (let i = 1; i < this.queue.length; i++) {
+      const difference = this.getPriority(this.queue[i].element) - this.getPriority(this.queue[best].element);
+      if (difference < 0 || (difference === 0 && this.queue[i].order < this.queue[best].order)) {
+        best = i;
+      }
+    }
+
+    return best;
+  }
+
+  getPriority(element) {
+    if (!element || !element.isConnected) return PRIORITY.unknown;
+
+    const state = this.visibility.get(element) || this.measure(element);
+    if (state.visible) return PRIORITY.visible;
+    return state.near ? PRIORITY.near : PRIORITY.offscreen;
+  }
+
+  // Synchronous first reading - IntersectionObserver only reports after the next frame
+  measure(element) {
+    const rect = element.getBoundingClientRect();
+    const viewportHeight = window.innerHeight;
+
+    return {
+      visible: rect.bottom > 0 && rect.top < viewportHeight,
+      near: rect.bottom > 0 && rect.top < viewportHeight * (1 + this.settings.prefetch_screens)
+    };
+  }
+
+  observe(element) {
+    if (this.visibility.has(element)) return;
+
+    if (!this.visibleObserver) {
+      this.visibleObserver = new IntersectionObserver(entries => this.handleIntersections(entries, 'visible'));
+      this.nearObserver = new IntersectionObserver(entries => this.handleIntersections(entries, 'near'), {
+        rootMargin: `0px 0px ${this.settings.prefetch_screens * 100}% 0px`
+      });
+    }
+
+    this.visibility.set(element, this.measure(element));
+    this.visibleObserver.observe(element);
+    this.nearObserver.observe(element);
+  }
+
+  unobserve(element) {
+    if (!element || this.queue.some(entry => entry.element === element)) return;
+
+    this.visibleObserver?.unobserve(element);
+    this.nearObserver?.unobserve(element);
+    this.visibility.delete(element);
+  }
+
+  handleIntersections(entries, key) {
+    entries.forEach(entry => {
+      const state = this.visibility.get(entry.target);
+      if (state) {
+        state[key] = entry.isIntersecting;
+      }
+    });
+
+    // Something may have scrolled into view while off-screen work was waiting for a slot
+    this.pump();
+  }
+}
+
+// Create and export singleton instance
+const viewportScheduler = new ViewportScheduler();
+configStore.subscribe(config => viewportScheduler.configure(config));
+export default viewportScheduler;
+
+// Make viewportScheduler available globally for content scripts
+if (typeof window !== 'undefined') {
+  window.viewportScheduler = viewportScheduler;
+}
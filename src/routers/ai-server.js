@@ -1,80 +1,155 @@
 // AI Client for TruthCheck API Server
 // This replaces the direct OpenAI/Gemini calls with API server calls
+import CONFIG from '../foundation/config.js';
+import configStore from '../foundation/configStore.js';
+import requestScheduler from '../foundation/requestScheduler.js';
+import Retry from '../utils/retry.js';
+import Abort from '../utils/abort.js';
 
 class AIServerClient {
   constructor() {
-    this.apiBaseUrl = 'http://localhost:3001';
     this.timeout = 15000;
     this.retries = 3;
+    this.configure();
+  }
+
+  // Read the server URL and token (again whenever the config changes)
+  configure(config = CONFIG) {
+    this.apiBaseUrl = config.apis.api_server?.url || 'http://localhost:3001';
+    this.clientToken = config.apis.api_server?.client_token || null;
+  }
+
+  // [{ name, host }] of the server, for reporting its circuit breaker
+  getHosts() {
+    return [{ name: 'API server', host: new URL(this.apiBaseUrl).host }];
+  }
+
+  // articleUrl: page the request is for - needed in the service worker, where there's no window.location
+  getHeaders(articleUrl = null) {
+    const headers = {
+      'Content-Type': 'application/json',
+    };
+
+    // Issued by the server admin; the server rejects requests without one unless REQUIRE_AUTH=false
+    if (this.clientToken) {
+      headers['Authorization'] = `Bearer ${this.clientToken}`;
+    }
+
+    // Lets the server break usage down per article
+    const url = articleUrl || (typeof window !== 'undefined' ? window.location?.href : null);
+    if (url) {
+      headers['X-TruthCheck-Article-URL'] = url;
+    }
+
+    return headers;
+  }
+
+  // Turn a failed response into an Error carrying the status and, for 429s (or a Retry-After), how long to back off
+  async responseError(response) {
+    let message = `HTTP ${response.status}: ${response.statusText}`;
+    try {
+      const data = await response.json();
+      if (data.error) message = `HTTP ${response.status}: ${data.error}`;
+    } catch (parseError) {
+      // Non-JSON error body - keep the status text
+    }
+
+    const error = new Error(message);
+    error.status = response.status;
+
+    if (response.status === 401) {
+      console.error('[AI SERVER] ❌ Rejected by API server - enter the client token under API Server on the options page');
+    }
+    if (response.status === 429 || response.headers.has('Retry-After')) {
+      const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+      error.retryAfter = Number.isNaN(retryAfter) ? 60 : retryAfter;
+    }
+
+    return error;
+  }
+
+  // Request an endpoint through the request scheduler and the server's circuit breaker, so while the server is down
+  // requests fail fast instead of each waiting out a timeout. Resolves with the response once it's ok.
+  send(path, init, retryOptions = {}) {
+    return Retry.getCircuitBreaker(new URL(this.apiBaseUrl).host)(async () => {
+      const response = await requestScheduler.fetch(`${this.apiBaseUrl}${path}`, init);
+
+      if (!response.ok) {
+        throw await this.responseError(response);
+      }
+      return response;
+    }, { maxRetries: 0, signal: init.signal, ...retryOptions });
   }
 
   async query(prompt, options = {}) {
     console.log('[AI SERVER] Making request to local API server...');
-    
-    for (let attempt = 1; attempt <= this.retries; attempt++) {
-      try {
-        const response = await fetch(`${this.apiBaseUrl}/extract-claims`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            text: prompt,
-            model: options.model || 'gpt-4o-mini',
-            max_tokens: options.max_tokens || 3000
-          })
-        });
-
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
+    return this.requestClaims(prompt, options);
+  }
 
-        const data = await response.json();
-        
-        if (!data.success) {
-          throw new Error(data.error || 'API request failed');
-        }
+  // Send a whole article; the server chunks long text and returns start/end offsets for each claim
+  async extractClaims(text, options = {}) {
+    console.log(`[AI SERVER] Extracting claims from article (${text.length} chars)...`);
+    return this.requestClaims(text, options);
+  }
 
-        console.log(`[AI SERVER] ✅ Successfully extracted ${data.claims.length} claims`);
-        
-        // Convert to the format expected by claimExtractor
-        return data.claims.map(claim => ({
-          text: claim.text,
-          confidence: claim.confidence,
-          type: claim.type || 'other'
-        }));
-
-      } catch (error) {
-        console.error(`[AI SERVER] Attempt ${attempt}/${this.retries} failed:`, error.message);
-        
-        if (attempt === this.retries) {
-          throw error;
-        }
-        
-        // Wait before retry
-        await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
-      }
+  // options.signal cancels the request, including a wait between attempts; options.lane is the request scheduler's
+  async requestClaims(text, options = {}) {
+    const response = await this.send('/extract-claims', {
+      method: 'POST',
+      headers: this.getHeaders(options.articleUrl),
+      body: JSON.stringify({
+        text: text,
+        model: options.model || 'gpt-4o-mini',
+        max_tokens: options.max_tokens || 3000,
+        chunk_size: options.chunk_size,
+        chunk_overlap: options.chunk_overlap
+      }),
+      signal: options.signal,
+      lane: options.lane
+    }, {
+      maxRetries: this.retries - 1,
+      baseDelay: 1000,
+      // Retrying won't help a bad token, and a quota that resets in minutes isn't worth waiting on
+      // (Retry-After is honoured for shorter ones)
+      retryCondition: (error, attempt, maxRetries) =>
+        attempt < maxRetries && error.status !== 401 && !(error.retryAfter > 30)
+    });
+
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.error || 'API request failed');
     }
+
+    console.log(`[AI SERVER] ✅ Successfully extracted ${data.claims.length} claims from ${data.chunks || 1} chunk(s)`);
+
+    // Convert to the format expected by claimExtractor
+    // Repaired output came from a re-prompt, so callers may want to trust it less
+    return data.claims.map(claim => ({
+      text: claim.text,
+      confidence: claim.confidence,
+      type: claim.type || 'other',
+      start: typeof claim.start === 'number' ? claim.start : null,
+      end: typeof claim.end === 'number' ? claim.end : null,
+      repaired: data.repaired === true
+    }));
   }
 
-  async searchEvidence(claim) {
+  // options.articleUrl is the page the claim came from, for the server's per-article usage; signal and lane as above
+  async searchEvidence(claim, options = {}) {
     console.log('[AI SERVER] Searching for evidence...');
     
     try {
-      const response = await fetch(`${this.apiBaseUrl}/search-evidence`, {
+      const response = await this.send('/search-evidence', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: this.getHeaders(options.articleUrl),
         body: JSON.stringify({
           claim: claim
-        })
+        }),
+        signal: options.signal,
+        lane: options.lane
       });
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
       const data = await response.json();
       
       if (!data.success) {
@@ -86,32 +161,30 @@ class AIServerClient {
       return data.evidence || [];
 
     } catch (error) {
+      // Cancelled, not failed: no evidence would be mistaken for an answer
+      Abort.rethrowIfAborted(error, options.signal);
       console.error('[AI SERVER] Evidence search failed:', error.message);
       // Return empty array on failure instead of throwing
       return [];
     }
   }
 
-  async scoreEvidence(claim, searchResults = []) {
+  async scoreEvidence(claim, searchResults = [], options = {}) {
     console.log('[AI SERVER] Scoring evidence for claim...');
     
     try {
-      const response = await fetch(`${this.apiBaseUrl}/score-evidence`, {
+      const response = await this.send('/score-evidence', {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: this.getHeaders(options.articleUrl),
         body: JSON.stringify({
           claim: claim,
           search_results: searchResults,
           model: 'gpt-4o-mini'
-        })
+        }),
+        signal: options.signal,
+        lane: options.lane
       });
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
       const data = await response.json();
       
       if (!data.success) {
@@ -123,7 +196,9 @@ class AIServerClient {
       return {
         overall_score: data.score,
         confidence: data.confidence,
-        assessment: data.assessment
+        assessment: data.assessment,
+        repaired: data.repaired === true,
+        heuristic: data.heuristic === true
       };
 
     } catch (error) {
@@ -132,10 +207,121 @@ class AIServerClient {
     }
   }
 
+  // Score many claims in one request; yields each result as the server streams it back (SSE)
+  // Results arrive in completion order, so use result.index to match them to the input claims.
+  // Aborting options.signal closes the stream; the server stops scoring claims for it
+  async *scoreClaims(claims, options = {}) {
+    console.log(`[AI SERVER] Batch scoring ${claims.length} claims...`);
+
+    const response = await this.send('/score-claims', {
+      method: 'POST',
+      headers: this.getHeaders(options.articleUrl),
+      body: JSON.stringify({
+        claims: claims.map(claim => (typeof claim === 'string' ? claim : claim.original_claim)),
+        concurrency: options.concurrency || 3,
+        model: options.model || 'gpt-4o-mini'
+      }),
+      signal: options.signal,
+      lane: options.lane
+    });
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const event = this.parseSSEEvent(buffer.substring(0, boundary));
+        buffer = buffer.substring(boundary + 2);
+
+        if (event.type === 'done') {
+          console.log(`[AI SERVER] ✅ Batch scoring done (${event.data.count - event.data.failed}/${event.data.count} succeeded)`);
+          return;
+        }
+
+        if (event.type === 'result') {
+          const result = event.data;
+          yield {
+            index: result.index,
+            success: result.success,
+            error: result.error || null,
+            evidence_count: result.evidence_count || 0,
+            assessment: result.success ? {
+              overall_score: result.score,
+              confidence: result.confidence,
+              assessment: result.assessment,
+              repaired: result.repaired === true,
+              heuristic: result.heuristic === true
+            } : null
+          };
+        }
+      }
+    }
+
+    throw new Error('Batch scoring stream ended before completion');
+  }
+
+  parseSSEEvent(block) {
+    const event = { type: 'message', data: null };
+    const dataLines = [];
+
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) {
+        event.type = line.substring(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.substring(5).trim());
+      }
+    });
+
+    if (dataLines.length > 0) {
+      event.data = JSON.parse(dataLines.join('\n'));
+    }
+    return event;
+  }
+
+  // Article-level red flags from the server's red flag prompt
+  // Returns { red_flags, coherence_score, manipulation_risk, heuristic }; heuristic means the server skipped the LLM
+  async detectRedFlags(text, options = {}) {
+    console.log(`[AI SERVER] Detecting red flags (${text.length} chars)...`);
+
+    const response = await this.send('/detect-red-flags', {
+      method: 'POST',
+      headers: this.getHeaders(options.articleUrl),
+      body: JSON.stringify({
+        text: text,
+        model: options.model || 'gpt-4o-mini'
+      }),
+      signal: options.signal,
+      lane: options.lane
+    });
+
+    const data = await response.json();
+
+    if (!data.success) {
+      throw new Error(data.error || 'Red flag detection failed');
+    }
+
+    console.log(`[AI SERVER] ✅ Found ${data.red_flags.length} red flags`);
+
+    return {
+      red_flags: data.red_flags,
+      coherence_score: data.coherence_score,
+      manipulation_risk: data.manipulation_risk,
+      heuristic: data.heuristic === true
+    };
+  }
+
   // Health check method
   async healthCheck() {
     try {
-      const response = await fetch(`${this.apiBaseUrl}/health`);
+      const response = await this.send('/health', { headers: this.getHeaders() });
       const data = await response.json();
       return data.status === 'OK';
     } catch (error) {
@@ -147,10 +333,9 @@ class AIServerClient {
 
 // Create and export singleton instance
 const aiServerClient = new AIServerClient();
+configStore.subscribe(config => aiServerClient.configure(config));
 
-// Make available globally for content scripts
-if (typeof window !== 'undefined') {
-  window.aiServerClient = aiServerClient;
-}
+// Make available globally for the pipeline modules (window in pages, the worker's global scope in background.js)
+globalThis.aiServerClient = aiServerClient;
 
 export default aiServerClient;
@@ -1,23 +1,34 @@
-// AI Client - OpenAI/Anthropic API wrapper with retry logic and rate limiting
+// AI Client - OpenAI/Anthropic API wrapper with retry logic; rate limits are the request scheduler's
 import CONFIG from '../foundation/config.js';
 import logger from '../foundation/logger.js';
 import cache from '../foundation/cache.js';
+import configStore from '../foundation/configStore.js';
+import requestScheduler from '../foundation/requestScheduler.js';
+import Retry from '../utils/retry.js';
+import Abort from '../utils/abort.js';
 
 class AIClient {
   constructor() {
-    this.provider = CONFIG.apis.ai_provider.provider;
-    this.model = CONFIG.apis.ai_provider.model;
-    this.apiKey = CONFIG.apis.ai_provider.api_key;
-    this.baseUrl = CONFIG.apis.ai_provider.base_url;
-    this.temperature = CONFIG.apis.ai_provider.temperature;
-    this.maxTokens = CONFIG.apis.ai_provider.max_tokens;
-    this.timeout = CONFIG.apis.ai_provider.timeout;
-    this.retries = CONFIG.apis.ai_provider.retries;
-
-    this.requestQueue = [];
-    this.processing = false;
+    this.configure();
+
     this.lastRequestTime = 0;
-    this.minRequestInterval = 1000; // Minimum 1 second between requests
+  }
+
+  configure(config = CONFIG) {
+    const provider = config.apis.ai_provider;
+    this.provider = provider.provider;
+    this.model = provider.model;
+    this.apiKey = provider.api_key;
+    this.baseUrl = provider.base_url;
+    this.temperature = provider.temperature;
+    this.maxTokens = provider.max_tokens;
+    this.timeout = provider.timeout;
+    this.retries = provider.retries;
+  }
+
+  // [{ name, host }] of the provider, for reporting its circuit breaker
+  getHosts() {
+    return [{ name: 'AI provider', host: new URL(this.baseUrl).host }];
   }
 
   async query(prompt, options = {}) {
@@ -41,56 +52,8 @@ class AIClient {
       }
     }
 
-    // Queue request to respect rate limits
-    return this.queueRequest(prompt, requestOptions);
-  }
-
-  async queueRequest(prompt, options) {
-    return new Promise((resolve, reject) => {
-      this.requestQueue.push({
-        prompt,
-        options,
-        resolve,
-        reject,
-        timestamp: Date.now()
-      });
-
-      this.processQueue();
-    });
-  }
-
-  async processQueue() {
-    if (this.processing || this.requestQueue.length === 0) return;
-
-    this.processing = true;
-
-    while (this.requestQueue.length > 0) {
-      const now = Date.now();
-      const timeSinceLastRequest = now - this.lastRequestTime;
-
-      // Respect minimum interval between requests
-      if (timeSinceLastRequest < this.minRequestInterval) {
-        await new Promise(resolve =>
-          setTimeout(resolve, this.minRequestInterval - timeSinceLastRequest)
-        );
-      }
-
-      const request = this.requestQueue.shift();
-      this.lastRequestTime = Date.now();
-
-      try {
-        const result = await this.makeRequest(request.prompt, request.options);
-        request.resolve(result);
-      } catch (error) {
-        logger.error('AI request failed:', error);
-        request.reject(error);
-      }
-
-      // Small delay between requests to be respectful
-      await new Promise(resolve => setTimeout(resolve, 200));
-    }
-
-    this.processing = false;
+    // Rate limits (the provider's host is held to one request a second) are the request scheduler's job
+    return this.makeRequest(prompt, requestOptions);
   }
 
   async makeRequest(prompt, options) {
@@ -98,38 +61,38 @@ class AIClient {
 
     const startTime = performance.now();
 
-    let lastError;
+    try {
+      // Behind the provider's circuit breaker: during an outage requests fail fast instead of each retrying
+      const response = await Retry.getCircuitBreaker(new URL(this.baseUrl).host)(() => {
+        this.lastRequestTime = Date.now();
+        return this.callAPI(prompt, options);
+      }, {
+        maxRetries: options.retries,
+        baseDelay: 1000,
+        maxDelay: 10000,
+        retryCondition: Retry.transientRetryCondition,
+        signal: options.signal
+      });
 
-    for (let attempt = 0; attempt <= options.retries; attempt++) {
-      try {
-        const response = await this.callAPI(prompt, options);
+      const responseTime = performance.now() - startTime;
+      logger.logResponse(this.baseUrl, 200, responseTime, { tokens: response.usage?.total_tokens });
 
-        const responseTime = performance.now() - startTime;
-        logger.logResponse(this.baseUrl, 200, responseTime, { tokens: response.usage?.total_tokens });
+      // Cache successful response
+      if (options.cache) {
+        const cacheKey = cache.generateKey('ai', this.hashString(prompt), options.temperature, options.max_tokens);
+        await cache.set(cacheKey, response, 24); // Cache for 24 hours
+      }
 
-        // Cache successful response
-        if (options.cache) {
-          const cacheKey = cache.generateKey('ai', this.hashString(prompt), options.temperature, options.max_tokens);
-          await cache.set(cacheKey, response, 24); // Cache for 24 hours
-        }
+      return response;
 
-        return response;
+    } catch (error) {
+      Abort.rethrowIfAborted(error, options.signal);
 
-      } catch (error) {
-        lastError = error;
-        logger.error(`AI request attempt ${attempt + 1} failed:`, error);
+      const responseTime = performance.now() - startTime;
+      logger.logResponse(this.baseUrl, 500, responseTime, { error: error.message });
 
-        if (attempt < options.retries) {
-          const delay = Math.min(1000 * Math.pow(2, attempt), 10000); // Exponential backoff
-          await new Promise(resolve => setTimeout(resolve, delay));
-        }
-      }
+      throw error;
     }
-
-    const responseTime = performance.now() - startTime;
-    logger.logResponse(this.baseUrl, 500, responseTime, { error: lastError.message });
-
-    throw lastError;
   }
 
   async callAPI(prompt, options) {
@@ -150,30 +113,31 @@ class AIClient {
     const requestBody = this.buildGeminiRequestBody(prompt, options);
     console.log('[AI CLIENT] Request body:', JSON.stringify({...requestBody, contents: '[hidden]'}));
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), options.timeout);
-
     try {
       const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${this.apiKey}`;
       console.log('[AI CLIENT] Sending fetch request to Gemini API');
       
-      const response = await fetch(url, {
+      // Aborts on the caller's signal (name AbortError) or the timeout (name TimeoutError)
+      const response = await requestScheduler.fetch(url, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
         body: JSON.stringify(requestBody),
-        signal: controller.signal
+        signal: options.signal,
+        lane: options.lane,
+        timeout: options.timeout
       });
 
-      clearTimeout(timeoutId);
       console.log('[AI CLIENT] Response status:', response.status);
       console.log('[AI CLIENT] Response ok:', response.ok);
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
         console.error('[AI CLIENT] ❌ Gemini API error response:', errorData);
-        throw new Error(`Gemini API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+        const error = new Error(`Gemini API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+        error.status = response.status;
+        throw error;
       }
 
       const data = await response.json();
@@ -182,10 +146,9 @@ class AIClient {
       return this.parseGeminiResponse(data);
 
     } catch (error) {
-      clearTimeout(timeoutId);
       console.error('[AI CLIENT] ❌ Gemini fetch error:', error);
 
-      if (error.name === 'AbortError') {
+      if (error.name === 'TimeoutError') {
         throw new Error('Gemini request timed out');
       }
 
@@ -197,29 +160,29 @@ class AIClient {
     const requestBody = this.buildRequestBody(prompt, options);
     console.log('[AI CLIENT] Request body:', JSON.stringify({...requestBody, messages: '[hidden]'}));
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), options.timeout);
-
     try {
       console.log('[AI CLIENT] Sending fetch request to:', `${this.baseUrl}/chat/completions`);
-      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      const response = await requestScheduler.fetch(`${this.baseUrl}/chat/completions`, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${this.apiKey}`,
           'Content-Type': 'application/json'
         },
         body: JSON.stringify(requestBody),
-        signal: controller.signal
+        signal: options.signal,
+        lane: options.lane,
+        timeout: options.timeout
       });
 
-      clearTimeout(timeoutId);
       console.log('[AI CLIENT] Response status:', response.status);
       console.log('[AI CLIENT] Response ok:', response.ok);
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
         console.error('[AI CLIENT] ❌ API error response:', errorData);
-        throw new Error(`AI API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+        const error = new Error(`AI API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+        error.status = response.status;
+        throw error;
       }
 
       const data = await response.json();
@@ -228,10 +191,9 @@ class AIClient {
       return this.parseResponse(data);
 
     } catch (error) {
-      clearTimeout(timeoutId);
       console.error('[AI CLIENT] ❌ Fetch error:', error);
 
-      if (error.name === 'AbortError') {
+      if (error.name === 'TimeoutError') {
         throw new Error('AI request timed out');
       }
 
@@ -379,7 +341,6 @@ class AIClient {
     return {
       provider: this.provider,
       model: this.model,
-      queue_length: this.requestQueue.length,
       last_request: new Date(this.lastRequestTime).toISOString()
     };
   }
@@ -388,6 +349,7 @@ class AIClient {
 // Create singleton instance and make it globally available
 // This works better in browser extension context
 const aiClient = new AIClient();
+configStore.subscribe(config => aiClient.configure(config));
 
 // Make AIClient class and instance available globally for content scripts
 if (typeof window !== 'undefined') {
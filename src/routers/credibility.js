@@ -2,16 +2,39 @@
 import CONFIG from '../foundation/config.js';
 import logger from '../foundation/logger.js';
 import cache from '../foundation/cache.js';
+import configStore from '../foundation/configStore.js';
+import Retry from '../utils/retry.js';
+import Abort from '../utils/abort.js';
+
+const NEWSGUARD_URL = 'https://api.newsguardtech.com/v1/domain/';
+const WHOIS_URL = 'https://who.is/whois/';
 
 class CredibilityRouter {
   constructor() {
-    this.sources = CONFIG.apis.credibility_sources.filter(source => source.enabled);
+    this.configure();
+  }
+
+  // Read the enabled sources (again whenever the config changes)
+  configure(config = CONFIG) {
+    this.sources = config.apis.credibility_sources.filter(source => source.enabled);
+    this.sourcesHash = cache.getSourcesHash(this.sources);
+  }
+
+  // [{ name, host }] of the enabled sources and the WHOIS lookup, for reporting their circuit breakers
+  getHosts() {
+    return [
+      ...this.sources.map(source => ({ name: source.name, host: new URL(source.url || NEWSGUARD_URL).host })),
+      { name: 'WHOIS', host: new URL(WHOIS_URL).host }
+    ];
   }
 
-  async checkDomain(domain) {
+  // options.signal cancels the check: the promise rejects and nothing is cached for a half-queried domain.
+  // options.lane is the request scheduler's.
+  async checkDomain(domain, options = {}) {
+    const { signal } = options;
     logger.debug('Checking credibility for domain:', domain);
 
-    const cacheKey = cache.getCredibilityKey(domain);
+    const cacheKey = cache.getCredibilityKey(domain, this.sourcesHash);
     const cached = await cache.get(cacheKey);
 
     if (cached) {
@@ -23,13 +46,15 @@ class CredibilityRouter {
 
     for (const source of this.sources) {
       try {
+        signal?.throwIfAborted();
         logger.log(`Querying ${source.name} for domain: ${domain}`);
 
-        const result = await this.querySource(source, domain);
+        const result = await this.querySource(source, domain, options);
         if (result) {
           results[source.name] = result;
         }
       } catch (error) {
+        Abort.rethrowIfAborted(error, signal);
         logger.error(`Error querying ${source.name}:`, error);
         continue;
       }
@@ -49,7 +74,7 @@ class CredibilityRouter {
     return finalResult;
   }
 
-  async querySource(source, domain) {
+  async querySource(source, domain, options = {}) {
     logger.logRequest(source.url, 'GET', { domain });
 
     const startTime = performance.now();
@@ -59,10 +84,10 @@ class CredibilityRouter {
 
       switch (source.name) {
         case 'NewsGuard':
-          result = await this.queryNewsGuard(source, domain);
+          result = await this.queryNewsGuard(source, domain, options);
           break;
         case 'Media Bias/Fact Check':
-          result = await this.queryMediaBiasFactCheck(source, domain);
+          result = await this.queryMediaBiasFactCheck(source, domain, options);
           break;
         default:
           throw new Error(`Unsupported credibility source: ${source.name}`);
@@ -80,25 +105,23 @@ class CredibilityRouter {
     }
   }
 
-  async queryNewsGuard(source, domain) {
+  async queryNewsGuard(source, domain, options) {
     if (!source.api_key) {
       throw new Error('NewsGuard API key not configured');
     }
 
-    const url = `https://api.newsguardtech.com/v1/domain/${domain}`;
+    const url = `${NEWSGUARD_URL}${domain}`;
 
-    const response = await fetch(url, {
+    const response = await Retry.fetch(url, {
       method: 'GET',
       headers: {
         'Authorization': `Bearer ${source.api_key}`,
         'Content-Type': 'application/json'
       },
-      signal: AbortSignal.timeout(source.timeout)
-    });
-
-    if (!response.ok) {
-      throw new Error(`NewsGuard API error: ${response.status}`);
-    }
+      signal: options.signal,
+      lane: options.lane,
+      timeout: source.timeout
+    }, { maxRetries: source.retries });
 
     const data = await response.json();
 
@@ -112,22 +135,20 @@ class CredibilityRouter {
     };
   }
 
-  async queryMediaBiasFactCheck(source, domain) {
+  async queryMediaBiasFactCheck(source, domain, options) {
     // Note: Media Bias/Fact Check doesn't have an official API
     // This would require web scraping - simplified implementation
 
     const url = `https://mediabiasfactcheck.com/?s=${encodeURIComponent(domain)}`;
 
-    const response = await fetch(url, {
+    const response = await Retry.fetch(url, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
       },
-      signal: AbortSignal.timeout(source.timeout)
-    });
-
-    if (!response.ok) {
-      throw new Error(`Media Bias/Fact Check error: ${response.status}`);
-    }
+      signal: options.signal,
+      lane: options.lane,
+      timeout: source.timeout
+    }, { maxRetries: source.retries });
 
     const html = await response.text();
 
@@ -243,13 +264,13 @@ class CredibilityRouter {
   }
 
   // Additional domain checks (not from external APIs)
-  async getDomainInfo(domain) {
+  async getDomainInfo(domain, pageUrl = null, options = {}) {
     logger.debug('Getting domain information for:', domain);
 
     const info = {
       domain,
-      age: await this.getDomainAge(domain),
-      https: window.location.protocol === 'https:',
+      age: await this.getDomainAge(domain, options),
+      https: pageUrl ? new URL(pageUrl).protocol === 'https:' : null,
       alexa_rank: null, // Would need additional API
       similarweb_rank: null // Would need additional API
     };
@@ -257,19 +278,19 @@ class CredibilityRouter {
     return info;
   }
 
-  async getDomainAge(domain) {
+  async getDomainAge(domain, options = {}) {
     try {
       // Use WHOIS lookup (simplified - real implementation would use proper WHOIS service)
-      const url = `https://who.is/whois/${domain}`;
+      const url = `${WHOIS_URL}${domain}`;
 
-      const response = await fetch(url, {
+      const response = await Retry.fetch(url, {
         headers: {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
         },
-        signal: AbortSignal.timeout(5000)
-      });
-
-      if (!response.ok) return null;
+        signal: options.signal,
+        lane: options.lane,
+        timeout: 5000
+      }, { maxRetries: 0 });
 
       const html = await response.text();
 
@@ -289,6 +310,7 @@ class CredibilityRouter {
       }
 
     } catch (error) {
+      Abort.rethrowIfAborted(error, options.signal);
       logger.error('Error getting domain age:', error);
     }
 
@@ -296,10 +318,11 @@ class CredibilityRouter {
   }
 
   // Batch domain checking
-  async checkDomainsBatch(domains) {
+  async checkDomainsBatch(domains, options = {}) {
     const results = await Promise.allSettled(
-      domains.map(domain => this.checkDomain(domain))
+      domains.map(domain => this.checkDomain(domain, options))
     );
+    options.signal?.throwIfAborted();
 
     return results.map((result, index) => ({
       domain: domains[index],
@@ -314,6 +337,7 @@ export { CredibilityRouter };
 
 // Create and export singleton instance
 const credibilityRouter = new CredibilityRouter();
+configStore.subscribe(config => credibilityRouter.configure(config));
 export default credibilityRouter;
 
 // Make credibilityRouter available globally for content scripts
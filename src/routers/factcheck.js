@@ -0,0 +1,270 @@
+// Fact Check Router - Look up published fact-checks (ClaimReview) for a claim
+import CONFIG from '../foundation/config.js';
+import logger from '../foundation/logger.js';
+import cache from '../foundation/cache.js';
+import configStore from '../foundation/configStore.js';
+import Retry from '../utils/retry.js';
+import Abort from '../utils/abort.js';
+
+// Publisher ratings are free text; the first matching pattern wins, so qualified ratings come before bare ones
+const RATING_SCALE = [
+  { pattern: /pants on fire/i, score: 0 },
+  { pattern: /four pinocchios/i, score: 1 },
+  { pattern: /three pinocchios/i, score: 3 },
+  { pattern: /two pinocchios/i, score: 4 },
+  { pattern: /one pinocchio/i, score: 6 },
+  { pattern: /\bnot (\w+ )?(true|correct|accurate)\b/i, score: 1 },
+  { pattern: /mostly (false|incorrect|inaccurate)/i, score: 3 },
+  { pattern: /\b(partly|partially|half) (false|incorrect|inaccurate)\b/i, score: 4 },
+  { pattern: /\b(partly|partially|half) (true|correct|accurate)\b|mixture|\bmixed\b/i, score: 5 },
+  { pattern: /mostly (true|correct|accurate)/i, score: 7 },
+  { pattern: /misleading|miscaptioned|missing context|lacks context|out of context|exaggerat|distort|cherry.?pick/i, score: 4 },
+  { pattern: /unproven|unverified|unsupported|unsubstantiated|no evidence/i, score: 5 },
+  { pattern: /\b(false|fake|incorrect|inaccurate|wrong|fabricated|hoax|baseless|debunked|scam)\b/i, score: 1 },
+  { pattern: /\b(true|correct|accurate|verified|confirmed)\b/i, score: 9 }
+];
+
+// Reviews need this much word overlap with the claim to count (the search matches loosely)
+const MIN_CLAIM_OVERLAP = 0.5;
+
+class FactCheckRouter {
+  constructor() {
+    this.configure();
+  }
+
+  // Read the enabled fact-checkers (again whenever the config changes)
+  configure(config = CONFIG) {
+    this.sources = config.apis.fact_checkers.filter(source => source.enabled);
+    this.sources.sort((a, b) => a.priority - b.priority);
+
+    // Configured publishers' reviews count fully; other publishers found by the search count a bit less
+    this.trustedSites = this.sources.map(source => source.site).filter(Boolean);
+    this.sourcesHash = cache.getSourcesHash(this.sources);
+  }
+
+  // [{ name, host }] for reporting circuit breakers; Snopes and FactCheck.org arrive through the Google Fact Check
+  // search, so its host is the only one called
+  getHosts() {
+    return this.sources
+      .filter(source => source.name === 'Google Fact Check')
+      .map(source => ({ name: source.name, host: new URL(source.url).host }));
+  }
+
+  /**
+   * Find fact-checks of a claim and combine their ratings
+   * @param {Object} normalizedClaim - Output of the normalizer
+   * @param {Object} options - { signal, lane } - aborting rejects without caching the fact-checkers queried so far;
+   *                           lane is the request scheduler's
+   * @returns {Object} { reviews, overall: { score, confidence, assessment }, timestamp } - score is null without matching reviews
+   */
+  async checkClaim(normalizedClaim, options = {}) {
+    const { signal } = options;
+    const claim = normalizedClaim.original_claim;
+    logger.debug('Checking fact-checkers for claim:', claim);
+
+    const cacheKey = cache.getFactCheckKey(cache.hashString(claim), this.sourcesHash);
+    const cached = await cache.get(cacheKey);
+
+    if (cached) {
+      logger.debug('Using cached fact-checks for:', claim);
+      return cached;
+    }
+
+    const reviews = [];
+    let failed = false;
+
+    for (const source of this.sources) {
+      try {
+        signal?.throwIfAborted();
+        const sourceReviews = await this.querySource(source, normalizedClaim, options);
+        reviews.push(...sourceReviews);
+      } catch (error) {
+        Abort.rethrowIfAborted(error, signal);
+        logger.error(`Error querying ${source.name}:`, error);
+        failed = true;
+        continue;
+      }
+    }
+
+    // The same review can come back for several queries
+    const uniqueReviews = [...new Map(reviews.map(review => [review.url || review.title, review])).values()]
+      .filter(review => review.claim_overlap >= MIN_CLAIM_OVERLAP)
+      .sort((a, b) => b.claim_overlap - a.claim_overlap);
+
+    const result = {
+      reviews: uniqueReviews,
+      overall: this.calculateFactCheckScore(uniqueReviews),
+      timestamp: Date.now()
+    };
+
+    // Like the scholar router, leave failed and empty lookups uncached so they're tried again next time
+    if (!failed && uniqueReviews.length > 0) {
+      await cache.set(cacheKey, result, 24); // Cache for 24 hours
+    }
+    return result;
+  }
+
+  async querySource(source, normalizedClaim, options = {}) {
+    switch (source.name) {
+      case 'Google Fact Check':
+        return this.queryGoogleFactCheck(source, normalizedClaim, options);
+      case 'Snopes':
+      case 'FactCheck.org':
+        // No public APIs; both publish ClaimReview markup, so their ratings come back from the Google Fact Check search
+        return [];
+      default:
+        throw new Error(`Unsupported fact checker: ${source.name}`);
+    }
+  }
+
+  async queryGoogleFactCheck(source, normalizedClaim, options) {
+    const { signal, lane } = options;
+    // The local stand-in (truthcheck-api with FACT_CHECK_STANDIN=true) doesn't need a key
+    if (!source.api_key && source.url.includes('googleapis.com')) {
+      throw new Error('Google Fact Check API key not configured');
+    }
+
+    const params = new URLSearchParams({
+      query: normalizedClaim.normalized_claim || normalizedClaim.original_claim,
+      languageCode: source.language || 'en',
+      pageSize: String(source.page_size || 10)
+    });
+    if (source.api_key) {
+      params.set('key', source.api_key);
+    }
+
+    const url = `${source.url}?${params}`;
+    logger.logRequest(source.url, 'GET', { query: params.get('query') });
+
+    const startTime = performance.now();
+
+    const response = await Retry.fetch(url, {
+      method: 'GET',
+      signal,
+      lane,
+      timeout: source.timeout
+    }, { maxRetries: source.retries });
+    const data = await response.json();
+
+    logger.logResponse(source.url, 200, performance.now() - startTime, { claims: data.claims?.length || 0 });
+
+    const reviews = [];
+    for (const claimEntry of data.claims || []) {
+      for (const review of claimEntry.claimReview || []) {
+        reviews.push(this.parseClaimReview(claimEntry, review, normalizedClaim));
+      }
+    }
+
+    return reviews;
+  }
+
+  parseClaimReview(claimEntry, review, normalizedClaim) {
+    const url = this.safeUrl(review.url);
+    const site = review.publisher?.site || this.getHostname(url);
+    const date = review.reviewDate || claimEntry.claimDate || '';
+
+    return {
+      source: 'Google Fact Check',
+      publisher: review.publisher?.name || site || 'Unknown publisher',
+      site: site,
+      title: review.title || claimEntry.text,
+      url: url,
+      reviewed_claim: claimEntry.text || '',
+      claimant: claimEntry.claimant || null,
+      rating: review.textualRating || '',
+      score: this.mapRating(review.textualRating),
+      date: /^\d{4}-\d{2}-\d{2}/.test(date) ? date.substring(0, 10) : null,
+      claim_overlap: this.calculateOverlap(normalizedClaim.original_claim, claimEntry.text || review.title || ''),
+      trusted: this.trustedSites.some(trustedSite => site && site.endsWith(trustedSite))
+    };
+  }
+
+  // Map a publisher's textual rating onto 0-10; null for ratings that say nothing about accuracy (e.g. "Satire")
+  mapRating(textualRating) {
+    if (!textualRating) return null;
+
+    const match = RATING_SCALE.find(entry => entry.pattern.test(textualRating));
+    return match ? match.score : null;
+  }
+
+  calculateFactCheckScore(reviews) {
+    const rated = reviews.filter(review => review.score !== null);
+
+    if (rated.length === 0) {
+      return {
+        score: null,
+        confidence: null,
+        assessment: reviews.length > 0 ? 'Fact-checks found, but none with a usable rating' : 'No published fact-checks found'
+      };
+    }
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+    for (const review of rated) {
+      const weight = review.claim_overlap * (review.trusted ? 1 : 0.7);
+      weightedSum += review.score * weight;
+      totalWeight += weight;
+    }
+
+    const score = Math.round(weightedSum / totalWeight);
+
+    // Several publishers agreeing is stronger than one
+    const agreeing = rated.filter(review => Math.abs(review.score - score) <= 2).length;
+    let confidence = 'low';
+    if (agreeing >= 2) {
+      confidence = 'high';
+    } else if (agreeing === 1 && rated[0].claim_overlap >= 0.75) {
+      confidence = 'medium';
+    }
+
+    return {
+      score: score,
+      confidence: confidence,
+      assessment: `${rated.length} fact-check${rated.length > 1 ? 's' : ''}: ${rated.slice(0, 3).map(review => `${review.publisher} rated "${review.rating}"`).join('; ')}`
+    };
+  }
+
+  // Share of the shorter text's content words that appear in the other
+  calculateOverlap(text1, text2) {
+    const words = text => new Set(text.toLowerCase().split(/\W+/).filter(word => word.length > 3));
+    const words1 = words(text1);
+    const words2 = words(text2);
+
+    if (words1.size === 0 || words2.size === 0) return 0;
+
+    const intersection = [...words1].filter(word => words2.has(word)).length;
+    return intersection / Math.min(words1.size, words2.size);
+  }
+
+  // Review URLs end up in tooltip links, so only keep well-formed http(s) ones
+  safeUrl(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed.href : '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  getHostname(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+      return '';
+    }
+  }
+}
+
+// Export the class itself for use in other modules
+export { FactCheckRouter };
+
+// Create and export singleton instance
+const factCheckRouter = new FactCheckRouter();
+configStore.subscribe(config => factCheckRouter.configure(config));
+export default factCheckRouter;
+
+// Make factCheckRouter available globally for content scripts
+if (typeof window !== 'undefined') {
+  window.FactCheckRouter = FactCheckRouter;
+  window.factCheckRouter = factCheckRouter;
+}
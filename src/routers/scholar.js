@@ -2,10 +2,19 @@
 import CONFIG from '../foundation/config.js';
 import logger from '../foundation/logger.js';
 import cache from '../foundation/cache.js';
+import configStore from '../foundation/configStore.js';
+import Retry from '../utils/retry.js';
+import Scrapers from '../utils/scrapers.js';
+import Abort from '../utils/abort.js';
 
 class ScholarRouter {
   constructor() {
-    this.sources = CONFIG.apis.scholar_sources.filter(source => source.enabled);
+    this.configure();
+  }
+
+  // Read the enabled sources (again whenever the config changes)
+  configure(config = CONFIG) {
+    this.sources = config.apis.scholar_sources.filter(source => source.enabled);
     this.sortByPriority();
   }
 
@@ -13,13 +22,25 @@ class ScholarRouter {
     this.sources.sort((a, b) => a.priority - b.priority);
   }
 
-  async searchClaim(claim, claimType = 'other') {
+  // [{ name, host }] of the enabled sources - their circuit breakers are Retry's, keyed by host
+  getHosts() {
+    return this.sources.map(source => ({ name: source.name, host: new URL(source.url).host }));
+  }
+
+  /**
+   * Search every enabled source in priority order
+   * @param {Object} options - { signal, lane } - aborting stops the search; the returned promise rejects and
+   *                           sources not reached yet aren't queried. lane is the request scheduler's.
+   */
+  async searchClaim(claim, claimType = 'other', options = {}) {
+    const { signal } = options;
     logger.debug('Starting scholar search for claim:', claim);
 
     const results = [];
 
     for (const source of this.sources) {
       try {
+        signal?.throwIfAborted();
         logger.log(`Searching ${source.name} for claim: ${claim}`);
 
         const cacheKey = cache.getScholarKey(cache.hashString(claim), source.name);
@@ -31,13 +52,14 @@ class ScholarRouter {
           continue;
         }
 
-        const sourceResults = await this.querySource(source, claim, claimType);
+        const sourceResults = await this.querySource(source, claim, claimType, options);
 
         if (sourceResults && sourceResults.length > 0) {
           await cache.set(cacheKey, sourceResults, 48); // Cache for 48 hours
           results.push(...sourceResults);
         }
       } catch (error) {
+        Abort.rethrowIfAborted(error, signal);
         logger.error(`Error querying ${source.name}:`, error);
         continue; // Try next source
       }
@@ -47,7 +69,7 @@ class ScholarRouter {
     return results;
   }
 
-  async querySource(source, claim, claimType) {
+  async querySource(source, claim, claimType, options = {}) {
     logger.logRequest(source.url, 'GET', { claim, claimType });
 
     const startTime = performance.now();
@@ -57,16 +79,16 @@ class ScholarRouter {
 
       switch (source.name) {
         case 'Google Scholar':
-          results = await this.queryGoogleScholar(source, claim, claimType);
+          results = await this.queryGoogleScholar(source, claim, claimType, options);
           break;
         case 'PubMed':
-          results = await this.queryPubMed(source, claim, claimType);
+          results = await this.queryPubMed(source, claim, claimType, options);
           break;
         case 'Britannica':
-          results = await this.queryBritannica(source, claim, claimType);
+          results = await this.queryBritannica(source, claim, claimType, options);
           break;
         case 'arXiv':
-          results = await this.queryArXiv(source, claim, claimType);
+          results = await this.queryArXiv(source, claim, claimType, options);
           break;
         default:
           throw new Error(`Unsupported scholar source: ${source.name}`);
@@ -84,26 +106,38 @@ class ScholarRouter {
     }
   }
 
-  async queryGoogleScholar(source, claim, claimType) {
+  async queryGoogleScholar(source, claim, claimType, options) {
     // Note: Google Scholar scraping requires careful handling due to terms of service
     // This is a simplified implementation - real implementation would use official API if available
 
     const searchQuery = this.buildGoogleScholarQuery(claim, claimType);
     const url = `https://scholar.google.com/scholar?q=${encodeURIComponent(searchQuery)}`;
 
-    const response = await fetch(url, {
+    return Retry.fetch(url, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
       },
-      signal: AbortSignal.timeout(source.timeout)
-    });
-
-    if (!response.ok) {
-      throw new Error(`Google Scholar error: ${response.status}`);
-    }
+      signal: options.signal,
+      lane: options.lane,
+      timeout: source.timeout
+    }, { maxRetries: source.retries }, async response => {
+      const html = await response.text();
+      const results = this.parseGoogleScholar(html);
+
+      // Scholar serves its captcha with a 200; count it against the host's circuit breaker rather than
+      // as "no results", so a blocked Scholar is left alone until the cooldown ends
+      if (results.length === 0 && Scrapers.isCaptchaPage(html)) {
+        const error = new Error('Google Scholar returned a captcha page');
+        error.status = 429;
+        error.retryAfter = 60;
+        throw error;
+      }
 
-    const html = await response.text();
+      return results;
+    });
+  }
 
+  parseGoogleScholar(html) {
     // Parse Google Scholar results (simplified)
     const results = [];
     const resultRegex = /<h3[^>]*>.*?href="([^"]*)"[^>]*>([^<]*)<\/a>/g;
@@ -124,7 +158,7 @@ class ScholarRouter {
     return results;
   }
 
-  async queryPubMed(source, claim, claimType) {
+  async queryPubMed(source, claim, claimType, options) {
     if (claimType !== 'health') {
       return []; // PubMed only for health claims
     }
@@ -132,16 +166,14 @@ class ScholarRouter {
     const searchQuery = this.buildPubMedQuery(claim);
     const url = `https://pubmed.ncbi.nlm.nih.gov/?term=${encodeURIComponent(searchQuery)}`;
 
-    const response = await fetch(url, {
+    const response = await Retry.fetch(url, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
       },
-      signal: AbortSignal.timeout(source.timeout)
-    });
-
-    if (!response.ok) {
-      throw new Error(`PubMed error: ${response.status}`);
-    }
+      signal: options.signal,
+      lane: options.lane,
+      timeout: source.timeout
+    }, { maxRetries: source.retries });
 
     const html = await response.text();
 
@@ -164,20 +196,18 @@ class ScholarRouter {
     return results;
   }
 
-  async queryBritannica(source, claim, claimType) {
+  async queryBritannica(source, claim, claimType, options) {
     const searchQuery = this.buildBritannicaQuery(claim);
     const url = `https://www.britannica.com/search?query=${encodeURIComponent(searchQuery)}`;
 
-    const response = await fetch(url, {
+    const response = await Retry.fetch(url, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
       },
-      signal: AbortSignal.timeout(source.timeout)
-    });
-
-    if (!response.ok) {
-      throw new Error(`Britannica error: ${response.status}`);
-    }
+      signal: options.signal,
+      lane: options.lane,
+      timeout: source.timeout
+    }, { maxRetries: source.retries });
 
     const html = await response.text();
 
@@ -199,7 +229,7 @@ class ScholarRouter {
     return results;
   }
 
-  async queryArXiv(source, claim, claimType) {
+  async queryArXiv(source, claim, claimType, options) {
     if (claimType !== 'scientific') {
       return []; // arXiv only for scientific claims
     }
@@ -207,16 +237,14 @@ class ScholarRouter {
     const searchQuery = this.buildArXivQuery(claim);
     const url = `https://arxiv.org/search/?query=${encodeURIComponent(searchQuery)}&searchtype=all`;
 
-    const response = await fetch(url, {
+    const response = await Retry.fetch(url, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
       },
-      signal: AbortSignal.timeout(source.timeout)
-    });
-
-    if (!response.ok) {
-      throw new Error(`arXiv error: ${response.status}`);
-    }
+      signal: options.signal,
+      lane: options.lane,
+      timeout: source.timeout
+    }, { maxRetries: source.retries });
 
     const html = await response.text();
 
@@ -322,12 +350,13 @@ class ScholarRouter {
   }
 
   // Batch search for multiple claims
-  async searchClaimsBatch(claims, claimTypes = []) {
+  async searchClaimsBatch(claims, claimTypes = [], options = {}) {
     const results = await Promise.allSettled(
       claims.map((claim, index) =>
-        this.searchClaim(claim, claimTypes[index] || 'other')
+        this.searchClaim(claim, claimTypes[index] || 'other', options)
       )
     );
+    options.signal?.throwIfAborted();
 
     return results.map((result, index) => ({
       claim: claims[index],
@@ -342,6 +371,7 @@ export { ScholarRouter };
 
 // Create and export singleton instance
 const scholarRouter = new ScholarRouter();
+configStore.subscribe(config => scholarRouter.configure(config));
 export default scholarRouter;
 
 // Make scholarRouter available globally for content scripts
@@ -1,6 +1,10 @@
 // Highlighter - Highlight claims on web pages with colors and metadata
+// Two rendering modes: 'css' registers Ranges with the CSS Custom Highlight API and never touches the page DOM;
+// 'spans' wraps the text in <span> elements (fallback for browsers without CSS.highlights)
 import CONFIG from '../foundation/config.js';
 import logger from '../foundation/logger.js';
+import configStore from '../foundation/configStore.js';
+import TextMapper from '../utils/textMapper.js';
 
 class Highlighter {
   constructor() {
@@ -8,39 +12,232 @@ class Highlighter {
     this.enabled = true;
     this.confidenceFilter = false;
     this.nextId = 0;
+    this.hoverHandlers = {};
+    this.hoveredId = null;
+    this.cssHighlights = null;
+    this.textIndex = null; // { root, index } - TextMapper index shared by every claim until the page changes
+    this.textIndexObserver = null;
+    this.configure();
+  }
+
+  // Colors and thresholds are read per highlight; a mode change applies to new highlights
+  // (existing ones are removed the way they were made)
+  configure(config = CONFIG) {
+    this.config = config;
+    this.mode = this.resolveMode(config.display?.highlight_mode);
+  }
+
+  // display.highlight_mode: 'auto' (CSS highlights when supported), 'css' or 'spans'
+  resolveMode(requested = 'auto') {
+    const supported = typeof CSS !== 'undefined' && CSS.highlights !== undefined && typeof Highlight === 'function';
+
+    if (requested === 'spans') return 'spans';
+    if (requested === 'css' && !supported) {
+      logger.warn('CSS Custom Highlight API not supported, falling back to span highlights');
+    }
+    return supported ? 'css' : 'spans';
+  }
+
+  /**
+   * Called when the pointer enters or leaves a highlight, in either mode
+   * @param {Object} handlers - { onEnter(highlightId, anchor), onLeave(highlightId) };
+   *                            anchor has getBoundingClientRect() for positioning a tooltip
+   */
+  setHoverHandlers(handlers) {
+    this.hoverHandlers = handlers;
+  }
+
+  /**
+   * Highlight every occurrence of a claim on the page
+   * Occurrences may cross element boundaries (links, <em>, <strong>); each is one logical highlight.
+   * @returns {string[]} Highlight IDs, one per occurrence
+   */
+  highlightClaim(claimText, color, result, root = document.body) {
+    if (!this.enabled) return [];
+
+    const ranges = TextMapper.findRanges(this.getTextIndex(root), claimText);
+
+    // Wrap from the end so splitting text nodes doesn't shift the offsets of earlier matches (span mode)
+    return ranges
+      .reverse()
+      .map(range => this.highlightRange(range, color, result))
+      .filter(Boolean)
+      .reverse();
+  }
+
+  // The TextMapper index of root, built on first use and reused for every claim highlighted after it until the DOM
+  // under root changes (page updates, or span mode wrapping a claim). takeRecords() picks up changes made since
+  // the last claim before the observer's callback has had a chance to run.
+  getTextIndex(root) {
+    if (this.textIndex?.root === root && this.textIndexObserver.takeRecords().length === 0) {
+      return this.textIndex.index;
+    }
+
+    if (!this.textIndexObserver) {
+      this.textIndexObserver = new MutationObserver(() => {
+        this.textIndex = null;
+      });
+    }
+    this.textIndexObserver.disconnect();
+    this.textIndexObserver.observe(root, { childList: true, characterData: true, subtree: true });
+
+    this.textIndex = { root, index: TextMapper.buildIndex(root) };
+    return this.textIndex.index;
+  }
+
+  // Highlight a DOM Range - registered as-is in CSS mode, otherwise by wrapping the part of each text node it covers
+  highlightRange(range, color, result) {
+    if (this.mode === 'css') {
+      return this.registerRange(range, color, result);
+    }
+    return this.highlightSegments(TextMapper.getTextSegments(range), color, result);
   }
 
   highlightText(node, startIndex, endIndex, color, result) {
+    const textLength = node.textContent.length;
+
+    if (startIndex < 0 || endIndex > textLength || startIndex >= endIndex) {
+      logger.warn('Invalid highlight range:', { startIndex, endIndex, textLength });
+      return null;
+    }
+
+    if (this.mode === 'css') {
+      const range = document.createRange();
+      range.setStart(node, startIndex);
+      range.setEnd(node, endIndex);
+      return this.registerRange(range, color, result);
+    }
+
+    return this.highlightSegments([{ node, startIndex, endIndex }], color, result);
+  }
+
+  registerRange(range, color, result) {
     if (!this.enabled) return null;
 
-    // Check confidence filter
     if (this.confidenceFilter && result.scores.confidence === 'low') {
       return null;
     }
 
     try {
+      this.ensureCssHighlights();
+
       const highlightId = `truth-check-${this.nextId++}`;
-      const text = node.textContent;
+      const colorClass = this.getColorClass(color);
+      this.cssHighlights[colorClass].add(range);
+
+      this.highlights.set(highlightId, {
+        id: highlightId,
+        claim: result.claim,
+        normalized: result.normalized,
+        scores: result.scores,
+        override: result.override,
+        finalScore: result.finalScore,
+        redFlags: result.redFlags || null,
+        pending: result.pending === true,
+        positions: [],
+        ranges: [range],
+        colorClass: colorClass,
+        color: color
+      });
+
+      logger.debug('Registered CSS highlight:', highlightId);
+      return highlightId;
+
+    } catch (error) {
+      logger.error('Error registering CSS highlight:', error);
+      return null;
+    }
+  }
+
+  // One Highlight per trust level, styled by ::highlight(truth-check-<level>) in styles.css
+  ensureCssHighlights() {
+    if (this.cssHighlights) return;
+
+    this.cssHighlights = {};
+    ['pending', 'high-trust', 'medium-trust', 'low-trust'].forEach((colorClass, index) => {
+      const highlight = new Highlight();
+      highlight.priority = index; // Low trust wins where claims overlap
+      CSS.highlights.set(`truth-check-${colorClass}`, highlight);
+      this.cssHighlights[colorClass] = highlight;
+    });
+
+    // Nothing in the page to attach listeners to, so hit-test pointer positions against the ranges
+    document.addEventListener('mousemove', (event) => this.handlePointerMove(event), { passive: true });
+  }
+
+  handlePointerMove(event) {
+    this.pointer = { x: event.clientX, y: event.clientY };
+    if (this.hoverFrame) return;
+
+    this.hoverFrame = requestAnimationFrame(() => {
+      this.hoverFrame = null;
+      this.updateHover(this.pointer.x, this.pointer.y);
+    });
+  }
 
-      if (startIndex < 0 || endIndex > text.length || startIndex >= endIndex) {
-        logger.warn('Invalid highlight range:', { startIndex, endIndex, textLength: text.length });
-        return null;
+  updateHover(x, y) {
+    const hit = this.hitTest(x, y);
+    const hitId = hit ? hit.id : null;
+    if (hitId === this.hoveredId) return;
+
+    if (this.hoveredId) {
+      this.hoverHandlers.onLeave?.(this.hoveredId);
+    }
+
+    this.hoveredId = hitId;
+    if (hit) {
+      // Anchor the tooltip to the line under the pointer rather than the whole (possibly multi-line) range
+      this.hoverHandlers.onEnter?.(hitId, { getBoundingClientRect: () => hit.rect });
+    }
+  }
+
+  // The CSS highlight under a viewport point, with the client rect that contains it
+  hitTest(x, y) {
+    const inside = rect => x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+
+    for (const highlight of this.highlights.values()) {
+      if (!highlight.ranges) continue;
+
+      for (const range of highlight.ranges) {
+        if (!inside(range.getBoundingClientRect())) continue;
+
+        const rect = Array.from(range.getClientRects()).find(inside);
+        if (rect) return { id: highlight.id, rect };
       }
+    }
 
-      // Split the text node at the highlight boundaries
-      const beforeText = text.substring(0, startIndex);
-      const highlightText = text.substring(startIndex, endIndex);
-      const afterText = text.substring(endIndex);
+    return null;
+  }
+
+  // Wrap each { node, startIndex, endIndex } segment in a span, all sharing one highlight ID
+  highlightSegments(segments, color, result) {
+    if (!this.enabled || segments.length === 0) return null;
+
+    // Check confidence filter
+    if (this.confidenceFilter && result.scores.confidence === 'low') {
+      return null;
+    }
 
-      // Create text nodes for before and after
-      const beforeNode = document.createTextNode(beforeText);
-      const afterNode = document.createTextNode(afterText);
+    try {
+      const highlightId = `truth-check-${this.nextId++}`;
+      const colorClass = this.getColorClass(color);
+      const className = `truth-check-highlight ${colorClass}`;
+
+      const positions = segments.map((segment, index) => {
+        const span = this.wrapSegment(segment, className);
+        span.dataset.highlightId = highlightId;
+        span.addEventListener('mouseenter', () => this.hoverHandlers.onEnter?.(highlightId, span));
+        span.addEventListener('mouseleave', () => this.hoverHandlers.onLeave?.(highlightId));
+
+        // The first span carries the ID; the rest continue it without repeating the left border
+        if (index === 0) {
+          span.id = highlightId;
+        } else {
+          span.classList.add('truth-check-highlight-continued');
+        }
 
-      // Create highlight span
-      const highlightSpan = document.createElement('span');
-      highlightSpan.className = `truth-check-highlight ${this.getColorClass(color)}`;
-      highlightSpan.id = highlightId;
-      highlightSpan.textContent = highlightText;
+        return { node: span, startIndex: segment.startIndex, endIndex: segment.endIndex };
+      });
 
       // Store metadata
       this.highlights.set(highlightId, {
@@ -50,18 +247,14 @@ class Highlighter {
         scores: result.scores,
         override: result.override,
         finalScore: result.finalScore,
-        positions: [{ node: highlightSpan, startIndex, endIndex }],
+        redFlags: result.redFlags || null,
+        pending: result.pending === true,
+        positions: positions,
+        colorClass: colorClass,
         color: color
       });
 
-      // Replace the original node
-      const parent = node.parentNode;
-      parent.insertBefore(beforeNode, node);
-      parent.insertBefore(highlightSpan, node);
-      parent.insertBefore(afterNode, node);
-      parent.removeChild(node);
-
-      logger.debug('Created highlight:', highlightId);
+      logger.debug('Created highlight:', highlightId, `(${positions.length} segment${positions.length > 1 ? 's' : ''})`);
       return highlightId;
 
     } catch (error) {
@@ -70,6 +263,25 @@ class Highlighter {
     }
   }
 
+  // Split the text node around the segment and move the middle part into a new span
+  wrapSegment(segment, className) {
+    let target = segment.node;
+
+    if (segment.startIndex > 0) {
+      target = target.splitText(segment.startIndex);
+    }
+    if (segment.endIndex - segment.startIndex < target.length) {
+      target.splitText(segment.endIndex - segment.startIndex);
+    }
+
+    const span = document.createElement('span');
+    span.className = className;
+    target.parentNode.insertBefore(span, target);
+    span.appendChild(target);
+
+    return span;
+  }
+
   highlightMultiplePositions(positions, color, result) {
     const highlightIds = [];
 
@@ -83,10 +295,13 @@ class Highlighter {
     return highlightIds;
   }
 
+  // color is the claim's score; null for a claim that is still being scored
   getColorClass(color) {
-    if (color >= CONFIG.scoring.high_trust) {
+    if (color === null || color === undefined) {
+      return 'pending';
+    } else if (color >= this.config.scoring.high_trust) {
       return 'high-trust';
-    } else if (color >= CONFIG.scoring.medium_trust) {
+    } else if (color >= this.config.scoring.medium_trust) {
       return 'medium-trust';
     } else {
       return 'low-trust';
@@ -98,14 +313,24 @@ class Highlighter {
     if (!highlight) return false;
 
     try {
+      // CSS mode: just unregister the ranges
+      (highlight.ranges || []).forEach(range => this.cssHighlights[highlight.colorClass].delete(range));
+
+      if (this.hoveredId === highlightId) {
+        this.hoveredId = null;
+      }
+
       // Find and remove all highlight spans for this claim
       highlight.positions.forEach(pos => {
         if (pos.node && pos.node.parentNode) {
           const parent = pos.node.parentNode;
 
-          // Replace the highlight span with its text content
-          const textNode = document.createTextNode(pos.node.textContent);
-          parent.replaceChild(textNode, pos.node);
+          // Unwrap the span (it may contain another claim's highlight) and rejoin the split text
+          while (pos.node.firstChild) {
+            parent.insertBefore(pos.node.firstChild, pos.node);
+          }
+          parent.removeChild(pos.node);
+          parent.normalize();
         }
       });
 
@@ -133,27 +358,30 @@ class Highlighter {
     return removed;
   }
 
+  // Apply a (new) score to an existing highlight in place, e.g. when a pending claim's score arrives
   updateHighlight(highlightId, newResult) {
     const highlight = this.highlights.get(highlightId);
     if (!highlight) return false;
 
+    // Scored claims the confidence filter would never have highlighted
+    if (this.confidenceFilter && newResult.scores.confidence === 'low') {
+      return this.removeHighlight(highlightId);
+    }
+
     try {
       // Update metadata
       highlight.scores = newResult.scores;
+      highlight.normalized = newResult.normalized;
       highlight.override = newResult.override;
       highlight.finalScore = newResult.finalScore;
+      highlight.redFlags = newResult.redFlags || null;
+      highlight.pending = newResult.pending === true;
+      highlight.color = newResult.finalScore;
 
       // Update color if needed
-      const newColor = this.getColorFromScore(newResult.finalScore);
-      if (newColor !== highlight.color) {
-        highlight.color = newColor;
-
-        // Update CSS class
-        highlight.positions.forEach(pos => {
-          if (pos.node) {
-            pos.node.className = `truth-check-highlight ${this.getColorClass(newColor)}`;
-          }
-        });
+      const colorClass = this.getColorClass(newResult.finalScore);
+      if (colorClass !== highlight.colorClass) {
+        this.setColorClass(highlight, colorClass);
       }
 
       logger.debug('Updated highlight:', highlightId);
@@ -165,16 +393,47 @@ class Highlighter {
     }
   }
 
+  setColorClass(highlight, colorClass) {
+    if (highlight.ranges) {
+      highlight.ranges.forEach(range => {
+        this.cssHighlights[highlight.colorClass].delete(range);
+        this.cssHighlights[colorClass].add(range);
+      });
+      highlight.colorClass = colorClass;
+      return;
+    }
+
+    highlight.positions.forEach(pos => {
+      if (pos.node) {
+        pos.node.classList.remove('pending', 'high-trust', 'medium-trust', 'low-trust');
+        pos.node.classList.add(colorClass);
+      }
+    });
+    highlight.colorClass = colorClass;
+  }
+
   getColorFromScore(score) {
-    if (score >= CONFIG.scoring.high_trust) {
-      return CONFIG.display.colors.high;
-    } else if (score >= CONFIG.scoring.medium_trust) {
-      return CONFIG.display.colors.medium;
+    if (score >= this.config.scoring.high_trust) {
+      return this.config.display.colors.high;
+    } else if (score >= this.config.scoring.medium_trust) {
+      return this.config.display.colors.medium;
     } else {
-      return CONFIG.display.colors.low;
+      return this.config.display.colors.low;
     }
   }
 
+  // An element holding (the start of) the highlight, e.g. for IntersectionObserver
+  getHighlightElement(highlightId) {
+    const highlight = this.highlights.get(highlightId);
+    if (!highlight) return null;
+
+    if (highlight.ranges) {
+      const container = highlight.ranges[0].startContainer;
+      return container.nodeType === Node.ELEMENT_NODE ? container : container.parentElement;
+    }
+    return highlight.positions[0]?.node || null;
+  }
+
   getHighlightInfo(highlightId) {
     return this.highlights.get(highlightId) || null;
   }
@@ -238,6 +497,16 @@ class Highlighter {
   }
 
   highlightsOverlap(h1, h2) {
+    // CSS mode: compare the Ranges themselves (each starts before the other ends)
+    for (const range1 of h1.ranges || []) {
+      for (const range2 of h2.ranges || []) {
+        if (range1.compareBoundaryPoints(Range.END_TO_START, range2) < 0 &&
+            range2.compareBoundaryPoints(Range.END_TO_START, range1) < 0) {
+          return true;
+        }
+      }
+    }
+
     // Check if any positions of h1 overlap with positions of h2
     for (const pos1 of h1.positions) {
       for (const pos2 of h2.positions) {
@@ -262,6 +531,14 @@ class Highlighter {
     // Combine positions
     h1.positions.push(...h2.positions);
 
+    if (h1.ranges && h2.ranges) {
+      h2.ranges.forEach(range => {
+        this.cssHighlights[h2.colorClass].delete(range);
+        this.cssHighlights[h1.colorClass].add(range);
+      });
+      h1.ranges.push(...h2.ranges);
+    }
+
     // Remove duplicate positions
     h1.positions = h1.positions.filter((pos, index, arr) =>
       arr.findIndex(p => p.node === pos.node &&
@@ -272,7 +549,8 @@ class Highlighter {
     // Use the higher score
     if (h2.finalScore > h1.finalScore) {
       h1.finalScore = h2.finalScore;
-      h1.color = this.getColorFromScore(h2.finalScore);
+      h1.color = h2.finalScore;
+      this.setColorClass(h1, this.getColorClass(h2.finalScore));
     }
 
     this.highlights.delete(id2);
@@ -310,14 +588,17 @@ class Highlighter {
       high_trust: 0,
       medium_trust: 0,
       low_trust: 0,
+      pending: 0,
       enabled: this.enabled,
       confidence_filter: this.confidenceFilter
     };
 
     highlights.forEach(highlight => {
-      if (highlight.finalScore >= CONFIG.scoring.high_trust) {
+      if (highlight.pending) {
+        stats.pending++;
+      } else if (highlight.finalScore >= this.config.scoring.high_trust) {
         stats.high_trust++;
-      } else if (highlight.finalScore >= CONFIG.scoring.medium_trust) {
+      } else if (highlight.finalScore >= this.config.scoring.medium_trust) {
         stats.medium_trust++;
       } else {
         stats.low_trust++;
@@ -330,6 +611,7 @@ class Highlighter {
 
 // Create and export singleton instance
 const highlighter = new Highlighter();
+configStore.subscribe(config => highlighter.configure(config));
 export default highlighter;
 
 // Make highlighter available globally for content scripts
@@ -0,0 +1,114 @@
+// Red Flag Banner - Page-level summary of article red flags, pinned to the top of the viewport
+import logger from '../foundation/logger.js';
+import redFlagDetector from '../pipeline/redFlagDetector.js';
+
+const MAX_LISTED_FLAGS = 5;
+
+class RedFlagBanner {
+  constructor() {
+    this.element = null;
+    this.expanded = false;
+    this.dismissed = false;
+  }
+
+  /**
+   * Show (or refresh) the banner for an analysis from RedFlagDetector.analyzeArticle
+   * Does nothing without flags, or once the reader has dismissed it on this page.
+   */
+  show(analysis) {
+    if (this.dismissed || !analysis || analysis.flags.length === 0) {
+      this.hide();
+      return;
+    }
+
+    if (!this.element) {
+      this.element = document.createElement('div');
+      this.element.id = 'truth-check-red-flag-banner';
+      this.element.className = 'truth-check-red-flag-banner';
+      this.element.setAttribute('role', 'status');
+      this.element.addEventListener('click', (event) => this.handleClick(event));
+      document.body.appendChild(this.element);
+    }
+
+    this.analysis = analysis;
+    this.render();
+    logger.debug('Red flag banner shown:', analysis.flags.length);
+  }
+
+  hide() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+
+  // Start fresh for a new page (in-page navigation), including after a dismissal
+  reset() {
+    this.dismissed = false;
+    this.expanded = false;
+    this.hide();
+  }
+
+  render() {
+    const { flags, risk_level: riskLevel, manipulation_risk: manipulationRisk } = this.analysis;
+
+    this.element.className = `truth-check-red-flag-banner risk-${riskLevel}`;
+    this.element.innerHTML = `
+      <div class="truth-check-red-flag-summary">
+        <span class="truth-check-red-flag-icon">⚠</span>
+        <span class="truth-check-red-flag-title">
+          ${flags.length} red flag${flags.length > 1 ? 's' : ''} in this article
+          <span class="truth-check-red-flag-risk">Manipulation risk: ${riskLevel} (${manipulationRisk}/10)</span>
+        </span>
+        <button class="truth-check-red-flag-toggle" data-action="toggle">${this.expanded ? 'Hide' : 'Details'}</button>
+        <button class="truth-check-red-flag-close" data-action="dismiss" aria-label="Dismiss">×</button>
+      </div>
+      ${this.expanded ? `
+        <ul class="truth-check-red-flag-list">
+          ${flags.slice(0, MAX_LISTED_FLAGS).map(flag => this.renderFlag(flag)).join('')}
+        </ul>
+        ${flags.length > MAX_LISTED_FLAGS ? `<div class="truth-check-red-flag-more">+${flags.length - MAX_LISTED_FLAGS} more (see the extension popup)</div>` : ''}
+      ` : ''}
+    `;
+  }
+
+  renderFlag(flag) {
+    return `
+      <li class="truth-check-red-flag-item">
+        <div class="truth-check-red-flag-item-header">
+          <span class="truth-check-red-flag-type">${this.escapeHtml(redFlagDetector.getFlagLabel(flag.flag_type))}</span>
+          <span class="truth-check-red-flag-severity" title="Severity ${flag.severity}/5">${'●'.repeat(flag.severity)}${'○'.repeat(5 - flag.severity)}</span>
+        </div>
+        ${flag.example ? `<blockquote class="truth-check-red-flag-example">"${this.escapeHtml(flag.example)}"</blockquote>` : ''}
+        ${flag.significance ? `<div class="truth-check-red-flag-significance">${this.escapeHtml(flag.significance)}</div>` : ''}
+      </li>
+    `;
+  }
+
+  handleClick(event) {
+    const action = event.target.closest('[data-action]')?.dataset.action;
+
+    if (action === 'toggle') {
+      this.expanded = !this.expanded;
+      this.render();
+    } else if (action === 'dismiss') {
+      this.dismissed = true;
+      this.hide();
+    }
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// Create and export singleton instance
+const redFlagBanner = new RedFlagBanner();
+export default redFlagBanner;
+
+// Make redFlagBanner available globally for content scripts
+if (typeof window !== 'undefined') {
+  window.redFlagBanner = redFlagBanner;
+}
@@ -322,10 +322,21 @@ class Tooltip {
   }
 
   generateContent() {
-    const { claim, finalScore, scores } = this.highlightData;
+    const { claim, finalScore, scores, redFlags } = this.highlightData;
     const components = scores?.components || scores || {};
 
-    if (!claim || !finalScore) {
+    // Highlighted as soon as it was extracted; the score is still on its way
+    if (this.highlightData.pending && claim) {
+      return `
+        <div class="truth-check-tooltip-header">
+          <div class="truth-check-tooltip-claim">${this.escapeHtml(claim.length > 80 ? claim.substring(0, 80) + '...' : claim)}</div>
+          <div class="truth-check-tooltip-label">Scoring...</div>
+        </div>
+      `;
+    }
+
+    // 0 is a real score (e.g. an override for a known-false claim)
+    if (!claim || finalScore === null || finalScore === undefined) {
       return '<div>Error: Invalid tooltip data</div>';
     }
 
@@ -335,7 +346,7 @@ class Tooltip {
     // Get score label and color based on exact specifications
     const scoreInfo = this.getScoreInfo(finalScore);
 
-    // Generate score breakdown section (3 components in grid)
+    // Generate score breakdown section (one row per component)
     const breakdownHtml = this.generateBreakdown(components);
 
     // Generate evidence section (conditional)
@@ -350,6 +361,8 @@ class Tooltip {
 
       ${breakdownHtml}
 
+      ${this.generateRedFlagNote(redFlags)}
+
       ${evidenceHtml}
     `;
   }
@@ -359,7 +372,7 @@ class Tooltip {
     const CONFIG = getConfig();
     if (!CONFIG.display.show_breakdown) return '';
 
-    const componentOrder = ['scholarly', 'source_credibility', 'ai'];
+    const componentOrder = ['fact_checker', 'scholarly', 'source_credibility', 'coherence', 'ai'];
 
     return `
       <div class="truth-check-tooltip-breakdown">
@@ -381,6 +394,11 @@ class Tooltip {
     if (error) {
       displayText = `N/A - ${error}`;
       valueClass = 'error';
+    } else if (data && data.score === null) {
+      // Ran, but nothing to rate (e.g. no published fact-checks)
+      const emptyText = { fact_checker: 'No fact-checks', coherence: 'Nothing to compare' };
+      displayText = `N/A - ${emptyText[component] || 'No data'}`;
+      valueClass = 'disabled';
     } else if (score === 5 && !data) {
       // Component not enabled or no data
       displayText = 'N/A - Disabled';
@@ -391,6 +409,30 @@ class Tooltip {
       <div class="truth-check-tooltip-component">
         <div class="truth-check-tooltip-component-label">${label}:</div>
         <div class="truth-check-tooltip-component-value ${valueClass}">${displayText}</div>
+        ${this.generateBreakerNote(data?.breakers)}
+      </div>
+    `;
+  }
+
+  // Sources whose circuit breaker wasn't closed when the component was scored (Scorer.addTrippedBreakers)
+  generateBreakerNote(breakers) {
+    if (!breakers || breakers.length === 0) return '';
+
+    const text = breakers.map(breaker => `${breaker.name}: circuit ${breaker.state}`).join(', ');
+    return `<div class="truth-check-tooltip-component-breakers">${this.escapeHtml(text)}</div>`;
+  }
+
+  // Score was lowered by the article's red flags (RedFlagDetector.adjustClaimResult)
+  generateRedFlagNote(redFlags) {
+    if (!redFlags || !redFlags.penalty) return '';
+
+    const labels = [...new Set(redFlags.flags.map(flag => window.RedFlagDetector?.getFlagLabel(flag.flag_type) || flag.flag_type))];
+    const reason = labels.length > 0 ? labels.join(', ') : 'high-risk article';
+
+    return `
+      <div class="truth-check-tooltip-component">
+        <div class="truth-check-tooltip-component-label">Red flags:</div>
+        <div class="truth-check-tooltip-component-value low">-${redFlags.penalty} (${this.escapeHtml(reason)})</div>
       </div>
     `;
   }
@@ -434,6 +476,11 @@ class Tooltip {
         statusText = 'DIRECT CONTRADICTION';
         badgeClass = 'contradicted';
         break;
+      case 'inconsistent':
+        statusIcon = '✗';
+        statusText = 'INCONSISTENT WITH ARTICLE';
+        badgeClass = 'contradicted';
+        break;
       case 'supported':
         statusIcon = '✓';
         statusText = 'SCHOLARLY CORROBORATION';
@@ -452,7 +499,7 @@ class Tooltip {
           <span class="truth-check-tooltip-evidence-text">${statusText}</span>
         </div>
         <div class="truth-check-tooltip-evidence-source">
-          Source: ${evidence.source}
+          Source: ${this.escapeHtml(evidence.source)}
         </div>
         <button class="truth-check-tooltip-view-source" onclick="window.tooltipManager?.modal.open(${JSON.stringify(evidence).replace(/"/g, '&quot;')})">
           [CLICK TO VIEW]
@@ -464,6 +511,37 @@ class Tooltip {
   extractEvidence(components) {
     const evidence = [];
 
+    // Published fact-checks come first - they're the most direct evidence
+    const review = components.fact_checker?.reviews?.find(item => item.score !== null);
+    if (review && (review.score >= 7 || review.score <= 3)) {
+      const corroborated = review.score >= 7;
+      evidence.push({
+        source: `${review.publisher} - rated "${review.rating}"`,
+        status: corroborated ? 'corroborated' : 'contradicted',
+        title: review.title || review.reviewed_claim,
+        url: review.url || '#',
+        excerpt: review.reviewed_claim ? `Reviewed claim: "${review.reviewed_claim}"${review.claimant ? ` (${review.claimant})` : ''}` : review.rating,
+        type: 'Fact-Check',
+        date: review.date,
+        badge: corroborated ? 'CORROBORATED' : 'CONTRADICTED'
+      });
+    }
+
+    // The article disagrees with itself about this claim
+    const issue = components.coherence?.issues?.[0];
+    if (issue) {
+      evidence.push({
+        source: issue.type === 'figure_mismatch' ? 'This article - another paragraph' : 'This article - headline',
+        status: 'inconsistent',
+        title: components.coherence.assessment,
+        url: '#',
+        excerpt: issue.excerpt,
+        type: 'Internal Consistency',
+        date: null,
+        badge: 'INCONSISTENT'
+      });
+    }
+
     // Scholarly evidence
     if (components.scholarly && components.scholarly.sources && components.scholarly.sources.length > 0) {
       const primarySource = components.scholarly.sources[0];
@@ -499,8 +577,10 @@ class Tooltip {
   getComponentLabel(component) {
     const labels = {
       ai: 'AI Agent Rating',
+      fact_checker: 'Fact-Checkers',
       source_credibility: 'Article Quality',
-      scholarly: 'Scholarly Match'
+      scholarly: 'Scholarly Match',
+      coherence: 'Internal Consistency'
     };
     return labels[component] || component;
   }
@@ -0,0 +1,65 @@
+// Abort - Helpers for passing a run's AbortSignal down to fetches, sleeps and per-source loops
+
+class Abort {
+  // Signal for one request: aborts when the run's signal does or after timeoutMs, whichever comes first
+  static withTimeout(signal, timeoutMs) {
+    const timeout = AbortSignal.timeout(timeoutMs);
+    return signal ? AbortSignal.any([signal, timeout]) : timeout;
+  }
+
+  // True when the error came from an aborted signal rather than a timeout or failed request
+  static isAbortError(error) {
+    return error?.name === 'AbortError';
+  }
+
+  // Rethrow errors caused by cancelling the run; catch blocks that fall back to defaults call this first,
+  // so a cancelled run ends instead of carrying on with empty results
+  static rethrowIfAborted(error, signal) {
+    if (signal?.aborted || this.isAbortError(error)) {
+      throw signal?.reason ?? error;
+    }
+  }
+
+  // Settle with the promise, or reject as soon as the signal aborts - for a caller waiting on work it shares
+  // with others, which keeps running for them
+  static race(promise, signal) {
+    if (!signal) return promise;
+
+    return new Promise((resolve, reject) => {
+      if (signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const onAbort = () => reject(signal.reason);
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  // setTimeout as a promise that rejects as soon as the signal aborts
+  static sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+export default Abort;
@@ -1,9 +1,14 @@
 // Retry - Retry logic with exponential backoff for API calls and operations
 import CONFIG from '../foundation/config.js';
 import logger from '../foundation/logger.js';
+import requestScheduler from '../foundation/requestScheduler.js';
+import Abort from './abort.js';
+
+// Host (with port) -> circuit breaker shared by every router that calls it
+const circuitBreakers = new Map();
 
 class Retry {
-  // Retry an async operation with exponential backoff
+  // Retry an async operation with exponential backoff; aborting options.signal stops retrying (and waiting to retry)
   static async withRetry(operation, options = {}) {
     const {
       maxRetries = CONFIG.performance.max_retries,
@@ -11,7 +16,8 @@ class Retry {
       maxDelay = 30000,
       backoffFactor = 2,
       retryCondition = this.defaultRetryCondition,
-      onRetry = null
+      onRetry = null,
+      signal = null
     } = options;
 
     let lastError;
@@ -29,6 +35,9 @@ class Retry {
       } catch (error) {
         lastError = error;
 
+        // A cancelled caller doesn't want another attempt
+        Abort.rethrowIfAborted(error, signal);
+
         // Check if we should retry this error
         if (!retryCondition(error, attempt, maxRetries)) {
           logger.error(`Operation failed permanently after ${attempt} attempts:`, error);
@@ -37,7 +46,10 @@ class Retry {
 
         // Don't wait after the last attempt
         if (attempt < maxRetries) {
-          const delay = Math.min(baseDelay * Math.pow(backoffFactor, attempt), maxDelay);
+          // A rate-limited response says how long to wait (error.retryAfter, in seconds)
+          const delay = error.retryAfter
+            ? error.retryAfter * 1000
+            : Math.min(baseDelay * Math.pow(backoffFactor, attempt), maxDelay);
 
           logger.warn(`Operation failed (attempt ${attempt + 1}/${maxRetries + 1}), retrying in ${delay}ms:`, error.message);
 
@@ -45,7 +57,7 @@ class Retry {
             onRetry(error, attempt, delay);
           }
 
-          await this.sleep(delay);
+          await this.sleep(delay, signal);
         }
       }
     }
@@ -67,7 +79,7 @@ class Retry {
     }
 
     // Retry on timeout errors
-    if (error.name === 'AbortError' || error.message.includes('timeout')) {
+    if (error.name === 'TimeoutError' || error.message.includes('timeout')) {
       return true;
     }
 
@@ -94,9 +106,28 @@ class Retry {
     return false;
   }
 
-  // Sleep for specified milliseconds
-  static sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+  // Failures that say the host is struggling (network errors, timeouts, 5xx, 429) rather than that this
+  // request was wrong - the ones worth retrying, and the ones circuit breakers count
+  static isTransientError(error) {
+    if (Abort.isAbortError(error)) return false;
+
+    if (error.status) {
+      return error.status >= 500 || error.status === 429;
+    }
+
+    return error.name === 'TypeError' ||
+           error.name === 'TimeoutError' ||
+           /timed? ?out|HTTP 5|429/i.test(error.message);
+  }
+
+  // Retry condition for calls to external services: transient failures only, and not a quota that resets in minutes
+  static transientRetryCondition(error, attempt, maxRetries) {
+    return attempt < maxRetries && Retry.isTransientError(error) && !(error.retryAfter > 30);
+  }
+
+  // Sleep for specified milliseconds (rejecting early if signal aborts)
+  static sleep(ms, signal = null) {
+    return Abort.sleep(ms, signal);
   }
 
   // Retry with jitter to avoid thundering herd
@@ -109,51 +140,108 @@ class Retry {
     return this.withRetry(operation, jitteredOptions);
   }
 
-  // Circuit breaker pattern - fail fast if service is down
-  static createCircuitBreaker(threshold = 5, timeout = 60000) {
+  /**
+   * Circuit breaker pattern - fail fast if service is down
+   * Opens after threshold consecutive transient failures; after timeout ms it's half-open and lets one request
+   * through, which closes it again on success. Only that trial closes it: a request that started before the
+   * breaker opened says nothing about the service now. Both default to CONFIG.performance.circuit_breaker, read on
+   * every call so config changes apply to breakers already made.
+   * @returns {Function} (operation, retryOptions) - runs operation with withRetry; breaker.getState() reports
+   *                     { state: 'closed' | 'open' | 'half-open', failures, retryAt }
+   */
+  static createCircuitBreaker(threshold = null, timeout = null, name = 'Circuit breaker') {
     let failures = 0;
     let lastFailureTime = 0;
     let state = 'closed'; // 'closed' | 'open' | 'half-open'
+    let trialRunning = false;
+    let opened = 0; // Times the breaker has opened, so a request can tell whether it opened while it ran
 
-    return async function(operation, options = {}) {
+    const settings = () => ({
+      threshold: threshold ?? CONFIG.performance.circuit_breaker.threshold,
+      timeout: timeout ?? CONFIG.performance.circuit_breaker.cooldown
+    });
+
+    const breaker = async function(operation, options = {}) {
       const now = Date.now();
 
       // Check if circuit should be half-open
-      if (state === 'open' && now - lastFailureTime >= timeout) {
+      if (state === 'open' && now - lastFailureTime >= settings().timeout) {
         state = 'half-open';
-        logger.log('Circuit breaker: half-open');
+        logger.log(`${name}: half-open`);
       }
 
-      // Fail fast if circuit is open
-      if (state === 'open') {
-        throw new Error('Circuit breaker is open');
+      // Fail fast if circuit is open, or half-open with its one trial request already out
+      if (state === 'open' || (state === 'half-open' && trialRunning)) {
+        const error = new Error(`${name} is open`);
+        error.circuitOpen = true;
+        throw error;
       }
 
+      const trial = state === 'half-open';
+      trialRunning = trial;
+      const generation = opened;
+
       try {
         const result = await Retry.withRetry(operation, options);
 
         // Reset on success
-        if (state === 'half-open') {
+        if (trial) {
           state = 'closed';
           failures = 0;
-          logger.log('Circuit breaker: closed');
+          logger.log(`${name}: closed`);
+        } else if (state === 'closed' && generation === opened) {
+          failures = 0;
         }
 
         return result;
 
       } catch (error) {
-        failures++;
-        lastFailureTime = now;
-
-        // Open circuit if threshold exceeded
-        if (failures >= threshold) {
-          state = 'open';
-          logger.error(`Circuit breaker: open (threshold ${threshold} exceeded)`);
+        // Only failures that say the service is down count; a cancelled or rejected request says nothing
+        if (!options.signal?.aborted && Retry.isTransientError(error)) {
+          failures++;
+          lastFailureTime = Date.now();
+
+          // Open circuit if threshold exceeded (a failed trial reopens it straight away)
+          if (state !== 'open' && (trial || failures >= settings().threshold)) {
+            state = 'open';
+            opened++;
+            logger.error(`${name}: open (${failures} consecutive failures)`);
+          }
         }
 
         throw error;
+      } finally {
+        if (trial) {
+          trialRunning = false;
+        }
       }
     };
+
+    breaker.getState = () => ({
+      state: state === 'open' && Date.now() - lastFailureTime >= settings().timeout ? 'half-open' : state,
+      failures,
+      retryAt: state === 'open' ? lastFailureTime + settings().timeout : null
+    });
+
+    return breaker;
+  }
+
+  // The breaker for a host, made on first use
+  static getCircuitBreaker(host) {
+    if (!circuitBreakers.has(host)) {
+      circuitBreakers.set(host, this.createCircuitBreaker(null, null, `Circuit breaker for ${host}`));
+    }
+    return circuitBreakers.get(host);
+  }
+
+  // A host no request has gone to yet counts as closed
+  static getCircuitBreakerState(host) {
+    return circuitBreakers.get(host)?.getState() || { state: 'closed', failures: 0, retryAt: null };
+  }
+
+  // [{ host, state, failures, retryAt }] for every host called so far
+  static getCircuitBreakerStates() {
+    return [...circuitBreakers.entries()].map(([host, breaker]) => ({ host, ...breaker.getState() }));
   }
 
   // Batch operations with retry
@@ -237,34 +325,42 @@ class Retry {
     };
   }
 
-  // Create a retry-enabled fetch function
-  static createRetryableFetch(options = {}) {
-    return async (url, fetchOptions = {}) => {
-      const operation = async () => {
-        const response = await fetch(url, fetchOptions);
-
-        if (!response.ok) {
-          const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
-          error.status = response.status;
-          error.response = response;
-          throw error;
-        }
+  /**
+   * fetch() through the request scheduler, retrying transient failures, behind the host's circuit breaker
+   * @param {Object} fetchOptions - The request scheduler's (lane, timeout, signal); signal also stops retries
+   * @param {Object} retryOptions - withRetry's
+   * @param {Function} read - Optional async (response) => value, run inside the breaker: what it throws counts as a
+   *                          failed attempt (e.g. a block page served with a 200)
+   * @returns {Promise<Response>} Rejects for non-2xx responses with error.status (and error.retryAfter for 429/503);
+   *                              resolves with read's value instead when given
+   */
+  static async fetch(url, fetchOptions = {}, retryOptions = {}, read = null) {
+    const operation = async () => {
+      const response = await requestScheduler.fetch(url, fetchOptions);
+
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+        error.status = response.status;
+        error.response = response;
+        error.retryAfter = parseInt(response.headers.get('Retry-After'), 10) || null;
+        throw error;
+      }
 
-        return response;
-      };
-
-      return this.withRetry(operation, {
-        maxRetries: 3,
-        baseDelay: 1000,
-        retryCondition: (error) => {
-          // Retry on network errors and 5xx status codes
-          return error.name === 'TypeError' ||
-                 (error.status && error.status >= 500) ||
-                 error.message.includes('fetch');
-        },
-        ...options
-      });
+      return read ? read(response) : response;
     };
+
+    return this.getCircuitBreaker(new URL(url).host)(operation, {
+      maxRetries: 3,
+      baseDelay: 1000,
+      retryCondition: this.transientRetryCondition,
+      signal: fetchOptions.signal,
+      ...retryOptions
+    });
+  }
+
+  // Create a retry-enabled fetch function (see fetch) with these retry options
+  static createRetryableFetch(options = {}) {
+    return (url, fetchOptions = {}) => this.fetch(url, fetchOptions, options);
   }
 }
 
@@ -1,55 +1,47 @@
 // Scrapers - Web scraping utilities for academic and fact-checking sites
 import logger from '../foundation/logger.js';
+import Retry from './retry.js';
 
 class Scrapers {
-  // Generic scraper with retry logic and rate limiting
+  // Generic scraper with retry logic, rate limiting and the host's circuit breaker
   static async scrape(url, options = {}) {
     const {
       timeout = 10000,
       retries = 3,
       delay = 1000,
       headers = {},
-      selector = null
+      selector = null,
+      lane = 'background'
     } = options;
 
     logger.log(`Scraping: ${url}`);
 
-    for (let attempt = 0; attempt <= retries; attempt++) {
-      try {
-        const response = await fetch(url, {
-          method: 'GET',
-          headers: {
-            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
-            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-            'Accept-Language': 'en-US,en;q=0.5',
-            'Accept-Encoding': 'gzip, deflate',
-            'Connection': 'keep-alive',
-            ...headers
-          },
-          signal: AbortSignal.timeout(timeout)
-        });
-
-        if (!response.ok) {
-          throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-
-        const html = await response.text();
-
-        if (selector) {
-          return this.extractWithSelector(html, selector);
-        }
-
-        return html;
+    try {
+      const response = await Retry.fetch(url, {
+        method: 'GET',
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36',
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+          'Accept-Language': 'en-US,en;q=0.5',
+          'Accept-Encoding': 'gzip, deflate',
+          'Connection': 'keep-alive',
+          ...headers
+        },
+        lane,
+        timeout
+      }, { maxRetries: retries, baseDelay: delay });
+
+      const html = await response.text();
+
+      if (selector) {
+        return this.extractWithSelector(html, selector);
+      }
 
-      } catch (error) {
-        logger.error(`Scraping attempt ${attempt + 1} failed for ${url}:`, error);
+      return html;
 
-        if (attempt < retries) {
-          await new Promise(resolve => setTimeout(resolve, delay * Math.pow(2, attempt)));
-        } else {
-          throw new Error(`Failed to scrape ${url} after ${retries + 1} attempts: ${error.message}`);
-        }
-      }
+    } catch (error) {
+      logger.error(`Scraping failed for ${url}:`, error);
+      throw new Error(`Failed to scrape ${url}: ${error.message}`);
     }
   }
 
@@ -308,11 +300,11 @@ class Scrapers {
     return match ? match[1].split(',').map(a => a.trim()) : [];
   }
 
-  // Handle CAPTCHA detection and retry
-  static async handleCaptcha(url, response) {
-    // Check if response contains CAPTCHA indicators
+  // Check if response contains CAPTCHA indicators
+  static isCaptchaPage(response) {
     const captchaIndicators = [
       'captcha',
+      'unusual traffic',
       'blocked',
       'access denied',
       'rate limit',
@@ -320,16 +312,18 @@ class Scrapers {
     ];
 
     const responseText = response.toLowerCase();
+    return captchaIndicators.some(indicator => responseText.includes(indicator));
+  }
 
-    for (const indicator of captchaIndicators) {
-      if (responseText.includes(indicator)) {
-        logger.warn(`CAPTCHA/rate limit detected for ${url}`);
+  // Handle CAPTCHA detection and retry
+  static async handleCaptcha(url, response) {
+    if (this.isCaptchaPage(response)) {
+      logger.warn(`CAPTCHA/rate limit detected for ${url}`);
 
-        // Wait longer before retry
-        await new Promise(resolve => setTimeout(resolve, 10000));
+      // Wait longer before retry
+      await new Promise(resolve => setTimeout(resolve, 10000));
 
-        return false; // Indicates retry should happen
-      }
+      return false; // Indicates retry should happen
     }
 
     return true; // No CAPTCHA detected
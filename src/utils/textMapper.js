@@ -0,0 +1,134 @@
+// Text Mapper - Map claim text onto DOM Ranges that can span several text nodes (links, <em>, <strong>, ...)
+
+// Text under these never holds article claims (or belongs to the extension's own UI)
+const SKIPPED_CONTAINERS = 'script, style, noscript, textarea, select, .truth-check-tooltip-container, .truth-check-tooltip, .truth-check-red-flag-banner';
+// Text in different blocks is separated by a space even when the markup has none (<p>a.</p><p>B</p>)
+const BLOCK_CONTAINERS = 'p, div, li, td, th, h1, h2, h3, h4, h5, h6, blockquote, pre, figcaption, dd, dt, section, article, header, footer, aside, main, nav, ul, ol, table, form';
+// Long claims that were reworded at the end can still be found by their opening
+const PREFIX_LENGTH = 50;
+
+class TextMapper {
+  /**
+   * Flatten the text under root into one lowercased, whitespace-collapsed string,
+   * remembering the text node and offset every character came from
+   * @param {Node} root - Usually document.body
+   * @returns {Object} { text, nodes, offsets } - nodes[i]/offsets[i] locate text[i]
+   */
+  static buildIndex(root = document.body) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => (this.isSearchable(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT)
+    });
+
+    const chars = [];
+    const nodes = [];
+    const offsets = [];
+    let lastWasSpace = true;
+    let lastBlock = null;
+    let node;
+
+    while ((node = walker.nextNode())) {
+      const block = node.parentElement.closest(BLOCK_CONTAINERS);
+      if (block !== lastBlock && !lastWasSpace) {
+        // Virtual separator, mapped onto the end of the previous node
+        chars.push(' ');
+        nodes.push(nodes[nodes.length - 1]);
+        offsets.push(offsets[offsets.length - 1]);
+        lastWasSpace = true;
+      }
+      lastBlock = block;
+
+      const data = node.data;
+      for (let i = 0; i < data.length; i++) {
+        const isSpace = /\s/.test(data[i]);
+        if (isSpace && lastWasSpace) continue;
+
+        chars.push(isSpace ? ' ' : data[i].toLowerCase());
+        nodes.push(node);
+        offsets.push(i);
+        lastWasSpace = isSpace;
+      }
+    }
+
+    return { text: chars.join(''), nodes, offsets };
+  }
+
+  /**
+   * Find every occurrence of a claim in an index from buildIndex
+   * Falls back to the claim's opening words (spanning the claim's length) when the whole claim isn't on the page.
+   * @returns {Range[]} In document order
+   */
+  static findRanges(index, claim) {
+    const needle = this.normalize(claim);
+    if (!needle) return [];
+
+    let matches = this.findAll(index.text, needle).map(start => ({ start, end: start + needle.length }));
+
+    if (matches.length === 0 && needle.length > PREFIX_LENGTH) {
+      matches = this.findAll(index.text, needle.substring(0, PREFIX_LENGTH))
+        .map(start => ({ start, end: Math.min(start + needle.length, index.text.length) }));
+    }
+
+    return matches.map(match => this.toRange(index, match.start, match.end));
+  }
+
+  static findAll(text, needle) {
+    const starts = [];
+    let position = text.indexOf(needle);
+
+    while (position !== -1) {
+      starts.push(position);
+      position = text.indexOf(needle, position + needle.length);
+    }
+
+    return starts;
+  }
+
+  static toRange(index, start, end) {
+    const range = document.createRange();
+    range.setStart(index.nodes[start], index.offsets[start]);
+    range.setEnd(index.nodes[end - 1], index.offsets[end - 1] + 1);
+    return range;
+  }
+
+  /**
+   * Split a Range into per-text-node pieces that can each be wrapped in an element
+   * Whitespace-only pieces (e.g. between list items) are dropped - wrapping them would change the layout.
+   * @returns {Array} [{ node, startIndex, endIndex }] in document order
+   */
+  static getTextSegments(range) {
+    const root = range.commonAncestorContainer;
+    const candidates = [];
+
+    if (root.nodeType === Node.TEXT_NODE) {
+      candidates.push(root);
+    } else {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => (range.intersectsNode(node) && this.isSearchable(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT)
+      });
+      let node;
+      while ((node = walker.nextNode())) {
+        candidates.push(node);
+      }
+    }
+
+    return candidates
+      .map(node => ({
+        node,
+        startIndex: node === range.startContainer ? range.startOffset : 0,
+        endIndex: node === range.endContainer ? range.endOffset : node.length
+      }))
+      .filter(segment => segment.startIndex < segment.endIndex &&
+        segment.node.data.substring(segment.startIndex, segment.endIndex).trim().length > 0);
+  }
+
+  static isSearchable(node) {
+    const parent = node.parentElement;
+    return parent !== null && parent.closest(SKIPPED_CONTAINERS) === null;
+  }
+
+  static normalize(text) {
+    return (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+}
+
+export default TextMapper;
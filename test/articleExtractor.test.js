@@ -0,0 +1,96 @@
+// Article Extractor tests - finding the article body among page furniture, and reading its metadata from
+// JSON-LD, meta tags and the markup itself, on pages built with jsdom
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const { window } = new JSDOM('');
+Object.assign(globalThis, { Node: window.Node, DOMParser: window.DOMParser });
+globalThis.chrome = { storage: { onChanged: { addListener() {} } } };
+
+const { default: articleExtractor } = await import('../src/pipeline/articleExtractor.js');
+
+function page(html, url = 'https://news.example/world/big-story?utm_source=feed#comments') {
+  return new JSDOM(html, { url }).window.document;
+}
+
+const STORY = [
+  'The city council voted on Tuesday to raise the budget by 12 percent, officials said, citing inflation, growth and new hires.',
+  'According to the report, unemployment fell to 3.5 percent in March, the lowest level since 1969, while wages rose.',
+  'A div used as a paragraph, with a comma, and enough text to be counted as article prose by the extractor.'
+];
+
+const ARTICLE_PAGE = `<!doctype html><html><head><title>Big story | News Example</title>
+<link rel="canonical" href="/world/big-story">
+<meta property="og:title" content="Big story (OG)">
+<meta name="author" content="Meta Author">
+<meta property="article:published_time" content="2024-03-05T10:00:00Z">
+<script type="application/ld+json">{"@context":"https://schema.org","@graph":[{"@type":"WebSite","name":"News Example"},
+  {"@type":"NewsArticle","headline":"Council raises  budget","author":[{"@type":"Person","name":"Jane Doe"},{"@type":"Person","name":"John Roe"}],
+   "datePublished":"2024-03-04T08:00:00-05:00"}]}</script>
+</head><body>
+<nav><a href="/">Home</a><a href="/world">World</a></nav>
+<main><div class="layout">
+  <div class="story-header"><h1>Council raises budget</h1><span class="byline">By Someone Else</span></div>
+  <div class="article-body">
+    <p>${STORY[0]}</p>
+    <p>${STORY[1]}</p>
+    <div>${STORY[2]}</div>
+    <p>See also <a href="/x">this other story about something entirely unrelated to this one</a>.</p>
+  </div>
+  <div class="related-stories"><p>Related: <a href="/1">Story one that is interesting, really, truly</a></p></div>
+  <div id="comments"><p>Great article, I agree with everything, absolutely, 100 percent, yes indeed, so true.</p></div>
+</div></main>
+<aside><p>Sidebar text that is long enough to count, with commas, commas, commas, and more besides.</p></aside>
+<footer><p>Copyright footer text, all rights reserved, and so on and so forth, for ever.</p></footer>
+</body></html>`;
+
+test('the article body is found without navigation, related stories, comments, sidebars or link lists', () => {
+  const { text } = articleExtractor.extract(page(ARTICLE_PAGE));
+
+  assert.deepEqual(text.split('\n'), STORY);
+});
+
+test('JSON-LD metadata comes first, even inside an @graph', () => {
+  const article = articleExtractor.extract(page(ARTICLE_PAGE));
+
+  assert.equal(article.headline, 'Council raises budget');
+  assert.equal(article.byline, 'Jane Doe, John Roe');
+  assert.equal(article.publishedAt, '2024-03-04T13:00:00.000Z');
+  assert.equal(article.canonicalUrl, 'https://news.example/world/big-story');
+});
+
+test('meta tags stand in for missing JSON-LD, and the markup for missing meta tags', () => {
+  const withMeta = articleExtractor.extract(page(ARTICLE_PAGE.replace(/<script type="application\/ld\+json">[\s\S]*?<\/script>/, '')));
+  assert.equal(withMeta.headline, 'Council raises budget');
+  assert.equal(withMeta.byline, 'Meta Author');
+  assert.equal(withMeta.publishedAt, '2024-03-05T10:00:00.000Z');
+
+  const markupOnly = articleExtractor.extract(page(`<html><head><title>Plain page</title></head><body><article>
+    <h1>Only a heading</h1><p class="byline">By Ann Lee</p><time datetime="2023-01-02T09:30:00Z">2 January</time>
+    <p>${STORY[0]}</p><p>${STORY[1]}</p></article></body></html>`, 'https://blog.example/post#top'));
+  assert.equal(markupOnly.headline, 'Only a heading');
+  assert.equal(markupOnly.byline, 'Ann Lee');
+  assert.equal(markupOnly.publishedAt, '2023-01-02T09:30:00.000Z');
+  assert.equal(markupOnly.canonicalUrl, 'https://blog.example/post');
+});
+
+test('a page without an article falls back to its paragraphs and the page title', () => {
+  const article = articleExtractor.extract(page(`<html><head><title>Shop</title></head><body>
+    <nav><a href="/a">Everything you could ever want to buy, and more</a></nav><p>Short.</p></body></html>`));
+
+  assert.equal(article.text, 'Short.');
+  assert.equal(article.headline, 'Shop');
+  assert.equal(article.byline, null);
+  assert.equal(article.publishedAt, null);
+});
+
+test('unparseable dates and URL-only authors are left out', () => {
+  const article = articleExtractor.extract(page(`<html><head>
+    <meta name="author" content="https://news.example/staff/jane">
+    <meta property="article:published_time" content="last Tuesday">
+    </head><body><article><h1>Heading</h1><p>${STORY[0]}</p></article></body></html>`));
+
+  assert.equal(article.byline, null);
+  assert.equal(article.publishedAt, null);
+});
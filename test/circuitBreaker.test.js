@@ -0,0 +1,156 @@
+// Circuit breaker tests - Retry.createCircuitBreaker opening, half-open trials and closing, and the per-host
+// breakers behind Retry.fetch
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.chrome = { storage: { onChanged: { addListener() {} } } };
+
+const { default: Retry } = await import('../src/utils/retry.js');
+
+const COOLDOWN = 30;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function serverError() {
+  const error = new Error('HTTP 503: Service Unavailable');
+  error.status = 503;
+  return error;
+}
+
+// Resolve or reject the operation's result by hand
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+}
+
+const NO_RETRIES = { maxRetries: 0 };
+
+async function fail(breaker, error = serverError()) {
+  await assert.rejects(breaker(async () => { throw error; }, NO_RETRIES), error);
+}
+
+test('the breaker opens after threshold consecutive transient failures and then fails fast', async () => {
+  const breaker = Retry.createCircuitBreaker(3, COOLDOWN, 'Test');
+
+  await fail(breaker);
+  await fail(breaker);
+  assert.equal(await breaker(async () => 'ok', NO_RETRIES), 'ok');
+  assert.equal(breaker.getState().failures, 0);
+
+  for (let i = 0; i < 3; i++) {
+    await fail(breaker);
+  }
+  assert.equal(breaker.getState().state, 'open');
+
+  let called = false;
+  await assert.rejects(breaker(async () => { called = true; }, NO_RETRIES), error => error.circuitOpen && error.message === 'Test is open');
+  assert.equal(called, false);
+});
+
+test('client errors and cancelled requests don\'t count as failures', async () => {
+  const breaker = Retry.createCircuitBreaker(1, COOLDOWN);
+
+  const notFound = new Error('HTTP 404: Not Found');
+  notFound.status = 404;
+  await fail(breaker, notFound);
+
+  const controller = new AbortController();
+  controller.abort();
+  await assert.rejects(breaker(async () => { throw serverError(); }, { ...NO_RETRIES, signal: controller.signal }));
+
+  assert.deepEqual(breaker.getState(), { state: 'closed', failures: 0, retryAt: null });
+});
+
+test('after the cooldown one trial request goes through, and closes the breaker if it succeeds', async () => {
+  const breaker = Retry.createCircuitBreaker(1, COOLDOWN);
+  await fail(breaker);
+  await sleep(COOLDOWN + 10);
+  assert.equal(breaker.getState().state, 'half-open');
+
+  const trial = deferred();
+  const running = breaker(() => trial.promise, NO_RETRIES);
+
+  // Only one request at a time tests the service
+  await assert.rejects(breaker(async () => 'ok', NO_RETRIES), error => error.circuitOpen);
+
+  trial.resolve('ok');
+  assert.equal(await running, 'ok');
+  assert.deepEqual(breaker.getState(), { state: 'closed', failures: 0, retryAt: null });
+});
+
+test('a failed trial reopens the breaker straight away', async () => {
+  const breaker = Retry.createCircuitBreaker(3, COOLDOWN);
+  for (let i = 0; i < 3; i++) {
+    await fail(breaker);
+  }
+  await sleep(COOLDOWN + 10);
+
+  await fail(breaker);
+  assert.equal(breaker.getState().state, 'open');
+  assert.equal(breaker.getState().failures, 4);
+});
+
+test('a request that started before the breaker opened doesn\'t close it by succeeding', async () => {
+  const breaker = Retry.createCircuitBreaker(2, COOLDOWN);
+
+  const early = deferred();
+  const late = deferred();
+  const earlyRunning = breaker(() => early.promise, NO_RETRIES);
+  const lateRunning = breaker(() => late.promise, NO_RETRIES);
+
+  await fail(breaker);
+  await fail(breaker);
+  assert.equal(breaker.getState().state, 'open');
+
+  early.resolve('early');
+  assert.equal(await earlyRunning, 'early');
+  assert.equal(breaker.getState().state, 'open');
+  assert.equal(breaker.getState().failures, 2);
+
+  // Nor while the trial is out: only the trial decides
+  await sleep(COOLDOWN + 10);
+  const trial = deferred();
+  const trialRunning = breaker(() => trial.promise, NO_RETRIES);
+
+  late.resolve('late');
+  assert.equal(await lateRunning, 'late');
+  assert.equal(breaker.getState().state, 'half-open');
+  await assert.rejects(breaker(async () => 'ok', NO_RETRIES), error => error.circuitOpen);
+
+  trial.reject(serverError());
+  await assert.rejects(trialRunning);
+  assert.equal(breaker.getState().state, 'open');
+});
+
+const realFetch = globalThis.fetch;
+
+after(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('Retry.fetch keeps one breaker per host', async () => {
+  const statuses = { 'down.example': 503, 'up.example': 200 };
+  globalThis.fetch = async url => {
+    const status = statuses[new URL(url).host];
+    return new Response(status === 200 ? '{}' : 'Unavailable', { status, statusText: status === 200 ? 'OK' : 'Service Unavailable' });
+  };
+
+  for (let i = 0; i < 5; i++) {
+    await assert.rejects(Retry.fetch('https://down.example/api', {}, NO_RETRIES), error => error.status === 503);
+  }
+  await assert.rejects(Retry.fetch('https://down.example/api', {}, NO_RETRIES), error => error.circuitOpen);
+
+  assert.equal((await Retry.fetch('https://up.example/api', {}, NO_RETRIES)).status, 200);
+
+  assert.equal(Retry.getCircuitBreakerState('down.example').state, 'open');
+  assert.deepEqual(Retry.getCircuitBreakerState('never-called.example'), { state: 'closed', failures: 0, retryAt: null });
+  assert.deepEqual(Retry.getCircuitBreakerStates().map(({ host, state }) => [host, state]), [
+    ['down.example', 'open'],
+    ['up.example', 'closed']
+  ]);
+});
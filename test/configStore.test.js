@@ -0,0 +1,150 @@
+// Config Store tests - migrating stored config forward, validating overrides and applying them to CONFIG,
+// with chrome.storage.sync kept in memory
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+let storage;
+
+globalThis.chrome = {
+  storage: {
+    onChanged: { addListener() {} },
+    sync: {
+      get: async keys => Object.fromEntries(keys.filter(key => key in storage).map(key => [key, structuredClone(storage[key])])),
+      set: async items => Object.assign(storage, structuredClone(items)),
+      remove: async keys => [].concat(keys).forEach(key => delete storage[key])
+    }
+  }
+};
+
+const { default: CONFIG } = await import('../src/foundation/config.js');
+const { default: configStore } = await import('../src/foundation/configStore.js');
+
+beforeEach(() => {
+  storage = {};
+  configStore.apply();
+});
+
+// What background.js and the options page stored before configs were versioned: full copies, defaults included
+function legacyStorage() {
+  const config = structuredClone(configStore.defaults);
+  config.claim_extraction.method = 'ai';
+  config.scoring.ai.weight = 0.5;
+
+  return {
+    config,
+    settings: {
+      weights: { ai: 0.6, scholarly: 0.3 },
+      high_trust: 8,
+      medium_trust: 4,
+      extraction_method: 'ai',
+      heuristic_threshold: 0.6,
+      api_server_url: '',
+      scholar_sources: { PubMed: false, 'Google Scholar': true },
+      credibility_sources: { NewsGuard: true }
+    }
+  };
+}
+
+test('unversioned config and options page settings migrate to overrides of only the changed values', async () => {
+  storage = legacyStorage();
+
+  const { version, overrides, migrated } = configStore.migrate(structuredClone(storage));
+
+  assert.equal(version, 1);
+  assert.equal(migrated, true);
+  // The options page saved after background.js, so its values win
+  assert.deepEqual(overrides, {
+    claim_extraction: { method: 'ai' },
+    scoring: { ai: { weight: 0.6 }, medium_trust: 4 },
+    apis: { scholar_sources: [{ name: 'PubMed', enabled: false }] }
+  });
+
+  await configStore.upgrade();
+  assert.deepEqual(storage, { config: { version: 1, overrides } });
+});
+
+test('a current config is read as stored and not rewritten', async () => {
+  const overrides = { debug_mode: true, scoring: { coherence: { enabled: false } } };
+  storage = { config: { version: 1, overrides } };
+
+  assert.deepEqual(configStore.migrate(storage), { version: 1, overrides, migrated: false });
+
+  storage.config.overrides = { debug_mode: false };
+  await configStore.upgrade();
+  assert.deepEqual(storage, { config: { version: 1, overrides: { debug_mode: false } } });
+
+  // Nothing stored yet: nothing to write either
+  storage = {};
+  await configStore.upgrade();
+  assert.deepEqual(storage, {});
+});
+
+test('invalid stored values are left out and reported by path', async () => {
+  storage = {
+    config: {
+      version: 1,
+      overrides: {
+        min_content_length: 200,
+        claim_extraction: { method: 'magic', min_claim_length: 500 },
+        scoring: { ai: { weight: 2 } },
+        apis: { scholar_sources: [{ name: 'PubMed', enabled: 'no' }, { name: 'Nonesuch', enabled: true }] },
+        no_such_setting: 1
+      }
+    }
+  };
+
+  assert.deepEqual(await configStore.load(), {
+    overrides: { min_content_length: 200 },
+    errors: {
+      'claim_extraction.method': 'Must be one of heuristic, ai, hybrid',
+      'claim_extraction.min_claim_length': 'Must be below the maximum claim length',
+      'scoring.ai.weight': 'Must be between 0 and 1',
+      'apis.scholar_sources[PubMed].enabled': 'Must be true or false',
+      'apis.scholar_sources[Nonesuch]': 'Unknown source',
+      no_such_setting: 'Not a configurable setting'
+    }
+  });
+});
+
+test('a config synced from a newer release keeps the settings this one understands', async () => {
+  storage = { config: { version: 2, overrides: { debug_mode: true, added_later: { enabled: true } } } };
+
+  const { overrides, errors } = await configStore.load();
+  assert.deepEqual(overrides, { debug_mode: true });
+  assert.deepEqual(Object.keys(errors), ['added_later']);
+
+  await configStore.upgrade();
+  assert.equal(storage.config.version, 2);
+});
+
+test('save refuses invalid overrides and stores valid ones with the current version', async () => {
+  await assert.rejects(configStore.save({ scoring: { high_trust: 4, medium_trust: 6 } }), error => {
+    assert.deepEqual(error.fields, { 'scoring.medium_trust': 'Must be below the high trust threshold' });
+    return true;
+  });
+  assert.deepEqual(storage, {});
+
+  await configStore.save({ scoring: { high_trust: 9 } });
+  assert.deepEqual(storage, { config: { version: 1, overrides: { scoring: { high_trust: 9 } } } });
+});
+
+test('apply merges overrides onto the defaults in place and tells subscribers', () => {
+  const scholarSources = CONFIG.apis.scholar_sources;
+  const seen = [];
+  const unsubscribe = configStore.subscribe(config => seen.push(config.scoring.ai.weight));
+
+  configStore.apply({ scoring: { ai: { weight: 0.2 } }, apis: { scholar_sources: [{ name: 'PubMed', enabled: false }] } });
+  assert.equal(CONFIG.scoring.ai.weight, 0.2);
+  assert.equal(CONFIG.scoring.ai.enabled, true);
+  assert.equal(CONFIG.apis.scholar_sources, scholarSources);
+  assert.deepEqual(scholarSources.map(source => [source.name, source.enabled]).slice(0, 2), [['Google Scholar', true], ['PubMed', false]]);
+
+  // Each apply starts from the defaults again
+  configStore.apply({ debug_mode: true });
+  assert.equal(CONFIG.scoring.ai.weight, configStore.defaults.scoring.ai.weight);
+  assert.equal(scholarSources[1].enabled, true);
+
+  unsubscribe();
+  configStore.apply();
+  assert.deepEqual(seen, [0.2, configStore.defaults.scoring.ai.weight]);
+});
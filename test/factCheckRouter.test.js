@@ -0,0 +1,154 @@
+// Fact Check Router tests - query the API server's fact check stand-in (truthcheck-api/lib/factCheckStandIn.js)
+// over HTTP, answering from truthcheck-api/fixtures/claim-reviews.json
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { createRequire } from 'node:module';
+
+globalThis.chrome = { storage: { onChanged: { addListener() {} } } };
+
+const require = createRequire(import.meta.url);
+const FactCheckStandIn = require('../truthcheck-api/lib/factCheckStandIn.js');
+
+const { default: CONFIG } = await import('../src/foundation/config.js');
+const { default: cache } = await import('../src/foundation/cache.js');
+const { FactCheckRouter } = await import('../src/routers/factcheck.js');
+
+// Every lookup should reach the stand-in
+CONFIG.cache.enabled = false;
+
+const STANDIN_PATH = '/factcheck/v1alpha1/claims:search';
+const standIn = new FactCheckStandIn({ file: new URL('../truthcheck-api/fixtures/claim-reviews.json', import.meta.url).pathname });
+
+let server;
+let router;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const body = url.pathname === STANDIN_PATH ? standIn.search(Object.fromEntries(url.searchParams)) : { error: 'Not found' };
+
+    res.writeHead(url.pathname === STANDIN_PATH ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+
+  // The shipped fact-checkers, with Google Fact Check pointed at the stand-in
+  const factCheckers = structuredClone(CONFIG.apis.fact_checkers).map(source => source.name === 'Google Fact Check'
+    ? { ...source, url: `http://localhost:${server.address().port}${STANDIN_PATH}`, retries: 0 }
+    : source);
+
+  router = new FactCheckRouter();
+  router.configure({ ...CONFIG, apis: { ...CONFIG.apis, fact_checkers: factCheckers } });
+});
+
+after(() => {
+  server.close();
+});
+
+test('mapRating places textual ratings on the 0-10 scale', () => {
+  const expected = {
+    'Pants on Fire!': 0,
+    'False': 1,
+    'Fake': 1,
+    'Not true': 1,
+    'Not entirely true': 1,
+    'Not quite accurate': 1,
+    'Four Pinocchios': 1,
+    'Three Pinocchios': 3,
+    'Mostly False': 3,
+    'Two Pinocchios': 4,
+    'Misleading': 4,
+    'Missing context': 4,
+    'Half True': 5,
+    'Mixture': 5,
+    'Unproven': 5,
+    'One Pinocchio': 6,
+    'Mostly True': 7,
+    'True': 9,
+    'Correct': 9
+  };
+
+  for (const [rating, score] of Object.entries(expected)) {
+    assert.equal(router.mapRating(rating), score, rating);
+  }
+});
+
+test('mapRating ignores ratings that say nothing about accuracy', () => {
+  for (const rating of ['Satire', 'Opinion', '', null, undefined]) {
+    assert.equal(router.mapRating(rating), null, String(rating));
+  }
+});
+
+test('checkClaim combines the stand-in\'s reviews, weighting trusted publishers fully', async () => {
+  const result = await router.checkClaim({ original_claim: '5G towers spread the coronavirus' });
+
+  assert.deepEqual(result.reviews.map(review => [review.site, review.rating, review.score, review.trusted]), [
+    ['snopes.com', 'False', 1, true],
+    ['politifact.com', 'Pants on Fire', 0, false]
+  ]);
+  result.reviews.forEach(review => assert.equal(review.claim_overlap, 1));
+
+  // (1 * 1 + 0 * 0.7) / 1.7 rounds to 1; both reviews agree
+  assert.equal(result.overall.score, 1);
+  assert.equal(result.overall.confidence, 'high');
+  assert.equal(result.overall.assessment, '2 fact-checks: Snopes rated "False"; PolitiFact rated "Pants on Fire"');
+});
+
+test('checkClaim rates a single closely matching review with medium confidence', async () => {
+  const result = await router.checkClaim({ original_claim: 'Drinking eight glasses of water a day is medically required' });
+
+  assert.equal(result.reviews.length, 1);
+  assert.equal(result.reviews[0].score, 5);
+  assert.equal(result.overall.score, 5);
+  assert.equal(result.overall.confidence, 'medium');
+});
+
+test('checkClaim drops reviews of claims that share too few words with the claim', async () => {
+  const claim = { original_claim: 'The unemployment rate fell sharply across several regions' };
+
+  // The stand-in matches loosely (3 of 7 content words)...
+  const found = await router.queryGoogleFactCheck(router.sources[0], claim, {});
+  assert.equal(found.length, 1);
+  assert.equal(found[0].reviewed_claim, 'The unemployment rate fell to 3.5 percent, the lowest level in 50 years');
+  assert.ok(found[0].claim_overlap < 0.5, `overlap ${found[0].claim_overlap}`);
+
+  // ...but the router needs half of them
+  const result = await router.checkClaim(claim);
+  assert.deepEqual(result.reviews, []);
+  assert.deepEqual(result.overall, { score: null, confidence: null, assessment: 'No published fact-checks found' });
+});
+
+test('checkClaim returns no score when nothing matches', async () => {
+  const result = await router.checkClaim({ original_claim: 'The city library extended its weekend opening hours' });
+
+  assert.deepEqual(result.reviews, []);
+  assert.equal(result.overall.score, null);
+});
+
+test('checkClaim caches only complete lookups that found reviews', async () => {
+  const set = mock.method(cache, 'set', async () => {});
+
+  try {
+    await router.checkClaim({ original_claim: '5G towers spread the coronavirus' });
+    assert.equal(set.mock.callCount(), 1);
+
+    await router.checkClaim({ original_claim: 'The city library extended its weekend opening hours' });
+    assert.equal(set.mock.callCount(), 1);
+
+    // A fact-checker that fails leaves the claim to be looked up again
+    const failing = new FactCheckRouter();
+    failing.configure({
+      ...CONFIG,
+      apis: {
+        ...CONFIG.apis,
+        fact_checkers: router.sources.map(source => ({ ...source, url: `http://localhost:${server.address().port}/missing` }))
+      }
+    });
+    const result = await failing.checkClaim({ original_claim: '5G towers spread the coronavirus' });
+    assert.deepEqual(result.reviews, []);
+    assert.equal(set.mock.callCount(), 1);
+  } finally {
+    set.mock.restore();
+  }
+});
@@ -0,0 +1,111 @@
+// News Detector tests - scoring pages as news from their markup, host and article, and the popup's per-site
+// overrides, on pages built with jsdom
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+
+const storageListeners = [];
+let stored = {};
+
+const { window } = new JSDOM('');
+Object.assign(globalThis, { Node: window.Node, DOMParser: window.DOMParser });
+globalThis.chrome = {
+  storage: {
+    onChanged: { addListener: listener => storageListeners.push(listener) },
+    sync: { get: async key => (key in stored ? { [key]: stored[key] } : {}) }
+  }
+};
+
+const { default: newsDetector } = await import('../src/pipeline/newsDetector.js');
+
+function page(url, head = '', body = '') {
+  return new JSDOM(`<html><head>${head}</head><body>${body}</body></html>`, { url }).window.document;
+}
+
+const jsonLd = item => `<script type="application/ld+json">${JSON.stringify({ '@context': 'https://schema.org', ...item })}</script>`;
+
+const PARAGRAPHS = Array.from({ length: 5 }, (_, i) =>
+  `<p>Paragraph ${i + 1} of the story says that the council, after a long debate, agreed to fund the new bridge in full.</p>`).join('');
+
+const BLOG_POST = `<article><h1>A post</h1><p class="byline">By Ann Lee</p><time datetime="2024-05-01">1 May</time>${PARAGRAPHS}</article>`;
+
+const names = detection => detection.signals.map(signal => signal.name);
+
+test('NewsArticle markup on a known outlet is news', () => {
+  const detection = newsDetector.detect(page('https://www.bbc.co.uk/news/world-1', jsonLd({ '@type': 'NewsArticle', headline: 'Bridge' })));
+
+  assert.equal(detection.host, 'bbc.co.uk');
+  assert.deepEqual(names(detection), ['news_markup', 'known_outlet']);
+  assert.equal(detection.score, 6);
+  assert.equal(detection.isNews, true);
+  assert.equal(detection.analyze, true);
+  assert.equal(detection.signals[0].label, 'NewsArticle markup');
+});
+
+test('an unknown site adds up to news from og:type, byline, date and article-length text', () => {
+  const withOgType = newsDetector.detect(page('https://localpaper.example/2024/bridge', '<meta property="og:type" content="article">', BLOG_POST));
+  assert.deepEqual(names(withOgType), ['og_article', 'byline', 'publish_date', 'article_body']);
+  assert.equal(withOgType.isNews, true);
+
+  // The byline, date and prose alone only just reach the threshold; with fewer than four paragraphs they don't
+  const plain = newsDetector.detect(page('https://localpaper.example/2024/bridge', '', BLOG_POST));
+  assert.equal(plain.score, 3);
+  assert.equal(plain.isNews, true);
+
+  const short = newsDetector.detect(page('https://localpaper.example/2024/bridge', '', BLOG_POST.replace(/<p>Paragraph [23][^<]*<\/p>/g, '')));
+  assert.deepEqual(names(short), ['byline', 'publish_date']);
+  assert.equal(short.isNews, false);
+});
+
+test('shop and documentation pages are not news, even on a news outlet or with a byline and prose', () => {
+  const shop = newsDetector.detect(page('https://shop.nytimes.com/mug',
+    `${jsonLd({ '@type': 'Product', name: 'Mug' })}<meta property="og:type" content="product">`,
+    `<h1>Mug</h1><button>Add to cart</button>${PARAGRAPHS}`));
+  assert.ok(names(shop).includes('known_outlet'));
+  assert.ok(names(shop).includes('non_news_markup'));
+  assert.ok(names(shop).includes('shop_page'));
+  assert.equal(shop.isNews, false);
+
+  const docs = newsDetector.detect(page('https://example.com/docs/getting-started',
+    `${jsonLd({ '@type': 'TechArticle', headline: 'Getting started' })}<meta property="og:type" content="article">`, BLOG_POST));
+  assert.deepEqual(names(docs), ['og_article', 'byline', 'publish_date', 'article_body', 'non_news_markup', 'docs_site']);
+  assert.equal(docs.isNews, false);
+});
+
+test('a site override decides for the site and its subdomains, whatever the score', async () => {
+  stored = { siteOverrides: { 'bbc.co.uk': 'deny', 'localpaper.example': 'allow' } };
+  await newsDetector.loadSiteOverrides();
+
+  const denied = newsDetector.detect(page('https://www.bbc.co.uk/news/world-1', jsonLd({ '@type': 'NewsArticle' })));
+  assert.equal(denied.isNews, true);
+  assert.equal(denied.analyze, false);
+  assert.deepEqual(denied.override, { host: 'bbc.co.uk', mode: 'deny' });
+
+  const allowed = newsDetector.detect(page('https://events.localpaper.example/listing'));
+  assert.equal(allowed.isNews, false);
+  assert.equal(allowed.analyze, true);
+  assert.deepEqual(allowed.override, { host: 'localpaper.example', mode: 'allow' });
+});
+
+test('a change to the overrides is reported only when it changes this site\'s mode', async () => {
+  stored = { siteOverrides: {} };
+  await newsDetector.loadSiteOverrides();
+
+  globalThis.window = { location: new URL('https://news.localpaper.example/story') };
+  const modes = [];
+  newsDetector.onSiteOverrideChange(mode => modes.push(mode));
+  const change = siteOverrides => storageListeners.forEach(listener => listener({ siteOverrides: { newValue: siteOverrides } }, 'sync'));
+
+  try {
+    change({ 'other.example': 'deny' });
+    change({ 'other.example': 'deny', 'localpaper.example': 'allow' });
+    change({ 'localpaper.example': 'allow' });
+    change({ 'localpaper.example': 'allow', 'news.localpaper.example': 'deny' });
+    change(undefined);
+    storageListeners.forEach(listener => listener({ siteOverrides: { newValue: { 'localpaper.example': 'deny' } } }, 'local'));
+
+    assert.deepEqual(modes, ['allow', 'deny', null]);
+  } finally {
+    delete globalThis.window;
+  }
+});
@@ -0,0 +1,167 @@
+// Request Scheduler tests - the global cap on requests in flight, the interactive and background lanes, and the
+// per-host rate limits, with fetch() answered by hand
+import { test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+
+globalThis.chrome = { storage: { onChanged: { addListener() {} } } };
+
+const { RequestScheduler } = await import('../src/foundation/requestScheduler.js');
+
+const realFetch = globalThis.fetch;
+
+// url -> resolve(response) for every request that reached fetch(), in the order they did
+let started;
+
+beforeEach(() => {
+  started = [];
+  globalThis.fetch = url => new Promise(resolve => started.push({ url, resolve }));
+});
+
+after(() => {
+  globalThis.fetch = realFetch;
+});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function scheduler(performance = {}) {
+  const instance = new RequestScheduler();
+  instance.configure({
+    performance: {
+      max_concurrent_requests: 5,
+      delay_between_batches: 0,
+      rate_limits: { default: { requests_per_second: 100, burst: 100 }, hosts: [] },
+      ...performance
+    }
+  });
+  return instance;
+}
+
+function respond(request, status = 200, headers = {}) {
+  request.resolve(new Response(null, { status, headers }));
+}
+
+test('no more than max_concurrent_requests are in flight, and a finished one lets the next start', async () => {
+  const requests = scheduler({ max_concurrent_requests: 2 });
+  const responses = ['a', 'b', 'c'].map(name => requests.fetch(`https://one.example/${name}`));
+  await sleep(0);
+
+  assert.deepEqual(started.map(request => request.url), ['https://one.example/a', 'https://one.example/b']);
+  assert.deepEqual(requests.getStats(), { active: 2, queued: { interactive: 0, background: 1 } });
+
+  respond(started[0]);
+  assert.equal((await responses[0]).status, 200);
+  await sleep(0);
+  assert.equal(started.length, 3);
+  assert.equal(started[2].url, 'https://one.example/c');
+
+  started.slice(1).forEach(request => respond(request));
+  await Promise.all(responses);
+  assert.deepEqual(requests.getStats(), { active: 0, queued: { interactive: 0, background: 0 } });
+});
+
+test('interactive requests go ahead of background ones waiting for a slot', async () => {
+  const requests = scheduler({ max_concurrent_requests: 1 });
+  const first = requests.fetch('https://one.example/first', { lane: 'interactive' });
+  const background = requests.fetch('https://one.example/background');
+  const interactive = requests.fetch('https://one.example/interactive', { lane: 'interactive' });
+  await sleep(0);
+
+  respond(started[0]);
+  await first;
+  await sleep(0);
+  assert.equal(started[1].url, 'https://one.example/interactive');
+
+  respond(started[1]);
+  await interactive;
+  await sleep(0);
+  assert.equal(started[2].url, 'https://one.example/background');
+  respond(started[2]);
+  await background;
+});
+
+test('background requests start delay_between_batches apart; interactive ones don\'t wait', async () => {
+  const requests = scheduler({ delay_between_batches: 60 });
+  const startTime = Date.now();
+  const times = {};
+  globalThis.fetch = async url => {
+    times[new URL(url).pathname] = Date.now() - startTime;
+    return new Response(null, { status: 200 });
+  };
+
+  await Promise.all([
+    requests.fetch('https://one.example/first'),
+    requests.fetch('https://one.example/second'),
+    requests.fetch('https://one.example/now', { lane: 'interactive' })
+  ]);
+
+  assert.ok(times['/now'] < 30, `interactive started after ${times['/now']}ms`);
+  assert.ok(times['/second'] - times['/first'] >= 55, `background started ${times['/second'] - times['/first']}ms apart`);
+});
+
+test('each host spends tokens from its own bucket, so a throttled host doesn\'t hold up others', async () => {
+  const requests = scheduler({
+    rate_limits: {
+      default: { requests_per_second: 100, burst: 100 },
+      hosts: [{ name: 'slow.example', requests_per_second: 20, burst: 2 }]
+    }
+  });
+
+  const slow = [1, 2, 3].map(index => requests.fetch(`https://api.slow.example/${index}`));
+  const fast = requests.fetch('https://fast.example/1');
+  await sleep(0);
+
+  // The subdomain shares slow.example's limit: two go straight away, the third waits for a token
+  assert.deepEqual(started.map(request => request.url), [
+    'https://api.slow.example/1',
+    'https://api.slow.example/2',
+    'https://fast.example/1'
+  ]);
+
+  await sleep(70);
+  assert.equal(started.length, 4);
+  assert.equal(started[3].url, 'https://api.slow.example/3');
+
+  started.forEach(request => respond(request));
+  await Promise.all([...slow, fast]);
+});
+
+test('a 429 holds the host\'s requests for Retry-After seconds', async () => {
+  const requests = scheduler();
+  const limited = requests.fetch('https://busy.example/1');
+  await sleep(0);
+  respond(started[0], 429, { 'Retry-After': '30' });
+  assert.equal((await limited).status, 429);
+
+  requests.fetch('https://busy.example/2');
+  const other = requests.fetch('https://quiet.example/1');
+  await sleep(0);
+
+  assert.deepEqual(started.map(request => request.url), ['https://busy.example/1', 'https://quiet.example/1']);
+  assert.ok(requests.tokenWait('busy.example', Date.now()) > 29000);
+
+  respond(started[1]);
+  await other;
+
+  // Let the held request go so nothing is left waiting
+  requests.buckets.delete('busy.example');
+  requests.pump();
+  await sleep(0);
+  respond(started[2]);
+});
+
+test('aborting a request that\'s still waiting drops it from the queue', async () => {
+  const requests = scheduler({ max_concurrent_requests: 1 });
+  const first = requests.fetch('https://one.example/first');
+  const controller = new AbortController();
+  const waiting = requests.fetch('https://one.example/waiting', { signal: controller.signal });
+  await sleep(0);
+
+  controller.abort();
+  await assert.rejects(waiting, error => error.name === 'AbortError');
+  assert.deepEqual(requests.getStats().queued, { interactive: 0, background: 0 });
+
+  respond(started[0]);
+  await first;
+  await sleep(0);
+  assert.equal(started.length, 1);
+});
@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+// Manage client tokens for the TruthCheck API server
+//
+//   node bin/clients.js mint <name> [--rpm 60] [--tokens-per-day 200000]
+//   node bin/clients.js revoke <client-id>
+//   node bin/clients.js list
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+const ClientStore = require('../lib/clients');
+
+const store = new ClientStore({
+  file: process.env.CLIENTS_FILE || path.join(__dirname, '..', 'data', 'clients.json'),
+  defaults: {
+    requests_per_minute: parseInt(process.env.RATE_LIMIT_REQUESTS_PER_MINUTE || '60', 10),
+    tokens_per_day: parseInt(process.env.DAILY_TOKEN_QUOTA || '200000', 10)
+  }
+});
+
+function usage() {
+  console.log(`Usage:
+  node bin/clients.js mint <name> [--rpm N] [--tokens-per-day N]
+  node bin/clients.js revoke <client-id>
+  node bin/clients.js list`);
+  process.exit(1);
+}
+
+function option(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return undefined;
+
+  const value = parseInt(args[index + 1], 10);
+  if (!Number.isInteger(value) || value <= 0) {
+    console.error(`❌ ${name} needs a positive number`);
+    process.exit(1);
+  }
+  return value;
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+switch (command) {
+  case 'mint': {
+    const name = args[0];
+    if (!name || name.startsWith('--')) usage();
+
+    const { client, token } = store.mint(name, {
+      requests_per_minute: option(args, '--rpm'),
+      tokens_per_day: option(args, '--tokens-per-day')
+    });
+
+    console.log(`✅ Minted ${client.id} for "${client.name}"`);
+    console.log(`   Quotas: ${client.quotas.requests_per_minute} requests/minute, ${client.quotas.tokens_per_day} tokens/day`);
+    console.log('');
+    console.log(`   ${token}`);
+    console.log('');
+    console.log('   Store this token now - it is not saved and cannot be shown again.');
+    break;
+  }
+
+  case 'revoke': {
+    if (!args[0]) usage();
+
+    const client = store.revoke(args[0]);
+    if (!client) {
+      console.error(`❌ No active client with id ${args[0]}`);
+      process.exit(1);
+    }
+    console.log(`✅ Revoked ${client.id} ("${client.name}")`);
+    break;
+  }
+
+  case 'list': {
+    const clients = store.list();
+    if (clients.length === 0) {
+      console.log('No clients yet. Mint one with: node bin/clients.js mint <name>');
+      break;
+    }
+
+    clients.forEach(client => {
+      const status = client.revoked_at ? `revoked ${client.revoked_at}` : 'active';
+      console.log(`${client.id}  ${client.token_hint}…  ${client.name}  (${client.quotas.requests_per_minute} rpm, ${client.quotas.tokens_per_day} tokens/day, ${status})`);
+    });
+    break;
+  }
+
+  default:
+    usage();
+}
@@ -0,0 +1,152 @@
+// Chunking - Split long articles into overlapping chunks and map claims back to the source text
+
+const DEFAULT_CHUNK_SIZE = 3000;
+const DEFAULT_CHUNK_OVERLAP = 300;
+
+// Prefer to end a chunk at a sentence boundary in the last half of the window
+function findBreak(text, start, end) {
+  if (end >= text.length) return text.length;
+
+  const window = text.substring(start, end);
+  const minBreak = Math.floor(window.length / 2);
+  const sentenceEnd = /[.!?]["'”’)]?\s+|\n+/g;
+  let lastBreak = -1;
+  let match;
+
+  while ((match = sentenceEnd.exec(window)) !== null) {
+    if (match.index >= minBreak) {
+      lastBreak = match.index + match[0].length;
+    }
+  }
+
+  if (lastBreak === -1) {
+    const lastSpace = window.lastIndexOf(' ');
+    lastBreak = lastSpace > minBreak ? lastSpace + 1 : window.length;
+  }
+
+  return start + lastBreak;
+}
+
+// Move a chunk start forward to the beginning of the next sentence so chunks don't open mid-sentence
+function findStart(text, position, limit) {
+  const sentenceEnd = /[.!?]["'”’)]?\s+|\n+/g;
+  sentenceEnd.lastIndex = position;
+  const match = sentenceEnd.exec(text);
+
+  if (match && match.index + match[0].length < limit) {
+    return match.index + match[0].length;
+  }
+  return position;
+}
+
+/**
+ * Split text into overlapping chunks that break on sentence boundaries where possible
+ * @param {string} text - Full article text
+ * @param {Object} options - { size, overlap } in characters
+ * @returns {Array<Object>} Chunks as { text, start, end } with offsets into the original text
+ */
+function chunkText(text, { size = DEFAULT_CHUNK_SIZE, overlap = DEFAULT_CHUNK_OVERLAP } = {}) {
+  size = Math.max(200, size);
+  overlap = Math.max(0, Math.min(overlap, Math.floor(size / 2)));
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    const end = findBreak(text, start, start + size);
+    chunks.push({ text: text.substring(start, end), start, end });
+
+    if (end >= text.length) break;
+
+    start = findStart(text, Math.max(start + 1, end - overlap), end);
+  }
+
+  return chunks;
+}
+
+function normalizeForMatch(text) {
+  return text.toLowerCase().replace(/[“”]/g, '"').replace(/[‘’]/g, "'").replace(/\s+/g, ' ');
+}
+
+/**
+ * Find a claim inside a chunk, tolerating case and whitespace differences
+ * @returns {Object|null} { start, end } relative to the chunk, or null if the model paraphrased
+ */
+function locateClaim(chunkText, claimText) {
+  const exact = chunkText.indexOf(claimText);
+  if (exact !== -1) {
+    return { start: exact, end: exact + claimText.length };
+  }
+
+  // Build a normalized copy of the chunk that remembers where each character came from
+  const map = [];
+  let normalized = '';
+  for (let i = 0; i < chunkText.length; i++) {
+    const char = normalizeForMatch(chunkText[i]);
+    if (char === ' ' && normalized.endsWith(' ')) continue;
+    normalized += char;
+    map.push(i);
+  }
+
+  const needle = normalizeForMatch(claimText.trim());
+  const index = normalized.indexOf(needle);
+  if (index === -1) return null;
+
+  return {
+    start: map[index],
+    end: map[index + needle.length - 1] + 1
+  };
+}
+
+function dedupeKey(text) {
+  return text.toLowerCase().replace(/[^\w\s%$]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function spansOverlap(a, b) {
+  if (a.start === null || b.start === null) return false;
+  const overlap = Math.min(a.end, b.end) - Math.max(a.start, b.start);
+  return overlap > 0 && overlap >= 0.5 * Math.min(a.end - a.start, b.end - b.start);
+}
+
+/**
+ * Merge claims from every chunk, dropping repeats found in the overlap between chunks
+ * @param {Array<Object>} chunkResults - [{ chunk, claims }]
+ * @returns {Array<Object>} Claims with start/end offsets into the original text, in document order
+ */
+function mergeChunkClaims(chunkResults) {
+  const merged = [];
+
+  for (const { chunk, claims } of chunkResults) {
+    for (const claim of claims) {
+      const local = locateClaim(chunk.text, claim.text);
+      const candidate = {
+        ...claim,
+        start: local ? chunk.start + local.start : null,
+        end: local ? chunk.start + local.end : null
+      };
+
+      const key = dedupeKey(candidate.text);
+      const existing = merged.find(other => dedupeKey(other.text) === key || spansOverlap(other, candidate));
+
+      if (!existing) {
+        merged.push(candidate);
+      } else if (candidate.confidence > existing.confidence) {
+        merged[merged.indexOf(existing)] = candidate;
+      }
+    }
+  }
+
+  return merged.sort((a, b) => {
+    if (a.start === null) return 1;
+    if (b.start === null) return -1;
+    return a.start - b.start;
+  });
+}
+
+module.exports = {
+  chunkText,
+  locateClaim,
+  mergeChunkClaims,
+  DEFAULT_CHUNK_SIZE,
+  DEFAULT_CHUNK_OVERLAP
+};
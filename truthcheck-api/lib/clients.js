@@ -0,0 +1,108 @@
+// Client registry - issued API tokens and their quotas, stored in data/clients.json
+//
+// Only a SHA-256 hash of each token is stored; the token itself is shown once when minted.
+// The server re-reads the file when it changes, so tokens minted or revoked with bin/clients.js
+// take effect without a restart.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TOKEN_PREFIX = 'tc_';
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class ClientStore {
+  constructor({ file, defaults = {} } = {}) {
+    this.file = file;
+    this.defaults = {
+      requests_per_minute: defaults.requests_per_minute || 60,
+      tokens_per_day: defaults.tokens_per_day || 200000
+    };
+    this.clients = [];
+    this.loadedMtime = null;
+  }
+
+  load() {
+    try {
+      const stat = fs.statSync(this.file);
+      if (this.loadedMtime === stat.mtimeMs) return;
+
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.clients = data.clients || [];
+      this.loadedMtime = stat.mtimeMs;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[CLIENTS] Could not read ${this.file}:`, error.message);
+      }
+      this.clients = [];
+      this.loadedMtime = null;
+    }
+  }
+
+  save() {
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(tempFile, JSON.stringify({ version: 1, clients: this.clients }, null, 2), { mode: 0o600 });
+    fs.renameSync(tempFile, this.file);
+  }
+
+  /**
+   * Issue a new token
+   * @param {string} name - Who the token is for, e.g. "newsroom-batch"
+   * @param {Object} quotas - { requests_per_minute, tokens_per_day } (defaults from env)
+   * @returns {Object} { client, token } - the token is not stored and can't be recovered later
+   */
+  mint(name, quotas = {}) {
+    this.load();
+
+    const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const client = {
+      id: `cl_${crypto.randomBytes(6).toString('hex')}`,
+      name: name,
+      token_hash: hashToken(token),
+      token_hint: token.slice(0, TOKEN_PREFIX.length + 4),
+      quotas: {
+        requests_per_minute: quotas.requests_per_minute || this.defaults.requests_per_minute,
+        tokens_per_day: quotas.tokens_per_day || this.defaults.tokens_per_day
+      },
+      created_at: new Date().toISOString(),
+      revoked_at: null
+    };
+
+    this.clients.push(client);
+    this.save();
+    return { client, token };
+  }
+
+  revoke(id) {
+    this.load();
+
+    const client = this.clients.find(c => c.id === id);
+    if (!client || client.revoked_at) return null;
+
+    client.revoked_at = new Date().toISOString();
+    this.save();
+    return client;
+  }
+
+  list() {
+    this.load();
+    return this.clients;
+  }
+
+  // Returns the active client for a token, or null
+  authenticate(token) {
+    if (!token || !token.startsWith(TOKEN_PREFIX)) return null;
+
+    this.load();
+    const hash = Buffer.from(hashToken(token));
+
+    return this.clients.find(client =>
+      !client.revoked_at && crypto.timingSafeEqual(Buffer.from(client.token_hash), hash)
+    ) || null;
+  }
+}
+
+module.exports = ClientStore;
@@ -0,0 +1,32 @@
+// Concurrency helpers - run async work over a list without flooding the LLM provider
+
+/**
+ * Map over items with at most `limit` calls in flight, preserving input order in the results
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ * @returns {Promise<Array>} Results in the same order as items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = [];
+  for (let i = 0; i < Math.max(1, Math.min(limit, items.length)); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
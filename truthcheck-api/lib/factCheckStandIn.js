@@ -0,0 +1,64 @@
+// Fact check stand-in - answers Google Fact Check Tools claim searches from a local fixture file
+// Lets the extension's FactCheckRouter run without an API key or network access (FACT_CHECK_STANDIN=true).
+const fs = require('fs');
+
+function contentWords(text) {
+  return new Set((text || '').toLowerCase().split(/\W+/).filter(word => word.length > 3));
+}
+
+class FactCheckStandIn {
+  constructor({ file }) {
+    this.file = file;
+    this.claims = [];
+    this.mtimeMs = 0;
+  }
+
+  // Re-read the fixtures whenever the file changes, so tests can swap them without a restart
+  load() {
+    try {
+      const { mtimeMs } = fs.statSync(this.file);
+      if (mtimeMs === this.mtimeMs) return;
+
+      this.claims = JSON.parse(fs.readFileSync(this.file, 'utf8')).claims || [];
+      this.mtimeMs = mtimeMs;
+    } catch (error) {
+      console.error(`[FACTCHECK] Could not read ${this.file}:`, error.message);
+      this.claims = [];
+      this.mtimeMs = 0;
+    }
+  }
+
+  /**
+   * Same parameters and response shape as GET https://factchecktools.googleapis.com/v1alpha1/claims:search
+   * @param {Object} params - { query, languageCode, pageSize, reviewPublisherSiteFilter }
+   * @returns {Object} { claims } - best matches first
+   */
+  search({ query, languageCode, pageSize = 10, reviewPublisherSiteFilter }) {
+    this.load();
+
+    const queryWords = contentWords(query);
+    if (queryWords.size === 0) return { claims: [] };
+
+    const matches = this.claims
+      .map(claim => {
+        const claimWords = contentWords(claim.text);
+        const shared = [...queryWords].filter(word => claimWords.has(word)).length;
+        return { claim, relevance: shared / Math.min(queryWords.size, claimWords.size || 1) };
+      })
+      .filter(match => match.relevance >= 0.3)
+      .sort((a, b) => b.relevance - a.relevance)
+      .map(match => ({
+        ...match.claim,
+        claimReview: (match.claim.claimReview || []).filter(review =>
+          (!languageCode || !review.languageCode || review.languageCode === languageCode) &&
+          (!reviewPublisherSiteFilter || (review.publisher?.site || '').endsWith(reviewPublisherSiteFilter))
+        )
+      }))
+      .filter(claim => claim.claimReview.length > 0)
+      .slice(0, Math.max(1, parseInt(pageSize, 10) || 10));
+
+    return matches.length > 0 ? { claims: matches } : {};
+  }
+}
+
+module.exports = FactCheckStandIn;
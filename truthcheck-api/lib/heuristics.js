@@ -0,0 +1,104 @@
+// Heuristic fallbacks - LLM-free claim extraction and scoring used once the daily budget is spent
+// A condensed version of the heuristic paths in src/pipeline/claimExtractor.js and src/pipeline/scorer.js.
+
+const REPORTING_VERBS = /\b(said|says|reported|reports|found|finds|announced|confirmed|showed|shows|according to|estimated|stated)\b/i;
+const CHANGE_VERBS = /\b(increased|decreased|rose|fell|grew|declined|surged|plummeted|doubled|tripled|caused|killed|cost)\b/i;
+const STATISTICAL_PATTERNS = [
+  /\d+%|\d+\s*percent/i,
+  /\$[\d,]+(\.\d+)?/,
+  /[\d,]+\s*(people|cases|deaths|patients|citizens|workers|students|voters)/i,
+  /(since|over|during|in)\s*\d{4}/i
+];
+const OPINION_MARKERS = /\b(i think|i believe|in my opinion|should|might|perhaps|probably)\b/i;
+
+function scoreClaimLikelihood(sentence) {
+  let score = 0;
+
+  if (REPORTING_VERBS.test(sentence)) score += 0.25;
+  if (CHANGE_VERBS.test(sentence)) score += 0.2;
+  if (/\d/.test(sentence)) score += 0.15;
+  score += STATISTICAL_PATTERNS.filter(pattern => pattern.test(sentence)).length * 0.15;
+  if (/\b[A-Z][a-z]+\s+[A-Z][a-z]+\b/.test(sentence)) score += 0.1;
+  if (OPINION_MARKERS.test(sentence)) score -= 0.3;
+  if (sentence.endsWith('?')) score -= 0.4;
+
+  return Math.max(0, Math.min(1, score));
+}
+
+/**
+ * Pick likely factual claims out of text by sentence-level heuristics
+ * @param {string} text - Article text
+ * @returns {Array<Object>} Claims as { text, confidence, type, start, end }, in document order
+ */
+function extractClaimsHeuristic(text, { minLength = 20, maxLength = 300, maxClaims = 50 } = {}) {
+  const claims = [];
+  // Sentence-ending punctuation must be followed by whitespace, so "3.5%" and "U.S." don't split
+  const sentenceRegex = /(?:[^.!?\n]|[.!?](?=\S))+[.!?]?/g;
+  let match;
+
+  while ((match = sentenceRegex.exec(text)) !== null) {
+    const raw = match[0];
+    const sentence = raw.trim();
+    if (sentence.length < minLength || sentence.length > maxLength) continue;
+
+    const confidence = scoreClaimLikelihood(sentence);
+    if (confidence >= 0.35) {
+      const start = match.index + raw.indexOf(sentence);
+      claims.push({
+        text: sentence,
+        confidence: Math.round(confidence * 100) / 100,
+        type: 'other',
+        start: start,
+        end: start + sentence.length
+      });
+    }
+  }
+
+  return claims
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, maxClaims)
+    .sort((a, b) => a.start - b.start);
+}
+
+function textSimilarity(text1, text2) {
+  const words1 = new Set(text1.toLowerCase().split(/\s+/));
+  const words2 = new Set(text2.toLowerCase().split(/\s+/));
+  const intersection = [...words1].filter(word => words2.has(word));
+  const union = new Set([...words1, ...words2]);
+
+  return union.size === 0 ? 0 : intersection.length / union.size;
+}
+
+/**
+ * Score a claim without an LLM, from how closely supplied evidence matches it (as Scorer.fallbackEvidenceAssessment)
+ * @param {string} claim - Claim text
+ * @param {Array<Object>} searchResults - Evidence items with title/snippet
+ * @returns {Object} { overall_score, confidence, assessment }
+ */
+function scoreHeuristic(claim, searchResults = []) {
+  const similarities = searchResults
+    .slice(0, 5)
+    .map(result => textSimilarity(claim, `${result.title || ''} ${result.snippet || ''}`))
+    .filter(similarity => similarity > 0.3);
+
+  if (similarities.length === 0) {
+    return {
+      overall_score: 5,
+      confidence: 'low',
+      assessment: 'Heuristic only: no closely matching evidence to compare against'
+    };
+  }
+
+  const average = similarities.reduce((sum, similarity) => sum + similarity, 0) / similarities.length;
+
+  return {
+    overall_score: Math.round(5 + average * 4),
+    confidence: similarities.length > 2 ? 'medium' : 'low',
+    assessment: `Heuristic only: ${similarities.length} evidence item${similarities.length > 1 ? 's' : ''} closely match the claim`
+  };
+}
+
+module.exports = {
+  extractClaimsHeuristic,
+  scoreHeuristic
+};
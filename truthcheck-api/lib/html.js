@@ -0,0 +1,72 @@
+// HTML to text - regex-based article text extraction for /analyze-article
+// This is deliberately simple (no DOM); the extension's own extraction (src/pipeline/articleExtractor.js) scores
+// the page's blocks instead.
+
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  mdash: '—',
+  ndash: '–',
+  hellip: '…',
+  rsquo: '’',
+  lsquo: '‘',
+  rdquo: '”',
+  ldquo: '“'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function extractTitle(html) {
+  const match = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  return match ? decodeEntities(match[1]).replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Convert an article page to plain text, preferring <article> or <main> content
+ * @param {string} html - Raw page HTML
+ * @returns {Object} { title, text }
+ */
+function htmlToText(html) {
+  const title = extractTitle(html);
+
+  let body = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|iframe)[^>]*>[\s\S]*?<\/\1>/gi, '');
+
+  const article = body.match(/<article[^>]*>([\s\S]*?)<\/article>/i) || body.match(/<main[^>]*>([\s\S]*?)<\/main>/i);
+  if (article) {
+    body = article[1];
+  }
+
+  // Page chrome rarely contains claims worth checking
+  body = body.replace(/<(nav|header|footer|aside|form)[^>]*>[\s\S]*?<\/\1>/gi, '');
+
+  const text = decodeEntities(
+    body
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|h[1-6]|li|blockquote|section|tr|figcaption)>/gi, '\n')
+      .replace(/<[^>]+>/g, ' ')
+  )
+    .replace(/[ \t\f\v ]+/g, ' ')
+    .replace(/ *\n[\s]*/g, '\n')
+    .trim();
+
+  return { title, text };
+}
+
+module.exports = {
+  htmlToText,
+  decodeEntities
+};
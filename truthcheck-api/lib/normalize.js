@@ -0,0 +1,106 @@
+// Claim normalization - server-side port of the heuristic path in src/pipeline/normalizer.js
+// Keep the two in step so claims analyzed here match what the extension produces.
+
+const FILLER_WORDS = ['the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'of', 'with', 'by'];
+const CAPITALIZED_STOPWORDS = ['The', 'A', 'An', 'And', 'Or', 'But', 'In', 'On', 'At', 'To', 'For', 'Of', 'With', 'By'];
+
+function simplifyClaim(claim) {
+  let simplified = claim.toLowerCase();
+
+  FILLER_WORDS.forEach(word => {
+    simplified = simplified.replace(new RegExp(`\\b${word}\\b`, 'g'), '');
+  });
+
+  return simplified
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[^\w\s\-+%$]/g, '');
+}
+
+function extractEntities(claim) {
+  const entities = [];
+  let match;
+
+  // Numbers and percentages
+  const numberRegex = /(\d+(?:\.\d+)?)\s*(%|percent|million|billion|thousand)?/g;
+  while ((match = numberRegex.exec(claim)) !== null) {
+    entities.push({ type: 'number', value: match[1], unit: match[2] || '', text: match[0] });
+  }
+
+  // Quoted phrases
+  const quoteRegex = /"([^"]+)"/g;
+  while ((match = quoteRegex.exec(claim)) !== null) {
+    entities.push({ type: 'quote', value: match[1], text: match[0] });
+  }
+
+  // Capitalized words (potential proper nouns)
+  const capitalRegex = /\b([A-Z][a-z]+)\b/g;
+  while ((match = capitalRegex.exec(claim)) !== null) {
+    if (!CAPITALIZED_STOPWORDS.includes(match[1])) {
+      entities.push({ type: 'proper_noun', value: match[1], text: match[1] });
+    }
+  }
+
+  // Scientific/medical terms
+  const scientificTerms = /\b(vaccine|virus|COVID|coronavirus|pandemic|epidemic|clinical|trial|study|research)\b/gi;
+  while ((match = scientificTerms.exec(claim)) !== null) {
+    entities.push({ type: 'scientific', value: match[0], text: match[0] });
+  }
+
+  return entities;
+}
+
+function buildSearchQueries(claim) {
+  const queries = [claim];
+
+  const simplified = simplifyClaim(claim);
+  if (simplified !== claim) {
+    queries.push(simplified);
+  }
+
+  const entities = extractEntities(claim);
+  if (entities.length > 0) {
+    queries.push(entities.map(e => e.text).join(' '));
+  }
+
+  return queries.slice(0, 3);
+}
+
+function classifyClaimType(claim) {
+  const lowerClaim = claim.toLowerCase();
+  const mentions = words => words.some(word => lowerClaim.includes(word));
+
+  if (mentions(['vaccine', 'covid', 'virus', 'pandemic'])) return 'health';
+  if (mentions(['election', 'vote', 'president', 'government', 'policy'])) return 'political';
+  if (mentions(['study', 'research', 'experiment', 'data', 'statistics'])) return 'scientific';
+  if (mentions(['climate', 'environment', 'temperature', 'global warming'])) return 'environmental';
+  if (mentions(['economy', 'money', 'market', 'business'])) return 'economic';
+
+  return 'other';
+}
+
+/**
+ * Normalize a claim into the same shape as ClaimNormalizer.normalizeHeuristic
+ * @param {string} claim - Claim text
+ * @returns {Object} { original_claim, normalized_claim, entities, search_queries, claim_type, confidence }
+ */
+function normalizeClaim(claim) {
+  const entities = extractEntities(claim);
+
+  return {
+    original_claim: claim,
+    normalized_claim: simplifyClaim(claim),
+    entities: entities,
+    search_queries: buildSearchQueries(claim),
+    claim_type: classifyClaimType(claim),
+    confidence: entities.length > 0 ? 0.8 : 0.5,
+    ai_generated: false
+  };
+}
+
+module.exports = {
+  normalizeClaim,
+  simplifyClaim,
+  extractEntities,
+  classifyClaimType
+};
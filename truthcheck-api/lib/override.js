@@ -0,0 +1,128 @@
+// Override checks - server-side counterpart of src/pipeline/overrideEngine.js
+// Looks the claim up on Wikipedia and asks the LLM whether a matching passage supports or contradicts it.
+const schemas = require('./schemas');
+const { completeJSON } = require('./structured');
+
+const SEARCH_TIMEOUT = 10000;
+
+function calculateRelevance(text, claim) {
+  const textWords = new Set(text.toLowerCase().split(/\s+/));
+  const claimWords = new Set(claim.toLowerCase().split(/\s+/));
+
+  const intersection = [...textWords].filter(word => claimWords.has(word));
+  const union = new Set([...textWords, ...claimWords]);
+
+  return intersection.length / union.size;
+}
+
+// Same mapping as OverrideEngine.calculateOverrideScore
+function calculateOverrideScore(relationship) {
+  switch (relationship) {
+    case 'supports':
+      return 9;
+    case 'contradicts':
+      return 2;
+    default:
+      return 5;
+  }
+}
+
+async function searchWikipedia(normalizedClaim) {
+  const query = encodeURIComponent(normalizedClaim.normalized_claim || normalizedClaim.original_claim);
+  const url = `https://en.wikipedia.org/w/api.php?action=query&list=search&srsearch=${query}&srlimit=3&format=json`;
+
+  const response = await fetch(url, {
+    headers: { 'User-Agent': 'TruthCheck-API/1.0' },
+    signal: AbortSignal.timeout(SEARCH_TIMEOUT)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Wikipedia search failed: ${response.status}`);
+  }
+
+  const data = await response.json();
+
+  return (data.query?.search || []).map(result => {
+    const excerpt = result.snippet.replace(/<[^>]+>/g, '').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+    return {
+      source: 'wikipedia.org',
+      title: result.title,
+      url: `https://en.wikipedia.org/wiki/${encodeURIComponent(result.title.replace(/ /g, '_'))}`,
+      excerpt: excerpt,
+      relevance: calculateRelevance(excerpt, normalizedClaim.original_claim)
+    };
+  });
+}
+
+function buildValidationPrompt(claim, match) {
+  return `Verify whether a source actually contradicts or supports a claim.
+
+ORIGINAL CLAIM: "${claim}"
+FOUND SOURCE: "${match.source}: ${match.title}"
+SOURCE EXCERPT: "${match.excerpt}"
+
+Determine:
+1. Does source address the identical topic?
+2. Support, contradict, or tangential?
+3. Could the claim be misinterpreted against source?
+4. Is source recent enough (not outdated)?
+
+Return ONLY valid JSON:
+{
+  "addresses_same_topic": true|false,
+  "relationship": "supports|contradicts|tangential",
+  "override_valid": true|false,
+  "confidence": 0-1,
+  "reasoning": "one sentence"
+}`;
+}
+
+/**
+ * Check a normalized claim against authoritative sources
+ * @param {Object} normalizedClaim - Output of normalizeClaim
+ * @returns {Promise<Object|null>} Override in the OverrideEngine.checkOverride shape, or null
+ */
+async function checkOverride(normalizedClaim) {
+  const matches = (await searchWikipedia(normalizedClaim)).filter(match => match.excerpt);
+  const validOverrides = [];
+
+  for (const match of matches) {
+    try {
+      const completion = await completeJSON('validate-override', {
+        prompt: buildValidationPrompt(normalizedClaim.original_claim, match),
+        schema: schemas.overrideValidation,
+        model: 'gpt-4o-mini',
+        temperature: 0.2,
+        max_tokens: 500,
+        input: { claim: normalizedClaim.original_claim, excerpt: match.excerpt }
+      });
+
+      if (completion.data.override_valid) {
+        validOverrides.push({ ...match, ...completion.data });
+      }
+    } catch (error) {
+      console.error('[OVERRIDE] Validation failed:', error.message);
+    }
+  }
+
+  if (validOverrides.length === 0) {
+    return null;
+  }
+
+  const best = validOverrides.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+
+  return {
+    type: 'authoritative_override',
+    score: calculateOverrideScore(best.relationship),
+    confidence: 'high',
+    source: best.source,
+    url: best.url,
+    explanation: `Verified against ${best.source}: ${best.reasoning}`,
+    relationship: best.relationship
+  };
+}
+
+module.exports = {
+  checkOverride,
+  calculateOverrideScore
+};
@@ -0,0 +1,95 @@
+// Rate limiter - per-client request rate (sliding minute) and daily LLM token quotas
+// Counters are in memory, so a restart resets them. Anonymous clients are counted per IP, so counters
+// are evicted once their window has passed (swept at most once a minute).
+
+const MINUTE = 60 * 1000;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function secondsUntilMidnightUTC() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+class RateLimiter {
+  constructor() {
+    this.requests = new Map();
+    this.tokens = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  // Drop request counters with nothing in the last minute and token counters from previous days
+  sweep(now = Date.now()) {
+    if (now - this.lastSweep < MINUTE) return;
+    this.lastSweep = now;
+
+    for (const [clientId, times] of this.requests) {
+      if (times.length === 0 || times[times.length - 1] <= now - MINUTE) {
+        this.requests.delete(clientId);
+      }
+    }
+
+    const day = today();
+    for (const [clientId, entry] of this.tokens) {
+      if (entry.day !== day) {
+        this.tokens.delete(clientId);
+      }
+    }
+  }
+
+  /**
+   * Count a request against the client's per-minute limit
+   * @returns {Object} { allowed, retryAfter } - retryAfter in seconds when not allowed
+   */
+  checkRequest(clientId, requestsPerMinute) {
+    const now = Date.now();
+    this.sweep(now);
+    const recent = (this.requests.get(clientId) || []).filter(time => time > now - MINUTE);
+
+    if (recent.length >= requestsPerMinute) {
+      this.requests.set(clientId, recent);
+      return { allowed: false, retryAfter: Math.max(1, Math.ceil((recent[0] + MINUTE - now) / 1000)) };
+    }
+
+    recent.push(now);
+    this.requests.set(clientId, recent);
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  // A request is allowed while the client is under its daily budget; the request that crosses it still completes
+  checkTokens(clientId, tokensPerDay) {
+    if (this.getTokensToday(clientId) >= tokensPerDay) {
+      return { allowed: false, retryAfter: secondsUntilMidnightUTC() };
+    }
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  addTokens(clientId, count) {
+    const day = today();
+    const entry = this.tokens.get(clientId);
+
+    if (!entry || entry.day !== day) {
+      this.tokens.set(clientId, { day, count });
+    } else {
+      entry.count += count;
+    }
+  }
+
+  getTokensToday(clientId) {
+    const entry = this.tokens.get(clientId);
+    return entry && entry.day === today() ? entry.count : 0;
+  }
+
+  getUsage(clientId) {
+    const now = Date.now();
+    return {
+      requests_last_minute: (this.requests.get(clientId) || []).filter(time => time > now - MINUTE).length,
+      tokens_today: this.getTokensToday(clientId)
+    };
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,37 @@
+// Request context - per-request state that follows async calls (AsyncLocalStorage)
+// Lets the provider layer attribute LLM token usage to the client that made the request
+// without threading the request through every helper.
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+function run(context, fn) {
+  return storage.run(context, fn);
+}
+
+function getContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Record an LLM call against the current request, if there is one
+ * @param {string} task - LLM route the completion ran for, e.g. 'score-evidence'
+ * @param {Object} completion - { model, provider, usage: { prompt_tokens, completion_tokens } }
+ */
+function recordUsage(task, completion) {
+  const context = getContext();
+  if (!context) return;
+
+  context.usage.prompt_tokens += completion.usage.prompt_tokens || 0;
+  context.usage.completion_tokens += completion.usage.completion_tokens || 0;
+
+  if (context.onUsage) {
+    context.onUsage(task, completion);
+  }
+}
+
+module.exports = {
+  run,
+  getContext,
+  recordUsage
+};
@@ -0,0 +1,80 @@
+// Response schemas - JSON Schema for every structured LLM response the server expects
+
+const extractedClaims = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['text', 'confidence', 'type'],
+    properties: {
+      text: { type: 'string', minLength: 1 },
+      confidence: { type: 'number', minimum: 0, maximum: 1 },
+      type: { type: 'string' }
+    }
+  }
+};
+
+const evidencePoints = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['source', 'finding', 'supports', 'credibility'],
+    properties: {
+      source: { type: 'string', minLength: 1 },
+      finding: { type: 'string', minLength: 1 },
+      supports: { type: 'boolean' },
+      credibility: { type: 'number', minimum: 0, maximum: 1 }
+    }
+  }
+};
+
+const evidenceScore = {
+  type: 'object',
+  required: ['overall_score', 'confidence', 'assessment'],
+  properties: {
+    overall_score: { type: 'integer', minimum: 0, maximum: 10 },
+    confidence: { type: 'string', enum: ['high', 'medium', 'low'] },
+    assessment: { type: 'string', minLength: 1 }
+  }
+};
+
+const overrideValidation = {
+  type: 'object',
+  required: ['addresses_same_topic', 'relationship', 'override_valid', 'confidence', 'reasoning'],
+  properties: {
+    addresses_same_topic: { type: 'boolean' },
+    relationship: { type: 'string', enum: ['supports', 'contradicts', 'tangential'] },
+    override_valid: { type: 'boolean' },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reasoning: { type: 'string', minLength: 1 }
+  }
+};
+
+const redFlags = {
+  type: 'object',
+  required: ['red_flags_detected', 'coherence_score', 'manipulation_risk'],
+  properties: {
+    red_flags_detected: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['flag_type', 'severity', 'example'],
+        properties: {
+          flag_type: { type: 'string', minLength: 1 },
+          severity: { type: 'integer', minimum: 1, maximum: 5 },
+          example: { type: 'string' },
+          significance: { type: 'string' }
+        }
+      }
+    },
+    coherence_score: { type: 'number', minimum: 0, maximum: 10 },
+    manipulation_risk: { type: 'number', minimum: 0, maximum: 10 }
+  }
+};
+
+module.exports = {
+  extractedClaims,
+  evidencePoints,
+  evidenceScore,
+  overrideValidation,
+  redFlags
+};
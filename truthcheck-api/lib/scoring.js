@@ -0,0 +1,60 @@
+// Score combination - mirrors Scorer in src/pipeline/scorer.js so server results match the extension's
+
+// Same defaults as CONFIG.scoring; components the server can't compute are simply absent
+const WEIGHTS = {
+  ai: 0.40,
+  source_credibility: 0.30,
+  scholarly: 0.30
+};
+
+const CONFIDENCE_VALUES = { high: 1, medium: 0.6, low: 0.3 };
+
+function calculateFinalScore(components) {
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  for (const [component, data] of Object.entries(components)) {
+    if (data && typeof data.score === 'number') {
+      const weight = WEIGHTS[component] || 0;
+      weightedSum += data.score * weight;
+      totalWeight += weight;
+    }
+  }
+
+  return totalWeight === 0 ? 5 : Math.round(weightedSum / totalWeight);
+}
+
+function calculateOverallConfidence(components) {
+  const confidences = Object.values(components)
+    .filter(data => data && data.confidence)
+    .map(data => CONFIDENCE_VALUES[data.confidence] ?? 0.5);
+
+  if (confidences.length === 0) return 'low';
+
+  const average = confidences.reduce((sum, value) => sum + value, 0) / confidences.length;
+  if (average >= 0.8) return 'high';
+  if (average >= 0.5) return 'medium';
+  return 'low';
+}
+
+function lowerConfidence(confidence) {
+  return confidence === 'high' ? 'medium' : 'low';
+}
+
+// Same buckets content.js stores for the popup
+function summarizeResults(results) {
+  return {
+    total: results.length,
+    high: results.filter(result => result.finalScore >= 8).length,
+    medium: results.filter(result => result.finalScore >= 5 && result.finalScore < 8).length,
+    low: results.filter(result => result.finalScore < 5).length
+  };
+}
+
+module.exports = {
+  WEIGHTS,
+  calculateFinalScore,
+  calculateOverallConfidence,
+  lowerConfidence,
+  summarizeResults
+};
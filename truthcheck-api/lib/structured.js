@@ -0,0 +1,129 @@
+// Structured completions - validate LLM output against a JSON Schema and re-prompt on failure
+const Ajv = require('ajv');
+const llm = require('../providers');
+
+const ajv = new Ajv({ allErrors: true });
+const validators = new WeakMap();
+
+// Number of re-prompts allowed after the first attempt (MAX_REPAIR_ATTEMPTS=0 disables repair)
+const maxRepairAttempts = parseInt(process.env.MAX_REPAIR_ATTEMPTS || '2', 10);
+const DEFAULT_MAX_REPAIRS = Number.isNaN(maxRepairAttempts) ? 2 : maxRepairAttempts;
+
+class StructuredOutputError extends Error {
+  constructor(message, { errors = [], content = '', attempts = 0 } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.type = 'invalid_model_output';
+    this.errors = errors;
+    this.content = content;
+    this.attempts = attempts;
+  }
+}
+
+function getValidator(schema) {
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile(schema));
+  }
+  return validators.get(schema);
+}
+
+// Strip markdown code fences and parse; falls back to the outermost JSON value in the text
+function parseJSON(text) {
+  let cleaned = (text || '').trim();
+  if (cleaned.startsWith('```json')) {
+    cleaned = cleaned.replace(/^```json\s*/, '').replace(/\s*```$/, '');
+  } else if (cleaned.startsWith('```')) {
+    cleaned = cleaned.replace(/^```\s*/, '').replace(/\s*```$/, '');
+  }
+
+  try {
+    return JSON.parse(cleaned);
+  } catch (error) {
+    const match = cleaned.match(/[[{][\s\S]*[\]}]/);
+    if (match) {
+      return JSON.parse(match[0]);
+    }
+    throw error;
+  }
+}
+
+function formatErrors(errors) {
+  return errors.map(error => `${error.instancePath || '(root)'} ${error.message}`);
+}
+
+function buildRepairPrompt(prompt, content, errors, schema) {
+  return `${prompt}
+
+Your previous response did not match the required format.
+
+PREVIOUS RESPONSE:
+${content}
+
+PROBLEMS:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return ONLY valid JSON matching this JSON Schema (no other text):
+${JSON.stringify(schema)}`;
+}
+
+/**
+ * Run a completion whose output must match a JSON Schema, re-prompting with the validation errors
+ * @param {string} route - Route name used to pick the provider
+ * @param {Object} request - { prompt, schema, maxRepairs, model, temperature, max_tokens, input }
+ * @returns {Promise<Object>} { data, repaired, attempts, model, provider, usage }
+ * @throws {StructuredOutputError} When no attempt produced valid output
+ */
+async function completeJSON(route, { schema, maxRepairs = DEFAULT_MAX_REPAIRS, ...request }) {
+  const validate = getValidator(schema);
+  const usage = { prompt_tokens: 0, completion_tokens: 0 };
+  let prompt = request.prompt;
+  let lastContent = '';
+  let lastErrors = [];
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    const completion = await llm.complete(route, { ...request, prompt });
+    usage.prompt_tokens += completion.usage.prompt_tokens;
+    usage.completion_tokens += completion.usage.completion_tokens;
+    lastContent = completion.content;
+
+    let data;
+    try {
+      data = parseJSON(completion.content);
+    } catch (parseError) {
+      lastErrors = [`response is not valid JSON: ${parseError.message}`];
+    }
+
+    if (data !== undefined) {
+      if (validate(data)) {
+        if (attempt > 1) {
+          console.log(`[STRUCTURED] /${route} output repaired after ${attempt} attempts`);
+        }
+
+        return {
+          data,
+          repaired: attempt > 1,
+          attempts: attempt,
+          model: completion.model,
+          provider: completion.provider,
+          usage
+        };
+      }
+      lastErrors = formatErrors(validate.errors);
+    }
+
+    console.warn(`[STRUCTURED] /${route} attempt ${attempt} invalid:`, lastErrors.join('; '));
+    prompt = buildRepairPrompt(request.prompt, lastContent, lastErrors, schema);
+  }
+
+  throw new StructuredOutputError(`Model output failed validation after ${maxRepairs + 1} attempts`, {
+    errors: lastErrors,
+    content: lastContent,
+    attempts: maxRepairs + 1
+  });
+}
+
+module.exports = {
+  completeJSON,
+  parseJSON,
+  StructuredOutputError
+};
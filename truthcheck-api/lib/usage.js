@@ -0,0 +1,221 @@
+// Usage tracking - LLM tokens and estimated cost per client, route, day, article URL and model
+//
+// Totals are aggregated as they're recorded (one row per combination) and persisted to a JSON file,
+// rewritten shortly after each change like the verdict cache.
+const fs = require('fs');
+const path = require('path');
+
+const SAVE_DELAY = 2000;
+
+// USD per million tokens; the longest matching model prefix wins. Override with MODEL_PRICES (JSON, same shape).
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.60 },
+  'gpt-4o': { input: 2.50, output: 10.00 },
+  'gpt-4-turbo': { input: 10.00, output: 30.00 },
+  'gpt-4': { input: 30.00, output: 60.00 },
+  'gpt-3.5-turbo': { input: 0.50, output: 1.50 },
+  'claude-3-5-haiku': { input: 0.80, output: 4.00 },
+  'claude-3-5-sonnet': { input: 3.00, output: 15.00 },
+  'claude-3-haiku': { input: 0.25, output: 1.25 },
+  'claude-3-opus': { input: 15.00, output: 75.00 }
+};
+
+const GROUP_FIELDS = ['client', 'route', 'task', 'day', 'url', 'model'];
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+// Drop query strings and fragments so tracking parameters don't split one article into many rows
+function normalizeArticleUrl(url) {
+  if (!url) return '';
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch (error) {
+    return '';
+  }
+}
+
+class UsageTracker {
+  constructor({ file, prices = {}, dailyBudgetUsd = null, dailyTokenBudget = null, retentionDays = 90 } = {}) {
+    this.file = file;
+    this.prices = { ...DEFAULT_PRICES, ...prices };
+    this.dailyBudgetUsd = dailyBudgetUsd;
+    this.dailyTokenBudget = dailyTokenBudget;
+    this.retentionDays = retentionDays;
+    this.rows = new Map();
+    this.saveTimer = null;
+
+    this.load();
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      (data.rows || []).forEach(row => this.rows.set(this.rowKey(row), row));
+      this.prune();
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[USAGE] Could not read ${this.file}, starting empty:`, error.message);
+      }
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(error => console.error('[USAGE] Save failed:', error.message));
+    }, SAVE_DELAY);
+    this.saveTimer.unref();
+  }
+
+  async save() {
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(tempFile, JSON.stringify({ version: 1, rows: [...this.rows.values()] }));
+    await fs.promises.rename(tempFile, this.file);
+  }
+
+  flushSync() {
+    if (!this.saveTimer) return;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(tempFile, JSON.stringify({ version: 1, rows: [...this.rows.values()] }));
+    fs.renameSync(tempFile, this.file);
+  }
+
+  prune() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    for (const [key, row] of this.rows) {
+      if (row.day < cutoff) this.rows.delete(key);
+    }
+  }
+
+  rowKey(row) {
+    return GROUP_FIELDS.map(field => row[field]).join('|');
+  }
+
+  getPrice(model) {
+    const match = Object.keys(this.prices)
+      .filter(prefix => model.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return match ? this.prices[match] : null;
+  }
+
+  estimateCost(model, usage) {
+    const price = this.getPrice(model);
+    if (!price) return 0;
+
+    return (usage.prompt_tokens * price.input + usage.completion_tokens * price.output) / 1000000;
+  }
+
+  /**
+   * Record one LLM call
+   * @param {Object} call - { client, route, task, url, model, provider, usage: { prompt_tokens, completion_tokens } }
+   */
+  record({ client, route, task, url, model, provider, usage }) {
+    // Local and mock models don't cost anything, whatever their names
+    const cost = provider === 'local' || provider === 'mock' ? 0 : this.estimateCost(model, usage);
+    const row = {
+      client: client || 'unknown',
+      route: route || '',
+      task: task || '',
+      day: today(),
+      url: normalizeArticleUrl(url),
+      model: model || 'unknown',
+      calls: 0,
+      prompt_tokens: 0,
+      completion_tokens: 0,
+      cost_usd: 0
+    };
+
+    const key = this.rowKey(row);
+    const existing = this.rows.get(key) || row;
+
+    existing.calls += 1;
+    existing.prompt_tokens += usage.prompt_tokens || 0;
+    existing.completion_tokens += usage.completion_tokens || 0;
+    existing.cost_usd += cost;
+
+    this.rows.set(key, existing);
+    this.scheduleSave();
+  }
+
+  /**
+   * Sum usage, optionally grouped
+   * @param {Object} options - { from, to (YYYY-MM-DD, inclusive), client, groupBy: ['route', 'day', ...] }
+   * @returns {Object} { totals, groups }
+   */
+  report({ from = null, to = null, client = null, groupBy = [] } = {}) {
+    const fields = groupBy.filter(field => GROUP_FIELDS.includes(field));
+    const totals = { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0 };
+    const groups = new Map();
+
+    for (const row of this.rows.values()) {
+      if (from && row.day < from) continue;
+      if (to && row.day > to) continue;
+      if (client && row.client !== client) continue;
+
+      const targets = [totals];
+      if (fields.length > 0) {
+        const key = fields.map(field => row[field]).join('|');
+        if (!groups.has(key)) {
+          const group = { calls: 0, prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, cost_usd: 0 };
+          fields.forEach(field => { group[field] = row[field]; });
+          groups.set(key, group);
+        }
+        targets.push(groups.get(key));
+      }
+
+      targets.forEach(target => {
+        target.calls += row.calls;
+        target.prompt_tokens += row.prompt_tokens;
+        target.completion_tokens += row.completion_tokens;
+        target.total_tokens += row.prompt_tokens + row.completion_tokens;
+        target.cost_usd += row.cost_usd;
+      });
+    }
+
+    const round = entry => ({ ...entry, cost_usd: Math.round(entry.cost_usd * 1000000) / 1000000 });
+
+    return {
+      totals: round(totals),
+      groups: [...groups.values()].map(round).sort((a, b) => b.cost_usd - a.cost_usd || b.total_tokens - a.total_tokens)
+    };
+  }
+
+  /**
+   * Server-wide spend today against DAILY_BUDGET_USD / DAILY_TOKEN_BUDGET
+   * @returns {Object} { exceeded, reason, spent_usd, tokens, budget_usd, token_budget }
+   */
+  checkBudget() {
+    const { totals } = this.report({ from: today(), to: today() });
+    let reason = null;
+
+    if (this.dailyBudgetUsd !== null && totals.cost_usd >= this.dailyBudgetUsd) {
+      reason = `Daily budget of $${this.dailyBudgetUsd} reached`;
+    } else if (this.dailyTokenBudget !== null && totals.total_tokens >= this.dailyTokenBudget) {
+      reason = `Daily budget of ${this.dailyTokenBudget} tokens reached`;
+    }
+
+    return {
+      exceeded: reason !== null,
+      reason: reason,
+      spent_usd: totals.cost_usd,
+      tokens: totals.total_tokens,
+      budget_usd: this.dailyBudgetUsd,
+      token_budget: this.dailyTokenBudget
+    };
+  }
+}
+
+module.exports = UsageTracker;
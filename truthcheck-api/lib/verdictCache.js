@@ -0,0 +1,189 @@
+// Verdict cache - persistent, file-backed cache of claim verdicts shared by every client of the server
+//
+// Entries are keyed by a hash of the normalized claim plus the model and prompt version that produced
+// the verdict, so changing either naturally misses. The whole cache lives in one JSON file that is
+// rewritten atomically (write to a temp file, then rename) shortly after each change.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { simplifyClaim } = require('./normalize');
+
+const SAVE_DELAY = 1000;
+
+class VerdictCache {
+  constructor({ file, ttlHours = 24, enabled = true } = {}) {
+    this.file = file;
+    this.ttl = ttlHours * 60 * 60 * 1000;
+    this.enabled = enabled;
+    this.entries = new Map();
+    this.stats = { hits: 0, misses: 0, writes: 0 };
+    this.saveTimer = null;
+
+    if (this.enabled) {
+      this.load();
+    }
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      (data.entries || []).forEach(entry => this.entries.set(entry.key, entry));
+      this.purgeExpired();
+      console.log(`[CACHE] Loaded ${this.entries.size} verdicts from ${this.file}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[CACHE] Could not read ${this.file}, starting empty:`, error.message);
+      }
+    }
+  }
+
+  // Debounced so a burst of verdicts from one article only rewrites the file once
+  scheduleSave() {
+    if (this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(error => console.error('[CACHE] Save failed:', error.message));
+    }, SAVE_DELAY);
+    this.saveTimer.unref();
+  }
+
+  async save() {
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    const data = JSON.stringify({ version: 1, entries: [...this.entries.values()] });
+
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(tempFile, data);
+    await fs.promises.rename(tempFile, this.file);
+  }
+
+  // Write any pending changes synchronously; used on shutdown when timers won't fire
+  flushSync() {
+    if (!this.saveTimer) return;
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+
+    const tempFile = `${this.file}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(tempFile, JSON.stringify({ version: 1, entries: [...this.entries.values()] }));
+    fs.renameSync(tempFile, this.file);
+  }
+
+  /**
+   * Build the cache key for a claim
+   * @param {string} claim - Claim text (normalized the same way as ClaimNormalizer.simplifyClaim)
+   * @param {string} model - Provider and model that produce the verdict, e.g. "openai/gpt-4o-mini"
+   * @param {string} promptVersion - Bumped whenever the scoring prompt changes
+   */
+  keyFor(claim, model, promptVersion) {
+    const claimHash = crypto.createHash('sha256').update(simplifyClaim(claim)).digest('hex');
+    // Keys appear in admin URLs, so keep the model part path-safe ("openai/gpt-4o-mini" -> "openai_gpt-4o-mini")
+    return `${claimHash}:${model.replace(/[^\w.-]/g, '_')}:v${promptVersion}`;
+  }
+
+  isExpired(entry) {
+    return entry.expires_at <= Date.now();
+  }
+
+  get(key) {
+    if (!this.enabled) return null;
+
+    const entry = this.entries.get(key);
+    if (!entry || this.isExpired(entry)) {
+      if (entry) {
+        this.entries.delete(key);
+        this.scheduleSave();
+      }
+      this.stats.misses++;
+      return null;
+    }
+
+    entry.hits++;
+    this.stats.hits++;
+    return entry;
+  }
+
+  // Read an entry without counting it as a hit (admin inspection)
+  peek(key) {
+    return this.entries.get(key) || null;
+  }
+
+  set(key, { claim, model, promptVersion, verdict }) {
+    if (!this.enabled) return null;
+
+    const now = Date.now();
+    const entry = {
+      key,
+      claim,
+      model,
+      prompt_version: promptVersion,
+      verdict,
+      created_at: now,
+      expires_at: now + this.ttl,
+      hits: 0
+    };
+
+    this.entries.set(key, entry);
+    this.stats.writes++;
+    this.scheduleSave();
+    return entry;
+  }
+
+  delete(key) {
+    const deleted = this.entries.delete(key);
+    if (deleted) this.scheduleSave();
+    return deleted;
+  }
+
+  /**
+   * Remove entries, optionally only those matching a filter
+   * @param {Object} filter - { expired, model } - with no filter everything is removed
+   * @returns {number} Number of entries removed
+   */
+  purge({ expired = false, model = null } = {}) {
+    let removed = 0;
+
+    for (const [key, entry] of this.entries) {
+      if (expired && !this.isExpired(entry)) continue;
+      if (model && entry.model !== model) continue;
+      this.entries.delete(key);
+      removed++;
+    }
+
+    if (removed > 0) this.scheduleSave();
+    return removed;
+  }
+
+  purgeExpired() {
+    return this.purge({ expired: true });
+  }
+
+  list({ limit = 50, offset = 0, query = '' } = {}) {
+    const needle = query.toLowerCase();
+    const matching = [...this.entries.values()]
+      .filter(entry => !needle || entry.claim.toLowerCase().includes(needle))
+      .sort((a, b) => b.created_at - a.created_at);
+
+    return {
+      total: matching.length,
+      entries: matching.slice(offset, offset + limit)
+    };
+  }
+
+  getStats() {
+    const entries = [...this.entries.values()];
+
+    return {
+      enabled: this.enabled,
+      file: this.file,
+      ttl_hours: this.ttl / (60 * 60 * 1000),
+      entries: entries.length,
+      expired: entries.filter(entry => this.isExpired(entry)).length,
+      models: [...new Set(entries.map(entry => entry.model))],
+      ...this.stats
+    };
+  }
+}
+
+module.exports = VerdictCache;
@@ -0,0 +1,73 @@
+// Anthropic Provider - Claude models through the Messages API
+class AnthropicProvider {
+  constructor(options = {}) {
+    this.name = 'anthropic';
+    this.apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+    this.baseURL = options.baseURL || process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1';
+    this.defaultModel = options.defaultModel || process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest';
+    this.apiVersion = '2023-06-01';
+
+    console.log(`[PROVIDER] ${this.name} API key loaded:`, this.apiKey ? 'YES' : 'NO');
+  }
+
+  resolveModel(requestedModel) {
+    // Requests from the extension name OpenAI models; only honor Claude model names
+    if (requestedModel && requestedModel.startsWith('claude-')) {
+      return requestedModel;
+    }
+    return this.defaultModel;
+  }
+
+  async complete({ prompt, model, temperature = 0.1, max_tokens = 1000 }) {
+    if (!this.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY is not set');
+    }
+
+    const resolvedModel = this.resolveModel(model);
+
+    const response = await fetch(`${this.baseURL}/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': this.apiVersion
+      },
+      body: JSON.stringify({
+        model: resolvedModel,
+        max_tokens: max_tokens,
+        temperature: temperature,
+        messages: [
+          {
+            role: 'user',
+            content: prompt
+          }
+        ]
+      })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = new Error(`Anthropic API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`);
+      error.status = response.status;
+      error.type = errorData.error?.type;
+      throw error;
+    }
+
+    const data = await response.json();
+    const content = (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    return {
+      content: content,
+      model: data.model || resolvedModel,
+      usage: {
+        prompt_tokens: data.usage?.input_tokens || 0,
+        completion_tokens: data.usage?.output_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = AnthropicProvider;
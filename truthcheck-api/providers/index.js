@@ -0,0 +1,78 @@
+// LLM provider registry - picks a provider per route from environment variables
+//
+//   LLM_PROVIDER=openai                  default for every route
+//   LLM_PROVIDER_SCORE_EVIDENCE=anthropic  override for POST /score-evidence
+//
+// Supported providers: openai, anthropic, local (OpenAI-compatible server), mock
+const OpenAIProvider = require('./openai');
+const AnthropicProvider = require('./anthropic');
+const LocalProvider = require('./local');
+const MockProvider = require('./mock');
+const requestContext = require('../lib/requestContext');
+
+const PROVIDERS = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  local: LocalProvider,
+  mock: MockProvider
+};
+
+const instances = new Map();
+
+function routeEnvName(route) {
+  return `LLM_PROVIDER_${route.replace(/^\//, '').replace(/-/g, '_').toUpperCase()}`;
+}
+
+function getProviderName(route) {
+  const name = (process.env[routeEnvName(route)] || process.env.LLM_PROVIDER || 'openai').toLowerCase();
+
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown LLM provider "${name}" for ${route}. Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return name;
+}
+
+// Providers are created lazily so a missing key only matters for routes that use it
+function getProvider(name) {
+  if (!instances.has(name)) {
+    instances.set(name, new PROVIDERS[name]());
+  }
+  return instances.get(name);
+}
+
+function getProviderForRoute(route) {
+  return getProvider(getProviderName(route));
+}
+
+// Provider and model a request for this route would actually use, e.g. "anthropic/claude-3-5-haiku-latest"
+function describeModel(route, model) {
+  const provider = getProviderForRoute(route);
+  return `${provider.name}/${provider.resolveModel(model)}`;
+}
+
+/**
+ * Run a completion for a route using whichever provider is configured for it
+ * @param {string} route - Route name, e.g. 'extract-claims'
+ * @param {Object} request - { prompt, model, temperature, max_tokens, input }
+ * @returns {Promise<Object>} { content, model, provider, usage: { prompt_tokens, completion_tokens } }
+ */
+async function complete(route, request) {
+  const provider = getProviderForRoute(route);
+  const result = await provider.complete({ ...request, task: route });
+  const completion = {
+    ...result,
+    provider: provider.name
+  };
+
+  requestContext.recordUsage(route, completion);
+  return completion;
+}
+
+module.exports = {
+  complete,
+  describeModel,
+  getProviderName,
+  getProviderForRoute,
+  PROVIDERS
+};
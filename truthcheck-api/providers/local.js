@@ -0,0 +1,25 @@
+// Local Provider - Any OpenAI-compatible endpoint (llama.cpp server, Ollama, vLLM)
+const OpenAIProvider = require('./openai');
+
+class LocalProvider extends OpenAIProvider {
+  constructor(options = {}) {
+    super({
+      name: 'local',
+      // Local servers usually ignore the key, but the SDK refuses to start without one
+      apiKey: process.env.LOCAL_LLM_API_KEY || 'not-needed',
+      baseURL: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434/v1',
+      defaultModel: process.env.LOCAL_LLM_MODEL || 'llama3.1',
+      ...options
+    });
+  }
+
+  resolveModel(requestedModel) {
+    // The extension always asks for an OpenAI model name, which a local server won't have
+    if (!requestedModel || requestedModel.startsWith('gpt-')) {
+      return this.defaultModel;
+    }
+    return requestedModel;
+  }
+}
+
+module.exports = LocalProvider;
@@ -0,0 +1,48 @@
+// OpenAI Provider - Chat completions through the official OpenAI SDK
+const OpenAI = require('openai');
+
+class OpenAIProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.baseURL = options.baseURL || process.env.OPENAI_BASE_URL || undefined;
+    this.defaultModel = options.defaultModel || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.client = new OpenAI({
+      apiKey: this.apiKey,
+      baseURL: this.baseURL
+    });
+
+    console.log(`[PROVIDER] ${this.name} API key loaded:`, this.apiKey ? 'YES' : 'NO');
+  }
+
+  resolveModel(requestedModel) {
+    return requestedModel || this.defaultModel;
+  }
+
+  async complete({ prompt, model, temperature = 0.1, max_tokens = 1000 }) {
+    const resolvedModel = this.resolveModel(model);
+
+    const completion = await this.client.chat.completions.create({
+      model: resolvedModel,
+      messages: [
+        {
+          role: "user",
+          content: prompt
+        }
+      ],
+      temperature: temperature,
+      max_tokens: max_tokens,
+    });
+
+    return {
+      content: completion.choices[0].message.content || '',
+      model: completion.model || resolvedModel,
+      usage: {
+        prompt_tokens: completion.usage?.prompt_tokens || 0,
+        completion_tokens: completion.usage?.completion_tokens || 0
+      }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
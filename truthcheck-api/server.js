@@ -1,131 +1,394 @@
 const express = require('express');
+const path = require('path');
+const crypto = require('crypto');
 const cors = require('cors');
-const OpenAI = require('openai');
 require('dotenv').config();
+const llm = require('./providers');
+const schemas = require('./lib/schemas');
+const { completeJSON, StructuredOutputError } = require('./lib/structured');
+const { chunkText, mergeChunkClaims, DEFAULT_CHUNK_SIZE, DEFAULT_CHUNK_OVERLAP } = require('./lib/chunking');
+const { mapWithConcurrency } = require('./lib/concurrency');
+const { htmlToText } = require('./lib/html');
+const { normalizeClaim } = require('./lib/normalize');
+const { checkOverride } = require('./lib/override');
+const { calculateFinalScore, calculateOverallConfidence, lowerConfidence, summarizeResults } = require('./lib/scoring');
+const VerdictCache = require('./lib/verdictCache');
+const ClientStore = require('./lib/clients');
+const RateLimiter = require('./lib/rateLimiter');
+const requestContext = require('./lib/requestContext');
+const UsageTracker = require('./lib/usage');
+const { extractClaimsHeuristic, scoreHeuristic } = require('./lib/heuristics');
+const FactCheckStandIn = require('./lib/factCheckStandIn');
 
 const app = express();
 const port = process.env.PORT || 3001;
 
+// CORS_ORIGINS restricts browser origins (comma-separated, "*" wildcards allowed, e.g.
+// "chrome-extension://*,https://newsroom.example.com"). Unset means any origin; client tokens are the
+// real protection since content scripts make requests with the page's origin.
+function originMatcher(origin) {
+  if (!origin.includes('*')) return origin;
+  const escaped = origin.split('*').map(part => part.replace(/[.+?^$()|[\]\\{}]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`);
+}
+
+const corsOrigins = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean)
+  .map(originMatcher);
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors(corsOrigins.length > 0 ? { origin: corsOrigins } : undefined));
+// Raised from the 100kb default so /analyze-article can accept full article HTML
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '5mb' }));
+
+// Routes that call an LLM - each can use a different provider (see providers/index.js)
+const LLM_ROUTES = ['extract-claims', 'search-evidence', 'score-evidence', 'validate-override', 'detect-red-flags'];
+
+// Set WEB_SEARCH_ENABLED=false to keep evidence search and override checks fully offline
+const webSearchEnabled = process.env.WEB_SEARCH_ENABLED !== 'false';
+
+// Chunks of a long article sent to the provider at once by /extract-claims (at least 1)
+const extractConcurrencySetting = parseInt(process.env.EXTRACT_CONCURRENCY || '3', 10);
+const extractConcurrency = Number.isNaN(extractConcurrencySetting) || extractConcurrencySetting < 1 ? 3 : extractConcurrencySetting;
+
+// Upper bound on the per-request concurrency /score-claims will honour
+const MAX_SCORE_CONCURRENCY = parseInt(process.env.MAX_SCORE_CONCURRENCY || '5', 10);
+
+// Same minimum content.js applies before analyzing a page (CONFIG.min_content_length)
+const MIN_ARTICLE_LENGTH = 300;
+
+// Article text /detect-red-flags sends to the model; the rest is ignored
+const redFlagMaxChars = parseInt(process.env.RED_FLAG_MAX_CHARS || '8000', 10);
+
+// Bump whenever the scoring prompt changes so cached verdicts from the old prompt stop matching
+const VERDICT_PROMPT_VERSION = 1;
+
+// Verdicts shared by every client; set VERDICT_CACHE_ENABLED=false to always call the LLM
+const verdictCache = new VerdictCache({
+  file: process.env.VERDICT_CACHE_FILE || path.join(__dirname, 'data', 'verdict-cache.json'),
+  ttlHours: parseFloat(process.env.VERDICT_CACHE_TTL_HOURS || '24'),
+  enabled: process.env.VERDICT_CACHE_ENABLED !== 'false'
+});
+
+// Issued client tokens (see bin/clients.js); REQUIRE_AUTH=false lets requests without a token through
+// under the default quotas, keyed by IP
+const requireAuth = process.env.REQUIRE_AUTH !== 'false';
+const clientStore = new ClientStore({
+  file: process.env.CLIENTS_FILE || path.join(__dirname, 'data', 'clients.json'),
+  defaults: {
+    requests_per_minute: parseInt(process.env.RATE_LIMIT_REQUESTS_PER_MINUTE || '60', 10),
+    tokens_per_day: parseInt(process.env.DAILY_TOKEN_QUOTA || '200000', 10)
+  }
+});
+const rateLimiter = new RateLimiter();
+
+// Local stand-in for the Google Fact Check Tools API, for developing and testing the extension's FactCheckRouter
+const FACT_CHECK_STANDIN_PATH = '/factcheck/v1alpha1/claims:search';
+const factCheckStandIn = process.env.FACT_CHECK_STANDIN === 'true'
+  ? new FactCheckStandIn({ file: process.env.FACT_CHECK_FIXTURES || path.join(__dirname, 'fixtures', 'claim-reviews.json') })
+  : null;
 
-// Initialize OpenAI client
-console.log('[SERVER] API Key loaded:', process.env.OPENAI_API_KEY ? 'YES' : 'NO');
-console.log('[SERVER] API Key preview:', process.env.OPENAI_API_KEY ? process.env.OPENAI_API_KEY.substring(0, 20) + '...' : 'NOT SET');
+const ADMIN_CLIENT = { id: 'admin', name: 'admin', quotas: null };
+
+// MODEL_PRICES overrides per-model prices (JSON); a malformed value is ignored rather than stopping the server
+function parseModelPrices(value) {
+  if (!value) return {};
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    console.warn(`⚠️  Ignoring MODEL_PRICES, not valid JSON: ${error.message}`);
+    return {};
+  }
+}
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
+// Token and cost accounting; DAILY_BUDGET_USD / DAILY_TOKEN_BUDGET switch the server to heuristic-only
+// responses for the rest of the (UTC) day once server-wide usage reaches them
+const usageTracker = new UsageTracker({
+  file: process.env.USAGE_FILE || path.join(__dirname, 'data', 'usage.json'),
+  prices: parseModelPrices(process.env.MODEL_PRICES),
+  dailyBudgetUsd: process.env.DAILY_BUDGET_USD ? parseFloat(process.env.DAILY_BUDGET_USD) : null,
+  dailyTokenBudget: process.env.DAILY_TOKEN_BUDGET ? parseInt(process.env.DAILY_TOKEN_BUDGET, 10) : null,
+  retentionDays: parseInt(process.env.USAGE_RETENTION_DAYS || '90', 10)
 });
 
+function rateLimited(res, retryAfter, message) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: message,
+    type: 'rate_limited',
+    retry_after: retryAfter
+  });
+}
+
+function isAdminRequest(req) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) return false;
+
+  const expected = Buffer.from(adminToken);
+  const actual = Buffer.from(req.get('X-Admin-Token') || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Run the rest of the request with a context that records every LLM call against the client,
+// the route and the article being analyzed (X-TruthCheck-Article-URL header, or the body's url)
+function trackUsage(req, client, next) {
+  const articleUrl = req.get('X-TruthCheck-Article-URL') || req.body?.url || '';
+
+  requestContext.run({
+    client: client,
+    usage: { prompt_tokens: 0, completion_tokens: 0 },
+    onUsage: (task, completion) => {
+      if (client.quotas) {
+        rateLimiter.addTokens(client.id, completion.usage.prompt_tokens + completion.usage.completion_tokens);
+      }
+
+      usageTracker.record({
+        client: client.id,
+        route: req.path,
+        task: task,
+        url: articleUrl,
+        model: completion.model,
+        provider: completion.provider,
+        usage: completion.usage
+      });
+    }
+  }, next);
+}
+
+// Authenticate the client token, enforce its quotas and attribute LLM usage to it for the rest of the request
+function authenticateClient(req, res, next) {
+  // The stand-in mimics a public API the extension calls without a client token
+  if (req.path === '/health' || (factCheckStandIn && req.path === FACT_CHECK_STANDIN_PATH)) {
+    return next();
+  }
+
+  // Admin routes authenticate with ADMIN_TOKEN instead (see requireAdmin); their LLM calls are still tracked
+  if (req.path === '/admin' || req.path.startsWith('/admin/')) {
+    return trackUsage(req, ADMIN_CLIENT, next);
+  }
+
+  const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '').trim();
+  let client = clientStore.authenticate(token);
+
+  if (!client && (token || requireAuth)) {
+    return res.status(401).json({
+      success: false,
+      error: token ? 'Invalid or revoked client token' : 'Client token required (Authorization: Bearer <token>)',
+      type: 'unauthorized'
+    });
+  }
+
+  if (!client) {
+    client = { id: `anonymous:${req.ip}`, name: 'anonymous', quotas: clientStore.defaults };
+  }
+
+  res.locals.client = client;
+
+  // Checking quotas and usage doesn't count against them
+  if (req.path === '/quota' || req.path === '/usage') {
+    return next();
+  }
+
+  const tokenCheck = rateLimiter.checkTokens(client.id, client.quotas.tokens_per_day);
+  if (!tokenCheck.allowed) {
+    return rateLimited(res, tokenCheck.retryAfter, `Daily token quota exceeded (${client.quotas.tokens_per_day} tokens/day)`);
+  }
+
+  const requestCheck = rateLimiter.checkRequest(client.id, client.quotas.requests_per_minute);
+  if (!requestCheck.allowed) {
+    return rateLimited(res, requestCheck.retryAfter, `Rate limit exceeded (${client.quotas.requests_per_minute} requests/minute)`);
+  }
+
+  trackUsage(req, client, next);
+}
+
+app.use(authenticateClient);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Claim extraction endpoint
-app.post('/extract-claims', async (req, res) => {
-  try {
-    const { text, model = 'gpt-4o-mini', max_tokens = 3000 } = req.body;
+if (factCheckStandIn) {
+  // Same query parameters and response shape as Google's claims:search (the ':' is escaped for Express)
+  app.get(FACT_CHECK_STANDIN_PATH.replace(':', '\\:'), (req, res) => {
+    res.json(factCheckStandIn.search(req.query));
+  });
+}
 
-    if (!text) {
-      return res.status(400).json({ error: 'Text is required' });
+// Token and cost report. Clients see their own usage; the admin token sees everyone's.
+//   ?from=YYYY-MM-DD&to=YYYY-MM-DD&group_by=client,route,task,day,url,model&client=<id> (admin only)
+app.get('/usage', (req, res) => {
+  const admin = isAdminRequest(req);
+  const client = admin ? (req.query.client || null) : res.locals.client.id;
+  const groupBy = (req.query.group_by || '').split(',').map(field => field.trim()).filter(Boolean);
+
+  const report = usageTracker.report({
+    from: req.query.from || null,
+    to: req.query.to || null,
+    client: client,
+    groupBy: groupBy
+  });
+
+  // Show client names alongside ids when grouping by client
+  const names = new Map(clientStore.list().map(entry => [entry.id, entry.name]));
+  report.groups.forEach(group => {
+    if (group.client !== undefined) {
+      group.client_name = names.get(group.client) || group.client.split(':')[0];
     }
+  });
 
-    console.log(`[API] Extracting claims from text (${text.length} chars)`);
+  res.json({
+    success: true,
+    scope: admin && !client ? 'all' : client,
+    from: req.query.from || null,
+    to: req.query.to || null,
+    ...report,
+    budget: usageTracker.checkBudget()
+  });
+});
 
-    const prompt = `Extract factual claims as JSON array. Return ONLY valid JSON.
-Each object: {"text":"claim","confidence":0.8,"type":"other"}
+// Quotas and current usage for the calling client
+app.get('/quota', (req, res) => {
+  const client = res.locals.client;
+
+  res.json({
+    success: true,
+    client: { id: client.id, name: client.name },
+    quotas: client.quotas,
+    usage: rateLimiter.getUsage(client.id)
+  });
+});
 
-Text: ${text.substring(0, 3000)} ${text.length > 3000 ? '...' : ''}
+// Extract claims from text, chunking long articles and merging claims repeated across chunks
+// Returns { claims, chunks, failed_chunks, model, provider, repaired, attempts, heuristic }; throws only if every chunk failed
+async function extractClaims(text, { model = 'gpt-4o-mini', max_tokens = 3000, chunk_size = DEFAULT_CHUNK_SIZE, chunk_overlap = DEFAULT_CHUNK_OVERLAP } = {}) {
+  const budget = usageTracker.checkBudget();
+  if (budget.exceeded) {
+    const claims = extractClaimsHeuristic(text);
+    console.log(`[API] ${budget.reason}, extracted ${claims.length} claims heuristically`);
 
-JSON:`;
+    return {
+      claims: claims,
+      chunks: 1,
+      failed_chunks: 0,
+      model: 'heuristic',
+      provider: 'heuristic',
+      repaired: false,
+      attempts: 0,
+      heuristic: true,
+      budget_exceeded: budget.reason
+    };
+  }
+
+  const chunks = chunkText(text, { size: chunk_size, overlap: chunk_overlap });
+  console.log(`[API] Extracting claims from text (${text.length} chars, ${chunks.length} chunks)`);
 
-    const completion = await openai.chat.completions.create({
+  // Nothing to send to the model
+  if (chunks.length === 0) {
+    return {
+      claims: [],
+      chunks: 0,
+      failed_chunks: 0,
       model: model,
-      messages: [
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
-      temperature: 0.1,
-      max_tokens: max_tokens,
-    });
+      provider: llm.getProviderName('extract-claims'),
+      repaired: false,
+      attempts: 0,
+      heuristic: false
+    };
+  }
 
-    let response = completion.choices[0].message.content;
-    console.log(`[API] OpenAI response length: ${response.length}`);
+  const results = await mapWithConcurrency(chunks, extractConcurrency, async (chunk, index) => {
+    const prompt = `Extract factual claims as JSON array. Return ONLY valid JSON.
+Each object: {"text":"claim","confidence":0.8,"type":"other"}
+Copy each claim's text exactly as it appears in the passage.
+${chunks.length > 1 ? `This is part ${index + 1} of ${chunks.length} of a longer article.\n` : ''}
+Text: ${chunk.text}
 
-    // Strip markdown code block formatting if present
-    response = response.trim();
-    if (response.startsWith('```json')) {
-      response = response.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-    } else if (response.startsWith('```')) {
-      response = response.replace(/^```\s*/, '').replace(/\s*```$/, '');
-    }
+JSON:`;
 
-    // Try to parse the response
-    let claims = [];
     try {
-      claims = JSON.parse(response);
-      if (!Array.isArray(claims)) {
-        claims = [];
-      }
-    } catch (parseError) {
-      console.error('[API] JSON parse error:', parseError.message);
-      console.error('[API] Raw response:', response);
-      
-      // Try to extract claims from malformed JSON
-      const textMatches = response.match(/"text"\s*:\s*"([^"]+)"/g);
-      if (textMatches) {
-        claims = textMatches.map(match => {
-          const textMatch = match.match(/"text"\s*:\s*"([^"]+)"/);
-          return {
-            text: textMatch ? textMatch[1] : match,
-            confidence: 0.5,
-            type: 'other'
-          };
-        });
-      }
+      const completion = await completeJSON('extract-claims', {
+        prompt: prompt,
+        schema: schemas.extractedClaims,
+        model: model,
+        temperature: 0.1,
+        max_tokens: max_tokens,
+        input: { text: chunk.text }
+      });
+      return { chunk, claims: completion.data, completion };
+    } catch (error) {
+      console.error(`[API] Chunk ${index + 1}/${chunks.length} failed:`, error.message);
+      return { chunk, claims: [], error };
     }
+  });
+
+  const failed = results.filter(result => result.error);
+  if (failed.length === results.length) {
+    throw failed[0].error;
+  }
+
+  const completions = results.filter(result => result.completion).map(result => result.completion);
+  const claims = mergeChunkClaims(results);
+  const repaired = completions.some(completion => completion.repaired);
+  console.log(`[API] Extracted ${claims.length} claims via ${completions[0].provider}${repaired ? ' (repaired)' : ''}`);
+
+  return {
+    claims: claims,
+    chunks: chunks.length,
+    failed_chunks: failed.length,
+    model: completions[0].model,
+    provider: completions[0].provider,
+    repaired: repaired,
+    attempts: Math.max(...completions.map(completion => completion.attempts)),
+    heuristic: false
+  };
+}
 
-    console.log(`[API] Extracted ${claims.length} claims`);
+// Claim extraction endpoint
+// Long articles are split into overlapping chunks; claims come back with offsets into the original text
+app.post('/extract-claims', async (req, res) => {
+  try {
+    const { text, model, max_tokens, chunk_size, chunk_overlap } = req.body;
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({ error: 'Text is required' });
+    }
+
+    const extraction = await extractClaims(text, { model, max_tokens, chunk_size, chunk_overlap });
     
     res.json({
       success: true,
-      claims: claims,
-      model: model,
-      response_length: response.length
+      ...extraction
     });
 
   } catch (error) {
     console.error('[API] Error:', error);
-    res.status(500).json({
+    res.status(error instanceof StructuredOutputError ? 502 : 500).json({
       success: false,
       error: error.message,
-      type: error.type || 'unknown'
+      type: error.type || 'unknown',
+      validation_errors: error.errors
     });
   }
 });
 
-// Evidence search endpoint
-app.post('/search-evidence', async (req, res) => {
-  try {
-    const { claim } = req.body;
-
-    if (!claim) {
-      return res.status(400).json({ error: 'Claim is required' });
-    }
-
-    console.log(`[API] Searching evidence for claim: "${claim.substring(0, 100)}..."`);
-
-    const evidence = [];
+// Search Google News (when enabled) and ask the LLM for likely evidence points (skipped once the daily budget is spent)
+// Returns { evidence, repaired, budgetExceeded }; failures in either source just mean fewer evidence items
+async function searchEvidence(claim) {
+  const evidence = [];
+  let repaired = false;
 
-    // Search Google News (using a simple web search)
+  // Search Google News (using a simple web search)
+  if (webSearchEnabled) {
     try {
       const searchQuery = encodeURIComponent(claim);
       const newsUrl = `https://news.google.com/search?q=${searchQuery}`;
-      
+
       // For now, we'll use a simple fetch to get basic results
       // In production, you'd want to use proper news APIs
       const response = await fetch(newsUrl, {
@@ -133,19 +396,19 @@ app.post('/search-evidence', async (req, res) => {
           'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
         }
       });
-      
+
       if (response.ok) {
         const html = await response.text();
-        
+
         // Extract article titles and snippets using regex
         // This is a simplified approach - in production, use a proper HTML parser
         const titleMatches = html.match(/<h3[^>]*>([^<]+)<\/h3>/g) || [];
         const snippetMatches = html.match(/<span[^>]*class="[^"]*snippet[^"]*"[^>]*>([^<]+)<\/span>/gi) || [];
-        
+
         for (let i = 0; i < Math.min(5, titleMatches.length); i++) {
           const title = titleMatches[i].replace(/<[^>]+>/g, '').trim();
           const snippet = snippetMatches[i] ? snippetMatches[i].replace(/<[^>]+>/g, '').trim() : '';
-          
+
           if (title) {
             evidence.push({
               source: 'Google News',
@@ -160,10 +423,16 @@ app.post('/search-evidence', async (req, res) => {
     } catch (searchError) {
       console.error('[API] Google News search error:', searchError.message);
     }
+  }
 
-    // Use OpenAI to analyze the claim and generate likely evidence points
-    try {
-      const prompt = `As a fact-checker, analyze this claim and provide likely evidence points that would support or refute it:
+  const budget = usageTracker.checkBudget();
+  if (budget.exceeded) {
+    return { evidence, repaired, budgetExceeded: budget.reason };
+  }
+
+  // Use the configured LLM to analyze the claim and generate likely evidence points
+  try {
+    const prompt = `As a fact-checker, analyze this claim and provide likely evidence points that would support or refute it:
 
 CLAIM: "${claim}"
 
@@ -177,46 +446,151 @@ Return a JSON array of likely evidence points (3-5 items):
   }
 ]`;
 
-      const completion = await openai.chat.completions.create({
-        model: 'gpt-4o-mini',
-        messages: [{ role: "user", content: prompt }],
-        temperature: 0.3,
-        max_tokens: 1000,
+    const completion = await completeJSON('search-evidence', {
+      prompt: prompt,
+      schema: schemas.evidencePoints,
+      model: 'gpt-4o-mini',
+      temperature: 0.3,
+      max_tokens: 1000,
+      input: { claim }
+    });
+
+    repaired = completion.repaired;
+    completion.data.forEach(item => {
+      evidence.push({
+        source: item.source,
+        title: item.finding,
+        snippet: item.finding,
+        url: '',
+        credibility: item.credibility,
+        supports_claim: item.supports
       });
+    });
+  } catch (aiError) {
+    console.error('[API] AI evidence generation error:', aiError.message);
+  }
 
-      let aiResponse = completion.choices[0].message.content.trim();
-      
-      // Strip markdown
-      if (aiResponse.startsWith('```json')) {
-        aiResponse = aiResponse.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-      } else if (aiResponse.startsWith('```')) {
-        aiResponse = aiResponse.replace(/^```\s*/, '').replace(/\s*```$/, '');
-      }
+  return { evidence, repaired };
+}
 
-      const aiEvidence = JSON.parse(aiResponse);
-      
-      if (Array.isArray(aiEvidence)) {
-        aiEvidence.forEach(item => {
-          evidence.push({
-            source: item.source || 'AI Analysis',
-            title: item.finding || '',
-            snippet: item.finding || '',
-            url: '',
-            credibility: item.credibility || 0.5,
-            supports_claim: item.supports
-          });
-        });
-      }
-    } catch (aiError) {
-      console.error('[API] AI evidence generation error:', aiError.message);
+// Score a claim 0-10 against the given evidence; resolves to the structured completion
+async function scoreEvidence(claim, search_results = [], model = 'gpt-4o-mini') {
+  const prompt = `You are a fact-checking expert. Analyze the evidence and score this claim from 0-10.
+
+CLAIM: "${claim}"
+
+SEARCH RESULTS: ${JSON.stringify(search_results)}
+
+SCORING CRITERIA (be strict and consistent):
+- 10: Overwhelming evidence, multiple reliable sources confirm
+- 9: Strong evidence from credible sources
+- 8: Good evidence with minor gaps
+- 7: Decent evidence but some limitations
+- 6: Weak evidence, limited support
+- 5: Neutral - no clear evidence either way
+- 4: Evidence suggests claim may be false
+- 3: Evidence contradicts the claim
+- 2: Strong evidence against the claim
+- 1: Overwhelming evidence the claim is false
+- 0: No relevant evidence found
+
+IMPORTANT: Use the full 0-10 scale. Don't cluster scores around 5-7.
+
+Return ONLY valid JSON (no other text):
+{
+  "overall_score": 0-10,
+  "confidence": "high|medium|low",
+  "assessment": "One sentence explaining the score"
+}`;
+
+  return completeJSON('score-evidence', {
+    prompt: prompt,
+    schema: schemas.evidenceScore,
+    model: model,
+    temperature: 0.1,
+    max_tokens: 1000,
+    input: { claim, search_results }
+  });
+}
+
+// Search (unless evidence is supplied) and score a claim, using the shared verdict cache
+// Only verdicts scored against the server's own search are cached: evidence supplied by one client mustn't
+// decide the verdict every other client gets. Once the daily budget is spent, cache misses get an uncached
+// heuristic verdict instead
+// Returns { score, confidence, assessment, evidence_count, model, provider, repaired, attempts, cached, heuristic }
+async function getVerdict(claim, { model = 'gpt-4o-mini', searchResults = null } = {}) {
+  const cacheModel = llm.describeModel('score-evidence', model);
+  const key = verdictCache.keyFor(claim, cacheModel, VERDICT_PROMPT_VERSION);
+  const cached = verdictCache.get(key);
+
+  if (cached) {
+    console.log(`[CACHE] Verdict hit for: "${claim.substring(0, 60)}..."`);
+    return { ...cached.verdict, cached: true, heuristic: false };
+  }
+
+  let evidence = searchResults;
+  let evidenceRepaired = false;
+  if (!evidence) {
+    ({ evidence, repaired: evidenceRepaired } = await searchEvidence(claim));
+  }
+
+  const budget = usageTracker.checkBudget();
+  if (budget.exceeded) {
+    const result = scoreHeuristic(claim, evidence);
+    return {
+      score: result.overall_score,
+      confidence: result.confidence,
+      assessment: result.assessment,
+      evidence_count: evidence.length,
+      model: 'heuristic',
+      provider: 'heuristic',
+      repaired: false,
+      attempts: 0,
+      cached: false,
+      heuristic: true,
+      budget_exceeded: budget.reason
+    };
+  }
+
+  const completion = await scoreEvidence(claim, evidence, model);
+  const verdict = {
+    score: completion.data.overall_score,
+    confidence: completion.data.confidence,
+    assessment: completion.data.assessment,
+    evidence_count: evidence.length,
+    model: completion.model,
+    provider: completion.provider,
+    repaired: completion.repaired || evidenceRepaired,
+    attempts: completion.attempts
+  };
+
+  if (!searchResults) {
+    verdictCache.set(key, { claim, model: cacheModel, promptVersion: VERDICT_PROMPT_VERSION, verdict });
+  }
+  return { ...verdict, cached: false, heuristic: false };
+}
+
+// Evidence search endpoint
+app.post('/search-evidence', async (req, res) => {
+  try {
+    const { claim } = req.body;
+
+    if (!claim) {
+      return res.status(400).json({ error: 'Claim is required' });
     }
 
-    console.log(`[API] Found ${evidence.length} evidence items`);
+    console.log(`[API] Searching evidence for claim: "${claim.substring(0, 100)}..."`);
+
+    const { evidence, repaired, budgetExceeded } = await searchEvidence(claim);
+
+    console.log(`[API] Found ${evidence.length} evidence items${budgetExceeded ? ' (web search only, budget exceeded)' : ''}`);
 
     res.json({
       success: true,
       evidence: evidence,
-      count: evidence.length
+      count: evidence.length,
+      repaired: repaired,
+      budget_exceeded: budgetExceeded || null
     });
 
   } catch (error) {
@@ -239,107 +613,426 @@ app.post('/score-evidence', async (req, res) => {
 
     console.log(`[API] Scoring evidence for claim: "${claim.substring(0, 100)}..."`);
 
-    const prompt = `You are a fact-checking expert. Analyze the evidence and score this claim from 0-10.
+    // A cached verdict is returned if there is one; otherwise the client's evidence is scored, but not cached
+    const verdict = await getVerdict(claim, { model, searchResults: search_results });
 
-CLAIM: "${claim}"
+    console.log(`[API] Score: ${verdict.score}/10 (${verdict.confidence})${verdict.repaired ? ' (repaired)' : ''}${verdict.cached ? ' (cached)' : ''}${verdict.heuristic ? ' (heuristic)' : ''}`);
+    
+    res.json({
+      success: true,
+      score: verdict.score,
+      confidence: verdict.confidence,
+      assessment: verdict.assessment,
+      model: verdict.model,
+      provider: verdict.provider,
+      repaired: verdict.repaired,
+      attempts: verdict.attempts,
+      cached: verdict.cached,
+      heuristic: verdict.heuristic,
+      budget_exceeded: verdict.budget_exceeded || null
+    });
 
-SEARCH RESULTS: ${JSON.stringify(search_results)}
+  } catch (error) {
+    console.error('[API] Scoring error:', error);
+    res.status(error instanceof StructuredOutputError ? 502 : 500).json({
+      success: false,
+      error: error.message,
+      type: error.type || 'unknown',
+      validation_errors: error.errors
+    });
+  }
+});
 
-SCORING CRITERIA (be strict and consistent):
-- 10: Overwhelming evidence, multiple reliable sources confirm
-- 9: Strong evidence from credible sources
-- 8: Good evidence with minor gaps
-- 7: Decent evidence but some limitations
-- 6: Weak evidence, limited support
-- 5: Neutral - no clear evidence either way
-- 4: Evidence suggests claim may be false
-- 3: Evidence contradicts the claim
-- 2: Strong evidence against the claim
-- 1: Overwhelming evidence the claim is false
-- 0: No relevant evidence found
+// Batch scoring endpoint - searches and scores every claim, streaming each result over SSE as it finishes
+//
+//   event: result   data: { index, claim, success, score, confidence, assessment, evidence_count, repaired, cached, heuristic }
+//   event: done     data: { count, failed }
+app.post('/score-claims', async (req, res) => {
+  const { claims, concurrency = 3, model = 'gpt-4o-mini' } = req.body;
 
-IMPORTANT: Use the full 0-10 scale. Don't cluster scores around 5-7.
+  if (!Array.isArray(claims) || claims.length === 0) {
+    return res.status(400).json({ error: 'Claims array is required' });
+  }
 
-Return ONLY valid JSON (no other text):
+  // Accept plain strings or normalized claim objects from the extension
+  const claimTexts = claims.map(claim => (typeof claim === 'string' ? claim : claim && (claim.original_claim || claim.text)) || '');
+  const limit = Math.max(1, Math.min(parseInt(concurrency, 10) || 1, MAX_SCORE_CONCURRENCY));
+
+  console.log(`[API] Scoring ${claimTexts.length} claims (concurrency ${limit})`);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  // Stop starting new claims once the extension goes away (tab closed, navigation)
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  const sendEvent = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
+  let failed = 0;
+
+  await mapWithConcurrency(claimTexts, limit, async (claim, index) => {
+    if (closed) return;
+
+    if (!claim) {
+      failed++;
+      sendEvent('result', { index, claim, success: false, error: 'Claim is required' });
+      return;
+    }
+
+    try {
+      const verdict = await getVerdict(claim, { model });
+
+      sendEvent('result', {
+        index,
+        claim,
+        success: true,
+        score: verdict.score,
+        confidence: verdict.confidence,
+        assessment: verdict.assessment,
+        evidence_count: verdict.evidence_count,
+        model: verdict.model,
+        provider: verdict.provider,
+        repaired: verdict.repaired,
+        cached: verdict.cached,
+        heuristic: verdict.heuristic
+      });
+    } catch (error) {
+      failed++;
+      console.error(`[API] Batch scoring failed for claim ${index}:`, error.message);
+      sendEvent('result', {
+        index,
+        claim,
+        success: false,
+        error: error.message,
+        type: error.type || 'unknown'
+      });
+    }
+  });
+
+  console.log(`[API] Batch scoring finished: ${claimTexts.length - failed}/${claimTexts.length} succeeded${closed ? ' (client disconnected)' : ''}`);
+
+  sendEvent('done', { count: claimTexts.length, failed });
+  res.end();
+});
+
+// Article-level red flags (sensationalism, vague attribution, missing denominators, self-contradiction, ...)
+app.post('/detect-red-flags', async (req, res) => {
+  try {
+    const { text, model = 'gpt-4o-mini' } = req.body;
+
+    if (!text) {
+      return res.status(400).json({ error: 'Text is required' });
+    }
+
+    const budget = usageTracker.checkBudget();
+    if (budget.exceeded) {
+      // The extension runs its own heuristics, so there's nothing useful to fall back to here
+      return res.json({
+        success: true,
+        red_flags: [],
+        coherence_score: null,
+        manipulation_risk: null,
+        heuristic: true,
+        budget_exceeded: budget.reason
+      });
+    }
+
+    const excerpt = text.substring(0, redFlagMaxChars);
+    console.log(`[API] Detecting red flags (${excerpt.length} of ${text.length} chars)`);
+
+    const prompt = `Analyze this article excerpt for red flags indicating potential misinformation.
+
+PASSAGE: "${excerpt}"
+
+Check for:
+1. Extraordinary claims without supporting evidence
+2. Cherry-picked statistics (percentage without denominator)
+3. Emotional manipulation (ALL CAPS, multiple !!!, extreme language)
+4. Self-contradictions within the article
+5. Vague attribution ("sources say", "anonymous")
+6. Logical fallacies (ad hominem, appeal to authority, strawman)
+7. Sensationalism ("SHOCKING", "DOCTORS HATE THIS")
+
+Quote each example exactly as it appears in the passage.
+
+Return ONLY valid JSON:
 {
-  "overall_score": 0-10,
-  "confidence": "high|medium|low",
-  "assessment": "One sentence explaining the score"
+  "red_flags_detected": [
+    {
+      "flag_type": "name",
+      "severity": 1-5,
+      "example": "quote from text",
+      "significance": "brief explanation"
+    }
+  ],
+  "coherence_score": 0-10,
+  "manipulation_risk": 0-10
 }`;
 
-    const completion = await openai.chat.completions.create({
+    const completion = await completeJSON('detect-red-flags', {
+      prompt: prompt,
+      schema: schemas.redFlags,
       model: model,
-      messages: [
-        {
-          role: "user",
-          content: prompt
-        }
-      ],
       temperature: 0.1,
-      max_tokens: 1000,
+      max_tokens: 1500,
+      input: { text: excerpt }
     });
 
-    let response = completion.choices[0].message.content;
-    
-    console.log(`[API] Raw OpenAI response (first 200 chars): ${response.substring(0, 200)}`);
-    
-    // Strip markdown code block formatting if present
-    response = response.trim();
-    if (response.startsWith('```json')) {
-      response = response.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-    } else if (response.startsWith('```')) {
-      response = response.replace(/^```\s*/, '').replace(/\s*```$/, '');
+    console.log(`[API] Found ${completion.data.red_flags_detected.length} red flags (manipulation risk ${completion.data.manipulation_risk}/10)`);
+
+    res.json({
+      success: true,
+      red_flags: completion.data.red_flags_detected,
+      coherence_score: completion.data.coherence_score,
+      manipulation_risk: completion.data.manipulation_risk,
+      truncated: text.length > excerpt.length,
+      model: completion.model,
+      provider: completion.provider,
+      repaired: completion.repaired,
+      heuristic: false
+    });
+
+  } catch (error) {
+    console.error('[API] Red flag detection error:', error);
+    res.status(error instanceof StructuredOutputError ? 502 : 500).json({
+      success: false,
+      error: error.message,
+      type: error.type || 'unknown',
+      validation_errors: error.errors
+    });
+  }
+});
+
+// Run the AI component and override check for one extracted claim
+// Returns the per-claim structure the extension's highlighter consumes
+async function analyzeClaim(claim, { model, checkOverrides }) {
+  const normalized = normalizeClaim(claim.text);
+  const components = {};
+
+  try {
+    const verdict = await getVerdict(claim.text, { model });
+
+    components.ai = {
+      score: verdict.score,
+      // The model had to be re-prompted, so trust it a notch less (as Scorer.scoreFromAI does)
+      confidence: verdict.repaired ? lowerConfidence(verdict.confidence) : verdict.confidence,
+      assessment: verdict.assessment,
+      evidence_count: verdict.evidence_count,
+      repaired: verdict.repaired,
+      cached: verdict.cached,
+      heuristic: verdict.heuristic
+    };
+  } catch (error) {
+    console.error('[API] AI scoring failed:', error.message);
+    components.ai = {
+      score: 5,
+      confidence: 'low',
+      error: error.message
+    };
+  }
+
+  // Override validation is another LLM call, so it's skipped along with everything else once the budget is spent
+  let override = null;
+  if (checkOverrides && webSearchEnabled && !usageTracker.checkBudget().exceeded) {
+    try {
+      override = await checkOverride(normalized);
+    } catch (error) {
+      console.error('[API] Override check failed:', error.message);
     }
-    
-    response = response.trim();
-    
-    let scoreData = {};
+  }
+
+  const scores = {
+    components: components,
+    final: calculateFinalScore(components),
+    confidence: calculateOverallConfidence(components),
+    timestamp: Date.now()
+  };
+
+  return {
+    claim: claim.text,
+    normalized: normalized,
+    scores: scores,
+    override: override,
+    finalScore: override?.score ?? scores.final,
+    start: claim.start,
+    end: claim.end
+  };
+}
+
+// End-to-end analysis endpoint - extraction, normalization, scoring and overrides without a browser
+app.post('/analyze-article', async (req, res) => {
+  try {
+    const {
+      html,
+      text,
+      url = '',
+      model = 'gpt-4o-mini',
+      max_claims = 20,
+      check_overrides = true,
+      concurrency = 3
+    } = req.body;
+
+    if ((html !== undefined && typeof html !== 'string') || (text !== undefined && typeof text !== 'string')) {
+      return res.status(400).json({ error: 'HTML and text must be strings' });
+    }
+
+    if (!html && !text) {
+      return res.status(400).json({ error: 'HTML or text is required' });
+    }
+
+    const page = html ? htmlToText(html) : { title: '', text: text };
+
+    if (page.text.length < MIN_ARTICLE_LENGTH) {
+      return res.status(400).json({ error: `Article too short (${page.text.length} chars, minimum ${MIN_ARTICLE_LENGTH})` });
+    }
+
+    let domain = '';
     try {
-      scoreData = JSON.parse(response);
-    } catch (parseError) {
-      console.error('[API] Score JSON parse error:', parseError.message);
-      console.error('[API] Cleaned response:', response);
-      
-      // Try to extract score using regex as fallback
-      const scoreMatch = response.match(/"overall_score"\s*:\s*(\d+)/);
-      const confidenceMatch = response.match(/"confidence"\s*:\s*"(\w+)"/);
-      const assessmentMatch = response.match(/"assessment"\s*:\s*"([^"]+)"/);
-      
-      if (scoreMatch) {
-        console.log('[API] Extracted score via regex fallback');
-        scoreData = {
-          overall_score: parseInt(scoreMatch[1]),
-          confidence: confidenceMatch ? confidenceMatch[1] : "low",
-          assessment: assessmentMatch ? assessmentMatch[1] : "Parsed from malformed response"
-        };
-      } else {
-        scoreData = {
-          overall_score: 5,
-          confidence: "low",
-          assessment: "Unable to parse AI response"
-        };
-      }
+      domain = url ? new URL(url).hostname : '';
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid URL' });
     }
 
-    console.log(`[API] Score: ${scoreData.overall_score}/10 (${scoreData.confidence})`);
-    
+    console.log(`[API] Analyzing article${url ? ` ${url}` : ''} (${page.text.length} chars)`);
+
+    const extraction = await extractClaims(page.text, { model });
+
+    // Keep the most confident claims, then restore document order for the highlighter
+    const claims = [...extraction.claims]
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, Math.max(1, max_claims))
+      .sort((a, b) => (a.start ?? Infinity) - (b.start ?? Infinity));
+
+    const limit = Math.max(1, Math.min(parseInt(concurrency, 10) || 1, MAX_SCORE_CONCURRENCY));
+    const results = await mapWithConcurrency(claims, limit, claim => analyzeClaim(claim, {
+      model,
+      checkOverrides: check_overrides !== false
+    }));
+
+    console.log(`[API] Analyzed ${results.length} claims`);
+
     res.json({
       success: true,
-      score: scoreData.overall_score,
-      confidence: scoreData.confidence,
-      assessment: scoreData.assessment,
-      model: model
+      url: url,
+      domain: domain,
+      title: page.title,
+      text_length: page.text.length,
+      chunks: extraction.chunks,
+      results: results,
+      summary: summarizeResults(results),
+      model: extraction.model,
+      provider: extraction.provider,
+      heuristic: extraction.heuristic,
+      budget_exceeded: extraction.budget_exceeded || null
     });
 
   } catch (error) {
-    console.error('[API] Scoring error:', error);
-    res.status(500).json({
+    console.error('[API] Article analysis error:', error);
+    res.status(error instanceof StructuredOutputError ? 502 : 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      type: error.type || 'unknown',
+      validation_errors: error.errors
     });
   }
 });
 
+// Admin routes - require the X-Admin-Token header to match ADMIN_TOKEN (disabled when it isn't set)
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'Admin routes are disabled. Set ADMIN_TOKEN to enable them.' });
+  }
+
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+
+  next();
+}
+
+// Cache stats plus a page of entries (?limit=&offset=&q=claim substring)
+app.get('/admin/cache', requireAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+  const offset = parseInt(req.query.offset, 10) || 0;
+
+  res.json({
+    success: true,
+    stats: verdictCache.getStats(),
+    ...verdictCache.list({ limit, offset, query: req.query.q || '' })
+  });
+});
+
+app.get('/admin/cache/:key', requireAdmin, (req, res) => {
+  const entry = verdictCache.peek(req.params.key);
+
+  if (!entry) {
+    return res.status(404).json({ error: 'Cache entry not found' });
+  }
+
+  res.json({ success: true, entry });
+});
+
+// Purge everything, or only ?expired=true and/or ?model=openai/gpt-4o-mini
+app.delete('/admin/cache', requireAdmin, (req, res) => {
+  const removed = verdictCache.purge({
+    expired: req.query.expired === 'true',
+    model: req.query.model || null
+  });
+
+  console.log(`[CACHE] Admin purge removed ${removed} verdicts`);
+  res.json({ success: true, removed });
+});
+
+app.delete('/admin/cache/:key', requireAdmin, (req, res) => {
+  if (!verdictCache.delete(req.params.key)) {
+    return res.status(404).json({ error: 'Cache entry not found' });
+  }
+
+  res.json({ success: true, removed: 1 });
+});
+
+// Warm the cache ahead of time, e.g. with claims from a wire story before it's published
+app.post('/admin/cache/warm', requireAdmin, async (req, res) => {
+  const { claims, model = 'gpt-4o-mini', concurrency = 3 } = req.body;
+
+  if (!Array.isArray(claims) || claims.length === 0) {
+    return res.status(400).json({ error: 'Claims array is required' });
+  }
+
+  const limit = Math.max(1, Math.min(parseInt(concurrency, 10) || 1, MAX_SCORE_CONCURRENCY));
+  const counts = { warmed: 0, skipped: 0, failed: 0 };
+
+  console.log(`[CACHE] Warming ${claims.length} claims`);
+
+  await mapWithConcurrency(claims, limit, async claim => {
+    if (typeof claim !== 'string' || !claim.trim()) {
+      counts.failed++;
+      return;
+    }
+
+    try {
+      const verdict = await getVerdict(claim, { model });
+      counts[verdict.cached ? 'skipped' : 'warmed']++;
+    } catch (error) {
+      console.error('[CACHE] Warm failed:', error.message);
+      counts.failed++;
+    }
+  });
+
+  res.json({ success: true, ...counts });
+});
+
 // Start server
 app.listen(port, () => {
   console.log(`🚀 TruthCheck API server running on port ${port}`);
@@ -347,6 +1040,30 @@ app.listen(port, () => {
   console.log(`🔍 Claim extraction: POST http://localhost:${port}/extract-claims`);
   console.log(`🔎 Evidence search: POST http://localhost:${port}/search-evidence`);
   console.log(`📈 Evidence scoring: POST http://localhost:${port}/score-evidence`);
+  console.log(`📡 Batch scoring (SSE): POST http://localhost:${port}/score-claims`);
+  console.log(`🚩 Red flag detection: POST http://localhost:${port}/detect-red-flags`);
+  console.log(`📰 Article analysis: POST http://localhost:${port}/analyze-article`);
+  console.log(`🔑 Client tokens: ${requireAuth ? 'required' : 'optional'} (${clientStore.list().filter(client => !client.revoked_at).length} active)`);
+  console.log(`💰 Daily budget: ${[
+    usageTracker.dailyBudgetUsd !== null ? `$${usageTracker.dailyBudgetUsd}` : null,
+    usageTracker.dailyTokenBudget !== null ? `${usageTracker.dailyTokenBudget} tokens` : null
+  ].filter(Boolean).join(', ') || 'unlimited'} (usage report: GET http://localhost:${port}/usage)`);
+  if (factCheckStandIn) {
+    console.log(`🧪 Fact check stand-in: GET http://localhost:${port}${FACT_CHECK_STANDIN_PATH} (${factCheckStandIn.file})`);
+  }
+  console.log(`🗄️  Verdict cache: ${verdictCache.enabled ? `${verdictCache.entries.size} entries (${verdictCache.file})` : 'disabled'}`);
+  LLM_ROUTES.forEach(route => {
+    console.log(`🤖 /${route} provider: ${llm.getProviderName(route)}`);
+  });
+});
+
+// Write pending verdict cache and usage changes before shutting down
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.on(signal, () => {
+    verdictCache.flushSync();
+    usageTracker.flushSync();
+    process.exit(0);
+  });
 });
 
 module.exports = app;
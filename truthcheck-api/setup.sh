@@ -34,7 +34,10 @@ echo "🎉 Setup complete!"
 echo ""
 echo "Next steps:"
 echo "1. Edit .env file and add your OpenAI API key"
-echo "2. Run: npm start"
-echo "3. Test: curl http://localhost:3001/health"
+echo "2. Mint a client token: npm run clients -- mint my-extension"
+echo "   and put it in apis.api_server.client_token in src/foundation/config.js"
+echo "   (or set REQUIRE_AUTH=false in .env for local-only development)"
+echo "3. Run: npm start"
+echo "4. Test: curl http://localhost:3001/health"
 echo ""
 echo "For development with auto-reload: npm run dev"
@@ -2,6 +2,12 @@ const fetch = require('node-fetch');
 
 const API_BASE = 'http://localhost:3001';
 
+// Client token from `node bin/clients.js mint <name>` (not needed when the server runs with REQUIRE_AUTH=false)
+const HEADERS = {
+  'Content-Type': 'application/json',
+  ...(process.env.TRUTHCHECK_CLIENT_TOKEN ? { 'Authorization': `Bearer ${process.env.TRUTHCHECK_CLIENT_TOKEN}` } : {})
+};
+
 async function testAPI() {
   console.log('🧪 Testing TruthCheck API...\n');
 
@@ -23,9 +29,7 @@ async function testAPI() {
 
     const claimsResponse = await fetch(`${API_BASE}/extract-claims`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
+      headers: HEADERS,
       body: JSON.stringify({
         text: testText,
         model: 'gpt-4o-mini',
@@ -45,9 +49,7 @@ async function testAPI() {
       console.log('3. Testing evidence scoring...');
       const scoreResponse = await fetch(`${API_BASE}/score-evidence`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
+        headers: HEADERS,
         body: JSON.stringify({
           claim: claimsData.claims[0].text,
           search_results: []
@@ -0,0 +1,54 @@
+// Article analysis - /analyze-article runs extraction, scoring and overrides server-side
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const ARTICLE = 'The council said the new bridge will open in 2025 after a long delay. ' +
+  'It was a sunny afternoon in the town, and the market was busy with people. ' +
+  'Engineers found that the old crossing carries 12,000 cars every day during the week. ' +
+  'Officials reported that 40% of residents use the old crossing every day. ' +
+  'Most people in the queue seemed happy enough with the plans, if a little impatient about them.';
+
+let server;
+
+before(async () => {
+  server = await startServer({ VERDICT_CACHE_ENABLED: 'false' });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('/analyze-article scores every extracted claim in document order', async () => {
+  const response = await server.post('/analyze-article', { text: ARTICLE, url: 'https://news.example/bridge', check_overrides: false });
+  const result = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(result.domain, 'news.example');
+  assert.deepEqual(result.results.map(claim => claim.claim), [
+    'The council said the new bridge will open in 2025 after a long delay.',
+    'Engineers found that the old crossing carries 12,000 cars every day during the week.',
+    'Officials reported that 40% of residents use the old crossing every day.'
+  ]);
+  result.results.forEach(claim => {
+    assert.equal(ARTICLE.substring(claim.start, claim.end), claim.claim);
+    assert.equal(typeof claim.finalScore, 'number');
+  });
+});
+
+test('/analyze-article rejects missing, non-string and too-short input', async () => {
+  const cases = [
+    [{}, 'HTML or text is required'],
+    [{ text: 5 }, 'HTML and text must be strings'],
+    [{ text: [ARTICLE] }, 'HTML and text must be strings'],
+    [{ html: { body: ARTICLE } }, 'HTML and text must be strings'],
+    [{ text: 'Too short.' }, 'Article too short (10 chars, minimum 300)'],
+    [{ text: ARTICLE, url: 'not a url' }, 'Invalid URL']
+  ];
+
+  for (const [body, error] of cases) {
+    const response = await server.post('/analyze-article', body);
+    assert.equal(response.status, 400, `expected 400 for ${JSON.stringify(body)}`);
+    assert.equal((await response.json()).error, error);
+  }
+});
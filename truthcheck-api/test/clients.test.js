@@ -0,0 +1,176 @@
+// Client tokens and quotas - ClientStore, RateLimiter and how the server enforces them
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { startServer } = require('./helpers');
+const ClientStore = require('../lib/clients');
+const RateLimiter = require('../lib/rateLimiter');
+
+const MINUTE = 60 * 1000;
+
+const tempDirs = [];
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'clients-test-'));
+  tempDirs.push(dir);
+  return path.join(dir, 'clients.json');
+}
+
+// Run fn with Date.now() fixed at the given time
+function at(time, fn) {
+  const now = Date.now;
+  Date.now = () => time;
+  try {
+    return fn();
+  } finally {
+    Date.now = now;
+  }
+}
+
+test('minted tokens authenticate until revoked, and only their hash is stored', () => {
+  const file = tempFile();
+  const store = new ClientStore({ file, defaults: { requests_per_minute: 10 } });
+  const { client, token } = store.mint('newsroom', { tokens_per_day: 500 });
+
+  assert.match(token, /^tc_/);
+  assert.deepEqual(client.quotas, { requests_per_minute: 10, tokens_per_day: 500 });
+  assert.equal(store.authenticate(token).id, client.id);
+  assert.equal(store.authenticate(`${token}x`), null);
+  assert.equal(store.authenticate('not-a-client-token'), null);
+  assert.equal(store.authenticate(''), null);
+
+  const saved = fs.readFileSync(file, 'utf8');
+  assert.ok(!saved.includes(token));
+  assert.ok(saved.includes(client.token_hash));
+
+  assert.equal(store.revoke(client.id).id, client.id);
+  assert.equal(store.authenticate(token), null);
+  assert.equal(store.revoke(client.id), null);
+});
+
+test('a second store sees tokens minted by another process', () => {
+  const file = tempFile();
+  const server = new ClientStore({ file });
+  assert.deepEqual(server.list(), []);
+
+  const { token } = new ClientStore({ file }).mint('batch');
+  assert.equal(server.authenticate(token).name, 'batch');
+});
+
+test('requests are limited per client over a sliding minute', () => {
+  const limiter = new RateLimiter();
+  const start = Date.now();
+
+  at(start, () => {
+    assert.equal(limiter.checkRequest('a', 2).allowed, true);
+    assert.equal(limiter.checkRequest('a', 2).allowed, true);
+    assert.deepEqual(limiter.checkRequest('a', 2), { allowed: false, retryAfter: 60 });
+    assert.equal(limiter.checkRequest('b', 2).allowed, true);
+  });
+
+  at(start + 45 * 1000, () => {
+    assert.deepEqual(limiter.checkRequest('a', 2), { allowed: false, retryAfter: 15 });
+    assert.equal(limiter.getUsage('a').requests_last_minute, 2);
+  });
+
+  at(start + MINUTE + 1, () => {
+    assert.equal(limiter.checkRequest('a', 2).allowed, true);
+  });
+});
+
+test('the daily token quota lets the request that crosses it finish, then blocks', () => {
+  const limiter = new RateLimiter();
+
+  assert.equal(limiter.checkTokens('a', 100).allowed, true);
+  limiter.addTokens('a', 80);
+  assert.equal(limiter.checkTokens('a', 100).allowed, true);
+  limiter.addTokens('a', 80);
+
+  const check = limiter.checkTokens('a', 100);
+  assert.equal(check.allowed, false);
+  assert.ok(check.retryAfter > 0 && check.retryAfter <= 24 * 60 * 60);
+  assert.equal(limiter.getUsage('a').tokens_today, 160);
+  assert.equal(limiter.checkTokens('b', 100).allowed, true);
+});
+
+test('counters are evicted once their window has passed', () => {
+  const start = Date.now();
+  const limiter = at(start, () => new RateLimiter());
+
+  at(start, () => {
+    for (let i = 0; i < 100; i++) {
+      limiter.checkRequest(`anonymous:10.0.0.${i}`, 60);
+    }
+    limiter.addTokens('anonymous:10.0.0.1', 50);
+  });
+  limiter.tokens.get('anonymous:10.0.0.1').day = '2000-01-01';
+
+  at(start + 30 * 1000, () => limiter.checkRequest('recent', 60));
+  assert.equal(limiter.requests.size, 101);
+
+  at(start + MINUTE + 1, () => limiter.checkRequest('recent', 60));
+  assert.deepEqual([...limiter.requests.keys()], ['recent']);
+  assert.equal(limiter.tokens.size, 0);
+});
+
+let server;
+let store;
+
+before(async () => {
+  server = await startServer({ REQUIRE_AUTH: 'true' });
+  store = new ClientStore({ file: path.join(server.dataDir, 'clients.json') });
+});
+
+after(async () => {
+  await server.stop();
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+const CLAIM_TEXT = { text: 'Officials reported that 40% of residents use the old crossing every day.' };
+
+test('the server turns away requests without a valid client token', async () => {
+  const missing = await server.post('/extract-claims', CLAIM_TEXT);
+  assert.equal(missing.status, 401);
+  assert.equal((await missing.json()).error, 'Client token required (Authorization: Bearer <token>)');
+
+  const invalid = await server.post('/extract-claims', CLAIM_TEXT, { Authorization: 'Bearer tc_nope' });
+  assert.equal(invalid.status, 401);
+  assert.equal((await invalid.json()).error, 'Invalid or revoked client token');
+
+  assert.equal((await server.get('/health')).status, 200);
+});
+
+test('the server enforces each client\'s request rate', async () => {
+  const { token } = store.mint('rate-test', { requests_per_minute: 3 });
+  const headers = { Authorization: `Bearer ${token}` };
+
+  for (let i = 0; i < 3; i++) {
+    assert.equal((await server.post('/extract-claims', CLAIM_TEXT, headers)).status, 200);
+  }
+
+  const limited = await server.post('/extract-claims', CLAIM_TEXT, headers);
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.equal((await limited.json()).type, 'rate_limited');
+
+  // Checking the quota doesn't count against it
+  const quota = await (await server.get('/quota', headers)).json();
+  assert.equal(quota.client.name, 'rate-test');
+  assert.equal(quota.usage.requests_last_minute, 3);
+});
+
+test('the server stops a client once its daily tokens are spent, and honours revocation', async () => {
+  const { client, token } = store.mint('quota-test', { tokens_per_day: 50 });
+  const headers = { Authorization: `Bearer ${token}` };
+
+  assert.equal((await server.post('/extract-claims', CLAIM_TEXT, headers)).status, 200);
+
+  const spent = await server.post('/extract-claims', CLAIM_TEXT, headers);
+  assert.equal(spent.status, 429);
+  assert.match((await spent.json()).error, /^Daily token quota exceeded \(50 tokens\/day\)/);
+
+  store.revoke(client.id);
+  assert.equal((await server.post('/extract-claims', CLAIM_TEXT, headers)).status, 401);
+});
@@ -0,0 +1,108 @@
+// Long-article chunking - chunk boundaries, claim offsets and /extract-claims end to end
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { chunkText, locateClaim, mergeChunkClaims } = require('../lib/chunking');
+
+const SENTENCES = Array.from({ length: 30 }, (_, i) => `Report ${i + 1} found that ${i * 3 + 7} schools in the district closed early.`);
+const LONG_TEXT = SENTENCES.join(' ');
+
+test('chunkText covers the text in overlapping chunks that break between sentences', () => {
+  const chunks = chunkText(LONG_TEXT, { size: 400, overlap: 120 });
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks[0].start, 0);
+  assert.equal(chunks[chunks.length - 1].end, LONG_TEXT.length);
+
+  chunks.forEach((chunk, index) => {
+    assert.equal(LONG_TEXT.substring(chunk.start, chunk.end), chunk.text);
+    assert.ok(chunk.text.length <= 400);
+    assert.match(chunk.text, /^Report \d+/);
+    if (index > 0) {
+      assert.ok(chunk.start < chunks[index - 1].end, 'chunks overlap');
+    }
+  });
+});
+
+test('chunkText returns short text as a single chunk and empty text as none', () => {
+  assert.deepEqual(chunkText('One short sentence.'), [{ text: 'One short sentence.', start: 0, end: 19 }]);
+  assert.deepEqual(chunkText(''), []);
+});
+
+test('locateClaim tolerates case, whitespace and quote differences', () => {
+  const chunk = 'He said “the  plan\nworks” on Monday.';
+
+  assert.deepEqual(locateClaim(chunk, 'the  plan'), { start: 9, end: 18 });
+  assert.deepEqual(locateClaim(chunk, 'THE PLAN WORKS"'), { start: 9, end: 25 });
+  assert.equal(locateClaim(chunk, 'the plan failed'), null);
+});
+
+test('mergeChunkClaims keeps one copy of claims repeated in the overlap, preferring higher confidence', () => {
+  const text = 'Alpha rose 5% in May. Beta fell 3% in June. Gamma held at 2%.';
+  const first = { text: text.substring(0, 44), start: 0, end: 44 };
+  const second = { text: text.substring(22), start: 22, end: text.length };
+
+  const merged = mergeChunkClaims([
+    { chunk: first, claims: [{ text: 'Alpha rose 5% in May.', confidence: 0.8 }, { text: 'Beta fell 3% in June.', confidence: 0.6 }] },
+    { chunk: second, claims: [{ text: 'beta fell 3% in june', confidence: 0.9 }, { text: 'Gamma held at 2%.', confidence: 0.7 }, { text: 'A paraphrase', confidence: 0.5 }] }
+  ]);
+
+  assert.deepEqual(merged.map(claim => [claim.text, claim.confidence, claim.start, claim.end]), [
+    ['Alpha rose 5% in May.', 0.8, 0, 21],
+    ['beta fell 3% in june', 0.9, 22, 42],
+    ['Gamma held at 2%.', 0.7, 44, 61],
+    ['A paraphrase', 0.5, null, null]
+  ]);
+});
+
+let server;
+
+before(async () => {
+  server = await startServer({ VERDICT_CACHE_ENABLED: 'false' });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('/extract-claims returns claims with offsets into the text', async () => {
+  const text = 'The council said the new bridge will open in 2025. It was a sunny afternoon in the town. ' +
+    'Officials reported that 40% of residents use the old crossing every day.';
+
+  const response = await server.post('/extract-claims', { text });
+  const result = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(result.success, true);
+  assert.equal(result.provider, 'mock');
+  assert.equal(result.chunks, 1);
+  assert.deepEqual(result.claims.map(claim => claim.text), [
+    'The council said the new bridge will open in 2025.',
+    'Officials reported that 40% of residents use the old crossing every day.'
+  ]);
+  result.claims.forEach(claim => {
+    assert.equal(text.substring(claim.start, claim.end), claim.text);
+  });
+});
+
+test('/extract-claims chunks long text and maps claims back to the original offsets', async () => {
+  const response = await server.post('/extract-claims', { text: LONG_TEXT, chunk_size: 400, chunk_overlap: 120 });
+  const result = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.ok(result.chunks > 1, `expected several chunks, got ${result.chunks}`);
+  assert.equal(result.failed_chunks, 0);
+
+  // Claims repeated in the overlap between chunks are merged, and every claim points at its sentence
+  assert.deepEqual(result.claims.map(claim => claim.text), SENTENCES);
+  result.claims.forEach(claim => {
+    assert.equal(LONG_TEXT.substring(claim.start, claim.end), claim.text);
+  });
+});
+
+test('/extract-claims rejects missing or non-string text', async () => {
+  for (const body of [{}, { text: '' }, { text: '   ' }, { text: 123 }, { text: ['claim'] }]) {
+    const response = await server.post('/extract-claims', body);
+    assert.equal(response.status, 400, `expected 400 for ${JSON.stringify(body)}`);
+  }
+});
@@ -0,0 +1,98 @@
+// Test helpers - boot the server offline (mock provider, no auth, no web search) on a free port
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Start server.js in a child process with its data files in a temp directory
+ * @param {Object} env - Extra environment variables, e.g. { DAILY_BUDGET_USD: '0' }
+ * @returns {Promise<Object>} { url, dataDir, post(route, body, headers), get(route, headers), stop() } - stop() resolves
+ *                            once the server has exited (it writes its data files on the way out) and they're removed
+ */
+async function startServer(env = {}) {
+  const port = await freePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truthcheck-api-test-'));
+
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      LLM_PROVIDER: 'mock',
+      REQUIRE_AUTH: 'false',
+      WEB_SEARCH_ENABLED: 'false',
+      CLIENTS_FILE: path.join(dataDir, 'clients.json'),
+      USAGE_FILE: path.join(dataDir, 'usage.json'),
+      VERDICT_CACHE_FILE: path.join(dataDir, 'verdict-cache.json'),
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  // Wait for the startup banner
+  await new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`Server didn't start:\n${output}`)), 10000);
+
+    child.stdout.on('data', data => {
+      output += data;
+      if (output.includes('server running on port')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', data => {
+      output += data;
+    });
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  const url = `http://localhost:${port}`;
+
+  return {
+    url,
+    dataDir,
+    post: (route, body, headers = {}) => fetch(`${url}${route}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    }),
+    get: (route, headers = {}) => fetch(`${url}${route}`, { headers }),
+    stop: () => new Promise(resolve => {
+      child.once('exit', () => {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+        resolve();
+      });
+      child.kill();
+    })
+  };
+}
+
+// Parse a text/event-stream body into [{ event, data }]
+function parseEvents(body) {
+  return body.split('\n\n').filter(block => block.trim()).map(block => {
+    const event = block.match(/^event: (.*)$/m)[1];
+    const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+    return { event, data };
+  });
+}
+
+module.exports = {
+  startServer,
+  parseEvents
+};
@@ -0,0 +1,83 @@
+// Provider layer - route-to-provider selection and the deterministic mock provider
+const { test, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const llm = require('../providers');
+const MockProvider = require('../providers/mock');
+
+const env = { ...process.env };
+
+afterEach(() => {
+  process.env = { ...env };
+});
+
+test('every route uses LLM_PROVIDER unless it has its own override', () => {
+  process.env.LLM_PROVIDER = 'mock';
+  process.env.LLM_PROVIDER_SCORE_EVIDENCE = 'Anthropic';
+
+  assert.equal(llm.getProviderName('extract-claims'), 'mock');
+  assert.equal(llm.getProviderName('score-evidence'), 'anthropic');
+  assert.equal(llm.getProviderName('/score-evidence'), 'anthropic');
+});
+
+test('routes default to openai', () => {
+  delete process.env.LLM_PROVIDER;
+  assert.equal(llm.getProviderName('extract-claims'), 'openai');
+});
+
+test('an unknown provider is an error naming the choices', () => {
+  process.env.LLM_PROVIDER = 'nonesuch';
+  assert.throws(() => llm.getProviderName('extract-claims'), /Unknown LLM provider "nonesuch" for extract-claims\. Expected one of: openai, anthropic, local, mock/);
+});
+
+test('complete tags the completion with the provider that ran it', async () => {
+  process.env.LLM_PROVIDER = 'mock';
+
+  const completion = await llm.complete('score-evidence', { prompt: 'Score', input: { claim: 'Water boils at 100 degrees.' } });
+
+  assert.equal(completion.provider, 'mock');
+  assert.equal(completion.model, 'mock-1');
+  assert.equal(llm.describeModel('score-evidence', 'gpt-4o-mini'), 'mock/mock-1');
+  assert.deepEqual(Object.keys(JSON.parse(completion.content)).sort(), ['assessment', 'confidence', 'overall_score']);
+});
+
+test('the mock provider answers the same input the same way', async () => {
+  const mock = new MockProvider();
+  const request = { task: 'score-evidence', input: { claim: 'The bridge opened in 1932.' } };
+
+  const first = await mock.complete(request);
+  const second = await mock.complete(request);
+  assert.equal(first.content, second.content);
+
+  const claims = JSON.parse((await mock.complete({
+    task: 'extract-claims',
+    input: { text: 'The bridge opened in 1932. It is a lovely sight at dusk. Engineers said it carries heavy traffic.' }
+  })).content);
+  assert.deepEqual(claims.map(claim => [claim.text, claim.confidence]), [
+    ['The bridge opened in 1932.', 0.8],
+    ['Engineers said it carries heavy traffic.', 0.6]
+  ]);
+});
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('the server runs offline with the mock provider', async () => {
+  const health = await server.get('/health');
+  assert.equal((await health.json()).status, 'OK');
+
+  const response = await server.post('/search-evidence', { claim: 'The bridge opened in 1932.' });
+  const result = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.equal(result.count, 3);
+  assert.deepEqual(result.evidence.map(item => item.source), ['Mock Source 1', 'Mock Source 2', 'Mock Source 3']);
+});
@@ -0,0 +1,63 @@
+// Batch scoring - the /score-claims Server-Sent Events stream
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, parseEvents } = require('./helpers');
+
+let server;
+
+before(async () => {
+  server = await startServer({ VERDICT_CACHE_ENABLED: 'false' });
+});
+
+after(async () => {
+  await server.stop();
+});
+
+test('/score-claims streams a result per claim, then done', async () => {
+  const claims = [
+    'Unemployment fell to 3.5% last year.',
+    { original_claim: 'The city planted 10,000 trees in 2023.' },
+    ''
+  ];
+
+  const response = await server.post('/score-claims', { claims, concurrency: 2 });
+
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const events = parseEvents(await response.text());
+  const results = events.filter(event => event.event === 'result').map(event => event.data);
+
+  assert.equal(results.length, 3);
+  assert.deepEqual(events[events.length - 1], { event: 'done', data: { count: 3, failed: 1 } });
+
+  const byIndex = results.sort((a, b) => a.index - b.index);
+  assert.equal(byIndex[0].claim, 'Unemployment fell to 3.5% last year.');
+  assert.equal(byIndex[1].claim, 'The city planted 10,000 trees in 2023.');
+  byIndex.slice(0, 2).forEach(result => {
+    assert.equal(result.success, true);
+    assert.equal(result.provider, 'mock');
+    assert.ok(Number.isInteger(result.score) && result.score >= 0 && result.score <= 10);
+  });
+  assert.equal(byIndex[2].success, false);
+  assert.equal(byIndex[2].error, 'Claim is required');
+});
+
+test('/score-claims scores the same claim the same way on every request', async () => {
+  const claim = 'The museum received 2 million visitors in 2019.';
+
+  const [first, second] = await Promise.all([1, 2].map(async () => {
+    const events = parseEvents(await (await server.post('/score-claims', { claims: [claim] })).text());
+    return events.find(event => event.event === 'result').data;
+  }));
+
+  assert.equal(first.score, second.score);
+  assert.equal(first.assessment, second.assessment);
+});
+
+test('/score-claims rejects an empty claims array', async () => {
+  for (const body of [{}, { claims: [] }, { claims: 'one claim' }]) {
+    const response = await server.post('/score-claims', body);
+    assert.equal(response.status, 400, `expected 400 for ${JSON.stringify(body)}`);
+  }
+});
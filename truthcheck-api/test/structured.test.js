@@ -0,0 +1,101 @@
+// Schema repair - feed completeJSON scripted model responses and check when it re-prompts and gives up
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.LLM_PROVIDER = 'mock';
+
+const llm = require('../providers');
+const { completeJSON, parseJSON, StructuredOutputError } = require('../lib/structured');
+const schemas = require('../lib/schemas');
+
+const complete = llm.complete;
+let prompts;
+
+// Answer each completion with the next of responses (the last one repeats)
+function respondWith(responses) {
+  prompts = [];
+  llm.complete = async (route, request) => {
+    prompts.push(request.prompt);
+    const content = responses[Math.min(prompts.length, responses.length) - 1];
+    return { content, model: 'mock-1', provider: 'mock', usage: { prompt_tokens: 10, completion_tokens: 5 } };
+  };
+}
+
+afterEach(() => {
+  llm.complete = complete;
+});
+
+const VALID_SCORE = JSON.stringify({ overall_score: 7, confidence: 'high', assessment: 'Well supported' });
+
+test('valid output is returned without repair', async () => {
+  respondWith([VALID_SCORE]);
+
+  const result = await completeJSON('score-evidence', { prompt: 'Score it', schema: schemas.evidenceScore });
+
+  assert.deepEqual(result.data, JSON.parse(VALID_SCORE));
+  assert.equal(result.repaired, false);
+  assert.equal(result.attempts, 1);
+  assert.equal(prompts.length, 1);
+});
+
+test('output that fails the schema is re-prompted with the validation errors', async () => {
+  respondWith([
+    JSON.stringify({ overall_score: 12, confidence: 'certain' }),
+    '```json\n' + VALID_SCORE + '\n```'
+  ]);
+
+  const result = await completeJSON('score-evidence', { prompt: 'Score it', schema: schemas.evidenceScore });
+
+  assert.equal(result.repaired, true);
+  assert.equal(result.attempts, 2);
+  assert.equal(result.data.overall_score, 7);
+  assert.deepEqual(result.usage, { prompt_tokens: 20, completion_tokens: 10 });
+
+  const repairPrompt = prompts[1];
+  assert.ok(repairPrompt.startsWith('Score it'));
+  assert.match(repairPrompt, /did not match the required format/);
+  assert.match(repairPrompt, /\/overall_score must be <= 10/);
+  assert.match(repairPrompt, /must have required property 'assessment'/);
+});
+
+test('output that is not JSON is re-prompted', async () => {
+  respondWith(['I think the score is seven.', VALID_SCORE]);
+
+  const result = await completeJSON('score-evidence', { prompt: 'Score it', schema: schemas.evidenceScore });
+
+  assert.equal(result.attempts, 2);
+  assert.match(prompts[1], /response is not valid JSON/);
+});
+
+test('gives up with StructuredOutputError after maxRepairs re-prompts', async () => {
+  respondWith(['{"overall_score": "seven"}']);
+
+  await assert.rejects(
+    completeJSON('score-evidence', { prompt: 'Score it', schema: schemas.evidenceScore, maxRepairs: 2 }),
+    error => {
+      assert.ok(error instanceof StructuredOutputError);
+      assert.equal(error.type, 'invalid_model_output');
+      assert.equal(error.attempts, 3);
+      assert.equal(error.content, '{"overall_score": "seven"}');
+      return true;
+    }
+  );
+  assert.equal(prompts.length, 3);
+});
+
+test('maxRepairs 0 disables repair', async () => {
+  respondWith(['[]', VALID_SCORE]);
+
+  await assert.rejects(
+    completeJSON('score-evidence', { prompt: 'Score it', schema: schemas.evidenceScore, maxRepairs: 0 }),
+    StructuredOutputError
+  );
+  assert.equal(prompts.length, 1);
+});
+
+test('parseJSON strips code fences and finds JSON wrapped in prose', () => {
+  assert.deepEqual(parseJSON('```json\n[1, 2]\n```'), [1, 2]);
+  assert.deepEqual(parseJSON('```\n{"a": 1}\n```'), { a: 1 });
+  assert.deepEqual(parseJSON('Here you go: {"a": [1]} Hope that helps.'), { a: [1] });
+  assert.throws(() => parseJSON('no JSON here'), SyntaxError);
+});
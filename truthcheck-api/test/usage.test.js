@@ -0,0 +1,150 @@
+// Usage tracking - per-row totals, cost estimates, reports and the daily budgets
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { startServer } = require('./helpers');
+const UsageTracker = require('../lib/usage');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const tempDirs = [];
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-test-'));
+  tempDirs.push(dir);
+  return path.join(dir, 'usage.json');
+}
+
+function call(overrides = {}) {
+  return {
+    client: 'newsroom',
+    route: '/score-evidence',
+    task: 'score-evidence',
+    url: 'https://news.example/story?utm_source=feed#comments',
+    model: 'gpt-4o-mini',
+    provider: 'openai',
+    usage: { prompt_tokens: 1000, completion_tokens: 500 },
+    ...overrides
+  };
+}
+
+test('calls with the same client, route, task, day, article and model share a row', () => {
+  const tracker = new UsageTracker({ file: tempFile() });
+
+  tracker.record(call());
+  tracker.record(call({ url: 'https://news.example/story?utm_source=mail' }));
+  tracker.record(call({ route: '/extract-claims', task: 'extract-claims' }));
+  tracker.flushSync();
+
+  assert.equal(tracker.rows.size, 2);
+
+  const { totals, groups } = tracker.report({ groupBy: ['route', 'url'] });
+  assert.deepEqual(totals, { calls: 3, prompt_tokens: 3000, completion_tokens: 1500, total_tokens: 4500, cost_usd: 0.00135 });
+  assert.deepEqual(groups.map(group => [group.route, group.url, group.calls]), [
+    ['/score-evidence', 'https://news.example/story', 2],
+    ['/extract-claims', 'https://news.example/story', 1]
+  ]);
+});
+
+test('costs use the longest matching price prefix, and local and mock models are free', () => {
+  const tracker = new UsageTracker({ file: tempFile(), prices: { 'house-model': { input: 1, output: 2 } } });
+  const usage = { prompt_tokens: 1000000, completion_tokens: 1000000 };
+
+  assert.equal(tracker.estimateCost('gpt-4o-mini-2024-07-18', usage), 0.75);
+  assert.equal(tracker.estimateCost('gpt-4o-2024-08-06', usage), 12.5);
+  assert.equal(tracker.estimateCost('house-model-v2', usage), 3);
+  assert.equal(tracker.estimateCost('unpriced-model', usage), 0);
+
+  tracker.record(call({ model: 'gpt-4o', provider: 'local' }));
+  tracker.record(call({ model: 'gpt-4o', provider: 'mock' }));
+  tracker.flushSync();
+  assert.equal(tracker.report().totals.cost_usd, 0);
+});
+
+test('reports filter by day and client', () => {
+  const tracker = new UsageTracker({ file: tempFile() });
+  tracker.record(call());
+  tracker.record(call({ client: 'batch' }));
+  tracker.flushSync();
+
+  const yesterday = new Date(Date.now() - DAY).toISOString().slice(0, 10);
+  assert.equal(tracker.report({ client: 'batch' }).totals.calls, 1);
+  assert.equal(tracker.report({ to: yesterday }).totals.calls, 0);
+  assert.deepEqual(tracker.report({ groupBy: ['client', 'nonesuch'] }).groups.map(group => Object.keys(group).sort()), [
+    ['calls', 'client', 'completion_tokens', 'cost_usd', 'prompt_tokens', 'total_tokens'],
+    ['calls', 'client', 'completion_tokens', 'cost_usd', 'prompt_tokens', 'total_tokens']
+  ]);
+});
+
+test('rows survive a restart, and rows older than the retention period are dropped on load', () => {
+  const file = tempFile();
+  const tracker = new UsageTracker({ file });
+  tracker.record(call());
+  tracker.flushSync();
+
+  const old = new Date(Date.now() - 10 * DAY).toISOString().slice(0, 10);
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  data.rows.push({ ...data.rows[0], day: old });
+  fs.writeFileSync(file, JSON.stringify(data));
+
+  assert.equal(new UsageTracker({ file }).report().totals.calls, 2);
+  assert.equal(new UsageTracker({ file, retentionDays: 7 }).report().totals.calls, 1);
+});
+
+test('the budget is exceeded once today\'s spend or tokens reach it', () => {
+  const unlimited = new UsageTracker({ file: tempFile() });
+  unlimited.record(call());
+  unlimited.flushSync();
+  assert.equal(unlimited.checkBudget().exceeded, false);
+
+  const dollars = new UsageTracker({ file: tempFile(), dailyBudgetUsd: 0.0008 });
+  dollars.record(call());
+  assert.equal(dollars.checkBudget().exceeded, false);
+  dollars.record(call());
+  dollars.flushSync();
+  assert.deepEqual(dollars.checkBudget(), {
+    exceeded: true,
+    reason: 'Daily budget of $0.0008 reached',
+    spent_usd: 0.0009,
+    tokens: 3000,
+    budget_usd: 0.0008,
+    token_budget: null
+  });
+
+  const tokens = new UsageTracker({ file: tempFile(), dailyTokenBudget: 1500 });
+  tokens.record(call({ provider: 'mock' }));
+  tokens.flushSync();
+  assert.equal(tokens.checkBudget().reason, 'Daily budget of 1500 tokens reached');
+});
+
+let server;
+
+before(async () => {
+  server = await startServer({ DAILY_TOKEN_BUDGET: '1', VERDICT_CACHE_ENABLED: 'false' });
+});
+
+after(async () => {
+  await server.stop();
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+test('the server falls back to heuristics once the daily budget is spent, and reports the usage', async () => {
+  const text = 'The council said the new bridge will open in 2025. Officials reported that 40% of residents use the old crossing every day.';
+
+  const first = await (await server.post('/extract-claims', { text, url: 'https://news.example/bridge?ref=home' })).json();
+  assert.equal(first.provider, 'mock');
+  assert.equal(first.heuristic, false);
+
+  const second = await (await server.post('/extract-claims', { text })).json();
+  assert.equal(second.provider, 'heuristic');
+  assert.equal(second.heuristic, true);
+  assert.equal(second.budget_exceeded, 'Daily budget of 1 tokens reached');
+
+  const report = await (await server.get('/usage?group_by=route,url')).json();
+  assert.equal(report.totals.calls, 1);
+  assert.equal(report.totals.cost_usd, 0);
+  assert.deepEqual(report.groups.map(group => [group.route, group.url]), [['/extract-claims', 'https://news.example/bridge']]);
+  assert.equal(report.budget.exceeded, true);
+});
@@ -0,0 +1,129 @@
+// Verdict cache - keys, expiry, persistence, and which verdicts the server shares between clients
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { startServer, parseEvents } = require('./helpers');
+const VerdictCache = require('../lib/verdictCache');
+
+const VERDICT = { score: 7, confidence: 'high', assessment: 'Well supported' };
+
+const tempDirs = [];
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verdict-cache-test-'));
+  tempDirs.push(dir);
+  return path.join(dir, 'verdict-cache.json');
+}
+
+test('keys ignore case, punctuation and filler words but not the model or prompt version', () => {
+  const cache = new VerdictCache({ file: tempFile(), enabled: false });
+  const key = cache.keyFor('The bridge opened in 1932.', 'openai/gpt-4o-mini', 1);
+
+  assert.equal(cache.keyFor('the bridge  opened in 1932', 'openai/gpt-4o-mini', 1), key);
+  assert.notEqual(cache.keyFor('The bridge opened in 1933.', 'openai/gpt-4o-mini', 1), key);
+  assert.notEqual(cache.keyFor('The bridge opened in 1932.', 'anthropic/claude-3-5-haiku-latest', 1), key);
+  assert.notEqual(cache.keyFor('The bridge opened in 1932.', 'openai/gpt-4o-mini', 2), key);
+  assert.match(key, /^[0-9a-f]{64}:openai_gpt-4o-mini:v1$/);
+});
+
+test('get counts hits and misses and drops expired entries', () => {
+  const cache = new VerdictCache({ file: tempFile(), ttlHours: 1 });
+  const key = cache.keyFor('Claim one', 'mock/mock-1', 1);
+
+  assert.equal(cache.get(key), null);
+  cache.set(key, { claim: 'Claim one', model: 'mock/mock-1', promptVersion: 1, verdict: VERDICT });
+  assert.deepEqual(cache.get(key).verdict, VERDICT);
+  assert.equal(cache.get(key).hits, 2);
+
+  cache.entries.get(key).expires_at = Date.now() - 1;
+  assert.equal(cache.get(key), null);
+  assert.equal(cache.entries.size, 0);
+  assert.deepEqual({ hits: cache.stats.hits, misses: cache.stats.misses, writes: cache.stats.writes }, { hits: 2, misses: 2, writes: 1 });
+});
+
+test('a disabled cache stores nothing', () => {
+  const cache = new VerdictCache({ file: tempFile(), enabled: false });
+  const key = cache.keyFor('Claim one', 'mock/mock-1', 1);
+
+  assert.equal(cache.set(key, { claim: 'Claim one', model: 'mock/mock-1', promptVersion: 1, verdict: VERDICT }), null);
+  assert.equal(cache.get(key), null);
+});
+
+test('entries survive a restart, minus the ones that expired', () => {
+  const file = tempFile();
+  const cache = new VerdictCache({ file });
+  const kept = cache.keyFor('Kept claim', 'mock/mock-1', 1);
+  const expired = cache.keyFor('Expired claim', 'mock/mock-1', 1);
+
+  cache.set(kept, { claim: 'Kept claim', model: 'mock/mock-1', promptVersion: 1, verdict: VERDICT });
+  cache.set(expired, { claim: 'Expired claim', model: 'mock/mock-1', promptVersion: 1, verdict: VERDICT });
+  cache.entries.get(expired).expires_at = Date.now() - 1;
+  cache.flushSync();
+
+  const reloaded = new VerdictCache({ file });
+  assert.deepEqual([...reloaded.entries.keys()], [kept]);
+  assert.deepEqual(reloaded.get(kept).verdict, VERDICT);
+});
+
+test('purge and list filter by model and claim text', () => {
+  const cache = new VerdictCache({ file: tempFile() });
+  ['Alpha rose', 'Beta fell', 'Gamma held'].forEach((claim, index) => {
+    const model = index === 0 ? 'openai/gpt-4o-mini' : 'mock/mock-1';
+    cache.set(cache.keyFor(claim, model, 1), { claim, model, promptVersion: 1, verdict: VERDICT });
+  });
+
+  assert.deepEqual(cache.list({ query: 'BETA' }).entries.map(entry => entry.claim), ['Beta fell']);
+  assert.equal(cache.list({ limit: 2 }).entries.length, 2);
+  assert.equal(cache.list({ limit: 2 }).total, 3);
+
+  assert.equal(cache.purge({ model: 'mock/mock-1' }), 2);
+  assert.deepEqual([...cache.entries.values()].map(entry => entry.claim), ['Alpha rose']);
+  assert.equal(cache.purge(), 1);
+});
+
+let server;
+
+before(async () => {
+  server = await startServer();
+});
+
+after(async () => {
+  await server.stop();
+  tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+async function scoreClaim(claim) {
+  const events = parseEvents(await (await server.post('/score-claims', { claims: [claim] })).text());
+  return events.find(event => event.event === 'result').data;
+}
+
+test('the server reuses a verdict it scored against its own search', async () => {
+  const claim = 'The library lent 50,000 books last year.';
+
+  const first = await scoreClaim(claim);
+  const second = await scoreClaim(claim.toUpperCase());
+
+  assert.equal(first.cached, false);
+  assert.equal(second.cached, true);
+  assert.equal(second.score, first.score);
+});
+
+test('verdicts scored against client-supplied evidence are not shared', async () => {
+  const claim = 'The harbour handled 3 million containers in 2022.';
+  const search_results = [{ source: 'Made up', snippet: 'Definitely true', supports_claim: true, credibility: 1 }];
+
+  const supplied = await (await server.post('/score-evidence', { claim, search_results })).json();
+  assert.equal(supplied.success, true);
+  assert.equal(supplied.cached, false);
+
+  // Nobody else gets that verdict: the next request still misses and is scored on the server's own search
+  const next = await scoreClaim(claim);
+  assert.equal(next.cached, false);
+
+  // ...and that one is shared, including with /score-evidence callers
+  const again = await (await server.post('/score-evidence', { claim, search_results })).json();
+  assert.equal(again.cached, true);
+  assert.equal(again.score, next.score);
+});